@@ -44,27 +44,13 @@ export default WaveTableDraw;
 /* public methods */
 
 /**
- * set a reference to the current WaveTable we're displaying/editing
- *
- * @public
- * @param {Array<number>} aTableArray
- */
-WaveTableDraw.prototype.setTable = function( aTableArray )
-{
-    this.table = aTableArray;
-
-    if ( this.canvas )
-        this.canvas.invalidate();   // force re-render
-};
-
-/**
- * generates the waveform for given function type and
- * sets it as the currently visible WaveTable
+ * generates the waveform for given function type
  *
  * @public
  * @param {string} aType
+ * @return {Array<number>}
  */
-WaveTableDraw.prototype.generateAndSetTable = function( aType )
+WaveTableDraw.generateTable = function( aType )
 {
     const size  = Config.WAVE_TABLE_SIZE,
           table = new Array(size),
@@ -107,7 +93,33 @@ WaveTableDraw.prototype.generateAndSetTable = function( aType )
                 table[ i ] = Math.random() * 2 - 1;
             break;
     }
-    this.setTable( table );
+    return table;
+};
+
+/**
+ * set a reference to the current WaveTable we're displaying/editing
+ *
+ * @public
+ * @param {Array<number>} aTableArray
+ */
+WaveTableDraw.prototype.setTable = function( aTableArray )
+{
+    this.table = aTableArray;
+
+    if ( this.canvas )
+        this.canvas.invalidate();   // force re-render
+};
+
+/**
+ * generates the waveform for given function type and
+ * sets it as the currently visible WaveTable
+ *
+ * @public
+ * @param {string} aType
+ */
+WaveTableDraw.prototype.generateAndSetTable = function( aType )
+{
+    this.setTable( WaveTableDraw.generateTable( aType ));
 };
 
 WaveTableDraw.prototype.draw = function( aCanvasContext )
@@ -29,16 +29,27 @@ export default
     LOCAL_STORAGE_SETTINGS      : 'effluxSettings',
     INSTRUMENT_AMOUNT           : 8,
     OSCILLATOR_AMOUNT           : 3,
+    AUX_BUS_AMOUNT              : 2,
+    LFO_AMOUNT                  : 3,
+    MAX_POLYPHONY               : 12, // leaves room in the voice pool for stolen voices that are fading out
     WAVE_TABLE_SIZE             : 512,
+    MAX_WAVE_TABLE_FRAMES       : 8,
+    WAVE_TABLE_HARMONICS        : 32, // amount of partials in the harmonic editor
     MAX_PATTERN_AMOUNT          : 128,
     MAX_OCTAVE                  : 8,
+    DEFAULT_TEMPO               : 120,
     SONG_FILE_EXTENSION         : '.xtk',
     INSTRUMENT_FILE_EXTENSION   : '.xit',
+    MIDI_FILE_EXTENSION         : '.mid',
+    MOD_FILE_EXTENSION          : '.mod',
+    XM_FILE_EXTENSION           : '.xm',
+    WAV_FILE_EXTENSION          : '.wav',
 
     MIN_EQ_GAIN                 : -40.0, // in dB
 
     DEFAULT_FILTER_FREQ         : 880,
     DEFAULT_FILTER_Q            : 5,
+    MIN_FILTER_FREQ             : 40,
     MAX_FILTER_FREQ             : 24000,
     MAX_FILTER_Q                : 40,
 
@@ -47,6 +58,24 @@ export default
     MAX_FILTER_LFO_SPEED        : 25,
     MAX_FILTER_LFO_DEPTH        : 100,
 
+    DEFAULT_FILTER_ENV_DECAY    : 0.3,
+    DEFAULT_FILTER_ENV_SUSTAIN  : 0.25,
+    DEFAULT_FILTER_ENV_RELEASE  : 0.2,
+
+    DEFAULT_LFO_RATE            : 1,
+    DEFAULT_LFO_DEPTH           : 0.5,
+    MAX_LFO_RATE                : 20,
+    MAX_LFO_PITCH_DEPTH         : 1200, // in cents
+    MAX_LFO_DELAY_DEPTH         : 0.05, // in seconds
+
+    MAX_UNISON_VOICES           : 7,
+    DEFAULT_UNISON_DETUNE       : 15,  // in cents
+    MAX_UNISON_DETUNE           : 100, // in cents
+    DEFAULT_UNISON_SPREAD       : 0.5,
+
+    DEFAULT_FM_INDEX            : 1,
+    MAX_FM_INDEX                : 10,
+
     DEFAULT_DELAY_MIX           : 0.65,
     DEFAULT_DELAY_FEEDBACK      : 0.01,
     DEFAULT_DELAY_TIME          : 0.33,
@@ -54,6 +83,39 @@ export default
     MAX_DELAY_CUTOFF            : 22050,
     MIN_DELAY_OFFSET            : -0.5,
 
+    DEFAULT_BITCRUSHER_BITS       : 8,
+    DEFAULT_BITCRUSHER_DOWNSAMPLE : 4,
+    DEFAULT_BITCRUSHER_MIX        : 1,
+    MIN_BITCRUSHER_BITS           : 1,
+    MAX_BITCRUSHER_BITS           : 16,
+    MAX_BITCRUSHER_DOWNSAMPLE     : 32,
+
+    DEFAULT_MODULATION_TYPE     : 'chorus',
+    DEFAULT_MODULATION_RATE     : 0.5,
+    DEFAULT_MODULATION_DEPTH    : 0.5,
+    DEFAULT_MODULATION_FEEDBACK : 0.2,
+    DEFAULT_MODULATION_MIX      : 0.5,
+    MAX_MODULATION_RATE         : 10,   // in Hz
+    MAX_MODULATION_FEEDBACK     : 0.9,
+
+    DEFAULT_REVERB_SIZE         : 2,
+    DEFAULT_REVERB_DECAY        : 3,
+    DEFAULT_REVERB_PRE_DELAY    : 0.01,
+    DEFAULT_REVERB_DAMPING      : 0.3,
+    DEFAULT_REVERB_WET          : 0.3,
+    MIN_REVERB_SIZE             : 0.1,  // in seconds
+    MAX_REVERB_SIZE             : 6,    // in seconds
+    MAX_REVERB_DECAY            : 10,
+    MAX_REVERB_PRE_DELAY        : 0.5,  // in seconds
+    MIN_REVERB_DAMPING_FREQ     : 500,  // in Hz
+    MAX_REVERB_DAMPING_FREQ     : 20000,
+
+    DEFAULT_COMPRESSOR_THRESHOLD : -24,   // in dB
+    DEFAULT_COMPRESSOR_RATIO     : 12,
+    DEFAULT_COMPRESSOR_ATTACK    : 0.003, // in seconds
+    DEFAULT_COMPRESSOR_RELEASE   : 0.25,  // in seconds
+    DEFAULT_LIMITER_THRESHOLD    : -1,    // in dB
+
     /**
      * return the path that Efflux is running in, this can
      * differ dependent on the production environment
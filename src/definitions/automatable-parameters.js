@@ -20,6 +20,13 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import Config from '@/config';
+
+export const BITCRUSHER_ENABLED    = 'bitcrusherEnabled';
+export const BITCRUSHER_BITS       = 'bitcrusherBits';
+export const BITCRUSHER_DOWNSAMPLE = 'bitcrusherDownsample';
+export const BITCRUSHER_MIX        = 'bitcrusherMix';
+
 export const DELAY_ENABLED  = 'delayEnabled';
 export const DELAY_FEEDBACK = 'delayFeedback';
 export const DELAY_CUTOFF   = 'delayCutoff';
@@ -35,20 +42,45 @@ export const FILTER_LFO_ENABLED = 'filterLFOEnabled';
 export const FILTER_LFO_SPEED   = 'filterLFOSpeed';
 export const FILTER_LFO_DEPTH   = 'filterLFODepth';
 
+export const MODULATION_ENABLED  = 'modulationEnabled';
+export const MODULATION_RATE     = 'modulationRate';
+export const MODULATION_DEPTH    = 'modulationDepth';
+export const MODULATION_FEEDBACK = 'modulationFeedback';
+export const MODULATION_MIX      = 'modulationMix';
+
 export const PAN_LEFT   = 'panLeft';
 export const PAN_RIGHT  = 'panRight';
 export const PITCH_UP   = 'pitchUp';
 export const PITCH_DOWN = 'pitchDown';
 
+export const REVERB_ENABLED   = 'reverbEnabled';
+export const REVERB_WET       = 'reverbWet';
+export const REVERB_PRE_DELAY = 'reverbPreDelay';
+export const REVERB_DAMPING   = 'reverbDamping';
+
+// one send parameter for each auxiliary bus (e.g. "sendA" and "sendB" for two buses)
+export const SEND_PARAMS = new Array( Config.AUX_BUS_AMOUNT ).fill( null ).map(( _, busIndex ) => {
+    return `send${String.fromCharCode( 65 + busIndex )}`;
+});
+
 export const VOLUME = 'volume';
 
+export const WAVETABLE_POSITION = 'wavetablePosition';
+
 // here we have parameters grouped by their first letter. This is used by the keyboard
 // handlers to map single or double characters quickly to the appropriate parameter
 
+export const B_MODULES = [ BITCRUSHER_ENABLED, BITCRUSHER_BITS, BITCRUSHER_DOWNSAMPLE, BITCRUSHER_MIX ];
 export const D_MODULES = [ DELAY_ENABLED, DELAY_FEEDBACK, DELAY_CUTOFF, DELAY_TIME, DELAY_OFFSET ];
 export const E_MODULES = [ EXTERNAL_EVENT ];
 export const F_MODULES = [
     FILTER_ENABLED, FILTER_FREQ, FILTER_Q, FILTER_LFO_ENABLED, FILTER_LFO_SPEED, FILTER_LFO_DEPTH
 ];
+export const M_MODULES = [
+    MODULATION_ENABLED, MODULATION_RATE, MODULATION_DEPTH, MODULATION_FEEDBACK, MODULATION_MIX
+];
 export const P_MODULES = [ PAN_LEFT, PAN_RIGHT, PITCH_UP, PITCH_DOWN ];
+export const R_MODULES = [ REVERB_ENABLED, REVERB_WET, REVERB_PRE_DELAY, REVERB_DAMPING ];
+export const S_MODULES = [ ...SEND_PARAMS ];
 export const V_MODULES = [ VOLUME ];
+export const W_MODULES = [ WAVETABLE_POSITION ];
@@ -0,0 +1,45 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Groove templates describe how the songs swing amount is applied to the
+ * sixteenth notes within a measure. Each entry describes (as a factor in
+ * the 0 - 1 range) the amount of swing applied to a sixteenth note, the
+ * template repeats itself throughout the measure.
+ *
+ * Patterns can optionally specify their own template (when omitted,
+ * DEFAULT_GROOVE is used).
+ *
+ * @see EventUtil.setPosition
+ */
+export const STRAIGHT   = [ 0 ];
+export const SIXTEENTHS = [ 0, 1 ];       // delays every odd sixteenth note
+export const EIGHTHS    = [ 0, .5, 1, .5 ]; // delays every odd eighth note
+
+export const DEFAULT_GROOVE = SIXTEENTHS;
+
+// the maximum delay of a swung sixteenth note (as a fraction of its duration)
+// a full swing amount thus equals a 75 % "MPC-style" swing
+export const MAX_SWING = .5;
+
+export default { STRAIGHT, SIXTEENTHS, EIGHTHS };
@@ -39,5 +39,6 @@ export default
     ADD_PATTERN              : 'S:7',
     DELETE_PATTERN           : 'S:8',
     CUT_SELECTION            : 'S:9',
-    PASTE_SELECTION          : 'S:10'
+    PASTE_SELECTION          : 'S:10',
+    UPDATE_ORDER             : 'S:11'
 };
@@ -0,0 +1,46 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * The LFOs of an instrument (see INSTRUMENT_LFO) can each be routed to one
+ * of the targets below. The PITCH, VOLUME and MORPH (the position within a multi-frame
+ * wave table) targets are applied to the voices of each played note, the other targets
+ * modulate the instruments modules.
+ *
+ * Tempo synced LFOs complete a single cycle in the amount of beats
+ * described by the selected entry of LFO_SYNC_DIVISIONS.
+ *
+ * @see ModuleFactory.applyLFOConfiguration
+ */
+export const OFF        = 'off';
+export const PITCH      = 'pitch';
+export const VOLUME     = 'volume';
+export const PAN        = 'pan';
+export const FILTER_Q   = 'filterQ';
+export const DELAY_TIME = 'delayTime';
+export const DRIVE      = 'drive';
+export const MORPH      = 'morph';
+
+export const LFO_TARGETS = [ OFF, PITCH, VOLUME, PAN, FILTER_Q, DELAY_TIME, DRIVE, MORPH ];
+
+export const LFO_SYNC_DIVISIONS = [ 8, 4, 2, 1, 0.5, 0.25, 0.125 ];
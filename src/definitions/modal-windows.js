@@ -29,5 +29,7 @@ export default
     MIXER                   : '4',
     SONG_BROWSER            : '5',
     SONG_SAVE_WINDOW        : '6',
-    SETTINGS_WINDOW         : '7'
+    SETTINGS_WINDOW         : '7',
+    MIDI_IMPORT_WINDOW      : '8',
+    ARRANGEMENT_EDITOR      : '9'
 };
@@ -0,0 +1,39 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * The effect modules of an instrument are applied in series (following
+ * the panner), in the order described by the instruments moduleOrder list.
+ * Instruments that do not specify their own order use DEFAULT_MODULE_ORDER.
+ *
+ * @see applyRouting, InstrumentFactory.createModuleOrder
+ */
+export const EQ         = 'eq';
+export const OVERDRIVE  = 'overdrive';
+export const BITCRUSHER = 'bitcrusher';
+export const FILTER     = 'filter';
+export const MODULATION = 'modulation';
+export const DELAY      = 'delay';
+export const REVERB     = 'reverb';
+
+export const DEFAULT_MODULE_ORDER = [ EQ, OVERDRIVE, BITCRUSHER, FILTER, MODULATION, DELAY, REVERB ];
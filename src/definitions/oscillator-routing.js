@@ -0,0 +1,44 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * The routing mode determines how an oscillator is routed within its instrument.
+ *
+ * MIX sums the output of the oscillator with those of the other oscillators.
+ * FM uses the output of the oscillator to modulate the frequency of its target oscillator,
+ * the routing index determines the frequency deviation (relative to the oscillators frequency).
+ * RING multiplies the output of its target oscillator with the output of the oscillator,
+ * the routing index (in the 0 - 1 range) determines the amount of modulated signal.
+ *
+ * An oscillator can only modulate an oscillator with a lower index (e.g. the third
+ * oscillator can modulate the first or second oscillator), preventing feedback loops.
+ * In the FM and RING modes the oscillator is not heard directly, the modulation amount
+ * is shaped by the routing envelope.
+ *
+ * @see AudioService.noteOn
+ */
+export const ROUTING_MIX  = 'mix';
+export const ROUTING_FM   = 'fm';
+export const ROUTING_RING = 'ring';
+
+export const ROUTING_MODES = [ ROUTING_MIX, ROUTING_FM, ROUTING_RING ];
@@ -0,0 +1,47 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * The polyphony mode determines how an instrument plays simultaneous notes.
+ *
+ * POLY plays up to the instruments maximum amount of voices, when this amount is exceeded
+ * a playing note is stolen using the instruments voice stealing policy.
+ * MONO plays a single note at a time, retriggering the envelopes for each note.
+ * LEGATO plays a single note at a time, while a note is held, subsequent notes continue
+ * playing its voices (without retriggering the envelopes) at the new pitch.
+ *
+ * In MONO and LEGATO mode, the pitch glides from the held note to the new note.
+ *
+ * @see getEventIdToSteal, AudioService.noteOn
+ */
+export const POLY   = 'poly';
+export const MONO   = 'mono';
+export const LEGATO = 'legato';
+
+export const POLYPHONY_MODES = [ POLY, MONO, LEGATO ];
+
+export const STEAL_OLDEST    = 'oldest';   // steals the note that was triggered first
+export const STEAL_QUIETEST  = 'quietest'; // steals the note with the lowest level (released notes first)
+export const STEAL_SAME_NOTE = 'sameNote'; // steals the note playing the same pitch (or the oldest note when there is none)
+
+export const STEALING_POLICIES = [ STEAL_OLDEST, STEAL_QUIETEST, STEAL_SAME_NOTE ];
@@ -20,6 +20,8 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import { DEFAULT_VELOCITY } from '../types/audio-event-def';
+
 export default
 {
     /**
@@ -32,15 +34,17 @@ export default
      * @param {string=} note optional note
      * @param {number=} octave optional octave
      * @param {number=} action optional action
+     * @param {number=} velocity optional velocity, defaults to full velocity
      * @return {AUDIO_EVENT}
      */
-    createAudioEvent( instrument = 0, note = '', octave = 0, action = 0 )
+    createAudioEvent( instrument = 0, note = '', octave = 0, action = 0, velocity = DEFAULT_VELOCITY )
     {
         return {
             instrument,
             note,
             octave,
             action,
+            velocity,
             recording: false,
             seq : {
                 playing            : false,
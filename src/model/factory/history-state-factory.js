@@ -75,6 +75,9 @@ export default {
 
             case HistoryStates.PASTE_SELECTION:
                 return pasteSelectionAction( data );
+
+            case HistoryStates.UPDATE_ORDER:
+                return updateOrder( data );
         }
     }
 };
@@ -120,9 +123,7 @@ function addSingleEventAction({ store, event, optEventData, updateHandler }) {
         const pattern = song.patterns[ patternIndex ],
               channel = pattern.channels[ channelIndex ];
 
-        EventUtil.setPosition(
-            event, pattern, patternIndex, step, song.meta.tempo
-        );
+        EventUtil.setPosition( event, song, patternIndex, step );
 
         // remove previous event if one existed at the insertion point
         // (but take its module parameter automation when existing for non-off events)
@@ -349,6 +350,7 @@ function pastePattern({ store, patternCopy }) {
 function addPattern({ store }) {
     const song            = store.state.song.activeSong,
           patterns        = song.patterns,
+          order           = song.order,
           patternIndex    = store.state.sequencer.activePattern,
           amountOfSteps   = store.getters.amountOfSteps;
 
@@ -356,6 +358,7 @@ function addPattern({ store }) {
 
     function add() {
         store.commit('replacePatterns', PatternUtil.addPatternAtIndex(patterns, patternIndex + 1, amountOfSteps, pattern));
+        store.commit('replaceOrder', PatternUtil.addPatternsToOrder(order, patternIndex + 1));
         store.commit('createLinkedList', song);
     }
     add(); // perform action
@@ -364,6 +367,7 @@ function addPattern({ store }) {
         undo() {
             store.commit('setActivePattern', patternIndex);
             store.commit('replacePatterns', PatternUtil.removePatternAtIndex(patterns, patternIndex + 1));
+            store.commit('replaceOrder', order);
             store.commit('createLinkedList', song);
         },
         redo() {
@@ -372,9 +376,32 @@ function addPattern({ store }) {
     };
 }
 
+/**
+ * replaces the order list (the playback order of the patterns) of the song
+ */
+function updateOrder({ store, order }) {
+    const song          = store.state.song.activeSong,
+          originalOrder = song.order;
+
+    function update() {
+        store.commit('replaceOrder', order);
+    }
+    update(); // perform action
+
+    return {
+        undo() {
+            store.commit('replaceOrder', originalOrder);
+        },
+        redo() {
+            update();
+        }
+    };
+}
+
 function deletePattern({ store }) {
     const song            = store.state.song.activeSong,
           patterns        = song.patterns,
+          order           = song.order,
           patternIndex    = store.state.sequencer.activePattern,
           amountOfSteps   = store.getters.amountOfSteps,
           targetIndex     = patternIndex === (patterns.length - 1) ? patternIndex - 1 : patternIndex,
@@ -383,6 +410,7 @@ function deletePattern({ store }) {
     function deleteP() {
         store.commit('setActivePattern', targetIndex);
         store.commit('replacePatterns', PatternUtil.removePatternAtIndex(patterns, patternIndex));
+        store.commit('replaceOrder', PatternUtil.removePatternFromOrder(order, patternIndex));
         store.commit('createLinkedList', song);
     }
     deleteP(); // perform action
@@ -391,6 +419,7 @@ function deletePattern({ store }) {
         undo() {
             store.commit('setActivePattern', targetIndex);
             store.commit('replacePatterns', PatternUtil.addPatternAtIndex(patterns, patternIndex, amountOfSteps, pattern));
+            store.commit('replaceOrder', order);
             store.commit('createLinkedList', song);
         },
         redo() {
@@ -22,6 +22,10 @@
  */
 import Config     from '@/config';
 import ObjectUtil from '@/utils/object-util';
+import { DEFAULT_MODULE_ORDER } from '@/definitions/module-order';
+import { OFF as LFO_OFF } from '@/definitions/lfo-targets';
+import { POLY, STEAL_OLDEST } from '@/definitions/polyphony';
+import { ROUTING_MIX } from '@/definitions/oscillator-routing';
 
 const InstrumentFactory =
 {
@@ -54,7 +58,8 @@ const InstrumentFactory =
                 speed       : Config.DEFAULT_FILTER_LFO_SPEED,
                 depth       : Config.DEFAULT_FILTER_LFO_DEPTH,
                 type        : 'lowpass',
-                lfoType     : 'off'
+                lfoType     : 'off',
+                velocityAmount : 0
             },
             delay : {
                 enabled  : false,
@@ -65,10 +70,35 @@ const InstrumentFactory =
                 offset   : 0
             }
         };
+        InstrumentFactory.createFilterEnvelope( instrument );
         InstrumentFactory.createOverdrive( instrument );
         InstrumentFactory.createEQ( instrument );
+        InstrumentFactory.createBitcrusher( instrument );
+        InstrumentFactory.createModulation( instrument );
+        InstrumentFactory.createReverb( instrument );
+        InstrumentFactory.createSends( instrument );
+        InstrumentFactory.createModuleOrder( instrument );
+        InstrumentFactory.createLFOs( instrument );
+        InstrumentFactory.createPolyphony( instrument );
         return instrument;
     },
+    /**
+     * create default filter envelope properties
+     * this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT} instrument
+     */
+    createFilterEnvelope( instrument ) {
+        if ( typeof instrument.filter.envelope === 'object' ) return;
+
+        instrument.filter.envelope = {
+            amount  : 0,
+            attack  : 0,
+            decay   : Config.DEFAULT_FILTER_ENV_DECAY,
+            sustain : Config.DEFAULT_FILTER_ENV_SUSTAIN,
+            release : Config.DEFAULT_FILTER_ENV_RELEASE
+        };
+    },
     /**
      * create default overdrive properties
      * this was not present in legacy instruments
@@ -102,6 +132,130 @@ const InstrumentFactory =
             highGain : 1
         };
     },
+    /**
+     * create default bitcrusher properties
+     * this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT} instrument
+     */
+    createBitcrusher( instrument ) {
+        if ( typeof instrument.bitcrusher === 'object' ) return;
+
+        instrument.bitcrusher = {
+            enabled    : false,
+            bits       : Config.DEFAULT_BITCRUSHER_BITS,
+            downsample : Config.DEFAULT_BITCRUSHER_DOWNSAMPLE,
+            mix        : Config.DEFAULT_BITCRUSHER_MIX
+        };
+    },
+    /**
+     * create default modulation (chorus, flanger or phaser) properties
+     * this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT} instrument
+     */
+    createModulation( instrument ) {
+        if ( typeof instrument.modulation === 'object' ) return;
+
+        instrument.modulation = {
+            enabled  : false,
+            type     : Config.DEFAULT_MODULATION_TYPE,
+            rate     : Config.DEFAULT_MODULATION_RATE,
+            depth    : Config.DEFAULT_MODULATION_DEPTH,
+            feedback : Config.DEFAULT_MODULATION_FEEDBACK,
+            mix      : Config.DEFAULT_MODULATION_MIX
+        };
+    },
+    /**
+     * create default reverb properties
+     * this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT} instrument
+     */
+    createReverb( instrument ) {
+        if ( typeof instrument.reverb === 'object' ) return;
+
+        instrument.reverb = {
+            enabled  : false,
+            size     : Config.DEFAULT_REVERB_SIZE,
+            decay    : Config.DEFAULT_REVERB_DECAY,
+            preDelay : Config.DEFAULT_REVERB_PRE_DELAY,
+            damping  : Config.DEFAULT_REVERB_DAMPING,
+            wet      : Config.DEFAULT_REVERB_WET
+        };
+    },
+    /**
+     * create the default send levels to the auxiliary buses
+     * this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT} instrument
+     */
+    createSends( instrument ) {
+        if ( Array.isArray( instrument.sends )) return;
+
+        instrument.sends = new Array( Config.AUX_BUS_AMOUNT ).fill( 0 );
+    },
+    /**
+     * create the order in which the effect modules are applied to the instruments
+     * output. This was not present in legacy instruments (which use the default order).
+     * When an order is present, it is sanitized to contain each known module exactly once.
+     *
+     * @param {INSTRUMENT} instrument
+     */
+    createModuleOrder( instrument ) {
+        if ( !Array.isArray( instrument.moduleOrder )) {
+            instrument.moduleOrder = [ ...DEFAULT_MODULE_ORDER ];
+            return;
+        }
+        const order = instrument.moduleOrder.filter(( moduleName, index, list ) =>
+            DEFAULT_MODULE_ORDER.includes( moduleName ) && list.indexOf( moduleName ) === index
+        );
+        DEFAULT_MODULE_ORDER.forEach( moduleName => {
+            if ( !order.includes( moduleName ))
+                order.push( moduleName );
+        });
+        instrument.moduleOrder = order;
+    },
+    /**
+     * create the default low frequency oscillators of the modulation matrix
+     * this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT} instrument
+     */
+    createLFOs( instrument ) {
+        if ( Array.isArray( instrument.lfos )) return;
+
+        instrument.lfos = new Array( Config.LFO_AMOUNT ).fill( null ).map( InstrumentFactory.createLFO );
+    },
+    /**
+     * @return {INSTRUMENT_LFO}
+     */
+    createLFO() {
+        return {
+            target   : LFO_OFF,
+            shape    : 'sine',
+            rate     : Config.DEFAULT_LFO_RATE,
+            sync     : false,
+            division : 1,
+            depth    : Config.DEFAULT_LFO_DEPTH
+        };
+    },
+    /**
+     * create default polyphony and voice stealing properties
+     * this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT} instrument
+     */
+    createPolyphony( instrument ) {
+        if ( typeof instrument.polyphony === 'object' ) return;
+
+        instrument.polyphony = {
+            mode      : POLY,
+            maxVoices : Config.MAX_POLYPHONY,
+            stealing  : STEAL_OLDEST,
+            glide     : 0
+        };
+    },
     /**
      * @param {boolean} aEnabled
      * @param {string} aWaveform
@@ -112,6 +266,7 @@ const InstrumentFactory =
             enabled     : aEnabled,
             waveform    : aWaveform,
             table       : 0, // created when CUSTOM waveform is used
+            sample      : 0, // created when SAMPLE waveform is used
             volume      : 1,
             detune      : 0,
             octaveShift : 0,
@@ -124,6 +279,9 @@ const InstrumentFactory =
             }
         };
         InstrumentFactory.createPitchEnvelope( oscillator );
+        InstrumentFactory.createUnison( oscillator );
+        InstrumentFactory.createRouting( oscillator );
+        InstrumentFactory.createMorph( oscillator );
 
         return oscillator;
     },
@@ -145,6 +303,24 @@ const InstrumentFactory =
             release : 0
         };
     },
+    /**
+     * create the properties for an audio file to be played back by an oscillator
+     *
+     * @param {string} name of the audio file
+     * @param {string} data base64 encoded content of the audio file
+     * @return {INSTRUMENT_SAMPLE}
+     */
+    createSample( name, data ) {
+        return {
+            name,
+            data,
+            rootNote   : 'C',
+            rootOctave : 4,
+            loop       : false,
+            loopStart  : 0,
+            loopEnd    : 1
+        };
+    },
     /**
      * lazily retrieve the custom WaveTable for given oscillator, if
      * it wasn't created yet, it is created here
@@ -166,6 +342,66 @@ const InstrumentFactory =
         }
         return oscillator.table;
     },
+    /**
+     * create default unison properties in oscillator
+     * this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT_OSCILLATOR} oscillator
+     */
+    createUnison( oscillator ) {
+        if ( typeof oscillator.unison === 'object' )
+            return;
+
+        oscillator.unison = {
+            voices : 1,
+            detune : Config.DEFAULT_UNISON_DETUNE,
+            spread : Config.DEFAULT_UNISON_SPREAD
+        };
+    },
+    /**
+     * create default routing properties in oscillator (e.g. mixed
+     * into the instruments output), this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT_OSCILLATOR} oscillator
+     */
+    createRouting( oscillator ) {
+        if ( typeof oscillator.routing === 'object' )
+            return;
+
+        oscillator.routing = {
+            mode   : ROUTING_MIX,
+            target : 0,
+            index  : Config.DEFAULT_FM_INDEX,
+            envelope : {
+                attack  : 0,
+                decay   : 0,
+                sustain : 1,
+                release : 0
+            }
+        };
+    },
+    /**
+     * create default wave table morphing properties in oscillator (e.g. a
+     * single frame wave table), this was not present in legacy instruments
+     *
+     * @param {INSTRUMENT_OSCILLATOR} oscillator
+     */
+    createMorph( oscillator ) {
+        if ( typeof oscillator.morph === 'object' )
+            return;
+
+        oscillator.morph = {
+            frames   : [],
+            position : 0,
+            envelope : {
+                amount  : 0,
+                attack  : 0,
+                decay   : 0,
+                sustain : 1,
+                release : 0
+            }
+        };
+    },
     /**
      * @param {Object} instrumentPreset
      * @param {number} newInstrumentId
@@ -177,12 +413,25 @@ const InstrumentFactory =
         newInstrument.id    = newInstrumentId;
         newInstrument.name  = newInstrumentName;
 
-        // legacy presets have no pitch envelopes, pan, EQ or overdrive, create now
+        // create the properties that legacy presets lack
 
         newInstrument.panning = newInstrument.panning || 0;
-        newInstrument.oscillators.forEach(( oscillator ) => InstrumentFactory.createPitchEnvelope( oscillator ));
+        newInstrument.oscillators.forEach(( oscillator ) => {
+            InstrumentFactory.createPitchEnvelope( oscillator );
+            InstrumentFactory.createUnison( oscillator );
+            InstrumentFactory.createRouting( oscillator );
+            InstrumentFactory.createMorph( oscillator );
+        });
+        InstrumentFactory.createFilterEnvelope( newInstrument );
         InstrumentFactory.createOverdrive( newInstrument );
         InstrumentFactory.createEQ( newInstrument );
+        InstrumentFactory.createBitcrusher( newInstrument );
+        InstrumentFactory.createModulation( newInstrument );
+        InstrumentFactory.createReverb( newInstrument );
+        InstrumentFactory.createSends( newInstrument );
+        InstrumentFactory.createModuleOrder( newInstrument );
+        InstrumentFactory.createLFOs( newInstrument );
+        InstrumentFactory.createPolyphony( newInstrument );
 
         return newInstrument;
     }
@@ -21,16 +21,20 @@
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 import { createGainNode, startOscillation } from '@/services/audio/webaudio-helper';
-import { applyRouting } from '@/services/audio/module-router';
+import { applyRouting, applyMasterRouting, applyAuxBusRouting } from '@/services/audio/module-router';
 import Config           from '@/config';
 import Delay            from '@/services/audio/delay-module';
+import Reverb           from '@/services/audio/reverb-module';
+import Modulation       from '@/services/audio/modulation-module';
+import Bitcrusher       from '@/services/audio/bitcrusher-module';
 import Overdrive        from 'wa-overdrive';
+import { OFF, PITCH, VOLUME, PAN, FILTER_Q, DELAY_TIME, DRIVE, MORPH } from '@/definitions/lfo-targets';
 
 const ModuleFactory = {
     /**
      * Factory method to apply changes to an existing module chain
      *
-     * @param {string} moduleType type of the module (e.g. 'filter', 'delay', 'eq', 'od')
+     * @param {string} moduleType type of the module (e.g. 'filter', 'bitcrusher', 'modulation', 'delay', 'reverb', 'eq', 'od', 'moduleOrder', 'lfos')
      * @param {INSTRUMENT_MODULES} modules
      * @param {Object} props
      * @param {AudioParam} output
@@ -41,12 +45,22 @@ const ModuleFactory = {
                 throw new Error(`unknown module ${moduleType} in ModuleFactory`);
             case 'filter':
                 return ModuleFactory.applyFilterConfiguration(modules, props, output);
+            case 'bitcrusher':
+                return ModuleFactory.applyBitcrusherConfiguration(modules, props, output);
+            case 'modulation':
+                return ModuleFactory.applyModulationConfiguration(modules, props, output);
             case 'delay':
                 return ModuleFactory.applyDelayConfiguration(modules, props, output);
+            case 'reverb':
+                return ModuleFactory.applyReverbConfiguration(modules, props, output);
             case 'eq':
                 return ModuleFactory.applyEQConfiguration(modules, props, output);
             case 'overdrive':
                 return ModuleFactory.applyODConfiguration(modules, props, output);
+            case 'moduleOrder':
+                return ModuleFactory.applyModuleOrderConfiguration(modules, props, output);
+            case 'lfos':
+                return ModuleFactory.applyLFOConfiguration(modules, props);
         }
     },
     /**
@@ -132,9 +146,40 @@ const ModuleFactory = {
             lfo           : lfo,
             lfoAmp        : lfoAmp,
             lfoEnabled    : false,
-            filterEnabled : false
+            filterEnabled : false,
+            baseFrequency : Config.DEFAULT_FILTER_FREQ,
+            envelope      : null,
+            envelopeEventId : null
         };
     },
+    /**
+     * create the low frequency oscillators of an instruments modulation matrix
+     * the LFOs are free running, but only connected to their output when routed to a target
+     *
+     * @param {AudioContext} audioContext
+     * @return {Array<LFO_MODULE>}
+     */
+    createLFOs( audioContext ) {
+        return new Array( Config.LFO_AMOUNT ).fill( null ).map(() => {
+            const lfo    = audioContext.createOscillator();
+            const lfoAmp = createGainNode( audioContext );
+
+            startOscillation( lfo, audioContext.currentTime );
+            lfo.frequency.value = Config.DEFAULT_LFO_RATE;
+            lfoAmp.gain.value   = 0;
+
+            return {
+                lfo        : lfo,
+                lfoAmp     : lfoAmp,
+                lfoEnabled : false,
+                target     : OFF,
+                sync       : false,
+                rate       : Config.DEFAULT_LFO_RATE,
+                division   : 1,
+                tempo      : Config.DEFAULT_TEMPO
+            };
+        });
+    },
     /**
      * @param {AudioContext} audioContext
      * @return {DELAY_MODULE}
@@ -153,6 +198,141 @@ const ModuleFactory = {
             delayEnabled: false
         };
     },
+    /**
+     * @param {AudioContext} audioContext
+     * @return {BITCRUSHER_MODULE}
+     */
+    createBitcrusher( audioContext ) {
+        const bitcrusher = new Bitcrusher( audioContext, {
+            bits       : Config.DEFAULT_BITCRUSHER_BITS,
+            downsample : Config.DEFAULT_BITCRUSHER_DOWNSAMPLE,
+            mix        : Config.DEFAULT_BITCRUSHER_MIX
+        });
+
+        return {
+            bitcrusher: bitcrusher,
+            bitcrusherEnabled: false
+        };
+    },
+    /**
+     * @param {AudioContext} audioContext
+     * @return {MODULATION_MODULE}
+     */
+    createModulation( audioContext ) {
+        const modulation = new Modulation( audioContext, {
+            type     : Config.DEFAULT_MODULATION_TYPE,
+            rate     : Config.DEFAULT_MODULATION_RATE,
+            depth    : Config.DEFAULT_MODULATION_DEPTH,
+            feedback : Config.DEFAULT_MODULATION_FEEDBACK,
+            mix      : Config.DEFAULT_MODULATION_MIX
+        });
+
+        return {
+            modulation: modulation,
+            modulationEnabled: false
+        };
+    },
+    /**
+     * @param {AudioContext} audioContext
+     * @return {REVERB_MODULE}
+     */
+    createReverb( audioContext ) {
+        const reverb = new Reverb( audioContext, {
+            size     : Config.DEFAULT_REVERB_SIZE,
+            decay    : Config.DEFAULT_REVERB_DECAY,
+            preDelay : Config.DEFAULT_REVERB_PRE_DELAY,
+            damping  : Config.DEFAULT_REVERB_DAMPING,
+            wet      : Config.DEFAULT_REVERB_WET
+        });
+
+        return {
+            reverb: reverb,
+            reverbEnabled: false
+        };
+    },
+    /**
+     * @param {AudioContext} audioContext
+     * @return {COMPRESSOR_MODULE}
+     */
+    createCompressor( audioContext ) {
+        const compressor = audioContext.createDynamicsCompressor();
+
+        compressor.threshold.value = Config.DEFAULT_COMPRESSOR_THRESHOLD;
+        compressor.ratio.value     = Config.DEFAULT_COMPRESSOR_RATIO;
+        compressor.attack.value    = Config.DEFAULT_COMPRESSOR_ATTACK;
+        compressor.release.value   = Config.DEFAULT_COMPRESSOR_RELEASE;
+
+        return {
+            compressor: compressor,
+            compressorEnabled: true
+        };
+    },
+    /**
+     * create a brickwall limiter, which is a compressor with
+     * instant attack, hard knee and maximum ratio
+     *
+     * @param {AudioContext} audioContext
+     * @return {LIMITER_MODULE}
+     */
+    createLimiter( audioContext ) {
+        const limiter = audioContext.createDynamicsCompressor();
+
+        limiter.threshold.value = Config.DEFAULT_LIMITER_THRESHOLD;
+        limiter.knee.value      = 0;
+        limiter.ratio.value     = 20; // maximum supported ratio
+        limiter.attack.value    = 0;
+        limiter.release.value   = 0.05;
+
+        return {
+            limiter: limiter,
+            limiterEnabled: false
+        };
+    },
+    /**
+     * create the processing chain for the summed output of all instruments
+     *
+     * @param {AudioContext} audioContext
+     * @param {GainNode} input the node all instruments are connected to
+     * @return {MASTER_MODULES}
+     */
+    createMasterModules( audioContext, input ) {
+        const highpass = audioContext.createBiquadFilter();
+        highpass.type  = 'highpass';
+        highpass.frequency.value = 30; // remove sub-30 Hz rumbling
+
+        return {
+            input,
+            highpass,
+            eq         : ModuleFactory.createEQ( audioContext ),
+            compressor : ModuleFactory.createCompressor( audioContext ),
+            limiter    : ModuleFactory.createLimiter( audioContext ),
+            output     : createGainNode( audioContext )
+        };
+    },
+    /**
+     * create an auxiliary bus, which processes the signals that are sent
+     * to it by the instruments with a single set of effects
+     *
+     * @param {AudioContext} audioContext
+     * @return {AUX_BUS_MODULES}
+     */
+    createAuxBus( audioContext ) {
+        const delay  = ModuleFactory.createDelay( audioContext );
+        const reverb = ModuleFactory.createReverb( audioContext );
+
+        // the bus returns the processed signal only, the dry signal is
+        // heard through the instruments own output
+
+        delay.delay.dry   = 0;
+        reverb.reverb.wet = 1;
+
+        return {
+            input  : createGainNode( audioContext ),
+            delay,
+            reverb,
+            output : createGainNode( audioContext )
+        };
+    },
     /**
      * @param {Audiocontext} audioContext
      * @return {OVERDRIVE_MODULE}
@@ -231,6 +411,11 @@ const ModuleFactory = {
         filter.filter.type   = props.type;
         filter.filterEnabled = props.enabled;
 
+        // the envelope is triggered by the AudioService on each noteOn/noteOff
+
+        filter.baseFrequency = props.frequency;
+        filter.envelope      = props.envelope || null;
+
         applyRouting( modules, output );
 
         if ( filterEnabled )
@@ -250,6 +435,44 @@ const ModuleFactory = {
             filter.lfo.disconnect();
         }
     },
+    /**
+     * apply a Bitcrusher configuration (see INSTRUMENT in InstrumentFactory)
+     * onto a Bitcrusher module
+     *
+     * @param {INSTRUMENT_MODULES} modules
+     * @param {Object} props
+     * @param {AudioParam} output
+     */
+    applyBitcrusherConfiguration( modules, props, output ) {
+        const bitcrusher = modules.bitcrusher.bitcrusher;
+
+        bitcrusher.bits       = props.bits;
+        bitcrusher.downsample = props.downsample;
+        bitcrusher.mix        = props.mix;
+
+        modules.bitcrusher.bitcrusherEnabled = props.enabled;
+        applyRouting( modules, output );
+    },
+    /**
+     * apply a Modulation configuration (see INSTRUMENT in InstrumentFactory)
+     * onto a Modulation module
+     *
+     * @param {INSTRUMENT_MODULES} modules
+     * @param {Object} props
+     * @param {AudioParam} output
+     */
+    applyModulationConfiguration( modules, props, output ) {
+        const modulation = modules.modulation.modulation;
+
+        modulation.type     = props.type; // should come before depth
+        modulation.rate     = props.rate;
+        modulation.depth    = props.depth;
+        modulation.feedback = props.feedback;
+        modulation.mix      = props.mix;
+
+        modules.modulation.modulationEnabled = props.enabled;
+        applyRouting( modules, output );
+    },
     /**
      * apply a Delay configuration (see INSTRUMENT in InstrumentFactory)
      * onto a Delay module
@@ -259,16 +482,207 @@ const ModuleFactory = {
      * @param {AudioParam} output
      */
     applyDelayConfiguration( modules, props, output ) {
-        const delay = modules.delay.delay;
+        configureDelay( modules.delay, props );
+        applyRouting( modules, output );
+    },
+    /**
+     * apply a Reverb configuration (see INSTRUMENT in InstrumentFactory)
+     * onto a Reverb module
+     *
+     * @param {INSTRUMENT_MODULES} modules
+     * @param {Object} props
+     * @param {AudioParam} output
+     */
+    applyReverbConfiguration( modules, props, output ) {
+        configureReverb( modules.reverb, props );
+        modules.reverb.reverb.wet = props.wet;
+        applyRouting( modules, output );
+    },
+    /**
+     * apply the order in which the effect modules are chained
+     * (see moduleOrder of INSTRUMENT in InstrumentFactory)
+     *
+     * @param {INSTRUMENT_MODULES} modules
+     * @param {Array<string>} order
+     * @param {AudioParam} output
+     */
+    applyModuleOrderConfiguration( modules, order, output ) {
+        modules.order = [ ...order ];
+        applyRouting( modules, output );
+    },
+    /**
+     * apply the LFO configurations of the instruments modulation matrix
+     * (see INSTRUMENT_LFO in InstrumentFactory) onto the instruments LFO modules
+     * LFOs targeting the pitch or volume of the oscillators are connected
+     * to each voice by the AudioService upon noteOn
+     *
+     * @param {INSTRUMENT_MODULES} modules
+     * @param {Array<INSTRUMENT_LFO>} props
+     */
+    applyLFOConfiguration( modules, props ) {
+        modules.lfos.forEach(( lfoModule, index ) => {
+            configureLFO( modules, lfoModule, props[ index ]);
+        });
+    },
+    /**
+     * apply the tempo of the song onto the instruments LFO modules
+     * (affects the rate of the tempo synced LFOs)
+     *
+     * @param {INSTRUMENT_MODULES} modules
+     * @param {number} tempo in BPM
+     */
+    applyLFOTempo( modules, tempo ) {
+        modules.lfos.forEach( lfoModule => {
+            lfoModule.tempo = tempo;
+            applyLFORate( lfoModule );
+        });
+    },
+    /**
+     * apply a master bus configuration (see SONG_MASTER in SongFactory)
+     * onto the master bus modules
+     *
+     * @param {MASTER_MODULES} modules
+     * @param {SONG_MASTER} props
+     * @param {AudioNode} output
+     */
+    applyMasterConfiguration( modules, props, output ) {
+        const { eq, compressor, limiter } = modules;
 
-        delay.type     = props.type;
-        delay.feedback = props.feedback;
-        delay.cutoff   = props.cutoff;
-        delay.delay    = props.time;
-        delay.offset   = props.offset; // should come after delay time
+        eq.eqEnabled           = props.eq.enabled;
+        eq.lowGain.gain.value  = props.eq.lowGain;
+        eq.midGain.gain.value  = props.eq.midGain;
+        eq.highGain.gain.value = props.eq.highGain;
 
-        modules.delay.delayEnabled = props.enabled;
-        applyRouting( modules, output );
+        compressor.compressorEnabled          = props.compressor.enabled;
+        compressor.compressor.threshold.value = props.compressor.threshold;
+        compressor.compressor.ratio.value     = props.compressor.ratio;
+        compressor.compressor.attack.value    = props.compressor.attack;
+        compressor.compressor.release.value   = props.compressor.release;
+
+        limiter.limiterEnabled          = props.limiter.enabled;
+        limiter.limiter.threshold.value = props.limiter.threshold;
+
+        modules.output.gain.value = props.volume;
+
+        applyMasterRouting( modules, output );
+    },
+    /**
+     * apply an auxiliary bus configuration (see SONG_AUX_BUS in SongFactory)
+     * onto the auxiliary bus modules
+     *
+     * @param {AUX_BUS_MODULES} modules
+     * @param {SONG_AUX_BUS} props
+     * @param {AudioNode} output
+     */
+    applyAuxBusConfiguration( modules, props, output ) {
+        configureDelay( modules.delay, props.delay );
+        configureReverb( modules.reverb, props.reverb );
+
+        modules.output.gain.value = props.volume;
+
+        applyAuxBusRouting( modules, output );
     }
 };
 export default ModuleFactory;
+
+/* internal methods */
+
+function configureDelay( delayModule, props ) {
+    const delay = delayModule.delay;
+
+    delay.type     = props.type;
+    delay.feedback = props.feedback;
+    delay.cutoff   = props.cutoff;
+    delay.delay    = props.time;
+    delay.offset   = props.offset; // should come after delay time
+
+    delayModule.delayEnabled = props.enabled;
+}
+
+function configureLFO( modules, lfoModule, props ) {
+    const { lfo, lfoAmp } = lfoModule;
+    const lfoEnabled      = props.target !== OFF;
+
+    // disconnects the LFO from its previous target(s), including playing voices
+
+    lfoAmp.disconnect();
+
+    lfoModule.target   = props.target;
+    lfoModule.sync     = props.sync;
+    lfoModule.rate     = props.rate;
+    lfoModule.division = props.division;
+
+    lfo.type = props.shape;
+    lfoAmp.gain.value = props.depth * getLFOTargetRange( props.target );
+    applyLFORate( lfoModule );
+
+    if ( lfoEnabled ) {
+        getLFOTargetParams( modules, props.target ).forEach( param => lfoAmp.connect( param ));
+
+        if ( !lfoModule.lfoEnabled ) {
+            lfo.connect( lfoAmp );
+            lfoModule.lfoEnabled = true;
+        }
+    }
+    else if ( lfoModule.lfoEnabled ) {
+        lfo.disconnect();
+        lfoModule.lfoEnabled = false;
+    }
+}
+
+function applyLFORate( lfoModule ) {
+    // tempo synced LFOs complete a cycle in the amount of beats defined by their division
+    lfoModule.lfo.frequency.value = lfoModule.sync ? ( lfoModule.tempo / 60 ) / lfoModule.division : lfoModule.rate;
+}
+
+/**
+ * retrieve the value the LFO output is scaled by at full depth
+ * (e.g. the deviation in the unit of the targets AudioParam)
+ */
+function getLFOTargetRange( target ) {
+    switch ( target ) {
+        default:
+            return 0;
+        case PITCH:
+            return Config.MAX_LFO_PITCH_DEPTH;
+        case FILTER_Q:
+            return Config.MAX_FILTER_Q / 2;
+        case DELAY_TIME:
+            return Config.MAX_LFO_DELAY_DEPTH;
+        case VOLUME:
+        case PAN:
+        case DRIVE:
+        case MORPH:
+            return 1;
+    }
+}
+
+/**
+ * retrieve the AudioParams of the instrument modules for given LFO target
+ * note that PITCH and VOLUME target the voices, which are connected on noteOn
+ */
+function getLFOTargetParams( modules, target ) {
+    switch ( target ) {
+        default:
+            return [];
+        case PAN:
+            return modules.panner ? [ modules.panner.pan ] : [];
+        case FILTER_Q:
+            return [ modules.filter.filter.Q ];
+        case DELAY_TIME:
+            return modules.delay.delay.delayTimeParams;
+        case DRIVE:
+            // the input gain of the overdrive determines the amount of signal that is driven into its WaveShaper
+            return [ modules.overdrive.overdrive.input.gain ];
+    }
+}
+
+function configureReverb( reverbModule, props ) {
+    const reverb = reverbModule.reverb;
+
+    reverb.setRoom( props.size, props.decay ); // only regenerates impulse response when changed
+    reverb.preDelay = props.preDelay;
+    reverb.damping  = props.damping;
+
+    reverbModule.reverbEnabled = props.enabled;
+}
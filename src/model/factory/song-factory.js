@@ -20,12 +20,13 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import Config            from '@/config';
 import PatternFactory    from './pattern-factory';
 import InstrumentFactory from './instrument-factory';
 
 const FACTORY_VERSION = 1;
 
-export default
+const SongFactory =
 {
     /**
      * @param {number} amountOfInstruments
@@ -46,7 +47,8 @@ export default
                 author   : '',
                 created  : Date.now(),
                 modified : Date.now(),
-                tempo    : 120.0
+                tempo    : Config.DEFAULT_TEMPO,
+                swing    : 0
             },
 
             // instruments
@@ -60,12 +62,92 @@ export default
              */
             patterns : [
                 PatternFactory.createEmptyPattern( 16 )
-            ]
+            ],
+
+            /**
+             * playback order of the patterns (as indices in the patterns list)
+             *
+             * @type {Array<number>}
+             */
+            order : [ 0 ],
+
+            // processing applied onto the summed output of all instruments
+
+            master : SongFactory.createMaster(),
+
+            // effects shared by all instruments (fed by the send levels of each instrument)
+
+            buses : SongFactory.createAuxBuses()
         };
 
         for ( let i = 0; i < amountOfInstruments; ++i ) {
             song.instruments[ i ] = InstrumentFactory.createInstrument( i );
         }
         return song;
+    },
+    /**
+     * create the default master bus properties
+     * this was not present in legacy songs
+     *
+     * @return {SONG_MASTER}
+     */
+    createMaster() {
+        return {
+            volume : 1,
+            eq : {
+                enabled  : false,
+                lowGain  : 1,
+                midGain  : 1,
+                highGain : 1
+            },
+            compressor : {
+                enabled   : true,
+                threshold : Config.DEFAULT_COMPRESSOR_THRESHOLD,
+                ratio     : Config.DEFAULT_COMPRESSOR_RATIO,
+                attack    : Config.DEFAULT_COMPRESSOR_ATTACK,
+                release   : Config.DEFAULT_COMPRESSOR_RELEASE
+            },
+            limiter : {
+                enabled   : false,
+                threshold : Config.DEFAULT_LIMITER_THRESHOLD
+            }
+        };
+    },
+    /**
+     * create the default auxiliary buses
+     * these were not present in legacy songs
+     *
+     * @return {Array<SONG_AUX_BUS>}
+     */
+    createAuxBuses() {
+        const buses = [];
+        for ( let i = 0; i < Config.AUX_BUS_AMOUNT; ++i ) {
+            buses.push( SongFactory.createAuxBus() );
+        }
+        return buses;
+    },
+    /**
+     * @return {SONG_AUX_BUS}
+     */
+    createAuxBus() {
+        return {
+            volume : 1,
+            delay : {
+                enabled  : false,
+                type     : 0,
+                time     : Config.DEFAULT_DELAY_TIME,
+                feedback : 0.5,
+                cutoff   : Config.DEFAULT_DELAY_CUT_OFF,
+                offset   : 0
+            },
+            reverb : {
+                enabled  : false,
+                size     : Config.DEFAULT_REVERB_SIZE,
+                decay    : Config.DEFAULT_REVERB_DECAY,
+                preDelay : Config.DEFAULT_REVERB_PRE_DELAY,
+                damping  : Config.DEFAULT_REVERB_DAMPING
+            }
+        };
     }
 };
+export default SongFactory;
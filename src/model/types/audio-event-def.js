@@ -31,6 +31,10 @@
  * the "action" property is an enumeration describing the action of the note, e.g.:
  * 0 = nothing, 1 = noteOn, 2 = noteOff (kills previous note)
  *
+ * the "velocity" property describes the intensity (in the 0 - 100 range)
+ * with which a noteOn event is played, scaling the volume (and optionally
+ * the filter cutoff) of the instrument
+ *
  * the "recording" property describes whether the event is currently being
  * recorded (won't be played back by the Sequencer as it is being
  * played back via the MIDI module)
@@ -47,6 +51,7 @@
  *     note: string,
  *     octave: number,
  *     action: number,
+ *     velocity: number,
  *     recording: boolean,
  *     seq: {
  *         playing: boolean,
@@ -73,3 +78,8 @@ let AUDIO_EVENT;
 export const ACTION_IDLE      = 0; // no note action / module parameter change event
 export const ACTION_NOTE_ON   = 1; // start playing note defined using note and octave
 export const ACTION_NOTE_OFF  = 2; // stop playing the note started in a previous event
+
+// range for event.velocity
+
+export const MAX_VELOCITY     = 100;
+export const DEFAULT_VELOCITY = MAX_VELOCITY;
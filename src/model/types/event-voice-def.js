@@ -34,8 +34,16 @@
  *              gain: AudioParam,
  *              outputNode: AudioParam,
  *              frequency: number,
+ *              velocity: number, // 0 - 1 range
  *              vo: INSTRUMENT_OSCILLATOR,
- *              gliding: false
+ *              gliding: false,
+ *              released: boolean, // whether the voice has been released by a noteOff
+ *              unison: Array<{ generator: OscillatorNode, panner: StereoPannerNode }>, // additional detuned voices
+ *              morph: { position: ConstantSourceNode, generators: Array<OscillatorNode>, nodes: Array<AudioNode> }|null, // frames of a multi-frame wave table
+ *              ringNode: GainNode|null, // present when the voice is ring modulated by another voice
+ *              modulationNode: GainNode|null, // present when the voice modulates another voice
+ *              modulationParams: Array<{ param: AudioParam, base: number }>, // params shaped by the routing envelope
+ *              lfoConnections: Array<{ lfoAmp: GainNode, param: AudioParam }> // LFOs modulating the voice
  *          }}
  */
 let EVENT_VOICE;
@@ -55,6 +55,8 @@
  *         depth       : number,
  *         type        : string,
  *         lfoType     : string,
+ *         velocityAmount : number, // 0 - 100 amount by which note velocity scales the cutoff frequency
+ *         envelope : INSTRUMENT_FILTER_ENVELOPE
  *     },
  *     delay : {
  *         enabled  : boolean,
@@ -63,6 +65,37 @@
  *         feedback : number,
  *         cutoff   : number,
  *         offset   : number
+ *     },
+ *     bitcrusher : {
+ *         enabled    : boolean,
+ *         bits       : number, // bit depth
+ *         downsample : number, // factor by which the sample rate is divided
+ *         mix        : number  // 0 - 1 range, dry/wet mix
+ *     },
+ *     modulation : {
+ *         enabled  : boolean,
+ *         type     : string, // either 'chorus', 'flanger' or 'phaser'
+ *         rate     : number, // LFO speed in Hz
+ *         depth    : number, // 0 - 1 range
+ *         feedback : number, // 0 - 1 range
+ *         mix      : number  // 0 - 1 range, dry/wet mix
+ *     },
+ *     reverb : {
+ *         enabled  : boolean,
+ *         size     : number, // duration of the reverb tail in seconds
+ *         decay    : number, // steepness of the reverb tails fade out
+ *         preDelay : number, // in seconds
+ *         damping  : number, // 0 - 1 range, attenuates the high frequencies of the reverb tail
+ *         wet      : number  // 0 - 1 range, dry/wet mix
+ *     },
+ *     sends : Array<number>, // 0 - 1 range, send level to each of the songs auxiliary buses
+ *     moduleOrder : Array<string>, // order in which the effect modules are chained (see module-order.js)
+ *     lfos : Array<INSTRUMENT_LFO>,
+ *     polyphony : {
+ *         mode      : string, // see polyphony.js
+ *         maxVoices : number, // max amount of simultaneously playing notes in poly mode
+ *         stealing  : string, // voice stealing policy, see polyphony.js
+ *         glide     : number  // in seconds, pitch glide in mono and legato mode
  *     }
  * }}
  *
@@ -72,24 +105,65 @@ let INSTRUMENT;
 
 /**
  * type definition for an instruments oscillator
- * waveform is an enumeration which can be SAW, SINE, TRIANGLE, SQUARE, NOISE, PWM or CUSTOM
+ * waveform is an enumeration which can be SAW, SINE, TRIANGLE, SQUARE, NOISE, PWM, CUSTOM or SAMPLE
  *
  * the table Array holds numerical values in the -1 to +1 range
  * describing a bipolar waveform for the oscillator to use when waveform is CUSTOM
  *
+ * morph describes the additional frames of a multi-frame CUSTOM wave table (the table being the
+ * first frame), the position (0 - 1 range) determines which (crossfaded) frames are heard and can
+ * be swept by the morph envelope (amount in the -1 to +1 range), LFOs and pattern automation
+ *
+ * the sample Object describes the audio file for the oscillator to play back when waveform is SAMPLE
+ *
  * octaveShift (-2 to +2)
  * fineShift (-7 to +7)
  *
+ * unison describes the amount of voices the oscillator stacks per note (1 being a single voice),
+ * the detune spread in cents and the stereo spread (0 - 1 range) of the additional voices
+ *
+ * routing describes whether the oscillator is mixed into the instruments output or modulates
+ * the oscillator at the target index (see oscillator-routing.js), the index determines the
+ * modulation amount which is shaped over time by the routing envelope
+ *
  * ADSR values are envelope operations in seconds
  *
  * @typedef {{
  *     enabled     : boolean,
  *     waveform    : string,
  *     table       : Array<number>,
+ *     sample      : INSTRUMENT_SAMPLE,
  *     volume      : number,
  *     detune      : number,
  *     octaveShift : number,
  *     fineShift   : number,
+ *     unison: {
+ *         voices: number,
+ *         detune: number,
+ *         spread: number
+ *     },
+ *     morph: {
+ *         frames: Array<Array<number>>,
+ *         position: number,
+ *         envelope: {
+ *             amount: number,
+ *             attack: number,
+ *             decay: number,
+ *             sustain: number,
+ *             release: number
+ *         }
+ *     },
+ *     routing: {
+ *         mode: string,
+ *         target: number,
+ *         index: number,
+ *         envelope: {
+ *             attack: number,
+ *             decay: number,
+ *             sustain: number,
+ *             release: number
+ *         }
+ *     },
  *     adsr: {
  *         attack: number,
  *         decay: number,
@@ -108,3 +182,67 @@ let INSTRUMENT;
  * @see InstrumentFactory, InstrumentValidator
  */
 let INSTRUMENT_OSCILLATOR;
+
+/**
+ * type definition for an audio file played back by an oscillator
+ *
+ * data is the base64 encoded content of the audio file (e.g. WAV or OGG), which is
+ * decoded into an AudioBuffer by the AudioService
+ *
+ * rootNote and rootOctave describe the pitch at which the sample was recorded,
+ * when playing other notes the playback rate of the sample is adjusted accordingly
+ *
+ * loopStart and loopEnd are relative to the duration of the sample (0 - 1 range)
+ *
+ * @typedef {{
+ *     name       : string,
+ *     data       : string,
+ *     rootNote   : string,
+ *     rootOctave : number,
+ *     loop       : boolean,
+ *     loopStart  : number,
+ *     loopEnd    : number
+ * }}
+ *
+ * @see InstrumentFactory, InstrumentValidator
+ */
+let INSTRUMENT_SAMPLE;
+
+/**
+ * type definition for the envelope that sweeps the cutoff frequency of an instruments filter
+ * on each played note. amount is in the -1 to +1 range, where positive values sweep the
+ * cutoff towards the max filter frequency and negative values sweep it towards the min
+ * filter frequency. sustain is relative to the sweep (e.g. 0 returns to the cutoff frequency
+ * of the filter once the decay has ended)
+ *
+ * @typedef {{
+ *     amount  : number,
+ *     attack  : number,
+ *     decay   : number,
+ *     sustain : number,
+ *     release : number
+ * }}
+ *
+ * @see InstrumentFactory
+ */
+let INSTRUMENT_FILTER_ENVELOPE;
+
+/**
+ * type definition for a low frequency oscillator within the instruments modulation matrix
+ * target is an enumeration of the values defined in lfo-targets.js ('off' disables the LFO),
+ * shape is the OscillatorNode type. When sync is true, the LFO completes a cycle in the
+ * amount of beats defined by division (at the tempo of the song), otherwise it oscillates
+ * at rate (in Hz). depth is in the 0 - 1 range, relative to the range of the target
+ *
+ * @typedef {{
+ *     target   : string,
+ *     shape    : string,
+ *     rate     : number,
+ *     sync     : boolean,
+ *     division : number,
+ *     depth    : number
+ * }}
+ *
+ * @see InstrumentFactory
+ */
+let INSTRUMENT_LFO;
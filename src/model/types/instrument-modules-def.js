@@ -31,8 +31,14 @@
  *              panner: PAN_MODULE,
  *              overdrive: OVERDRIVE_MODULE,
  *              eq: EQ_MODULE,
+ *              bitcrusher: BITCRUSHER_MODULE,
  *              filter: FILTER_MODULE,
+ *              modulation: MODULATION_MODULE,
  *              delay: DELAY_MODULE,
+ *              reverb: REVERB_MODULE,
+ *              sends: Array<GainNode>,
+ *              order: Array<string>, // order in which the effect modules are chained
+ *              lfos: Array<LFO_MODULE>,
  *              voices: Array<Array<{{
  *                  oscillatorNode: GainNode,
  *                  adsrNode: GainNode
@@ -29,7 +29,10 @@
  *              lfo: OscillatorNode,
  *              lfoAmp: GainNode,
  *              lfoEnabled: boolean,
- *              filterEnabled: boolean
+ *              filterEnabled: boolean,
+ *              baseFrequency: number,
+ *              envelope: INSTRUMENT_FILTER_ENVELOPE|null,
+ *              envelopeEventId: number|null // id of the event that last triggered the envelope
  *          }}
  */
 let FILTER_MODULE;
@@ -56,6 +59,30 @@ let EQ_MODULE;
  */
 let DELAY_MODULE;
 
+/**
+ * @typedef {{
+ *              bitcrusher: Bitcrusher,
+ *              bitcrusherEnabled: boolean
+ *          }}
+ */
+let BITCRUSHER_MODULE;
+
+/**
+ * @typedef {{
+ *              modulation: Modulation,
+ *              modulationEnabled: boolean
+ *          }}
+ */
+let MODULATION_MODULE;
+
+/**
+ * @typedef {{
+ *              reverb: Reverb,
+ *              reverbEnabled: boolean
+ *          }}
+ */
+let REVERB_MODULE;
+
 /**
  * @typedef {{
  *              overdrive: Overdrive
@@ -70,3 +97,63 @@ let OVERDRIVE_MODULE;
  *          }}
  */
 let PAN_MODULE;
+
+/**
+ * @typedef {{
+ *              compressor: DynamicsCompressorNode,
+ *              compressorEnabled: boolean
+ *          }}
+ */
+let COMPRESSOR_MODULE;
+
+/**
+ * a limiter is a DynamicsCompressorNode with a fast attack and high ratio
+ *
+ * @typedef {{
+ *              limiter: DynamicsCompressorNode,
+ *              limiterEnabled: boolean
+ *          }}
+ */
+let LIMITER_MODULE;
+
+/**
+ * This structure describes all Web Audio nodes used to process
+ * the summed output of all instruments (e.g. the master bus)
+ *
+ * @typedef {{
+ *              input: GainNode,
+ *              highpass: BiquadFilterNode,
+ *              eq: EQ_MODULE,
+ *              compressor: COMPRESSOR_MODULE,
+ *              limiter: LIMITER_MODULE,
+ *              output: GainNode
+ *          }}
+ */
+let MASTER_MODULES;
+
+/**
+ * This structure describes all Web Audio nodes of an auxiliary bus, which
+ * processes the signals sent from the instruments with a shared set of effects
+ *
+ * @typedef {{
+ *              input: GainNode,
+ *              delay: DELAY_MODULE,
+ *              reverb: REVERB_MODULE,
+ *              output: GainNode
+ *          }}
+ */
+let AUX_BUS_MODULES;
+
+/**
+ * @typedef {{
+ *              lfo: OscillatorNode,
+ *              lfoAmp: GainNode,
+ *              lfoEnabled: boolean,
+ *              target: string,
+ *              sync: boolean,
+ *              rate: number,
+ *              division: number,
+ *              tempo: number
+ *          }}
+ */
+let LFO_MODULE;
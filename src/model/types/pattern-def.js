@@ -28,9 +28,19 @@
  *
  * @typedef {{
  *     steps: number,
- *     channels: Array<Array<AUDIO_EVENT>>
+ *     channels: Array<Array<AUDIO_EVENT>>,
+ *     groove: Array<number>=,
+ *     tempo: number=,
+ *     beatAmount: number=,
+ *     beatUnit: number=
  * }}
  *
+ * groove is an optional groove template describing how the songs swing amount is applied
+ * to the pattern, when omitted the default template is used (see grooves.js)
+ *
+ * tempo (in BPM) and the time signature (beatAmount and beatUnit, e.g. the "3" and the "4" in 3/4)
+ * are optional, when omitted the pattern plays at the tempo of the song in 4/4 time (see tempo-util.js)
+ *
  * @see PatternFactory, PatternValidator
  */
 let PATTERN;
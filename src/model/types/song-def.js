@@ -34,12 +34,82 @@
  *         author: string,
  *         created: number,
  *         modified: number,
- *         tempo: number
+ *         tempo: number,
+ *         swing: number
  *     },
  *     instruments: Array<INSTRUMENT>,
- *     patterns: Array<PATTERN>
+ *     patterns: Array<PATTERN>,
+ *     order: Array<number>,
+ *     master: SONG_MASTER,
+ *     buses: Array<SONG_AUX_BUS>
  * }}
  *
+ * order describes the playback order of the patterns (as indices in the patterns list),
+ * patterns can be repeated throughout the order list
+ *
+ * swing describes the amount (in 0 - 1 range) by which sixteenth notes are delayed
+ * according to the groove template of each pattern (see grooves.js)
+ *
+ * master describes the processing applied onto the summed output of all instruments
+ *
+ * buses describe the effects shared by all instruments, which are fed by the send
+ * levels of each instrument and returned onto the master bus
+ *
  * @see SongFactory, SongValidator
  */
 let SONG;
+
+/**
+ * type definition for the master bus of a Song
+ * volume and EQ gains are in the 0 - 1 range, thresholds are in dB
+ * and attack and release are in seconds
+ *
+ * @typedef {{
+ *     volume: number,
+ *     eq: {
+ *         enabled  : boolean,
+ *         lowGain  : number,
+ *         midGain  : number,
+ *         highGain : number
+ *     },
+ *     compressor: {
+ *         enabled   : boolean,
+ *         threshold : number,
+ *         ratio     : number,
+ *         attack    : number,
+ *         release   : number
+ *     },
+ *     limiter: {
+ *         enabled   : boolean,
+ *         threshold : number
+ *     }
+ * }}
+ */
+let SONG_MASTER;
+
+/**
+ * type definition for an auxiliary bus of a Song. The effects of
+ * a bus are applied in parallel and output the fully processed (wet) signal,
+ * the amount of effect is determined by the send levels of the instruments.
+ * delay and reverb properties are as described in INSTRUMENT.
+ *
+ * @typedef {{
+ *     volume: number,
+ *     delay: {
+ *         enabled  : boolean,
+ *         type     : number,
+ *         time     : number,
+ *         feedback : number,
+ *         cutoff   : number,
+ *         offset   : number
+ *     },
+ *     reverb: {
+ *         enabled  : boolean,
+ *         size     : number,
+ *         decay    : number,
+ *         preDelay : number,
+ *         damping  : number
+ *     }
+ * }}
+ */
+let SONG_AUX_BUS;
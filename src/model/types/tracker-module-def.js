@@ -0,0 +1,53 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/* eslint-disable no-unused-vars */
+
+/**
+ * type definition for a decoded tracker module. Each pattern is a list of rows, each row
+ * being a list of cells (one for each channel) where:
+ *
+ * noteNumber is the note in semitones (0 = C0) or -1 when no note was defined
+ * instrument is the 1-based index of the instrument/sample (0 when not defined)
+ * volume is the volume column value (0 - 64, -1 when not defined)
+ * panning is the panning column value (0 - 255, -1 when not defined)
+ *
+ * @typedef {{
+ *     title: string,
+ *     speed: number,
+ *     bpm: number,
+ *     linearFrequencies: boolean,
+ *     instruments: Array<string>,
+ *     orders: Array<number>,
+ *     patterns: Array<Array<Array<{
+ *         noteNumber: number,
+ *         keyOff: boolean,
+ *         instrument: number,
+ *         volume: number,
+ *         panning: number,
+ *         effect: number,
+ *         param: number
+ *     }>>>
+ * }}
+ */
+let TRACKER_MODULE;
@@ -20,6 +20,8 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import { MAX_VELOCITY } from '../types/audio-event-def';
+
 export default
 {
     /**
@@ -44,6 +46,12 @@ export default
             }
         }
 
+        // velocity is optional (events created prior to its introduction play at full velocity)
+        if ( typeof event.velocity !== 'undefined' ) {
+            if ( typeof event.velocity !== 'number' || event.velocity < 0 || event.velocity > MAX_VELOCITY )
+                return false;
+        }
+
         return ( !event.id || typeof event.id === 'number' ) // optional
 
                && typeof event.instrument=== 'number'
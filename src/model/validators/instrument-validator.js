@@ -64,6 +64,11 @@ export default
 
                 return false;
             }
+
+            // the sample was not present in legacy instruments and is only set for the SAMPLE waveform
+            if ( oscillator.sample && !isValidSample( oscillator.sample )) {
+                return false;
+            }
         }
 
         return typeof instrument.id     === "number" &&
@@ -90,3 +95,15 @@ export default
                );
     }
 };
+
+/* internal methods */
+
+function isValidSample( sample ) {
+    return typeof sample.name       === "string"  &&
+           typeof sample.data       === "string"  &&
+           typeof sample.rootNote   === "string"  &&
+           typeof sample.rootOctave === "number"  &&
+           typeof sample.loop       === "boolean" &&
+           typeof sample.loopStart  === "number"  &&
+           typeof sample.loopEnd    === "number";
+}
@@ -21,6 +21,7 @@
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 import InstrumentFactory from '../factory/instrument-factory';
+import SongFactory       from '../factory/song-factory';
 
 export default
 {
@@ -62,8 +63,24 @@ export default
             instrument.oscillators.forEach(( oscillator ) => {
                 if ( typeof oscillator.pitch !== 'object' )
                     InstrumentFactory.createPitchEnvelope( oscillator );
+
+                // unison was added in version 20 of SongAssemblyService
+
+                InstrumentFactory.createUnison( oscillator );
+
+                // routing was added in version 21 of SongAssemblyService
+
+                InstrumentFactory.createRouting( oscillator );
+
+                // wave table morphing was added in version 22 of SongAssemblyService
+
+                InstrumentFactory.createMorph( oscillator );
             });
 
+            // filter envelope was added in version 17 of SongAssemblyService
+
+            InstrumentFactory.createFilterEnvelope( instrument );
+
             // EQ and OD were added in version 3 of SongAssemblyService
 
             if ( typeof instrument.eq !== 'object' )
@@ -71,8 +88,62 @@ export default
 
             if ( typeof instrument.od !== 'object' )
                 InstrumentFactory.createOverdrive( instrument );
+
+            // reverb was added in version 11 of SongAssemblyService
+
+            if ( typeof instrument.reverb !== 'object' )
+                InstrumentFactory.createReverb( instrument );
+
+            // bitcrusher was added in version 15 of SongAssemblyService
+
+            if ( typeof instrument.bitcrusher !== 'object' )
+                InstrumentFactory.createBitcrusher( instrument );
+
+            // modulation was added in version 14 of SongAssemblyService
+
+            if ( typeof instrument.modulation !== 'object' )
+                InstrumentFactory.createModulation( instrument );
+
+            // sends were added in version 13 of SongAssemblyService
+
+            if ( !Array.isArray( instrument.sends ))
+                InstrumentFactory.createSends( instrument );
+
+            // module order was added in version 16 of SongAssemblyService, legacy
+            // instruments apply their effect modules in the default order
+
+            InstrumentFactory.createModuleOrder( instrument );
+
+            // LFOs were added in version 18 of SongAssemblyService
+
+            InstrumentFactory.createLFOs( instrument );
+
+            // polyphony was added in version 19 of SongAssemblyService
+
+            InstrumentFactory.createPolyphony( instrument );
         });
 
+        // order list was added in version 6 of SongAssemblyService, legacy
+        // songs play back their patterns in the order they are defined
+
+        if ( !Array.isArray( song.order ) || !song.order.length )
+            song.order = song.patterns.map(( pattern, patternIndex ) => patternIndex );
+
+        // swing was added in version 7 of SongAssemblyService
+
+        if ( typeof song.meta.swing !== 'number' )
+            song.meta.swing = 0;
+
+        // master bus was added in version 12 of SongAssemblyService
+
+        if ( typeof song.master !== 'object' )
+            song.master = SongFactory.createMaster();
+
+        // auxiliary buses were added in version 13 of SongAssemblyService
+
+        if ( !Array.isArray( song.buses ))
+            song.buses = SongFactory.createAuxBuses();
+
         // fix bug where copied channels have the wrong startMeasure offset
         // we probably want to remove this at a certain point as the source of the bug has been fixed...
 
@@ -23,16 +23,27 @@
 import Vue                        from 'vue';
 import Config                     from '@/config';
 import ModuleFactory              from '@/model/factory/module-factory';
-import { ACTION_NOTE_ON }         from '@/model/types/audio-event-def';
-import { applyRouting }           from './audio/module-router';
+import ObjectUtil                 from '@/utils/object-util';
+import { createTempoMap, getSongDuration } from '@/utils/tempo-util';
+import { getAudibleInstruments } from '@/utils/song-util';
+import { PITCH as LFO_PITCH, VOLUME as LFO_VOLUME, MORPH as LFO_MORPH } from '@/definitions/lfo-targets';
+import { POLY, LEGATO } from '@/definitions/polyphony';
+import { ROUTING_MIX, ROUTING_FM, ROUTING_RING } from '@/definitions/oscillator-routing';
+import { ACTION_IDLE, ACTION_NOTE_ON, DEFAULT_VELOCITY, MAX_VELOCITY } from '@/model/types/audio-event-def';
+import { applyRouting, applyMasterRouting, applyAuxBusRouting } from './audio/module-router';
 import { applyModuleParamChange } from './audio/module-automation';
 import { getFrequency }           from './audio/pitch';
-import { processVoices }          from './audio/audio-util';
+import {
+    processVoices, getHeldEventId, getEventIdToSteal, getVoiceGenerators, createMorphCurve
+} from './audio/audio-util';
 import ADSR                       from './audio/adsr-module';
+import { loadBitcrusherProcessor } from './audio/bitcrusher-module';
+
+import { decodeSampleData }       from '@/utils/sample-util';
 
 import {
-    tuneToOscillator, tuneBufferPlayback, adjustEventWaveForms,
-    adjustEventVolume, adjustEventTunings
+    tuneToOscillator, tuneBufferPlayback, tuneSamplePlayback, getUnisonPosition, getUnisonGain,
+    adjustEventWaveForms, adjustEventFrames, adjustEventVolume, adjustEventTunings
 } from '@/utils/instrument-util';
 
 import {
@@ -42,8 +53,20 @@ import {
 
 /* private properties */
 
-let store, state, audioContext, eventCallback, masterBus, eq, compressor, pool, UNIQUE_EVENT_ID = 0,
-    playing = false, recordOutput = false, outputRecorderRef, recorder;
+let store, state, audioContext, eventCallback, masterBus, masterModules, pool, UNIQUE_EVENT_ID = 0,
+    playing = false, recordOutput = false, outputRecorderRef, recorder, waveTableList;
+
+const OFFLINE_SAMPLE_RATE   = 44100; // used when rendering prior to the creation of the AudioContext
+const OFFLINE_RENDER_TAIL   = 2;     // seconds to render after the last measure (allows release/delay tails to sound)
+const VOICE_STEAL_FADE_TIME = 0.005; // seconds to fade out a stolen voice (prevents clicking)
+
+/**
+ * crossfade curves used to translate the morph position of a multi-frame
+ * wave table into the gain of each frame [frameAmount][frameIndex]
+ *
+ * @type {Array<Array<Float32Array>>}
+ */
+const morphCurves = [];
 
 /**
  * list that will contain all modules
@@ -53,6 +76,14 @@ let store, state, audioContext, eventCallback, masterBus, eq, compressor, pool,
  */
 let instrumentModulesList;
 
+/**
+ * list that contains the modules of each auxiliary bus
+ * (shared by all instruments through their send levels)
+ *
+ * @type {Array<AUX_BUS_MODULES>}
+ */
+let busModulesList;
+
 /**
  * list that contains all event voices that are currently playing
  * [instrumentIndex][eventId][EVENT_VOICE]
@@ -61,6 +92,15 @@ let instrumentModulesList;
  */
 let instrumentEventsList = [];
 
+/**
+ * list that contains the decoded AudioBuffers for the oscillators using the
+ * SAMPLE waveform [instrumentIndex][oscillatorIndex]. AudioBuffers are not bound
+ * to an AudioContext, as such this cache is retained when rendering offline.
+ *
+ * @type {Array<Array<{ data: string, buffer: AudioBuffer, promise: Promise<AudioBuffer> }>>}
+ */
+const sampleCache = [];
+
 /**
  * Prepares the environment to create pools for oscillators, wave
  * tables and instruments.
@@ -72,13 +112,15 @@ let instrumentEventsList = [];
 export const prepareEnvironment = (audioContextInstance, waveTables, optExternalEventCallback) => {
     audioContext  = audioContextInstance;
     eventCallback = optExternalEventCallback;
+    waveTableList = waveTables;
     setupRouting();
 
     // initialize the WaveTable / AudioBuffer pool
 
     pool = {
         NOISE : audioContext.createBuffer(1, audioContext.sampleRate / 10, audioContext.sampleRate),
-        CUSTOM: [] // content created and maintained by "cacheCustomTables()"
+        CUSTOM: [], // content created and maintained by "cacheCustomTables()"
+        FRAMES: []  // idem, the additional frames of multi-frame CUSTOM wave tables
     };
 
     const noiseChannel = pool.NOISE.getChannelData( 0 );
@@ -109,7 +151,7 @@ export const reset = () => {
     instrumentEventsList.forEach((eventList, instrumentId) => {
         processVoices(Object.values(eventList), (voice, oscillatorIndex) => {
             returnVoiceNodesToPoolOnPlaybackEnd(instrumentModulesList[instrumentId], oscillatorIndex, voice, instrumentId);
-            stopOscillation(voice.generator, audioContext.currentTime);
+            stopVoice(voice, audioContext.currentTime);
         });
         instrumentEventsList[instrumentId] = {};
     });
@@ -132,23 +174,103 @@ export const togglePlayback = isPlaying => {
 };
 
 /**
- * cache the custom WaveTables that are available to the instruments
+ * cache the custom WaveTables (and samples) that are available to the instruments
  *
  * @param {Array<INSTRUMENT>} instruments
  */
 export const cacheCustomTables = instruments => {
+    cacheSamples( instruments );
+
     instruments.forEach((instrument, instrumentIndex) => {
         pool.CUSTOM[instrumentIndex] = new Array(instrument.oscillators.length);
+        pool.FRAMES[instrumentIndex] = new Array(instrument.oscillators.length);
         instrument.oscillators.forEach((oscillator, oscillatorIndex) => {
             if (oscillator.table) {
                 pool.CUSTOM[instrumentIndex][oscillatorIndex] = createTableFromCustomGraph(
                  instrumentIndex, oscillatorIndex, oscillator.table
                 );
+                createFrameTablesFromCustomGraphs(instrumentIndex, oscillatorIndex, oscillator.morph.frames);
             }
         });
     });
 };
 
+/**
+ * decode the samples used by the oscillators of given instruments into AudioBuffers,
+ * returns a Promise that resolves once all samples have been decoded
+ *
+ * @param {Array<INSTRUMENT>} instruments
+ * @param {BaseAudioContext=} context optional context to decode the samples with
+ * @return {Promise}
+ */
+export const cacheSamples = ( instruments, context = audioContext ) => {
+    const samples = [];
+    instruments.forEach(( instrument, instrumentIndex ) => {
+        instrument.oscillators.forEach(( oscillator, oscillatorIndex ) => {
+            samples.push( cacheSample( instrumentIndex, oscillatorIndex, oscillator.sample, context ));
+        });
+    });
+    return Promise.all( samples );
+};
+
+/**
+ * decode given sample into an AudioBuffer for playback by the oscillator at given index,
+ * returns a Promise resolving with the AudioBuffer (or null when the sample could not be decoded)
+ *
+ * @param {number} instrumentIndex
+ * @param {number} oscillatorIndex
+ * @param {INSTRUMENT_SAMPLE|number} sample
+ * @param {BaseAudioContext=} context optional context to decode the sample with
+ * @return {Promise<AudioBuffer|null>}
+ */
+export const cacheSample = ( instrumentIndex, oscillatorIndex, sample, context = audioContext ) => {
+    const cache = sampleCache[ instrumentIndex ] || ( sampleCache[ instrumentIndex ] = []);
+
+    if ( !sample || !sample.data || !context ) {
+        cache[ oscillatorIndex ] = null;
+        return Promise.resolve( null );
+    }
+    const cached = cache[ oscillatorIndex ];
+    if ( cached && cached.data === sample.data ) {
+        return cached.promise;
+    }
+    const entry = { data: sample.data, buffer: null };
+    entry.promise = decodeAudioFile( decodeSampleData( sample.data ), context ).then( buffer => {
+        entry.buffer = buffer;
+        return buffer;
+    });
+
+    cache[ oscillatorIndex ] = entry;
+    return entry.promise;
+};
+
+/**
+ * decode the binary contents of an audio file (e.g. WAV or OGG) into an AudioBuffer,
+ * returns a Promise resolving with the AudioBuffer (or null when the file could not be decoded)
+ *
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {BaseAudioContext=} context optional context to decode the file with
+ * @return {Promise<AudioBuffer|null>}
+ */
+export const decodeAudioFile = ( arrayBuffer, context = audioContext ) => {
+    return new Promise(( resolve, reject ) => {
+        // callback syntax as Safari does not support the Promise based decodeAudioData()
+        context.decodeAudioData( arrayBuffer, resolve, reject );
+    }).catch(() => null );
+};
+
+/**
+ * retrieve the decoded AudioBuffer for the sample of the oscillator at given index
+ *
+ * @param {number} instrumentIndex
+ * @param {number} oscillatorIndex
+ * @return {AudioBuffer|null}
+ */
+export const getSampleBuffer = ( instrumentIndex, oscillatorIndex ) => {
+    const cached = sampleCache[ instrumentIndex ] && sampleCache[ instrumentIndex ][ oscillatorIndex ];
+    return cached ? cached.buffer : null;
+};
+
 /**
  * apply the module settings described in the currently active
  * songs model onto the audio processing chain.
@@ -170,15 +292,55 @@ export const applyModules = (song, connectAnalysers = false) => {
 
         const output = connectAnalysers ? analyser : masterBus;
 
+        if ( Array.isArray( instrument.moduleOrder )) {
+            ModuleFactory.applyConfiguration( 'moduleOrder', instrumentModules, instrument.moduleOrder, output );
+        }
         ModuleFactory.applyConfiguration( 'filter', instrumentModules, instrument.filter, output );
+        ModuleFactory.applyConfiguration( 'bitcrusher', instrumentModules, instrument.bitcrusher, output );
+        ModuleFactory.applyConfiguration( 'modulation', instrumentModules, instrument.modulation, output );
         ModuleFactory.applyConfiguration( 'delay', instrumentModules, instrument.delay, output );
+        ModuleFactory.applyConfiguration( 'reverb', instrumentModules, instrument.reverb, output );
         ModuleFactory.applyConfiguration( 'eq', instrumentModules, instrument.eq, output );
         ModuleFactory.applyConfiguration( 'overdrive', instrumentModules, instrument.overdrive, output );
 
+        applySends( instrumentModules, instrument.sends );
+
+        ModuleFactory.applyLFOTempo( instrumentModules, song.meta.tempo );
+        if ( Array.isArray( instrument.lfos )) {
+            ModuleFactory.applyConfiguration( 'lfos', instrumentModules, instrument.lfos, output );
+        }
+
         if ( connectAnalysers ) {
             analyser.connect( masterBus );
         }
     });
+    if ( song.master ) {
+        applyMaster( song.master );
+    }
+    if ( Array.isArray( song.buses )) {
+        song.buses.forEach(( bus, busIndex ) => applyAuxBus( busIndex, bus ));
+    }
+};
+
+/**
+ * apply the master bus settings (e.g. EQ, compressor, limiter
+ * and volume) onto the processing chain of the summed output
+ *
+ * @param {SONG_MASTER} master
+ */
+export const applyMaster = master => {
+    ModuleFactory.applyMasterConfiguration( masterModules, master, audioContext.destination );
+};
+
+/**
+ * apply the settings (e.g. effects and return volume) of
+ * an auxiliary bus onto its processing chain
+ *
+ * @param {number} busIndex
+ * @param {SONG_AUX_BUS} bus
+ */
+export const applyAuxBus = ( busIndex, bus ) => {
+    ModuleFactory.applyAuxBusConfiguration( busModulesList[ busIndex ], bus, masterBus );
 };
 
 /**
@@ -200,16 +362,40 @@ export const noteOn = ( event, instrument, startTimeInSeconds = audioContext.cur
         // console.info(`NOTE ON for ${event.id} (${event.note}${event.octave}) @ ${startTimeInSeconds}s`);
 
         const frequency = getFrequency(event.note, event.octave);
+        const velocity  = getVelocity(event);
         const voices    = /** @type {EVENT_VOICE_LIST} */ ([]);
         const modules   = instrumentModulesList[instrument.id];
         let voice;
 
+        // apply the polyphony of the instrument, this can stop playing events to make room
+        // for the new event or (in legato mode) provide the held voices the event should continue
+
+        const { glideFrom, legatoVoices } = applyPolyphony(instrument, frequency, startTimeInSeconds);
+        const doGlide = glideFrom !== null && instrument.polyphony.glide > 0;
+
+        if ( !legatoVoices ) {
+            applyVelocityToFilter(modules, instrument, velocity, startTimeInSeconds);
+            applyFilterEnvelope(modules, instrument, event.id, velocity, startTimeInSeconds);
+        }
+
         instrument.oscillators.forEach((oscillatorVO, oscillatorIndex) => {
-            if ( !oscillatorVO.enabled ) {
+            if ( !oscillatorVO.enabled || legatoVoices ) {
                 return;
             }
             voice = instrument.oscillators[oscillatorIndex];
 
+            // oscillators modulating another oscillator can only play when the voice of their target is playing
+
+            const carrierVoice = isModulator(oscillatorVO, oscillatorIndex) ? voices[oscillatorVO.routing.target] : null;
+            if ( isModulator(oscillatorVO, oscillatorIndex) && !carrierVoice ) {
+                return;
+            }
+
+            const sampleBuffer = ( oscillatorVO.waveform === 'SAMPLE' ) ? getSampleBuffer(instrument.id, oscillatorIndex) : null;
+            if ( oscillatorVO.waveform === 'SAMPLE' && !sampleBuffer ) {
+                return; // sample not (yet) decoded
+            }
+
             // retrieve from pool the envelope gain structure for the oscillator voice
             const oscillatorNodes = retrieveAvailableVoiceNodesFromPool(modules, oscillatorIndex);
             if (oscillatorNodes === null) {
@@ -217,7 +403,18 @@ export const noteOn = ( event, instrument, startTimeInSeconds = audioContext.cur
                 return;
             }
             const { oscillatorNode, adsrNode } = oscillatorNodes;
-            let generatorNode;
+            let generatorNode, table;
+
+            // the output of modulating oscillators is routed into the modulation amount (instead of the track gain)
+            // while ring modulated oscillators are routed through a gain node modulated by their modulator
+
+            const modulationNode = carrierVoice ? createGainNode(audioContext) : null;
+            const ringNode       = isRingModulated(instrument, oscillatorIndex) ? createGainNode(audioContext) : null;
+            const voiceInput     = ringNode || modulationNode || oscillatorNode;
+
+            if ( ringNode ) {
+                ringNode.connect(modulationNode || oscillatorNode);
+            }
 
             if (oscillatorVO.waveform === 'NOISE') {
                 // buffer source ? assign it to the oscillator
@@ -226,19 +423,30 @@ export const noteOn = ( event, instrument, startTimeInSeconds = audioContext.cur
                 generatorNode.loop = true;
                 generatorNode.playbackRate.value = tuneBufferPlayback(voice);
             }
+            else if (oscillatorVO.waveform === 'SAMPLE') {
+                // samples are pitched relative to their root note
+                const { loop, loopStart, loopEnd } = oscillatorVO.sample;
+                generatorNode = audioContext.createBufferSource();
+                generatorNode.buffer = sampleBuffer;
+                generatorNode.loop   = loop;
+                if ( loop ) {
+                    generatorNode.loopStart = loopStart * sampleBuffer.duration;
+                    generatorNode.loopEnd   = ( loopEnd > loopStart ) ? loopEnd * sampleBuffer.duration : 0;
+                }
+                generatorNode.playbackRate.value = tuneSamplePlayback(frequency, voice);
+            }
             else {
                 // has oscillator source
                 if (oscillatorVO.waveform === 'PWM') {
-                    // PWM uses a custom Oscillator type which connects its structure directly to the oscillatorNode
+                    // PWM uses a custom Oscillator type which connects its structure directly to the voice input
                     generatorNode = createPWM(
-                        audioContext, startTimeInSeconds, startTimeInSeconds + 2, oscillatorNode
+                        audioContext, startTimeInSeconds, startTimeInSeconds + 2, voiceInput
                     );
                 }
                 else {
                     // all other waveforms have WaveTables which are defined in the pools
 
                     generatorNode = audioContext.createOscillator();
-                    let table;
 
                     if (oscillatorVO.waveform !== 'CUSTOM')
                         table = pool[oscillatorVO.waveform];
@@ -254,33 +462,75 @@ export const noteOn = ( event, instrument, startTimeInSeconds = audioContext.cur
                 generatorNode.frequency.value = tuneToOscillator(frequency, voice);
             }
 
+            // multi-frame CUSTOM wave tables play back all frames, crossfaded by the morph position
+            // while other wave table oscillators can stack additional detuned voices (unison)
+
+            const frameTables = ( oscillatorVO.waveform === 'CUSTOM' ) ? pool.FRAMES[instrument.id][oscillatorIndex] : null;
+            const morph  = ( frameTables && frameTables.length ) ? createMorph(oscillatorVO, generatorNode, frameTables, voiceInput) : null;
+            const unison = ( table && !morph ) ? createUnisonVoices(oscillatorVO, generatorNode, table, voiceInput) : [];
+
             // apply envelopes
 
-            setValue(oscillatorNode.gain, oscillatorVO.volume, audioContext);
+            setValue(oscillatorNode.gain, oscillatorVO.volume * velocity * getUnisonGain(unison.length + 1), audioContext);
             setValue(adsrNode.gain, 1, audioContext);
 
-            ADSR.applyAmpEnvelope  (oscillatorVO, adsrNode,      startTimeInSeconds);
-            ADSR.applyPitchEnvelope(oscillatorVO, generatorNode, startTimeInSeconds);
+            ADSR.applyAmpEnvelope(oscillatorVO, adsrNode, startTimeInSeconds);
+            if ( morph && oscillatorVO.morph.envelope.amount !== 0 ) {
+                const { position, envelope } = oscillatorVO.morph;
+                ADSR.applyModulationEnvelope(envelope, morph.position.offset, position,
+                    Math.max(0, Math.min(1, position + envelope.amount)), startTimeInSeconds
+                );
+            }
 
             // route oscillator to track gain > envelope gain > instrument gain
+            // (the frames of a multi-frame wave table are routed through their crossfading gains)
 
-            if ( oscillatorVO.waveform !== 'PWM' )
-                generatorNode.connect(oscillatorNode);
-
-            // start playback
-
-            startOscillation(generatorNode, startTimeInSeconds);
+            if ( oscillatorVO.waveform !== 'PWM' && !morph )
+                generatorNode.connect(voiceInput);
 
             voices[oscillatorIndex] = /** @type {EVENT_VOICE} */ ({
                 generator: generatorNode,
                 vo: oscillatorVO,
                 frequency: frequency,
+                velocity: velocity,
                 gain: oscillatorNode,
                 outputNode: adsrNode,
-                gliding: false
+                gliding: false,
+                released: false,
+                unison,
+                morph,
+                ringNode,
+                modulationNode,
+                modulationParams: [],
+                lfoConnections: []
             });
+
+            // apply pitch envelopes and start playback
+
+            getVoiceGenerators(voices[oscillatorIndex]).forEach(generator => {
+                if ( !doGlide ) {
+                    ADSR.applyPitchEnvelope(oscillatorVO, generator, startTimeInSeconds);
+                }
+                startOscillation(generator, startTimeInSeconds);
+            });
+            if ( morph ) {
+                startOscillation(morph.position, startTimeInSeconds);
+            }
+            connectLFOsToVoice(modules, voices[oscillatorIndex]);
+
+            if ( carrierVoice ) {
+                applyOscillatorModulation(voices[oscillatorIndex], carrierVoice, startTimeInSeconds);
+            }
+
+            if ( doGlide ) {
+                glideVoice(voices[oscillatorIndex], glideFrom, frequency, instrument.polyphony.glide, startTimeInSeconds);
+            }
+
+            if ( oscillatorVO.waveform === 'SAMPLE' && !oscillatorVO.sample.loop ) {
+                returnSampleVoiceToPoolOnPlaybackEnd(modules, oscillatorIndex, voices, instrument.id, event.id);
+            }
         });
-        instrumentEventsList[instrument.id][event.id] = voices;
+        instrumentEventsList[instrument.id][event.id] = legatoVoices || voices;
     }
     // module parameter change specified ? process it.
 
@@ -319,13 +569,90 @@ export const noteOff = (event, startTimeInSeconds = audioContext.currentTime) =>
     eventVoices.forEach((voice, oscillatorIndex) => {
         if ( !voice ) return;
 
+        voice.released = true;
+
         // apply release envelopes
         ADSR.applyAmpRelease  (voice.vo, voice.outputNode, startTimeInSeconds);
-        ADSR.applyPitchRelease(voice.vo, voice.generator,  startTimeInSeconds);
+        getVoiceGenerators(voice).forEach(generator => ADSR.applyPitchRelease(voice.vo, generator, startTimeInSeconds));
+        if ( voice.morph && voice.vo.morph.envelope.amount !== 0 ) {
+            ADSR.applyModulationRelease(voice.vo.morph.envelope, voice.morph.position.offset, voice.vo.morph.position, startTimeInSeconds);
+        }
+        voice.modulationParams.forEach(({ param, base }) => {
+            ADSR.applyModulationRelease(voice.vo.routing.envelope, param, base, startTimeInSeconds);
+        });
+
+        // modulating oscillators are not heard directly, their playback ends with their routing envelope
+
+        const release = voice.modulationNode ? voice.vo.routing.envelope.release : voice.vo.adsr.release;
 
         returnVoiceNodesToPoolOnPlaybackEnd(instrumentModulesList[instrumentId], oscillatorIndex, voice, instrumentId, eventId);
-        stopOscillation(voice.generator, startTimeInSeconds + voice.vo.adsr.release);
+        stopVoice(voice, startTimeInSeconds + release);
     });
+
+    // the filter is shared by all voices of the instrument, as such the
+    // filter envelope is only released by the most recently triggered note
+
+    const { filter } = instrumentModulesList[instrumentId];
+    if ( filter.filterEnabled && filter.envelope && filter.envelopeEventId === eventId ) {
+        ADSR.applyFilterRelease(filter.envelope, filter.filter, filter.baseFrequency, startTimeInSeconds);
+    }
+};
+
+/**
+ * renders the audio of given song into an AudioBuffer. Rendering takes place
+ * inside an OfflineAudioContext, which processes faster than realtime and
+ * isn't affected by the throttling of inactive browser tabs. The events are
+ * synthesized at the positions defined in their "seq" properties. The mute and
+ * solo states of the instruments are respected.
+ *
+ * While rendering, the environment of the applications AudioContext is swapped
+ * out, it is restored once rendering completes.
+ *
+ * @param {SONG} song
+ * @param {number=} optInstrumentIndex optional index of the instrument to render in
+ *                  isolation (e.g. for stems), the output of this instrument
+ *                  is rendered without the master bus processing
+ * @return {Promise<AudioBuffer>}
+ */
+export const renderSong = async ( song, optInstrumentIndex ) => {
+    const environment     = captureEnvironment();
+    const sampleRate      = audioContext ? audioContext.sampleRate : OFFLINE_SAMPLE_RATE;
+    const duration        = getSongDuration( song ) + OFFLINE_RENDER_TAIL;
+    const offlineContext  = new OfflineAudioContext( 2, Math.ceil( duration * sampleRate ), sampleRate );
+    const isolate         = typeof optInstrumentIndex === 'number';
+
+    // render a copy as the events will be mutated during playback
+    const songToRender = ObjectUtil.clone( song );
+    const audible      = getAudibleInstruments( songToRender.instruments ).map(({ id }) => id );
+
+    // samples are decoded asynchronously, ensure they are available prior to scheduling
+    await cacheSamples( songToRender.instruments, audioContext || offlineContext );
+
+    // the bitcrusher worklet is registered asynchronously, ensure it is available prior to creating the modules
+    await loadBitcrusherProcessor( offlineContext );
+
+    try {
+        prepareEnvironment( offlineContext, waveTableList );
+        cacheCustomTables( songToRender.instruments );
+        applyModules( songToRender );
+
+        // silence the instruments that shouldn't be heard (the instrument output is pre-FX)
+        instrumentModulesList.forEach(( modules, instrumentIndex ) => {
+            if ( isolate ? instrumentIndex !== optInstrumentIndex : !audible.includes( instrumentIndex )) {
+                modules.output.gain.value = 0;
+            }
+        });
+        if ( isolate ) {
+            masterBus.disconnect();
+            masterBus.connect( offlineContext.destination );
+        }
+        // rendering fails when the scheduling of the events fails (as rendering would remain suspended)
+        const scheduling = scheduleOfflineEvents( offlineContext, songToRender );
+
+        return await Promise.race([ offlineContext.startRendering(), scheduling ]);
+    } finally {
+        restoreEnvironment( environment );
+    }
 };
 
 /**
@@ -342,11 +669,17 @@ const AudioService =
     initialized: false,
     reset,
     cacheCustomTables,
+    cacheSample,
+    decodeAudioFile,
+    getSampleBuffer,
     applyModules,
+    applyMaster,
+    applyAuxBus,
     getAudioContext,
     isRecording,
     noteOn,
     noteOff,
+    renderSong,
 
     /**
      * query whether we can actually use the WebAudio API in
@@ -385,7 +718,7 @@ const AudioService =
         recordOutput = !recordOutput;
         if (recordOutput && outputRecorderRef) {
             if (!recorder) {
-                recorder = new (outputRecorderRef)( compressor, {
+                recorder = new (outputRecorderRef)( masterModules.output, {
                     callback : handleRecordingComplete
                 });
             }
@@ -415,6 +748,13 @@ const AudioService =
                     adjustEventWaveForms(events, oscillatorIndex,
                         createTableFromCustomGraph(instrumentIndex, oscillatorIndex, oscillator.table)
                     );
+                    adjustEventFrames(events, oscillatorIndex,
+                        createFrameTablesFromCustomGraphs(instrumentIndex, oscillatorIndex, oscillator.morph.frames)
+                    );
+                }
+                else if ( oscillator.waveform === 'SAMPLE' ) {
+                    // playing events continue using their current source, the sample applies to new events
+                    cacheSample(instrumentIndex, oscillatorIndex, oscillator.sample);
                 }
                 else {
                     adjustEventWaveForms(events, oscillatorIndex, pool[oscillator.waveform] );
@@ -433,6 +773,17 @@ const AudioService =
     },
     adjustInstrumentPanning(instrumentIndex, pan) {
         instrumentModulesList[instrumentIndex].panner.pan.value = pan;
+    },
+    adjustInstrumentSend(instrumentIndex, busIndex, value) {
+        instrumentModulesList[instrumentIndex].sends[busIndex].gain.value = value;
+    },
+    /**
+     * apply the tempo of the song onto the tempo synced LFOs of all instruments
+     *
+     * @param {number} tempo in BPM
+     */
+    applyTempo(tempo) {
+        instrumentModulesList.forEach(modules => ModuleFactory.applyLFOTempo(modules, tempo));
     }
 };
 export default AudioService;
@@ -445,30 +796,38 @@ export const getAnalysers = () => {
 /* internal methods */
 
 function setupRouting() {
-    masterBus  = createGainNode( audioContext );
-    eq         = audioContext.createBiquadFilter();
-    eq.type    = 'highpass';
-    eq.frequency.value = 30; // remove sub-30 Hz rumbling
-    compressor = audioContext.createDynamicsCompressor();
-    masterBus.connect( eq );
-    eq.connect( compressor );
-    compressor.connect( audioContext.destination );
+    masterBus     = createGainNode( audioContext );
+    masterModules = ModuleFactory.createMasterModules( audioContext, masterBus );
+    applyMasterRouting( masterModules, audioContext.destination );
 }
 
 function createModules() {
+    // create the auxiliary buses, these return onto the master bus
+    busModulesList = new Array(Config.AUX_BUS_AMOUNT);
+
+    for (let i = 0; i < busModulesList.length; ++i) {
+        busModulesList[i] = ModuleFactory.createAuxBus(audioContext);
+        applyAuxBusRouting(busModulesList[i], masterBus);
+    }
+
     // create new modules for each possible instrument
     instrumentModulesList = new Array(Config.INSTRUMENT_AMOUNT);
 
     for (let i = 0; i < instrumentModulesList.length; ++i ) {
         const instrumentModules = instrumentModulesList[i] = {
-            panner    : createStereoPanner(audioContext),
-            overdrive : ModuleFactory.createOverdrive(audioContext),
-            eq        : ModuleFactory.createEQ(audioContext),
-            filter    : ModuleFactory.createFilter(audioContext),
-            delay     : ModuleFactory.createDelay(audioContext),
-            analyser  : audioContext.createAnalyser(),
-            voices    : new Array(Config.OSCILLATOR_AMOUNT),
-            output    : createGainNode(audioContext)
+            panner     : createStereoPanner(audioContext),
+            overdrive  : ModuleFactory.createOverdrive(audioContext),
+            eq         : ModuleFactory.createEQ(audioContext),
+            bitcrusher : ModuleFactory.createBitcrusher(audioContext),
+            filter     : ModuleFactory.createFilter(audioContext),
+            modulation : ModuleFactory.createModulation(audioContext),
+            delay      : ModuleFactory.createDelay(audioContext),
+            reverb     : ModuleFactory.createReverb(audioContext),
+            lfos       : ModuleFactory.createLFOs(audioContext),
+            analyser   : audioContext.createAnalyser(),
+            sends      : busModulesList.map(createSend),
+            voices     : new Array(Config.OSCILLATOR_AMOUNT),
+            output     : createGainNode(audioContext)
         };
         // max polyphony is 3 oscillators per channel
         for (let j = 0; j < Config.OSCILLATOR_AMOUNT; ++j) {
@@ -492,6 +851,19 @@ function createModules() {
     }
 }
 
+function createSend(busModules) {
+    const send = createGainNode(audioContext);
+    send.gain.value = 0;
+    send.connect(busModules.input);
+    return send;
+}
+
+function applySends(instrumentModules, sends = []) {
+    instrumentModules.sends.forEach((send, busIndex) => {
+        send.gain.value = typeof sends[busIndex] === 'number' ? sends[busIndex] : 0;
+    });
+}
+
 function retrieveAvailableVoiceNodesFromPool(instrumentModules, oscillatorIndex) {
     const availableVoices = instrumentModules.voices[oscillatorIndex];
     if (availableVoices.length) {
@@ -505,6 +877,10 @@ function returnVoiceNodesToPoolOnPlaybackEnd(instrumentModules, oscillatorIndex,
         // OscillatorNodes will automatically disconnect() after stopping
         // except for PWM which has a custom implementation
         voice.generator.disconnect();
+        disconnectUnisonVoices(voice);
+        disconnectMorph(voice);
+        disconnectRouting(voice);
+        disconnectLFOsFromVoice(voice);
 
         // delete the associated event from the playback list
         // we delay this until the voices have actually halted playback
@@ -522,6 +898,443 @@ function returnVoiceNodesToPoolOnPlaybackEnd(instrumentModules, oscillatorIndex,
     };
 }
 
+/**
+ * one-shot (non-looping) samples can finish their playback prior to the noteOff of
+ * their event. When this happens, the voice is removed from the event and its nodes are
+ * returned to the pool (a subsequent noteOff overrides this handler for voices still playing)
+ */
+function returnSampleVoiceToPoolOnPlaybackEnd(instrumentModules, oscillatorIndex, voices, instrumentId, eventId) {
+    const voice = voices[oscillatorIndex];
+
+    voice.generator.onended = () => {
+        voice.generator.disconnect();
+        disconnectRouting(voice);
+        disconnectLFOsFromVoice(voice);
+        delete voices[oscillatorIndex];
+
+        if ( !voices.some(Boolean) && instrumentEventsList[instrumentId][eventId] === voices ) {
+            delete instrumentEventsList[instrumentId][eventId];
+        }
+        instrumentModules.voices[oscillatorIndex].push({
+            oscillatorNode: voice.gain,
+            adsrNode: voice.outputNode
+        });
+    };
+}
+
+/**
+ * schedules the playback of all events inside given song for rendering
+ * within given OfflineAudioContext. The events are synthesized step by step (by
+ * suspending the rendering process) which mimics the scheduling of the sequencer
+ * and allows voices to return to the pool once they have finished playing.
+ *
+ * @param {OfflineAudioContext} offlineContext
+ * @param {SONG} song
+ * @return {Promise} rejects when the scheduling of an event fails (never resolves)
+ */
+function scheduleOfflineEvents( offlineContext, song ) {
+    // the noteOn events that are playing in each channel (these are killed by the next non-idle event)
+    const channelQueues = new Array( Config.INSTRUMENT_AMOUNT ).fill( null ).map(() => [] );
+
+    let rejectScheduling;
+    const scheduling = new Promise(( resolve, reject ) => rejectScheduling = reject );
+
+    const scheduleAt = ( time, callback ) => {
+        // rendering cannot be suspended at the current time, schedule the first events directly
+        if ( time === 0 ) {
+            callback();
+            return;
+        }
+        offlineContext.suspend( time ).then(() => {
+            callback();
+            offlineContext.resume();
+        }).catch( rejectScheduling );
+    };
+
+    // patterns are played back in the sequence defined by the order list (at their own tempo and time signature)
+    createTempoMap( song ).forEach(({ patternIndex, startTime: measureStartTime, duration }) => {
+        const pattern      = song.patterns[ patternIndex ];
+        const stepDuration = duration / pattern.steps;
+
+        for ( let step = 0; step < pattern.steps; ++step ) {
+            scheduleAt( measureStartTime + ( step * stepDuration ), () => {
+                pattern.channels.forEach(( channel, channelIndex ) => {
+                    const event = channel[ step ];
+                    if ( !event || event.recording ) {
+                        return;
+                    }
+                    const startTime = measureStartTime + event.seq.startMeasureOffset;
+                    const queue     = channelQueues[ channelIndex ];
+
+                    event.seq.mpLength = stepDuration;
+                    noteOn( event, song.instruments[ event.instrument ], startTime );
+
+                    // all non-module parameter change events kill previously playing notes
+                    if ( event.action !== ACTION_IDLE ) {
+                        queue.splice( 0 ).forEach( playingEvent => noteOff( playingEvent, startTime ));
+                    }
+                    if ( event.action === ACTION_NOTE_ON ) {
+                        queue.push( event );
+                    } else {
+                        noteOff( event, startTime + event.seq.mpLength );
+                    }
+                });
+            });
+        }
+    });
+
+    // stop all notes that are still sounding at the end of the song
+    scheduleAt( getSongDuration( song ), () => {
+        channelQueues.forEach( queue => {
+            queue.splice( 0 ).forEach( event => noteOff( event, offlineContext.currentTime ));
+        });
+    });
+    return scheduling;
+}
+
+function captureEnvironment() {
+    return {
+        audioContext, eventCallback, masterBus, masterModules, pool,
+        instrumentModulesList, busModulesList, instrumentEventsList, UNIQUE_EVENT_ID,
+        initialized: AudioService.initialized
+    };
+}
+
+function restoreEnvironment( environment ) {
+    ({
+        audioContext, eventCallback, masterBus, masterModules, pool,
+        instrumentModulesList, busModulesList, instrumentEventsList, UNIQUE_EVENT_ID
+    } = environment );
+    AudioService.initialized = environment.initialized;
+}
+
+/**
+ * retrieve the velocity of given event as a multiplier in the 0 - 1 range
+ * (events created prior to the introduction of velocity play at full velocity)
+ */
+function getVelocity( event ) {
+    const velocity = ( typeof event.velocity === 'number' ) ? event.velocity : DEFAULT_VELOCITY;
+    return Math.max( 0, Math.min( MAX_VELOCITY, velocity )) / MAX_VELOCITY;
+}
+
+/**
+ * when the instruments filter is velocity sensitive, the cutoff frequency
+ * is lowered for softer notes. As the filter is shared by all voices of the
+ * instrument, the cutoff is set at the start of each note.
+ */
+function applyVelocityToFilter( modules, instrument, velocity, startTimeInSeconds ) {
+    const { filter } = instrument;
+    if ( !modules || !filter.enabled || !filter.velocityAmount ) {
+        return;
+    }
+    modules.filter.filter.frequency.setValueAtTime(
+        getFilterFrequency( filter, velocity ), startTimeInSeconds
+    );
+}
+
+function applyFilterEnvelope( modules, instrument, eventId, velocity, startTimeInSeconds ) {
+    const { filter } = instrument;
+    if ( !modules || !filter.enabled || !filter.envelope ) {
+        return;
+    }
+    modules.filter.envelopeEventId = eventId;
+    ADSR.applyFilterEnvelope(
+        filter.envelope, modules.filter.filter, getFilterFrequency( filter, velocity ), startTimeInSeconds
+    );
+}
+
+function getFilterFrequency( filter, velocity ) {
+    const amount = ( filter.velocityAmount || 0 ) / 100;
+    return filter.frequency * ( 1 - amount * ( 1 - velocity ));
+}
+
+/**
+ * applies the polyphony settings of given instrument prior to the
+ * playback of a new note (at given frequency)
+ *
+ * In poly mode playing events are stolen when the max amount of voices is reached.
+ * In mono and legato mode all playing events are stolen, unless in legato mode a
+ * note is held, in which case its voices glide to the new frequency and are returned
+ * as legatoVoices (to be continued by the new event). glideFrom describes the frequency
+ * of the held note the new voices should glide from (null when no note was held)
+ *
+ * @return {{ glideFrom: number|null, legatoVoices: EVENT_VOICE_LIST|null }}
+ */
+function applyPolyphony(instrument, frequency, startTimeInSeconds) {
+    const eventList = instrumentEventsList[instrument.id];
+    const { mode, maxVoices, stealing, glide } = instrument.polyphony;
+
+    if ( mode === POLY ) {
+        while ( Object.keys(eventList).length >= Math.max(1, maxVoices) ) {
+            stealEvent(instrument.id, getEventIdToSteal(eventList, stealing, frequency), startTimeInSeconds);
+        }
+        return { glideFrom: null, legatoVoices: null };
+    }
+    const heldEventId = getHeldEventId(eventList);
+    const heldVoices  = heldEventId !== null ? eventList[heldEventId] : null;
+    const glideFrom   = heldVoices ? heldVoices.find(Boolean).frequency : null;
+
+    if ( mode === LEGATO && heldVoices ) {
+        delete eventList[heldEventId];
+        heldVoices.forEach(voice => glideVoice(voice, voice.frequency, frequency, glide, startTimeInSeconds));
+        return { glideFrom, legatoVoices: heldVoices };
+    }
+    Object.keys(eventList).forEach(eventId => stealEvent(instrument.id, eventId, startTimeInSeconds));
+    return { glideFrom, legatoVoices: null };
+}
+
+/**
+ * immediately stops the playback of the event with given id (using a
+ * short fade out to prevent clicking) so its voices are returned to the pool
+ */
+function stealEvent(instrumentId, eventId, startTimeInSeconds) {
+    const eventList   = instrumentEventsList[instrumentId];
+    const eventVoices = eventList[eventId];
+    const stopTime    = startTimeInSeconds + VOICE_STEAL_FADE_TIME;
+
+    eventVoices.forEach((voice, oscillatorIndex) => {
+        if ( !voice ) return;
+
+        const envelope = voice.outputNode.gain;
+
+        envelope.cancelScheduledValues  ( startTimeInSeconds );
+        envelope.setValueAtTime         ( envelope.value, startTimeInSeconds );
+        envelope.linearRampToValueAtTime( 0.0, stopTime );
+
+        returnVoiceNodesToPoolOnPlaybackEnd(instrumentModulesList[instrumentId], oscillatorIndex, voice, instrumentId);
+        stopVoice(voice, stopTime);
+    });
+    delete eventList[eventId];
+}
+
+/**
+ * glides the pitch of given voice from given frequency to given target frequency
+ * (noise has no pitch and is therefor not affected)
+ */
+function glideVoice(voice, fromFrequency, toFrequency, glideTimeInSeconds, startTimeInSeconds) {
+    const { generator, vo } = voice;
+    let param, from, to;
+
+    if ( generator instanceof AudioBufferSourceNode ) {
+        if ( vo.waveform !== 'SAMPLE' ) {
+            return;
+        }
+        param = generator.playbackRate;
+        from  = tuneSamplePlayback(fromFrequency, vo);
+        to    = tuneSamplePlayback(toFrequency, vo);
+    } else {
+        param = generator.frequency;
+        from  = tuneToOscillator(fromFrequency, vo);
+        to    = tuneToOscillator(toFrequency, vo);
+    }
+    // the unison voices and wave table frames glide along with the generator of the voice
+    const params = [ param, ...getVoiceGenerators(voice).slice(1).map(({ frequency }) => frequency ) ];
+
+    params.forEach( glideParam => {
+        glideParam.cancelScheduledValues( startTimeInSeconds );
+        glideParam.setValueAtTime( from, startTimeInSeconds );
+        glideParam.exponentialRampToValueAtTime( to, startTimeInSeconds + glideTimeInSeconds );
+    });
+
+    voice.frequency = toFrequency;
+}
+
+/**
+ * LFOs targeting the pitch or volume of the oscillators are connected
+ * to the AudioParams of each individual voice
+ */
+function connectLFOsToVoice(modules, voice) {
+    modules.lfos.forEach(({ lfoAmp, lfoEnabled, target }) => {
+        if ( !lfoEnabled ) {
+            return;
+        }
+        let params = [];
+        if ( target === LFO_PITCH ) {
+            // detune can be undefined for AudioBufferSourceNodes in older browsers
+            params = getVoiceGenerators(voice).map(({ detune }) => detune ).filter(Boolean);
+        } else if ( target === LFO_VOLUME ) {
+            params = [ voice.gain.gain ];
+        } else if ( target === LFO_MORPH && voice.morph ) {
+            params = [ voice.morph.position.offset ];
+        }
+        params.forEach(param => {
+            lfoAmp.connect(param);
+            voice.lfoConnections.push({ lfoAmp, param });
+        });
+    });
+}
+
+/**
+ * creates the additional voices for the unison of given oscillator. These play back
+ * the same wave table as the generator of the voice, detuned and panned relative to their
+ * position within the unison (the generator of the voice remains centered)
+ *
+ * @return {Array<{ generator: OscillatorNode, panner: StereoPannerNode }>}
+ */
+function createUnisonVoices(oscillatorVO, generatorNode, table, oscillatorNode) {
+    const { voices, detune, spread } = oscillatorVO.unison;
+    const unison = [];
+
+    for ( let i = 1; i < voices; ++i ) {
+        const position  = getUnisonPosition(i, voices);
+        const generator = audioContext.createOscillator();
+        const panner    = createStereoPanner(audioContext);
+
+        generator.setPeriodicWave( table );
+        generator.frequency.value = generatorNode.frequency.value;
+        generator.detune.value    = position * detune;
+
+        if ( panner ) {
+            panner.pan.value = position * spread;
+            generator.connect(panner);
+            panner.connect(oscillatorNode);
+        } else {
+            generator.connect(oscillatorNode);
+        }
+        unison.push({ generator, panner });
+    }
+    return unison;
+}
+
+/**
+ * stops the generator of given voice (and those of its unison and wave table frames) at given time
+ */
+function stopVoice(voice, stopTime) {
+    getVoiceGenerators(voice).forEach(generator => stopOscillation(generator, stopTime));
+    if ( voice.morph ) {
+        stopOscillation(voice.morph.position, stopTime);
+    }
+}
+
+function disconnectUnisonVoices(voice) {
+    voice.unison.forEach(({ generator, panner }) => {
+        generator.disconnect();
+        if ( panner ) {
+            panner.disconnect();
+        }
+    });
+    voice.unison = [];
+}
+
+/**
+ * whether given oscillator modulates another oscillator. Oscillators can
+ * only modulate oscillators with a lower index (preventing feedback loops)
+ */
+function isModulator(oscillatorVO, oscillatorIndex) {
+    const { mode, target } = oscillatorVO.routing;
+    return mode !== ROUTING_MIX && target < oscillatorIndex;
+}
+
+/**
+ * whether the oscillator at given index of given instrument is ring modulated by another oscillator
+ */
+function isRingModulated(instrument, oscillatorIndex) {
+    return instrument.oscillators.some((oscillatorVO, index) => {
+        return oscillatorVO.enabled && oscillatorVO.routing.mode === ROUTING_RING &&
+               oscillatorVO.routing.target === oscillatorIndex && isModulator(oscillatorVO, index);
+    });
+}
+
+/**
+ * connects the modulation node of given modulating voice to the voice it modulates. In FM mode
+ * the modulation amount is the frequency deviation (the routing index relative to the frequency of the
+ * modulator), in RING mode the modulation amount crossfades the carrier into the ring modulated signal
+ * (only voices with a frequency can be frequency modulated)
+ */
+function applyOscillatorModulation(modulatorVoice, carrierVoice, startTimeInSeconds) {
+    const { mode, index, envelope } = modulatorVoice.vo.routing;
+    const { modulationNode } = modulatorVoice;
+
+    if ( mode === ROUTING_FM ) {
+        if ( !carrierVoice.generator.frequency ) {
+            return;
+        }
+        const deviation = index * tuneToOscillator(modulatorVoice.frequency, modulatorVoice.vo);
+        getVoiceGenerators(carrierVoice).forEach(generator => modulationNode.connect(generator.frequency));
+        ADSR.applyModulationEnvelope(envelope, modulationNode.gain, 0, deviation, startTimeInSeconds);
+        modulatorVoice.modulationParams.push({ param: modulationNode.gain, base: 0 });
+    }
+    else if ( mode === ROUTING_RING && carrierVoice.ringNode ) {
+        const { ringNode } = carrierVoice;
+        const amount = Math.min(1, index);
+
+        modulationNode.connect(ringNode.gain);
+        ADSR.applyModulationEnvelope(envelope, modulationNode.gain, 0, amount, startTimeInSeconds);
+        ADSR.applyModulationEnvelope(envelope, ringNode.gain, 1, 1 - amount, startTimeInSeconds);
+        modulatorVoice.modulationParams.push({ param: modulationNode.gain, base: 0 }, { param: ringNode.gain, base: 1 });
+    }
+}
+
+/**
+ * creates the generators for the additional frames of a multi-frame wave table. Each frame (including
+ * the one played by the generator of the voice) is routed through a gain which is controlled by the
+ * morph position, translated into the gain of the frame by a WaveShaper. As the position is an AudioParam
+ * it can be modulated by the morph envelope, the LFOs and pattern automation.
+ *
+ * @return {{ position: ConstantSourceNode, generators: Array<OscillatorNode>, nodes: Array<AudioNode> }}
+ */
+function createMorph(oscillatorVO, generatorNode, frameTables, voiceInput) {
+    const frameAmount = frameTables.length + 1;
+    const position    = audioContext.createConstantSource();
+    const generators  = [];
+    const nodes       = [];
+
+    position.offset.value = oscillatorVO.morph.position;
+
+    [ null, ...frameTables ].forEach(( frameTable, frameIndex ) => {
+        let generator = generatorNode;
+        if ( frameTable ) {
+            generator = audioContext.createOscillator();
+            generator.setPeriodicWave( frameTable );
+            generator.frequency.value = generatorNode.frequency.value;
+            generators.push(generator);
+        }
+        const shaper = audioContext.createWaveShaper();
+        const gain   = createGainNode(audioContext);
+
+        shaper.curve    = getMorphCurve(frameIndex, frameAmount);
+        gain.gain.value = 0; // gain is determined by the output of the shaper
+
+        position.connect(shaper);
+        shaper.connect(gain.gain);
+        generator.connect(gain);
+        gain.connect(voiceInput);
+
+        nodes.push(shaper, gain);
+    });
+    return { position, generators, nodes };
+}
+
+function getMorphCurve(frameIndex, frameAmount) {
+    const curves = morphCurves[frameAmount] || ( morphCurves[frameAmount] = [] );
+    return curves[frameIndex] || ( curves[frameIndex] = createMorphCurve(frameIndex, frameAmount));
+}
+
+function disconnectMorph(voice) {
+    if ( !voice.morph ) {
+        return;
+    }
+    const { position, generators, nodes } = voice.morph;
+    [ position, ...generators, ...nodes ].forEach(node => node.disconnect());
+    voice.morph = null;
+}
+
+function disconnectRouting(voice) {
+    [ voice.ringNode, voice.modulationNode ].forEach(node => node && node.disconnect());
+    voice.modulationParams = [];
+}
+
+function disconnectLFOsFromVoice(voice) {
+    voice.lfoConnections.forEach(({ lfoAmp, param }) => {
+        try {
+            lfoAmp.disconnect(param);
+        } catch (e) {
+            // LFO was already disconnected by a change in its configuration
+        }
+    });
+    voice.lfoConnections = [];
+}
+
 /**
  * create a periodicWaveTable (which can be used with a OscillatorNode for playback)
  * from an Array of custom drawn points
@@ -535,6 +1348,10 @@ function createTableFromCustomGraph( instrumentIndex, oscillatorIndex, table ) {
     return pool.CUSTOM[instrumentIndex][oscillatorIndex] = createWaveTableFromGraph( audioContext, table );
 }
 
+function createFrameTablesFromCustomGraphs( instrumentIndex, oscillatorIndex, frames ) {
+    return pool.FRAMES[instrumentIndex][oscillatorIndex] = frames.map( frame => createWaveTableFromGraph( audioContext, frame ));
+}
+
 function handleRecordingComplete(blob) {
     // download file to disk
 
@@ -20,6 +20,8 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import Config from '@/config';
+
 let ADSR, envelope, attack, release, attackEnd, decayEnd, step;
 const MAX_PITCH_ENVELOPE_VALUE = 24; // max value we expect for the pitch envelope's range
 
@@ -140,5 +142,104 @@ export default
         envelope.cancelScheduledValues  ( startTimeInSeconds );
         envelope.setValueAtTime         ( envelope.value, startTimeInSeconds );
         envelope.linearRampToValueAtTime( ADSR.org, startTimeInSeconds + ADSR.release );
+    },
+    /**
+     * apply filter envelope to the cutoff frequency of given filter Node
+     * the envelope sweeps from the base frequency towards the frequency
+     * reached at the envelopes peak (defined by its amount)
+     *
+     * @param {INSTRUMENT_FILTER_ENVELOPE} filterEnvelope
+     * @param {BiquadFilterNode} filter
+     * @param {number} baseFrequency the filters cutoff frequency in Hz
+     * @param {number} startTimeInSeconds
+     */
+    applyFilterEnvelope( filterEnvelope, filter, baseFrequency, startTimeInSeconds ) {
+        ADSR = /** @type {Object} */ ( filterEnvelope );
+
+        if ( ADSR.amount === 0 )
+            return; // do not apply filter envelopes if no sweep amount was defined
+
+        envelope  = filter.frequency;
+        attackEnd = startTimeInSeconds + ADSR.attack;
+        decayEnd  = attackEnd + ADSR.decay;
+
+        const peak = getFilterEnvelopePeak( baseFrequency, ADSR.amount );
+
+        envelope.cancelScheduledValues( startTimeInSeconds );
+        envelope.setValueAtTime( baseFrequency, startTimeInSeconds ); // envelope start value
+        envelope.linearRampToValueAtTime( peak, attackEnd ); // attack envelope
+        envelope.linearRampToValueAtTime( baseFrequency + (( peak - baseFrequency ) * ADSR.sustain ), decayEnd ); // decay envelope
+    },
+    /**
+     * apply release filter envelope to given filter Node, returning
+     * its cutoff frequency to the base frequency
+     *
+     * @param {INSTRUMENT_FILTER_ENVELOPE} filterEnvelope
+     * @param {BiquadFilterNode} filter
+     * @param {number} baseFrequency the filters cutoff frequency in Hz
+     * @param {number} startTimeInSeconds
+     */
+    applyFilterRelease( filterEnvelope, filter, baseFrequency, startTimeInSeconds ) {
+        ADSR = /** @type {Object} */ ( filterEnvelope );
+
+        if ( ADSR.amount === 0 )
+            return; // do not apply filter envelopes if no sweep amount was defined
+
+        envelope = filter.frequency;
+
+        envelope.cancelScheduledValues  ( startTimeInSeconds );
+        envelope.setValueAtTime         ( envelope.value, startTimeInSeconds );
+        envelope.linearRampToValueAtTime( baseFrequency, startTimeInSeconds + ADSR.release );
+    },
+    /**
+     * apply a modulation envelope (e.g. the routing envelope of a modulating oscillator or the
+     * wave table morph envelope) to given AudioParam, the envelope moves the param from given
+     * base value towards given peak value (e.g. the modulation amount)
+     *
+     * @param {Object} routingEnvelope the envelope of the INSTRUMENT_OSCILLATOR routing or morph
+     * @param {AudioParam} param
+     * @param {number} baseValue value of the param when no modulation is applied
+     * @param {number} peakValue value of the param at the peak of the modulation
+     * @param {number} startTimeInSeconds
+     */
+    applyModulationEnvelope( routingEnvelope, param, baseValue, peakValue, startTimeInSeconds ) {
+        ADSR      = /** @type {Object} */ ( routingEnvelope );
+        attackEnd = startTimeInSeconds + ADSR.attack;
+        decayEnd  = attackEnd + ADSR.decay;
+
+        param.cancelScheduledValues( startTimeInSeconds );
+        param.setValueAtTime( baseValue, startTimeInSeconds ); // envelope start value
+        param.linearRampToValueAtTime( peakValue, attackEnd ); // attack envelope
+        param.linearRampToValueAtTime( baseValue + (( peakValue - baseValue ) * ADSR.sustain ), decayEnd ); // decay envelope
+    },
+    /**
+     * apply the release of a modulation envelope to given AudioParam,
+     * returning it to its base value
+     *
+     * @param {Object} routingEnvelope the envelope of the INSTRUMENT_OSCILLATOR routing or morph
+     * @param {AudioParam} param
+     * @param {number} baseValue value of the param when no modulation is applied
+     * @param {number} startTimeInSeconds
+     */
+    applyModulationRelease( routingEnvelope, param, baseValue, startTimeInSeconds ) {
+        ADSR = /** @type {Object} */ ( routingEnvelope );
+
+        param.cancelScheduledValues  ( startTimeInSeconds );
+        param.setValueAtTime         ( param.value, startTimeInSeconds );
+        param.linearRampToValueAtTime( baseValue, startTimeInSeconds + ADSR.release );
     }
 };
+
+/* internal methods */
+
+/**
+ * the envelope amount is in the -1 to +1 range where positive values sweep
+ * the cutoff up towards the max filter frequency and negative values sweep
+ * it down towards the min filter frequency
+ */
+function getFilterEnvelopePeak( baseFrequency, amount ) {
+    if ( amount > 0 )
+        return baseFrequency + (( Config.MAX_FILTER_FREQ - baseFrequency ) * amount );
+
+    return baseFrequency + (( baseFrequency - Config.MIN_FILTER_FREQ ) * amount );
+}
@@ -21,6 +21,8 @@
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 
+import { STEAL_QUIETEST, STEAL_SAME_NOTE } from '@/definitions/polyphony';
+
 /**
  * utility method to process all the voices within an instruments
  * playing event list while performing null checks for safety
@@ -55,3 +57,126 @@ export const processVoices = (instrumentEvents, fn) => {
         }
     }
 };
+
+/**
+ * retrieve the identifier of the most recently triggered event for an instrument
+ * that has not been released yet (e.g. its note is held)
+ *
+ * @param {Object} eventList events currently playing back for an instrument, by event id
+ * @return {string|null}
+ */
+export const getHeldEventId = eventList => {
+    const eventIds = Object.keys( eventList );
+    let i = eventIds.length;
+
+    while ( i-- ) {
+        if ( eventList[ eventIds[ i ]].some( voice => voice && !voice.released )) {
+            return eventIds[ i ];
+        }
+    }
+    return null;
+};
+
+/**
+ * retrieve the identifier of the event that should stop playing back in order
+ * to free up a voice for a new event, according to given voice stealing policy
+ *
+ * @param {Object} eventList events currently playing back for an instrument, by event id
+ *                 (as event ids are incremental, the list is sorted from oldest to newest)
+ * @param {string} policy voice stealing policy (see polyphony.js)
+ * @param {number} frequency frequency of the note for the new event
+ * @return {string|null}
+ */
+export const getEventIdToSteal = ( eventList, policy, frequency ) => {
+    const eventIds = Object.keys( eventList );
+
+    if ( !eventIds.length ) {
+        return null;
+    }
+    switch ( policy ) {
+        default:
+            break;
+        case STEAL_QUIETEST:
+            return eventIds.reduce(( quietestId, eventId ) => {
+                return getEventLevel( eventList[ eventId ]) < getEventLevel( eventList[ quietestId ]) ? eventId : quietestId;
+            });
+        case STEAL_SAME_NOTE:
+            const sameNoteId = eventIds.find( eventId => eventList[ eventId ].some( voice => voice && voice.frequency === frequency ));
+            if ( sameNoteId !== undefined ) {
+                return sameNoteId;
+            }
+            break;
+    }
+    return eventIds[ 0 ]; // the oldest event
+};
+
+/**
+ * retrieve all generators playing back for given voice. Next to the voices own generator
+ * these include the generators of its unison voices and those of its wave table frames
+ *
+ * @param {EVENT_VOICE} voice
+ * @return {Array<OscillatorNode|AudioBufferSourceNode>}
+ */
+export const getVoiceGenerators = voice => {
+    const generators = [ voice.generator ];
+
+    if ( voice.unison ) {
+        voice.unison.forEach(({ generator }) => generators.push( generator ));
+    }
+    if ( voice.morph ) {
+        generators.push( ...voice.morph.generators );
+    }
+    return generators;
+};
+
+/**
+ * retrieve the gain of the frame at given index of a multi-frame wave table, for given
+ * morph position (in the 0 - 1 range). Frames are spread evenly across the position range
+ * where the gain of a frame fades linearly into that of its neighbouring frames
+ *
+ * @param {number} position
+ * @param {number} frameIndex
+ * @param {number} frameAmount
+ * @return {number}
+ */
+export const getMorphFrameGain = ( position, frameIndex, frameAmount ) => {
+    if ( frameAmount < 2 ) {
+        return 1;
+    }
+    const framePosition = Math.max( 0, Math.min( 1, position )) * ( frameAmount - 1 );
+    return Math.max( 0, 1 - Math.abs( framePosition - frameIndex ));
+};
+
+/**
+ * create the curve for a WaveShaperNode that translates a morph position signal into
+ * the gain of the frame at given index (the curve spans the -1 to +1 input range of the
+ * WaveShaper, where negative positions are treated as the start of the wave table)
+ *
+ * @param {number} frameIndex
+ * @param {number} frameAmount
+ * @param {number=} size
+ * @return {Float32Array}
+ */
+export const createMorphCurve = ( frameIndex, frameAmount, size = 1025 ) => {
+    const curve = new Float32Array( size );
+    for ( let i = 0; i < size; ++i ) {
+        curve[ i ] = getMorphFrameGain(( i / ( size - 1 )) * 2 - 1, frameIndex, frameAmount );
+    }
+    return curve;
+};
+
+/* internal methods */
+
+/**
+ * the level of an event is that of its loudest voice, events that have
+ * been released are fading out and are as such considered to be silent
+ */
+function getEventLevel( eventVoices ) {
+    return eventVoices.reduce(( level, voice ) => {
+        if ( !voice || voice.released ) {
+            return level;
+        }
+        return Math.max( level, voice.velocity * voice.vo.volume );
+    }, 0 );
+}
+
@@ -0,0 +1,272 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import Config from '@/config';
+import { createGainNode } from './webaudio-helper';
+
+const PROCESSOR_NAME = 'efflux-bitcrusher';
+const CURVE_LENGTH   = 8192;
+
+/**
+ * source of the AudioWorkletProcessor, this is registered from a Blob as the processor
+ * is evaluated inside the AudioWorkletGlobalScope (and should not be transpiled)
+ * bit depth is reduced by quantizing the samples, the sample rate is reduced by
+ * holding each sample for the amount of frames defined by the downsample factor
+ */
+const PROCESSOR_SOURCE = `
+class BitcrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bits',       defaultValue: ${Config.DEFAULT_BITCRUSHER_BITS}, minValue: ${Config.MIN_BITCRUSHER_BITS}, maxValue: ${Config.MAX_BITCRUSHER_BITS} },
+            { name: 'downsample', defaultValue: 1, minValue: 1, maxValue: ${Config.MAX_BITCRUSHER_DOWNSAMPLE} }
+        ];
+    }
+    constructor() {
+        super();
+        this.phase = 0;
+        this.held  = [];
+    }
+    process( inputs, outputs, parameters ) {
+        const input  = inputs[ 0 ];
+        const output = outputs[ 0 ];
+
+        if ( !input.length ) {
+            return true;
+        }
+        const { bits, downsample } = parameters;
+
+        for ( let i = 0; i < output[ 0 ].length; ++i ) {
+            const step = Math.pow( 0.5, ( bits.length > 1 ? bits[ i ] : bits[ 0 ]) - 1 );
+            const hold = this.phase <= 0;
+
+            if ( hold ) {
+                this.phase += ( downsample.length > 1 ? downsample[ i ] : downsample[ 0 ]);
+            }
+            this.phase -= 1;
+
+            for ( let c = 0; c < output.length; ++c ) {
+                if ( hold ) {
+                    const channel = input[ c ] || input[ 0 ];
+                    this.held[ c ] = step * Math.floor( channel[ i ] / step + 0.5 );
+                }
+                output[ c ][ i ] = this.held[ c ] || 0;
+            }
+        }
+        return true;
+    }
+}
+registerProcessor( '${PROCESSOR_NAME}', BitcrusherProcessor );
+`;
+
+const processorRequests = new WeakMap(); // per AudioContext, Promise resolving to registration success
+const processorContexts = new WeakSet(); // AudioContexts for which the processor has been registered
+
+/**
+ * Bitcrusher reduces the bit depth and sample rate of its input signal. The processing
+ * is done by an AudioWorklet. In environments where AudioWorklets are unsupported (or while
+ * the worklet is loading), a WaveShaper reduces the bit depth (the sample rate is retained).
+ */
+export default class Bitcrusher {
+    /**
+     * @param {BaseAudioContext} audioContext
+     * @param {{ bits: number, downsample: number, mix: number }} props
+     */
+    constructor( audioContext, { bits, downsample, mix }) {
+        this.audioContext = audioContext;
+
+        this.input  = createGainNode( audioContext );
+        this.output = createGainNode( audioContext );
+
+        this._dry       = createGainNode( audioContext );
+        this._wet       = createGainNode( audioContext );
+        this._shaper    = null;
+        this._processor = null;
+
+        this.input.connect( this._dry );
+        this._dry.connect( this.output );
+        this._wet.connect( this.output );
+
+        if ( processorContexts.has( audioContext )) {
+            this._attachProcessor();
+        } else {
+            this._shaper = audioContext.createWaveShaper();
+            this.input.connect( this._shaper );
+            this._shaper.connect( this._wet );
+
+            loadBitcrusherProcessor( audioContext ).then( loaded => loaded && this._attachProcessor());
+        }
+        this.bits       = bits;
+        this.downsample = downsample;
+        this.mix        = mix;
+    }
+
+    get bits() {
+        return this._bits;
+    }
+
+    /**
+     * @param {number} value bit depth, can be fractional
+     */
+    set bits( value ) {
+        this._bits = Math.max( Config.MIN_BITCRUSHER_BITS, Math.min( Config.MAX_BITCRUSHER_BITS, value ));
+
+        if ( this._processor ) {
+            this._processor.parameters.get( 'bits' ).value = this._bits;
+        } else {
+            this._shaper.curve = createCrushCurve( this._bits );
+        }
+    }
+
+    get downsample() {
+        return this._downsample;
+    }
+
+    /**
+     * @param {number} value factor by which the sample rate is divided
+     */
+    set downsample( value ) {
+        this._downsample = Math.max( 1, Math.min( Config.MAX_BITCRUSHER_DOWNSAMPLE, value ));
+
+        if ( this._processor ) {
+            this._processor.parameters.get( 'downsample' ).value = this._downsample;
+        }
+    }
+
+    get mix() {
+        return this._wet.gain.value;
+    }
+
+    /**
+     * @param {number} value in the 0 - 1 range, the dry signal is attenuated accordingly
+     */
+    set mix( value ) {
+        this._wet.gain.value = value;
+        this._dry.gain.value = 1 - value;
+    }
+
+    /**
+     * @return {AudioParam|null} bit depth, for scheduling automation (null when
+     *                           the processor is unavailable, see "bits" setter)
+     */
+    get bitsParam() {
+        return this._processor ? this._processor.parameters.get( 'bits' ) : null;
+    }
+
+    /**
+     * @return {AudioParam|null} downsample factor, for scheduling automation
+     */
+    get downsampleParam() {
+        return this._processor ? this._processor.parameters.get( 'downsample' ) : null;
+    }
+
+    /**
+     * @return {AudioParam} wet gain, for scheduling automation
+     */
+    get wetParam() {
+        return this._wet.gain;
+    }
+
+    /**
+     * @return {AudioParam} dry gain, for scheduling automation
+     */
+    get dryParam() {
+        return this._dry.gain;
+    }
+
+    connect( destination ) {
+        this.output.connect( destination.input ? destination.input : destination );
+    }
+
+    disconnect() {
+        this.output.disconnect();
+    }
+
+    /* internal methods */
+
+    _attachProcessor() {
+        this._processor = new AudioWorkletNode( this.audioContext, PROCESSOR_NAME, {
+            outputChannelCount: [ 2 ]
+        });
+        if ( this._shaper ) {
+            this.input.disconnect();
+            this.input.connect( this._dry );
+            this._shaper.disconnect();
+            this._shaper = null;
+        }
+        this.input.connect( this._processor );
+        this._processor.connect( this._wet );
+
+        if ( typeof this._bits === 'number' ) {
+            this.bits       = this._bits;
+            this.downsample = this._downsample;
+        }
+    }
+}
+
+/**
+ * registers the bitcrusher AudioWorkletProcessor onto given AudioContext. Registration
+ * is asynchronous, Bitcrusher instances created after the returned Promise has resolved
+ * are immediately able to use the processor.
+ *
+ * @param {BaseAudioContext} audioContext
+ * @return {Promise<boolean>} whether the processor is available
+ */
+export const loadBitcrusherProcessor = audioContext => {
+    if ( !processorRequests.has( audioContext )) {
+        processorRequests.set( audioContext, registerProcessor( audioContext ));
+    }
+    return processorRequests.get( audioContext );
+};
+
+/**
+ * create a WaveShaper curve that quantizes the signal to given bit depth
+ *
+ * @param {number} bits
+ * @param {number=} length of the curve
+ * @return {Float32Array}
+ */
+export const createCrushCurve = ( bits, length = CURVE_LENGTH ) => {
+    const curve = new Float32Array( length );
+    const step  = Math.pow( 0.5, bits - 1 );
+
+    for ( let i = 0; i < length; ++i ) {
+        const x = ( i * 2 / ( length - 1 )) - 1;
+        curve[ i ] = Math.max( -1, Math.min( 1, step * Math.floor( x / step + 0.5 )));
+    }
+    return curve;
+};
+
+async function registerProcessor( audioContext ) {
+    if ( !audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined' ) {
+        return false;
+    }
+    const url = URL.createObjectURL( new Blob([ PROCESSOR_SOURCE ], { type: 'application/javascript' }));
+    try {
+        await audioContext.audioWorklet.addModule( url );
+        processorContexts.add( audioContext );
+        return true;
+    } catch ( e ) {
+        return false;
+    } finally {
+        URL.revokeObjectURL( url );
+    }
+}
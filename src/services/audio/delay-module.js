@@ -447,6 +447,11 @@ Delay.prototype = Object.create(null, {
     }
   },
 
+  delayTimeParams: {
+    enumerable: true,
+    get: function () { return [ this._leftDelay.delayTime, this._rightDelay.delayTime ]; }
+  },
+
   feedback: {
     enumerable: true,
     get: function () { return this._leftGain.gain.value; },
@@ -41,14 +41,20 @@ export default
      * @param {number} maxStep
      * @param {number} time
      * @param {AudioContext} audioContext
+     * @param {number=} beatAmount amount of beats in the measure (e.g. the "3" in 3/4), defaults to 4
      */
-    play( resolution, currentStep, maxStep, time, audioContext )
+    play( resolution, currentStep, maxStep, time, audioContext, beatAmount = 4 )
     {
         if (( resolution === 1 ) && ( currentStep % ( maxStep / 8 )))
             return; // we're not playing non-8th 16th notes
 
-        if (( resolution == 2 ) && ( currentStep % ( maxStep / 4 ) ))
-            return; // we're not playing non-quarter 8th notes
+        // beats don't necessarily align with the steps (e.g. 7 beats in 64 steps), a
+        // beat is sounded on the first step that starts at or after the beats position
+
+        const isBeat = (( currentStep * beatAmount ) % maxStep ) < beatAmount;
+
+        if (( resolution == 2 ) && !isBeat )
+            return; // we're not playing steps in between beats
 
         let pitch = 220; // default note has low pitch, except for:
 
@@ -57,8 +63,8 @@ export default
         if ( isFirstBeat )
             pitch = 440; // beat 0 == medium pitch
 
-        else if ( currentStep % ( maxStep / 4 ))
-            pitch = 880; // quarter notes = high pitch
+        else if ( !isBeat )
+            pitch = 880; // notes in between beats = high pitch
 
         beep( audioContext, pitch, time, 0.05 );
     }
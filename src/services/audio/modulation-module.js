@@ -0,0 +1,242 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import Config from '@/config';
+import { createGainNode, startOscillation } from './webaudio-helper';
+
+export const CHORUS  = 'chorus';
+export const FLANGER = 'flanger';
+export const PHASER  = 'phaser';
+
+const PHASER_STAGES = 4;
+
+/**
+ * Modulation applies a low frequency oscillator onto a short delay line (chorus and
+ * flanger) or onto a chain of all pass filters (phaser). The modulated (wet) signal
+ * can be fed back into itself prior to being mixed with the dry signal.
+ */
+export default class Modulation {
+    /**
+     * @param {BaseAudioContext} audioContext
+     * @param {{ type: string, rate: number, depth: number, feedback: number, mix: number }} props
+     */
+    constructor( audioContext, { type, rate, depth, feedback, mix }) {
+        this.audioContext = audioContext;
+
+        this.input  = createGainNode( audioContext );
+        this.output = createGainNode( audioContext );
+
+        this._dry      = createGainNode( audioContext );
+        this._wet      = createGainNode( audioContext );
+        this._feedback = createGainNode( audioContext );
+        this._delay    = audioContext.createDelay( 1 );
+        this._lfo      = audioContext.createOscillator();
+        this._lfoAmp   = createGainNode( audioContext );
+        this._stages   = new Array( PHASER_STAGES ).fill( null ).map(() => {
+            const stage = audioContext.createBiquadFilter();
+            stage.type  = 'allpass';
+            return stage;
+        });
+        this._stages.reduce(( prev, next ) => {
+            prev.connect( next );
+            return next;
+        });
+
+        this.input.connect( this._dry );
+        this._dry.connect( this.output );
+        this._wet.connect( this.output );
+
+        this._lfo.connect( this._lfoAmp );
+        startOscillation( this._lfo, audioContext.currentTime );
+
+        this.type     = type;
+        this.rate     = rate;
+        this.depth    = depth;
+        this.feedback = feedback;
+        this.mix      = mix;
+    }
+
+    get type() {
+        return this._type;
+    }
+
+    /**
+     * @param {string} value either CHORUS, FLANGER or PHASER
+     */
+    set type( value ) {
+        if ( value === this._type ) {
+            return;
+        }
+        this._type = value;
+
+        // rewire the modulated signal path for the new type
+
+        this.input.disconnect();
+        this.input.connect( this._dry );
+        this._delay.disconnect();
+        this._feedback.disconnect();
+        this._lfoAmp.disconnect();
+        this._stages[ PHASER_STAGES - 1 ].disconnect();
+
+        if ( value === PHASER ) {
+            // the DelayNode is kept inside the feedback loop (cycles in the graph require one)
+            const lastStage = this._stages[ PHASER_STAGES - 1 ];
+            this._delay.delayTime.value = 0;
+
+            this.input.connect( this._stages[ 0 ]);
+            lastStage.connect( this._wet );
+            lastStage.connect( this._feedback );
+            this._feedback.connect( this._delay );
+            this._delay.connect( this._stages[ 0 ]);
+
+            this._stages.forEach( stage => this._lfoAmp.connect( stage.frequency ));
+        } else {
+            this.input.connect( this._delay );
+            this._delay.connect( this._wet );
+            this._delay.connect( this._feedback );
+            this._feedback.connect( this._delay );
+
+            this._lfoAmp.connect( this._delay.delayTime );
+        }
+        // apply the modulation range of the new type
+        if ( typeof this._depth === 'number' ) {
+            this.depth = this._depth;
+        }
+    }
+
+    get rate() {
+        return this._lfo.frequency.value;
+    }
+
+    /**
+     * @param {number} value LFO speed in Hz
+     */
+    set rate( value ) {
+        this._lfo.frequency.value = Math.min( Config.MAX_MODULATION_RATE, value );
+    }
+
+    get depth() {
+        return this._depth;
+    }
+
+    /**
+     * @param {number} value in the 0 - 1 range
+     */
+    set depth( value ) {
+        this._depth = value;
+
+        const { base, amount } = getModulationRange( this._type, value );
+        if ( this._type === PHASER ) {
+            this._stages.forEach( stage => { stage.frequency.value = base; });
+        } else {
+            this._delay.delayTime.value = base;
+        }
+        this._lfoAmp.gain.value = amount;
+    }
+
+    get feedback() {
+        return this._feedback.gain.value;
+    }
+
+    /**
+     * @param {number} value in the 0 - 1 range
+     */
+    set feedback( value ) {
+        this._feedback.gain.value = Math.min( Config.MAX_MODULATION_FEEDBACK, value );
+    }
+
+    get mix() {
+        return this._wet.gain.value;
+    }
+
+    /**
+     * @param {number} value in the 0 - 1 range, the dry signal is attenuated accordingly
+     */
+    set mix( value ) {
+        this._wet.gain.value = value;
+        this._dry.gain.value = 1 - value;
+    }
+
+    /**
+     * @return {AudioParam} LFO frequency, for scheduling automation
+     */
+    get rateParam() {
+        return this._lfo.frequency;
+    }
+
+    /**
+     * @return {AudioParam} LFO amplitude, for scheduling automation (see getModulationRange())
+     */
+    get depthParam() {
+        return this._lfoAmp.gain;
+    }
+
+    /**
+     * @return {AudioParam} feedback gain, for scheduling automation
+     */
+    get feedbackParam() {
+        return this._feedback.gain;
+    }
+
+    /**
+     * @return {AudioParam} wet gain, for scheduling automation
+     */
+    get wetParam() {
+        return this._wet.gain;
+    }
+
+    /**
+     * @return {AudioParam} dry gain, for scheduling automation
+     */
+    get dryParam() {
+        return this._dry.gain;
+    }
+
+    connect( destination ) {
+        this.output.connect( destination.input ? destination.input : destination );
+    }
+
+    disconnect() {
+        this.output.disconnect();
+    }
+}
+
+/**
+ * translates a modulation depth to the base value of the modulated parameter and the
+ * amount by which the LFO sweeps around it. For chorus and flanger this is the delay time
+ * (in seconds), for the phaser this is the frequency of the all pass filters (in Hz)
+ *
+ * @param {string} type either CHORUS, FLANGER or PHASER
+ * @param {number} depth in the 0 - 1 range
+ * @return {{ base: number, amount: number }}
+ */
+export const getModulationRange = ( type, depth ) => {
+    switch ( type ) {
+        default:
+        case CHORUS:
+            return { base: 0.02, amount: depth * 0.008 };
+        case FLANGER:
+            return { base: 0.003, amount: depth * 0.0025 };
+        case PHASER:
+            return { base: 1000, amount: depth * 900 };
+    }
+};
@@ -23,18 +23,23 @@
 import Config            from '@/config';
 import { rangeToIndex }  from '@/utils/array-util';
 import { toHex }         from '@/utils/number-util';
-import { processVoices } from './audio-util';
+import { processVoices, getVoiceGenerators } from './audio-util';
 import { applyRouting }  from './module-router';
 import { createTimer }   from './webaudio-helper';
+import { getDampingFrequency } from './reverb-module';
+import { getModulationRange }  from './modulation-module';
 
 const filterTypes = ['off', 'sine', 'square', 'sawtooth', 'triangle'];
 
 import {
+    BITCRUSHER_ENABLED, BITCRUSHER_BITS, BITCRUSHER_DOWNSAMPLE, BITCRUSHER_MIX,
     DELAY_ENABLED, DELAY_FEEDBACK, DELAY_CUTOFF, DELAY_TIME, DELAY_OFFSET,
     EXTERNAL_EVENT, FILTER_ENABLED, FILTER_FREQ, FILTER_Q, FILTER_LFO_ENABLED,
     FILTER_LFO_SPEED, FILTER_LFO_DEPTH,
+    MODULATION_ENABLED, MODULATION_RATE, MODULATION_DEPTH, MODULATION_FEEDBACK, MODULATION_MIX,
     PAN_LEFT, PAN_RIGHT, PITCH_UP, PITCH_DOWN,
-    VOLUME
+    REVERB_ENABLED, REVERB_WET, REVERB_PRE_DELAY, REVERB_DAMPING,
+    SEND_PARAMS, VOLUME, WAVETABLE_POSITION
 } from '@/definitions/automatable-parameters';
 
 /**
@@ -69,6 +74,11 @@ export const applyModuleParamChange = ( audioContext, audioEvent, modules, instr
             applyPitchShift( audioEvent, instrumentEvents, startTimeInSeconds );
             break;
 
+        // wave table effects
+        case WAVETABLE_POSITION:
+            applyWaveTablePosition( audioEvent, instrumentEvents, startTimeInSeconds );
+            break;
+
         // filter effects
         case FILTER_ENABLED:
             modules.filter.filterEnabled = ( audioEvent.mp.value >= 50 );
@@ -100,10 +110,54 @@ export const applyModuleParamChange = ( audioContext, audioEvent, modules, instr
             applyDelay( audioEvent, modules, startTimeInSeconds );
             break;
 
+        // bitcrusher effects
+        case BITCRUSHER_ENABLED:
+            modules.bitcrusher.bitcrusherEnabled = ( audioEvent.mp.value >= 50 );
+            applyRouting( modules, output );
+            break;
+
+        case BITCRUSHER_BITS:
+        case BITCRUSHER_DOWNSAMPLE:
+        case BITCRUSHER_MIX:
+            applyBitcrusher( audioEvent, modules, startTimeInSeconds );
+            break;
+
+        // modulation effects
+        case MODULATION_ENABLED:
+            modules.modulation.modulationEnabled = ( audioEvent.mp.value >= 50 );
+            applyRouting( modules, output );
+            break;
+
+        case MODULATION_RATE:
+        case MODULATION_DEPTH:
+        case MODULATION_FEEDBACK:
+        case MODULATION_MIX:
+            applyModulation( audioEvent, modules, startTimeInSeconds );
+            break;
+
+        // reverb effects
+        case REVERB_ENABLED:
+            modules.reverb.reverbEnabled = ( audioEvent.mp.value >= 50 );
+            applyRouting( modules, output );
+            break;
+
+        case REVERB_WET:
+        case REVERB_PRE_DELAY:
+        case REVERB_DAMPING:
+            applyReverb( audioEvent, modules, startTimeInSeconds );
+            break;
+
         // external events
         case EXTERNAL_EVENT:
             applyExternalEvent( audioContext, audioEvent, startTimeInSeconds, optEventCallback );
             break;
+
+        // auxiliary bus sends (one for each bus)
+        default:
+            if ( SEND_PARAMS.includes( audioEvent.mp.module )) {
+                applySend( audioEvent, modules, startTimeInSeconds );
+            }
+            break;
     }
 };
 
@@ -139,6 +193,12 @@ function applyPitchShift( audioEvent, instrumentEvents, startTimeInSeconds ) {
             else
                 target = voice.frequency - ( target / 2 );
 
+            // the unison voices and wave table frames of the voice follow its pitch
+            getVoiceGenerators( voice ).slice( 1 ).forEach( additionalGenerator => {
+                scheduleParameterChange(
+                    additionalGenerator.frequency, target, startTimeInSeconds, durationInSeconds, doGlide, { gliding: voice.gliding }
+                );
+            });
             scheduleParameterChange(
                 generator.frequency, target, startTimeInSeconds, durationInSeconds, doGlide, voice
             );
@@ -153,6 +213,22 @@ function applyPitchShift( audioEvent, instrumentEvents, startTimeInSeconds ) {
     });
 }
 
+function applyWaveTablePosition( audioEvent, instrumentEvents, startTimeInSeconds ) {
+    const mp = audioEvent.mp, doGlide = mp.glide,
+          durationInSeconds = audioEvent.seq.mpLength,
+          target = ( mp.value / 100 );
+
+    processVoices(instrumentEvents, voice => {
+        // only voices playing a multi-frame wave table have a morph position
+        if ( !voice.morph ) {
+            return;
+        }
+        scheduleParameterChange(
+            voice.morph.position.offset, target, startTimeInSeconds, durationInSeconds, doGlide, voice
+        );
+    });
+}
+
 function applyPanning( audioEvent, modules, startTimeInSeconds ) {
     const mp = audioEvent.mp, doGlide = mp.glide,
           durationInSeconds = audioEvent.seq.mpLength,
@@ -207,6 +283,85 @@ function applyDelay( audioEvent, modules ) {
     }
 }
 
+function applyBitcrusher( audioEvent, modules, startTimeInSeconds ) {
+    const mp = audioEvent.mp, doGlide = mp.glide,
+          durationInSeconds = audioEvent.seq.mpLength,
+          module = modules.bitcrusher.bitcrusher, target = ( mp.value / 100 );
+
+    switch ( mp.module ) {
+        case BITCRUSHER_BITS: {
+            const bits = Config.MIN_BITCRUSHER_BITS + target * ( Config.MAX_BITCRUSHER_BITS - Config.MIN_BITCRUSHER_BITS );
+            // without AudioWorklet support the bit depth is applied immediately (cannot glide)
+            if ( module.bitsParam ) {
+                scheduleParameterChange( module.bitsParam, bits, startTimeInSeconds, durationInSeconds, doGlide );
+            } else {
+                module.bits = bits;
+            }
+            break;
+        }
+        case BITCRUSHER_DOWNSAMPLE:
+            if ( module.downsampleParam ) {
+                scheduleParameterChange( module.downsampleParam, 1 + target * ( Config.MAX_BITCRUSHER_DOWNSAMPLE - 1 ), startTimeInSeconds, durationInSeconds, doGlide );
+            }
+            break;
+        case BITCRUSHER_MIX:
+            scheduleParameterChange( module.wetParam, target, startTimeInSeconds, durationInSeconds, doGlide );
+            scheduleParameterChange( module.dryParam, 1 - target, startTimeInSeconds, durationInSeconds, doGlide );
+            break;
+    }
+}
+
+function applyModulation( audioEvent, modules, startTimeInSeconds ) {
+    const mp = audioEvent.mp, doGlide = mp.glide,
+          durationInSeconds = audioEvent.seq.mpLength,
+          module = modules.modulation.modulation, target = ( mp.value / 100 );
+
+    switch ( mp.module ) {
+        case MODULATION_RATE:
+            scheduleParameterChange( module.rateParam, target * Config.MAX_MODULATION_RATE, startTimeInSeconds, durationInSeconds, doGlide );
+            break;
+        case MODULATION_DEPTH:
+            scheduleParameterChange( module.depthParam, getModulationRange( module.type, target ).amount, startTimeInSeconds, durationInSeconds, doGlide );
+            break;
+        case MODULATION_FEEDBACK:
+            scheduleParameterChange( module.feedbackParam, target * Config.MAX_MODULATION_FEEDBACK, startTimeInSeconds, durationInSeconds, doGlide );
+            break;
+        case MODULATION_MIX:
+            scheduleParameterChange( module.wetParam, target, startTimeInSeconds, durationInSeconds, doGlide );
+            scheduleParameterChange( module.dryParam, 1 - target, startTimeInSeconds, durationInSeconds, doGlide );
+            break;
+    }
+}
+
+function applyReverb( audioEvent, modules, startTimeInSeconds ) {
+    const mp = audioEvent.mp, doGlide = mp.glide,
+          durationInSeconds = audioEvent.seq.mpLength,
+          module = modules.reverb.reverb, target = ( mp.value / 100 );
+
+    switch ( mp.module ) {
+        case REVERB_WET:
+            scheduleParameterChange( module.wetParam, target, startTimeInSeconds, durationInSeconds, doGlide );
+            scheduleParameterChange( module.dryParam, 1 - target, startTimeInSeconds, durationInSeconds, doGlide );
+            break;
+        case REVERB_PRE_DELAY:
+            module.preDelay = target * Config.MAX_REVERB_PRE_DELAY;
+            break;
+        case REVERB_DAMPING:
+            scheduleParameterChange( module.dampingParam, getDampingFrequency( target ), startTimeInSeconds, durationInSeconds, doGlide );
+            break;
+    }
+}
+
+function applySend( audioEvent, modules, startTimeInSeconds ) {
+    const mp = audioEvent.mp, doGlide = mp.glide,
+          durationInSeconds = audioEvent.seq.mpLength,
+          send = modules.sends[ SEND_PARAMS.indexOf( mp.module ) ];
+
+    if ( send ) {
+        scheduleParameterChange( send.gain, mp.value / 100, startTimeInSeconds, durationInSeconds, doGlide );
+    }
+}
+
 function applyExternalEvent( audioContext, event, startTimeInSeconds, eventCallback ) {
     if ( !eventCallback ) {
         return;
@@ -21,10 +21,15 @@
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 
+import {
+    EQ, OVERDRIVE, BITCRUSHER, FILTER, MODULATION, DELAY, REVERB, DEFAULT_MODULE_ORDER
+} from '@/definitions/module-order';
+
 /**
  * apply the routing for the given instrument modules
  * (e.g. toggling devices on/off and connecting them
- * to the corresponding devices)
+ * to the corresponding devices). The processed signal is
+ * also connected to the sends of the auxiliary buses.
  *
  * @param {INSTRUMENT_MODULES} modules
  * @param {AudioParam} output
@@ -35,14 +40,20 @@ export const applyRouting = ( modules, output ) => {
           panner       = modules.panner, // can be null when unsupported
           eq           = modules.eq,
           overdrive    = modules.overdrive.overdrive,
+          bitcrusher   = modules.bitcrusher.bitcrusher,
           filter       = modules.filter.filter,
-          delay        = modules.delay.delay;
+          modulation   = modules.modulation.modulation,
+          delay        = modules.delay.delay,
+          reverb       = modules.reverb.reverb;
 
     moduleOutput.disconnect();
     overdrive.disconnect();
     eq.output.disconnect();
+    bitcrusher.output.disconnect();
     filter.disconnect();
+    modulation.output.disconnect();
     delay.output.disconnect();
+    reverb.output.disconnect();
 
     let lastOutput = moduleOutput;
 
@@ -52,33 +63,138 @@ export const applyRouting = ( modules, output ) => {
         lastOutput = panner; // all other modules are applied post-pan
     }
 
-    if ( eq.eqEnabled ) {
-        lastOutput.connect( eq.lowBand );
-        lastOutput.connect( eq.midBand );
-        lastOutput.connect( eq.highBand );
-        lastOutput = eq.output;
-    }
-
-    if ( modules.overdrive.overdriveEnabled )
-        routes.push( overdrive );
-
-    if ( modules.filter.filterEnabled )
-        routes.push( filter );
+    // effect modules are applied in the order defined for the instrument
 
-    if ( modules.delay.delayEnabled )
-        routes.push( delay );
+    const order = Array.isArray( modules.order ) ? modules.order : DEFAULT_MODULE_ORDER;
 
-    routes.push( output );
+    order.forEach( moduleName => {
+        switch ( moduleName ) {
+            case EQ:
+                if ( eq.eqEnabled )
+                    routes.push( eq );
+                break;
+            case OVERDRIVE:
+                if ( modules.overdrive.overdriveEnabled )
+                    routes.push( overdrive );
+                break;
+            case BITCRUSHER:
+                if ( modules.bitcrusher.bitcrusherEnabled )
+                    routes.push( bitcrusher );
+                break;
+            case FILTER:
+                if ( modules.filter.filterEnabled )
+                    routes.push( filter );
+                break;
+            case MODULATION:
+                if ( modules.modulation.modulationEnabled )
+                    routes.push( modulation );
+                break;
+            case DELAY:
+                if ( modules.delay.delayEnabled )
+                    routes.push( delay );
+                break;
+            case REVERB:
+                if ( modules.reverb.reverbEnabled )
+                    routes.push( reverb );
+                break;
+        }
+    });
 
     let input;
     routes.forEach(mod => {
 
+        // the EQ splits its input across its low, mid and high bands
+
+        if ( mod === eq ) {
+            lastOutput.connect( eq.lowBand );
+            lastOutput.connect( eq.midBand );
+            lastOutput.connect( eq.highBand );
+            lastOutput = eq.output;
+            return;
+        }
+
         // some signatures are different here
-        // Delay and Overdrive have "input" and "output" GainNodes
+        // Bitcrusher, Modulation, Delay, Reverb and Overdrive have "input" and "output" GainNodes
         // for any other type of connection (e.g. filter) mod is the node
 
         input = ( mod.input instanceof GainNode ) ? mod.input : mod;
         lastOutput.connect( input );
         lastOutput = ( mod.output instanceof GainNode ) ? mod.output : mod;
     });
+    lastOutput.connect( output );
+
+    // sends are post-fader and post-FX
+
+    if ( Array.isArray( modules.sends )) {
+        modules.sends.forEach( send => lastOutput.connect( send ));
+    }
+};
+
+/**
+ * apply the routing for the master bus modules, connecting
+ * the enabled modules in series onto given output
+ *
+ * @param {MASTER_MODULES} modules
+ * @param {AudioNode} output
+ */
+export const applyMasterRouting = ( modules, output ) => {
+    const { input, highpass, eq, compressor, limiter } = modules;
+
+    input.disconnect();
+    highpass.disconnect();
+    eq.output.disconnect();
+    compressor.compressor.disconnect();
+    limiter.limiter.disconnect();
+    modules.output.disconnect();
+
+    input.connect( highpass );
+    let lastOutput = highpass;
+
+    if ( eq.eqEnabled ) {
+        lastOutput.connect( eq.lowBand );
+        lastOutput.connect( eq.midBand );
+        lastOutput.connect( eq.highBand );
+        lastOutput = eq.output;
+    }
+
+    if ( compressor.compressorEnabled ) {
+        lastOutput.connect( compressor.compressor );
+        lastOutput = compressor.compressor;
+    }
+
+    if ( limiter.limiterEnabled ) {
+        lastOutput.connect( limiter.limiter );
+        lastOutput = limiter.limiter;
+    }
+    lastOutput.connect( modules.output );
+    modules.output.connect( output );
+};
+
+/**
+ * apply the routing for the modules of an auxiliary bus. Unlike the
+ * instrument modules, the effects are connected in parallel as each
+ * effect outputs its processed signal only (multiple effects on the
+ * same bus should not process each others output)
+ *
+ * @param {AUX_BUS_MODULES} modules
+ * @param {AudioNode} output
+ */
+export const applyAuxBusRouting = ( modules, output ) => {
+    const { input, delay, reverb } = modules;
+
+    input.disconnect();
+    delay.delay.output.disconnect();
+    reverb.reverb.output.disconnect();
+    modules.output.disconnect();
+
+    if ( delay.delayEnabled ) {
+        input.connect( delay.delay.input );
+        delay.delay.output.connect( modules.output );
+    }
+
+    if ( reverb.reverbEnabled ) {
+        input.connect( reverb.reverb.input );
+        reverb.reverb.output.connect( modules.output );
+    }
+    modules.output.connect( output );
 };
@@ -77,6 +77,30 @@ const Recorder = function (source, cfg = {}) {
 };
 export default Recorder;
 
+/**
+ * encodes the contents of given AudioBuffer (e.g. the result of
+ * an offline render) as a stereo WAV file
+ *
+ * @param {AudioBuffer} audioBuffer
+ * @param {string=} type
+ * @return {Promise<Blob>}
+ */
+Recorder.encodeWAV = function (audioBuffer, type = 'audio/wav') {
+    return new Promise(resolve => {
+        const worker = new RecorderWorker();
+        worker.onmessage = function (e) {
+            worker.terminate();
+            resolve(e.data);
+        };
+        const left  = audioBuffer.getChannelData(0);
+        const right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
+
+        worker.postMessage({ command: 'init', config: { sampleRate: audioBuffer.sampleRate } });
+        worker.postMessage({ command: 'record', buffer: [ left, right ] });
+        worker.postMessage({ command: 'exportWAV', type: type });
+    });
+};
+
 /* internal methods */
 
 Recorder.forceDownload = function(blob, filename) {
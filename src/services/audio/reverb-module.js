@@ -0,0 +1,188 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import Config from '@/config';
+import { createGainNode } from './webaudio-helper';
+
+/**
+ * Reverb applies a generated impulse response onto its input signal
+ * using a ConvolverNode. The reverberated (wet) signal is pre-delayed
+ * and damped (low pass filtered) prior to being mixed with the dry signal.
+ */
+export default class Reverb {
+    /**
+     * @param {BaseAudioContext} audioContext
+     * @param {{ size: number, decay: number, preDelay: number, damping: number, wet: number }} props
+     */
+    constructor( audioContext, { size, decay, preDelay, damping, wet }) {
+        this.audioContext = audioContext;
+
+        this.input  = createGainNode( audioContext );
+        this.output = createGainNode( audioContext );
+
+        this._dry       = createGainNode( audioContext );
+        this._wet       = createGainNode( audioContext );
+        this._preDelay  = audioContext.createDelay( Config.MAX_REVERB_PRE_DELAY );
+        this._convolver = audioContext.createConvolver();
+        this._damping   = audioContext.createBiquadFilter();
+
+        this._damping.type = 'lowpass';
+
+        this.input.connect( this._dry );
+        this.input.connect( this._preDelay );
+        this._preDelay.connect( this._convolver );
+        this._convolver.connect( this._damping );
+        this._damping.connect( this._wet );
+
+        this._dry.connect( this.output );
+        this._wet.connect( this.output );
+
+        this.setRoom( size, decay );
+        this.preDelay = preDelay;
+        this.damping  = damping;
+        this.wet      = wet;
+    }
+
+    /**
+     * (re)generates the impulse response for given room size and decay. As generating
+     * the impulse response is expensive, this only happens when the values have changed.
+     *
+     * @param {number} size duration of the reverb tail in seconds
+     * @param {number} decay steepness of the reverb tails fade out
+     */
+    setRoom( size, decay ) {
+        if ( size === this._size && decay === this._decay ) {
+            return;
+        }
+        this._size  = size;
+        this._decay = decay;
+
+        this._convolver.buffer = createImpulseResponse( this.audioContext, size, decay );
+    }
+
+    get size() {
+        return this._size;
+    }
+
+    get decay() {
+        return this._decay;
+    }
+
+    get preDelay() {
+        return this._preDelay.delayTime.value;
+    }
+
+    /**
+     * @param {number} value in seconds
+     */
+    set preDelay( value ) {
+        this._preDelay.delayTime.value = Math.min( Config.MAX_REVERB_PRE_DELAY, value );
+    }
+
+    get damping() {
+        return this._dampingAmount;
+    }
+
+    /**
+     * @param {number} value in the 0 - 1 range, where higher values
+     *                 result in a darker sounding reverb
+     */
+    set damping( value ) {
+        this._dampingAmount = value;
+        this._damping.frequency.value = getDampingFrequency( value );
+    }
+
+    get wet() {
+        return this._wet.gain.value;
+    }
+
+    /**
+     * @param {number} value in the 0 - 1 range, the dry signal is attenuated accordingly
+     */
+    set wet( value ) {
+        this._wet.gain.value = value;
+        this._dry.gain.value = 1 - value;
+    }
+
+    /**
+     * @return {AudioParam} wet gain, for scheduling automation
+     */
+    get wetParam() {
+        return this._wet.gain;
+    }
+
+    /**
+     * @return {AudioParam} dry gain, for scheduling automation
+     */
+    get dryParam() {
+        return this._dry.gain;
+    }
+
+    /**
+     * @return {AudioParam} damping filters cutoff frequency, for scheduling automation
+     */
+    get dampingParam() {
+        return this._damping.frequency;
+    }
+
+    connect( destination ) {
+        this.output.connect( destination.input ? destination.input : destination );
+    }
+
+    disconnect() {
+        this.output.disconnect();
+    }
+}
+
+/**
+ * translates a damping amount to the cutoff frequency of the low pass filter applied onto the
+ * reverberated signal (exponentially as the higher frequency range has lower perceptual impact)
+ *
+ * @param {number} damping in the 0 - 1 range
+ * @return {number} frequency in Hz
+ */
+export const getDampingFrequency = damping => {
+    const { MIN_REVERB_DAMPING_FREQ, MAX_REVERB_DAMPING_FREQ } = Config;
+    return MIN_REVERB_DAMPING_FREQ + ( MAX_REVERB_DAMPING_FREQ - MIN_REVERB_DAMPING_FREQ ) * Math.pow( 1 - damping, 2 );
+};
+
+/**
+ * generates a stereo impulse response of exponentially decaying noise
+ *
+ * @param {BaseAudioContext} audioContext
+ * @param {number} size duration of the impulse response in seconds
+ * @param {number} decay steepness of the fade out, higher values result in a faster decay
+ * @return {AudioBuffer}
+ */
+export const createImpulseResponse = ( audioContext, size, decay ) => {
+    const { sampleRate } = audioContext;
+    const length = Math.max( 1, Math.round( sampleRate * Math.max( Config.MIN_REVERB_SIZE, size )));
+    const buffer = audioContext.createBuffer( 2, length, sampleRate );
+
+    for ( let c = 0; c < buffer.numberOfChannels; ++c ) {
+        const channel = buffer.getChannelData( c );
+        for ( let i = 0; i < length; ++i ) {
+            channel[ i ] = ( Math.random() * 2 - 1 ) * Math.pow( 1 - i / length, decay );
+        }
+    }
+    return buffer;
+};
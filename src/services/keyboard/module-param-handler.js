@@ -27,7 +27,7 @@ import HistoryStateFactory from '@/model/factory/history-state-factory';
 
 // modules parameters available to Efflux, we map keyCode to the first letter(s) of their name
 
-import { D_MODULES, E_MODULES, F_MODULES, P_MODULES, V_MODULES } from '@/definitions/automatable-parameters';
+import { B_MODULES, D_MODULES, E_MODULES, F_MODULES, M_MODULES, P_MODULES, R_MODULES, S_MODULES, V_MODULES, W_MODULES } from '@/definitions/automatable-parameters';
 
 let store, state;
 
@@ -102,11 +102,16 @@ const ModuleParamHandler =
                 default:
                     return null;
 
+                case 66: // B
                 case 68: // D
                 case 69: // E
                 case 70: // F
+                case 77: // M
                 case 80: // P
+                case 82: // R
+                case 83: // S
                 case 86: // V
+                case 87: // W
                     return ModuleParamHandler.getNextSelectedModule(keyCode, currentModule);
             }
         }
@@ -135,22 +140,35 @@ export default ModuleParamHandler;
 function getModuleListByKeyCode( keyCode ) {
     switch ( keyCode ) {
         default:
+        case 66:
+            return B_MODULES;
         case 68:
             return D_MODULES;
         case 69:
             return E_MODULES;
         case 70:
             return F_MODULES;
+        case 77:
+            return M_MODULES;
         case 80:
             return P_MODULES;
+        case 82:
+            return R_MODULES;
+        case 83:
+            return S_MODULES;
         case 86:
             return V_MODULES;
+        case 87:
+            return W_MODULES;
     }
 }
 
 function getModuleByFirstTwoLetters( letters, selectedModule ) {
     let list;
     switch ( letters.charAt( 0 )) {
+        case 'B':
+            list = B_MODULES;
+            break;
         case 'D':
             list = D_MODULES;
             break;
@@ -160,12 +178,24 @@ function getModuleByFirstTwoLetters( letters, selectedModule ) {
         case 'F':
             list = F_MODULES;
             break;
+        case 'M':
+            list = M_MODULES;
+            break;
         case 'P':
             list = P_MODULES;
             break;
+        case 'R':
+            list = R_MODULES;
+            break;
+        case 'S':
+            list = S_MODULES;
+            break;
         case 'V':
             list = V_MODULES;
             break;
+        case 'W':
+            list = W_MODULES;
+            break;
     }
     if ( list ) {
         if (list.length === 1)
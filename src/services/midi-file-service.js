@@ -0,0 +1,528 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import Config         from '@/config';
+import EventFactory   from '@/model/factory/event-factory';
+import PatternFactory from '@/model/factory/pattern-factory';
+import SongFactory    from '@/model/factory/song-factory';
+import Pitch          from '@/services/audio/pitch';
+import EventUtil      from '@/utils/event-util';
+import {
+    ACTION_IDLE, ACTION_NOTE_ON, ACTION_NOTE_OFF, DEFAULT_VELOCITY, MAX_VELOCITY
+} from '@/model/types/audio-event-def';
+import { getMeasureDurationInSeconds } from '@/utils/audio-math';
+import { createTempoMap } from '@/utils/tempo-util';
+
+/* private properties */
+
+const PPQ              = 480; // pulses (ticks) per quarter note
+const BEATS_PER_BAR    = 4;
+const MAX_MIDI_VELOCITY = 127;
+
+const MIN_TEMPO        = 40;
+const MAX_TEMPO        = 300;
+
+const NOTE_OFF            = 0x80,
+      NOTE_ON             = 0x90,
+      PROGRAM_CHANGE      = 0xC0,
+      CHANNEL_PRESSURE    = 0xD0,
+      SYSEX_EVENT         = 0xF0,
+      SYSEX_ESCAPE        = 0xF7,
+      META_EVENT          = 0xFF,
+      META_TRACK_NAME     = 0x03,
+      META_END_OF_TRACK   = 0x2F,
+      META_TEMPO          = 0x51,
+      META_TIME_SIGNATURE = 0x58;
+
+/**
+ * MidiFileService converts Songs into Standard MIDI Files (SMF) and vice versa so
+ * arrangements can be exchanged with other music software
+ */
+const MidiFileService =
+{
+    /**
+     * encodes given Song into a type 1 Standard MIDI File. The file
+     * contains a conductor track (holding the tempo and time signature)
+     * followed by a single track for each of the songs channels
+     *
+     * @param {SONG} song
+     * @return {Uint8Array}
+     */
+    encode( song ) {
+        const tracks = [ createConductorTrack( song ) ];
+        const amountOfChannels = song.patterns.length ? song.patterns[ 0 ].channels.length : 0;
+
+        for ( let channelIndex = 0; channelIndex < amountOfChannels; ++channelIndex ) {
+            tracks.push( createChannelTrack( song, channelIndex ));
+        }
+
+        const bytes = [
+            ...toBytes( 'MThd' ),
+            ...uint32( 6 ),
+            ...uint16( 1 ),             // format 1 (multiple synchronous tracks)
+            ...uint16( tracks.length ),
+            ...uint16( PPQ )
+        ];
+        tracks.forEach( trackEvents => bytes.push( ...encodeTrack( trackEvents )));
+
+        return new Uint8Array( bytes );
+    },
+    /**
+     * decodes the contents of a type 0 or type 1 Standard MIDI File into a list
+     * of tracks, each containing its name, tempo changes and notes (where the
+     * start and end of each note is expressed in ticks)
+     *
+     * @param {ArrayBuffer|Uint8Array} data
+     * @return {{
+     *             format: number,
+     *             ppq: number,
+     *             tracks: Array<{
+     *                 name: string,
+     *                 tempos: Array<{ tick: number, tempo: number }>,
+     *                 notes: Array<{ channel: number, noteNumber: number, velocity: number, start: number, end: number }>
+     *             }>
+     *         }}
+     * @throws {Error} when given data is not a valid (or supported) MIDI file
+     */
+    decode( data ) {
+        const reader = createReader( data instanceof Uint8Array ? data : new Uint8Array( data ));
+
+        if ( reader.readString( 4 ) !== 'MThd' ) {
+            throw new Error( 'File is not a Standard MIDI File' );
+        }
+        const headerLength = reader.readUint32();
+        const format       = reader.readUint16();
+        const trackAmount  = reader.readUint16();
+        const ppq          = reader.readUint16();
+
+        if ( format > 1 ) {
+            throw new Error( `Unsupported MIDI file format ${format}` );
+        }
+        if ( ppq & 0x8000 ) {
+            throw new Error( 'SMPTE based time division is not supported' );
+        }
+        reader.skip( headerLength - 6 );
+
+        const tracks = [];
+        while ( tracks.length < trackAmount && !reader.isEOF() ) {
+            const chunkType   = reader.readString( 4 );
+            const chunkLength = reader.readUint32();
+            const chunkEnd    = reader.position + chunkLength;
+
+            if ( chunkType === 'MTrk' ) {
+                tracks.push( decodeTrack( reader, chunkEnd ));
+            }
+            reader.seek( chunkEnd ); // unknown chunks are to be ignored
+        }
+        return { format, ppq, tracks };
+    },
+    /**
+     * creates a new Song from the decoded contents of a MIDI file (see decode()). Notes are
+     * quantized to the nearest step of a pattern that has given amount of steps. For type 1 files
+     * each track with note content is assigned to an Efflux channel, for type 0 files each
+     * MIDI channel is. Channels are monophonic, when notes overlap within the same channel, only
+     * the first note to be triggered will be placed.
+     *
+     * @param {Object} midiFile the decoded MIDI file
+     * @param {number=} steps the amount of steps of each pattern (e.g. 16, 32 or 64)
+     * @param {string=} title optional title of the song
+     * @return {SONG}
+     */
+    toSong( midiFile, steps = 16, title = '' ) {
+        const song = SongFactory.createSong( Config.INSTRUMENT_AMOUNT );
+        const { meta } = song;
+
+        meta.title = title;
+        meta.tempo = getInitialTempo( midiFile.tracks, meta.tempo );
+
+        const ticksPerStep = ( midiFile.ppq * BEATS_PER_BAR ) / steps;
+        const sources      = groupNotesBySource( midiFile ).slice( 0, Config.INSTRUMENT_AMOUNT );
+
+        // quantize the notes to pattern steps (relative to the start of the song)
+
+        let lastStep = 0;
+        const channels = sources.map( notes => {
+            const quantized = [];
+            notes.forEach(({ noteNumber, velocity, start, end }) => {
+                const startStep = Math.round( start / ticksPerStep );
+                const endStep   = Math.max( startStep + 1, Math.round( end / ticksPerStep ));
+
+                // channels are monophonic, the first note occupying a step wins
+
+                if ( quantized.find( note => note.startStep === startStep )) {
+                    return;
+                }
+                quantized.push({ noteNumber, velocity, startStep, endStep });
+                lastStep = Math.max( lastStep, endStep );
+            });
+            return quantized.sort(( a, b ) => a.startStep - b.startStep );
+        });
+
+        const patternAmount = Math.min( Config.MAX_PATTERN_AMOUNT, Math.max( 1, Math.ceil( lastStep / steps )));
+        const maxStep       = patternAmount * steps;
+        const stepDuration  = getMeasureDurationInSeconds( meta.tempo, BEATS_PER_BAR ) / steps;
+
+        song.patterns = new Array( patternAmount );
+        for ( let i = 0; i < patternAmount; ++i ) {
+            song.patterns[ i ] = PatternFactory.createEmptyPattern( steps );
+        }
+        song.order = song.patterns.map(( pattern, patternIndex ) => patternIndex );
+
+        const addEvent = ( channelIndex, absoluteStep, event, length ) => {
+            const patternIndex = Math.floor( absoluteStep / steps );
+            const step         = absoluteStep % steps;
+            const pattern      = song.patterns[ patternIndex ];
+
+            EventUtil.setPosition( event, song, patternIndex, step, length );
+            pattern.channels[ channelIndex ][ step ] = event;
+        };
+
+        channels.forEach(( notes, channelIndex ) => {
+            notes.forEach(( note, index ) => {
+                const { startStep, endStep } = note;
+                if ( startStep >= maxStep ) {
+                    return;
+                }
+                const { note: noteName, octave } = getPitchByNoteNumber( note.noteNumber );
+                const nextNote = notes[ index + 1 ];
+                const nextStep = nextNote ? nextNote.startStep : maxStep;
+
+                // a note lasts until the next note starts or its own noteOff is defined
+
+                const offStep = Math.min( endStep, nextStep );
+                addEvent(
+                    channelIndex, startStep,
+                    EventFactory.createAudioEvent(
+                        channelIndex, noteName, octave, ACTION_NOTE_ON,
+                        Math.round(( note.velocity / MAX_MIDI_VELOCITY ) * MAX_VELOCITY )
+                    ),
+                    ( offStep - startStep ) * stepDuration
+                );
+                if ( endStep < nextStep && endStep < maxStep ) {
+                    addEvent( channelIndex, endStep, EventFactory.createAudioEvent( channelIndex, '', 0, ACTION_NOTE_OFF ));
+                }
+            });
+        });
+        return song;
+    },
+    /**
+     * converts given note and octave into a MIDI note number (where C4 equals 60)
+     *
+     * @param {string} note
+     * @param {number} octave
+     * @return {number}
+     */
+    getNoteNumber( note, octave ) {
+        return (( octave + 1 ) * 12 ) + Pitch.OCTAVE_SCALE.indexOf( note );
+    }
+};
+export default MidiFileService;
+
+/* internal methods */
+
+/**
+ * converts a MIDI note number into a note and octave, the octave is
+ * clamped to the range supported by Efflux
+ */
+function getPitchByNoteNumber( noteNumber ) {
+    const octave = Math.floor( noteNumber / 12 ) - 1;
+    return {
+        note   : Pitch.OCTAVE_SCALE[ noteNumber % 12 ],
+        octave : Math.max( 1, Math.min( Config.MAX_OCTAVE, octave ))
+    };
+}
+
+function getInitialTempo( tracks, defaultTempo ) {
+    const tempos = tracks.reduce(( list, track ) => list.concat( track.tempos ), [])
+                         .sort(( a, b ) => a.tick - b.tick );
+
+    if ( !tempos.length ) {
+        return defaultTempo;
+    }
+    const tempo = Math.round( tempos[ 0 ].tempo * 10 ) / 10;
+    return Math.max( MIN_TEMPO, Math.min( MAX_TEMPO, tempo ));
+}
+
+/**
+ * groups the notes of given MIDI file by their source, for type 0 files this
+ * is the MIDI channel the notes are played on, for type 1 files this is the track
+ * the notes are defined in. Sources are sorted by the appearance of their first note
+ *
+ * @return {Array<Array<Object>>}
+ */
+function groupNotesBySource({ format, tracks }) {
+    const sources = new Map();
+
+    tracks.forEach(( track, trackIndex ) => {
+        track.notes.forEach( note => {
+            const key = format === 0 ? note.channel : trackIndex;
+            if ( !sources.has( key )) {
+                sources.set( key, []);
+            }
+            sources.get( key ).push( note );
+        });
+    });
+    return [ ...sources.values() ]
+        .map( notes => notes.sort(( a, b ) => a.start - b.start ))
+        .sort(( a, b ) => a[ 0 ].start - b[ 0 ].start );
+}
+
+function decodeTrack( reader, chunkEnd ) {
+    const track = { name: '', tempos: [], notes: [] };
+    const openNotes = [];
+    let tick = 0, runningStatus = 0;
+
+    const closeNote = ( channel, noteNumber ) => {
+        const index = openNotes.findIndex( note => note.channel === channel && note.noteNumber === noteNumber );
+        if ( index > -1 ) {
+            openNotes.splice( index, 1 )[ 0 ].end = tick;
+        }
+    };
+
+    while ( reader.position < chunkEnd ) {
+        tick += reader.readVariableLengthQuantity();
+
+        let status = reader.readUint8();
+
+        if ( status === META_EVENT ) {
+            const type = reader.readUint8();
+            const data = reader.readBytes( reader.readVariableLengthQuantity() );
+
+            if ( type === META_TRACK_NAME ) {
+                track.name = String.fromCharCode( ...data );
+            } else if ( type === META_TEMPO ) {
+                const microSecondsPerQuarterNote = ( data[ 0 ] << 16 ) | ( data[ 1 ] << 8 ) | data[ 2 ];
+                track.tempos.push({ tick, tempo: 60000000 / microSecondsPerQuarterNote });
+            } else if ( type === META_END_OF_TRACK ) {
+                break;
+            }
+            continue;
+        }
+        if ( status === SYSEX_EVENT || status === SYSEX_ESCAPE ) {
+            reader.skip( reader.readVariableLengthQuantity() );
+            continue;
+        }
+        if ( status < 0x80 ) {
+            // running status, the byte we read was the first data byte
+            status = runningStatus;
+            reader.skip( -1 );
+        } else {
+            runningStatus = status;
+        }
+        const type    = status & 0xF0;
+        const channel = status & 0x0F;
+        const data1   = reader.readUint8();
+        const data2   = ( type === PROGRAM_CHANGE || type === CHANNEL_PRESSURE ) ? 0 : reader.readUint8();
+
+        if ( type === NOTE_ON && data2 > 0 ) {
+            const note = { channel, noteNumber: data1, velocity: data2, start: tick, end: tick };
+            openNotes.push( note );
+            track.notes.push( note );
+        } else if ( type === NOTE_OFF || type === NOTE_ON ) {
+            // a noteOn with zero velocity equals a noteOff
+            closeNote( channel, data1 );
+        }
+    }
+    // notes that weren't stopped last until the end of the track
+    openNotes.forEach( note => note.end = tick );
+
+    return track;
+}
+
+function createReader( bytes ) {
+    const reader = {
+        position: 0,
+        isEOF: () => reader.position >= bytes.length,
+        seek: position => { reader.position = position; },
+        skip: amount => { reader.position += amount; },
+        readUint8() {
+            if ( reader.isEOF() ) {
+                throw new Error( 'Unexpected end of MIDI file' );
+            }
+            return bytes[ reader.position++ ];
+        },
+        readUint16: () => ( reader.readUint8() << 8 ) | reader.readUint8(),
+        readUint32: () => (( reader.readUint16() << 16 ) | reader.readUint16() ) >>> 0,
+        readBytes( length ) {
+            const out = Array.from( bytes.slice( reader.position, reader.position + length ));
+            reader.position += length;
+            return out;
+        },
+        readString: length => String.fromCharCode( ...reader.readBytes( length )),
+        readVariableLengthQuantity() {
+            let value = 0, byte;
+            do {
+                byte  = reader.readUint8();
+                value = ( value << 7 ) | ( byte & 0x7F );
+            } while ( byte & 0x80 );
+            return value;
+        }
+    };
+    return reader;
+}
+
+function createConductorTrack( song ) {
+    const events = [
+        { tick: 0, data: createMetaEvent( META_TRACK_NAME, toBytes( song.meta.title || '' )) }
+    ];
+    let tempo, timeSignature;
+
+    // each change in tempo or time signature throughout the songs tempo map is written into the conductor track
+    createTickMap( song ).forEach( entry => {
+        if ( entry.tempo !== tempo ) {
+            tempo = entry.tempo;
+            events.push({ tick: entry.startTick, data: createMetaEvent( META_TEMPO, uint24( Math.round( 60000000 / tempo ))) });
+        }
+        if ( `${entry.beatAmount}/${entry.beatUnit}` !== timeSignature ) {
+            timeSignature = `${entry.beatAmount}/${entry.beatUnit}`;
+            // numerator, denominator (as power of two), MIDI clocks per metronome click, 32nd notes per quarter
+            events.push({ tick: entry.startTick, data: createMetaEvent(
+                META_TIME_SIGNATURE, [ entry.beatAmount, Math.round( Math.log2( entry.beatUnit )), 24, 8 ]
+            )});
+        }
+    });
+    events.push({ tick: events[ events.length - 1 ].tick, data: createMetaEvent( META_END_OF_TRACK, []) });
+
+    return events;
+}
+
+/**
+ * collects all note events of the channel at given index across all of the Songs patterns
+ * (in the sequence defined by the songs order list). Like the Sequencer, each note lasts until
+ * a subsequent noteOn or noteOff is defined in the same channel, or until the end of the song has been reached
+ */
+function createChannelTrack( song, channelIndex ) {
+    const { patterns, instruments } = song;
+    const tickMap     = createTickMap( song );
+    const lastEntry   = tickMap[ tickMap.length - 1 ];
+    const songEndTick = lastEntry ? lastEntry.startTick + lastEntry.ticks : 0;
+    const midiChannel = channelIndex % 16;
+    const instrument  = instruments[ channelIndex ];
+
+    const events = [
+        { tick: 0, data: createMetaEvent( META_TRACK_NAME, toBytes( instrument ? instrument.name : '' )) }
+    ];
+    let playingNote = null, lastTick = 0;
+
+    const addNoteOff = tick => {
+        events.push({ tick, data: [ NOTE_OFF | midiChannel, playingNote, 0x40 ] });
+        playingNote = null;
+    };
+
+    tickMap.forEach(({ patternIndex, startTick, tempo }) => {
+        patterns[ patternIndex ].channels[ channelIndex ].forEach( event => {
+            if ( !event || event.action === ACTION_IDLE ) {
+                return;
+            }
+            const { seq } = event;
+            const tick = Math.max( lastTick, startTick + secondsToTicks( seq.startMeasureOffset, tempo ));
+            lastTick = tick;
+
+            // all note actions kill the previously playing note
+
+            if ( playingNote !== null ) {
+                addNoteOff( tick );
+            }
+            if ( event.action === ACTION_NOTE_ON ) {
+                const noteNumber = MidiFileService.getNoteNumber( event.note, event.octave );
+                if ( noteNumber < 0 || noteNumber > 127 ) {
+                    return;
+                }
+                events.push({ tick, data: [ NOTE_ON | midiChannel, noteNumber, toMidiVelocity( event.velocity ) ] });
+                playingNote = noteNumber;
+            }
+        });
+    });
+
+    if ( playingNote !== null ) {
+        addNoteOff( Math.max( lastTick, songEndTick ));
+    }
+    events.push({ tick: Math.max( lastTick, songEndTick ), data: createMetaEvent( META_END_OF_TRACK, []) });
+
+    return events;
+}
+
+/**
+ * converts the velocity of an event into the MIDI velocity range
+ * (a noteOn with zero velocity equals a noteOff, as such the minimum is 1)
+ */
+function toMidiVelocity( velocity = DEFAULT_VELOCITY ) {
+    return Math.max( 1, Math.min( MAX_MIDI_VELOCITY, Math.round(( velocity / MAX_VELOCITY ) * MAX_MIDI_VELOCITY )));
+}
+
+/**
+ * extends the Songs tempo map (see tempo-util) with the start tick and the
+ * duration in ticks of each pattern (as ticks are relative to the quarter note,
+ * their duration is not affected by changes in tempo)
+ */
+function createTickMap( song ) {
+    let startTick = 0;
+    return createTempoMap( song ).map( entry => {
+        const ticks = Math.round( entry.beatAmount * ( 4 / entry.beatUnit ) * PPQ );
+        const tickEntry = { ...entry, startTick, ticks };
+        startTick += ticks;
+        return tickEntry;
+    });
+}
+
+/**
+ * serializes a list of absolutely timed events into an MTrk chunk
+ * (where each event is prefixed by its delta time to the previous event)
+ */
+function encodeTrack( events ) {
+    const data = [];
+    let previousTick = 0;
+
+    events.forEach(({ tick, data: eventData }) => {
+        data.push( ...toVariableLengthQuantity( tick - previousTick ), ...eventData );
+        previousTick = tick;
+    });
+    return [ ...toBytes( 'MTrk' ), ...uint32( data.length ), ...data ];
+}
+
+function createMetaEvent( type, data ) {
+    return [ META_EVENT, type, ...toVariableLengthQuantity( data.length ), ...data ];
+}
+
+function secondsToTicks( seconds, tempo ) {
+    return Math.round(( seconds / ( 60 / tempo )) * PPQ );
+}
+
+function toVariableLengthQuantity( value ) {
+    const bytes = [ value & 0x7F ];
+    while (( value >>= 7 ) > 0 ) {
+        bytes.unshift(( value & 0x7F ) | 0x80 );
+    }
+    return bytes;
+}
+
+function toBytes( string ) {
+    // MIDI text events are ASCII, replace characters outside of its range
+    return string.split( '' ).map( char => {
+        const code = char.charCodeAt( 0 );
+        return code < 128 ? code : 63; // "?"
+    });
+}
+
+const uint16 = value => [( value >> 8 ) & 0xFF, value & 0xFF ];
+const uint24 = value => [( value >> 16 ) & 0xFF, ( value >> 8 ) & 0xFF, value & 0xFF ];
+const uint32 = value => [( value >> 24 ) & 0xFF, ( value >> 16 ) & 0xFF, ( value >> 8 ) & 0xFF, value & 0xFF ];
@@ -22,6 +22,9 @@
  */
 import { MIDINotes, zMIDIEvent } from 'zmidi';
 import InstrumentUtil from '../utils/instrument-util';
+import { MAX_VELOCITY } from '../model/types/audio-event-def';
+
+const MAX_MIDI_VELOCITY = 127;
 
 let store, state;
 let noteValue, pitch, instrumentId, instrument;
@@ -47,7 +50,10 @@ export default {
             case zMIDIEvent.NOTE_ON:
                 instrumentId = state.editor.selectedInstrument;
                 instrument   = state.song.activeSong.instruments[ instrumentId ];
-                InstrumentUtil.onKeyDown( pitch, instrument, state.sequencer.recording, store );
+                InstrumentUtil.onKeyDown(
+                    pitch, instrument, state.sequencer.recording, store,
+                    Math.round(( aEvent.velocity / MAX_MIDI_VELOCITY ) * MAX_VELOCITY )
+                );
                 break;
 
             case zMIDIEvent.NOTE_OFF:
@@ -24,10 +24,11 @@ import EventUtil         from '../utils/event-util';
 import SongValidator     from '../model/validators/song-validator';
 import InstrumentFactory from '../model/factory/instrument-factory';
 import WaveTables        from './audio/wave-tables';
+import { DEFAULT_VELOCITY } from '../model/types/audio-event-def';
 
 /* private properties */
 
-const ASSEMBLER_VERSION = 5;
+const ASSEMBLER_VERSION = 22;
 
 /**
  * assembles a song Object from an .XTK file
@@ -52,7 +53,10 @@ export const assemble = xtk => {
 
             assembleMeta       ( song, xtkVersion, xtk[ META_OBJECT ] );
             assembleInstruments( song, xtkVersion, xtk[ INSTRUMENTS ]);
-            assemblePatterns   ( song, xtkVersion, xtk, song.meta.tempo );
+            assemblePatterns   ( song, xtkVersion, xtk );
+            assembleOrder      ( song, xtkVersion, xtk[ ORDER ]);
+            assembleMaster     ( song, xtkVersion, xtk[ MASTER ]);
+            assembleBuses      ( song, xtkVersion, xtk[ BUSES ]);
 
             // perform transformation on legacy songs
             SongValidator.transformLegacy( song );
@@ -94,6 +98,9 @@ export default
         disassembleMeta       ( xtk, song.meta );
         disassembleInstruments( xtk, song.instruments );
         disassemblePatterns   ( xtk, song.patterns );
+        disassembleOrder      ( xtk, song.order );
+        disassembleMaster     ( xtk, song.master );
+        disassembleBuses      ( xtk, song.buses );
 
         return JSON.stringify( xtk );
     }
@@ -112,6 +119,7 @@ const ASSEMBLER_VERSION_CODE = "av",
       META_CREATED  = "c",
       META_MODIFIED = "dm",
       META_TEMPO    = "tm",
+      META_SWING    = "sw",
 
       INSTRUMENTS                 = "ins",
       INSTRUMENT_ID               = "i",
@@ -128,6 +136,39 @@ const ASSEMBLER_VERSION_CODE = "av",
       INSTRUMENT_DELAY_OFFSET     = "o",
       INSTRUMENT_DELAY_TIME       = "t",
       INSTRUMENT_DELAY_TYPE       = "tp",
+      INSTRUMENT_BC               = "bc",
+      INSTRUMENT_BC_ENABLED       = "e",
+      INSTRUMENT_BC_BITS          = "b",
+      INSTRUMENT_BC_DOWNSAMPLE    = "ds",
+      INSTRUMENT_BC_MIX           = "m",
+      INSTRUMENT_MOD              = "md",
+      INSTRUMENT_MOD_ENABLED      = "e",
+      INSTRUMENT_MOD_TYPE         = "tp",
+      INSTRUMENT_MOD_RATE         = "r",
+      INSTRUMENT_MOD_DEPTH        = "d",
+      INSTRUMENT_MOD_FEEDBACK     = "f",
+      INSTRUMENT_MOD_MIX          = "m",
+      INSTRUMENT_REVERB           = "rv",
+      INSTRUMENT_REVERB_ENABLED   = "e",
+      INSTRUMENT_REVERB_SIZE      = "s",
+      INSTRUMENT_REVERB_DECAY     = "d",
+      INSTRUMENT_REVERB_PRE_DELAY = "pd",
+      INSTRUMENT_REVERB_DAMPING   = "dm",
+      INSTRUMENT_REVERB_WET       = "w",
+      INSTRUMENT_SENDS            = "sn",
+      INSTRUMENT_MODULE_ORDER     = "mo",
+      INSTRUMENT_LFOS             = "lf",
+      INSTRUMENT_LFO_TARGET       = "tg",
+      INSTRUMENT_LFO_SHAPE        = "sh",
+      INSTRUMENT_LFO_RATE         = "r",
+      INSTRUMENT_LFO_SYNC         = "sy",
+      INSTRUMENT_LFO_DIVISION     = "dv",
+      INSTRUMENT_LFO_DEPTH        = "d",
+      INSTRUMENT_POLYPHONY        = "py",
+      INSTRUMENT_POLY_MODE        = "mo",
+      INSTRUMENT_POLY_MAX_VOICES  = "mv",
+      INSTRUMENT_POLY_STEALING    = "st",
+      INSTRUMENT_POLY_GLIDE       = "gl",
       INSTRUMENT_FILTER           = "f",
       INSTRUMENT_FILTER_ENABLED   = "e",
       INSTRUMENT_FILTER_DEPTH     = "d",
@@ -136,6 +177,9 @@ const ASSEMBLER_VERSION_CODE = "av",
       INSTRUMENT_FILTER_Q         = "q",
       INSTRUMENT_FILTER_SPEED     = "s",
       INSTRUMENT_FILTER_TYPE      = "ft",
+      INSTRUMENT_FILTER_VELOCITY  = "vl",
+      INSTRUMENT_FILTER_ENV       = "en",
+      INSTRUMENT_FILTER_ENV_AMT   = "am",
       INSTRUMENT_EQ               = "eq",
       INSTRUMENT_EQ_ENABLED       = "e",
       INSTRUMENT_EQ_LOW           = "l",
@@ -154,7 +198,7 @@ const ASSEMBLER_VERSION_CODE = "av",
       OSCILLATOR_ADSR         = "a",
       OSCILLATOR_PITCH        = "pe",
       OSCILLATOR_PITCH_RANGE  = "pr",
-      // ADSR used for both amplitude and pitch envelopes
+      // ADSR used for amplitude, pitch and filter envelopes
       OSCILLATOR_ADSR_ATTACK  = "a",
       OSCILLATOR_ADSR_DECAY   = "d",
       OSCILLATOR_ADSR_SUSTAIN = "s",
@@ -165,10 +209,60 @@ const ASSEMBLER_VERSION_CODE = "av",
       OSCILLATOR_VOLUME       = "v",
       OSCILLATOR_WAVEFORM     = "w",
       OSCILLATOR_TABLE        = "t",
+      OSCILLATOR_SAMPLE       = "sm",
+      OSCILLATOR_UNISON       = "u",
+      UNISON_VOICES           = "v",
+      UNISON_DETUNE           = "d",
+      UNISON_SPREAD           = "s",
+      OSCILLATOR_ROUTING      = "rt",
+      ROUTING_MODE            = "m",
+      ROUTING_TARGET          = "t",
+      ROUTING_INDEX           = "i",
+      ROUTING_ENVELOPE        = "en",
+      OSCILLATOR_MORPH        = "mr",
+      MORPH_FRAMES            = "f",
+      MORPH_POSITION          = "p",
+      MORPH_ENVELOPE          = "en",
+      MORPH_ENVELOPE_AMOUNT   = "am",
+      SAMPLE_NAME             = "n",
+      SAMPLE_DATA             = "d",
+      SAMPLE_ROOT_NOTE        = "rn",
+      SAMPLE_ROOT_OCTAVE      = "ro",
+      SAMPLE_LOOP             = "l",
+      SAMPLE_LOOP_START       = "ls",
+      SAMPLE_LOOP_END         = "le",
+
+      ORDER            = "o",
+
+      MASTER                      = "ms",
+      MASTER_VOLUME               = "v",
+      MASTER_EQ                   = "eq",
+      MASTER_EQ_ENABLED           = "e",
+      MASTER_EQ_LOW               = "l",
+      MASTER_EQ_MID               = "m",
+      MASTER_EQ_HIGH              = "h",
+      MASTER_COMPRESSOR           = "c",
+      MASTER_COMPRESSOR_ENABLED   = "e",
+      MASTER_COMPRESSOR_THRESHOLD = "t",
+      MASTER_COMPRESSOR_RATIO     = "r",
+      MASTER_COMPRESSOR_ATTACK    = "a",
+      MASTER_COMPRESSOR_RELEASE   = "rl",
+      MASTER_LIMITER              = "l",
+      MASTER_LIMITER_ENABLED      = "e",
+      MASTER_LIMITER_THRESHOLD    = "t",
+
+      // the delay and reverb of a bus use the same keys as those of the instruments
+      BUSES                       = "ab",
+      BUS_VOLUME                  = "v",
+      BUS_DELAY                   = "d",
+      BUS_REVERB                  = "rv",
 
       PATTERNS         = "p",
       PATTERN_STEPS    = "s",
       PATTERN_CHANNELS = "c",
+      PATTERN_GROOVE   = "g",
+      PATTERN_TEMPO    = "t",
+      PATTERN_BEATS    = "b",
 
       // as notes and automation instruction might be repeated
       // throughout a song we create pools to prevent redefining them
@@ -182,6 +276,7 @@ const ASSEMBLER_VERSION_CODE = "av",
       EVENT_NOTE              = "n",
       EVENT_OCTAVE            = "o",
       EVENT_LENGTH            = "l",
+      EVENT_VELOCITY          = "vl",
       EVENT_MODULE_AUTOMATION = "ma",
       EVENT_MODULE            = "m",
       EVENT_MODULE_VALUE      = "v",
@@ -196,7 +291,8 @@ function assembleMeta( song, savedXtkVersion, xtkMeta ) {
         author   : xtkMeta[ META_AUTHOR ],
         created  : xtkMeta[ META_CREATED ],
         modified : xtkMeta[ META_MODIFIED ],
-        tempo    : xtkMeta[ META_TEMPO ]
+        tempo    : xtkMeta[ META_TEMPO ],
+        swing    : xtkMeta[ META_SWING ] || 0 // swing was added in version 7 of the assembler
     };
 }
 
@@ -209,19 +305,23 @@ function disassembleMeta( xtk, meta ) {
     m[ META_CREATED ]  = meta.created;
     m[ META_MODIFIED ] = meta.modified;
     m[ META_TEMPO ]    = meta.tempo;
+    m[ META_SWING ]    = meta.swing;
 }
 
 function assembleInstruments( song, savedXtkVersion, xtkInstruments ) {
 
     song.instruments = new Array( xtkInstruments.length );
-    let xtkEq, xtkOD, xtkDelay, xtkFilter;
+    let xtkEq, xtkOD, xtkBC, xtkDelay, xtkMod, xtkReverb, xtkFilter;
 
     xtkInstruments.forEach(( xtkInstrument, index ) => {
 
         xtkEq     = xtkInstrument[ INSTRUMENT_EQ ];
         xtkOD     = xtkInstrument[ INSTRUMENT_OD ];
         xtkDelay  = xtkInstrument[ INSTRUMENT_DELAY ];
+        xtkReverb = xtkInstrument[ INSTRUMENT_REVERB ];
         xtkFilter = xtkInstrument[ INSTRUMENT_FILTER ];
+        xtkMod    = xtkInstrument[ INSTRUMENT_MOD ];
+        xtkBC     = xtkInstrument[ INSTRUMENT_BC ];
 
         song.instruments[ index ] = {
             id         : xtkInstrument[ INSTRUMENT_ID ],
@@ -246,11 +346,28 @@ function assembleInstruments( song, savedXtkVersion, xtkInstruments ) {
                 q         : parseFloat( xtkFilter[ INSTRUMENT_FILTER_Q ] ),
                 speed     : parseFloat( xtkFilter[ INSTRUMENT_FILTER_SPEED ]),
                 lfoType   : xtkFilter[ INSTRUMENT_FILTER_LFO_TYPE ],
-                type      : xtkFilter[ INSTRUMENT_FILTER_TYPE ]
+                type      : xtkFilter[ INSTRUMENT_FILTER_TYPE ],
+                // velocity sensitivity was added in version 9 of the assembler
+                velocityAmount : parseFloat( xtkFilter[ INSTRUMENT_FILTER_VELOCITY ] || 0 )
             },
             oscillators : new Array( xtkInstrument[ INSTRUMENT_OSCILLATORS].length )
         };
 
+        // filter envelope introduced in assembly version 17
+
+        const xtkFilterEnv = xtkFilter[ INSTRUMENT_FILTER_ENV ];
+        if ( xtkFilterEnv ) {
+            song.instruments[ index ].filter.envelope = {
+                amount  : parseFloat( xtkFilterEnv[ INSTRUMENT_FILTER_ENV_AMT ]),
+                attack  : parseFloat( xtkFilterEnv[ OSCILLATOR_ADSR_ATTACK ]),
+                decay   : parseFloat( xtkFilterEnv[ OSCILLATOR_ADSR_DECAY ]),
+                sustain : parseFloat( xtkFilterEnv[ OSCILLATOR_ADSR_SUSTAIN ]),
+                release : parseFloat( xtkFilterEnv[ OSCILLATOR_ADSR_RELEASE ])
+            };
+        } else {
+            InstrumentFactory.createFilterEnvelope( song.instruments[ index ]);
+        }
+
         // EQ and OD introduced in assembly version 3
 
         if ( savedXtkVersion >= 3 ) {
@@ -269,6 +386,93 @@ function assembleInstruments( song, savedXtkVersion, xtkInstruments ) {
             };
         }
 
+        // bitcrusher introduced in assembly version 15
+
+        if ( xtkBC ) {
+            song.instruments[ index ].bitcrusher = {
+                enabled    : xtkBC[ INSTRUMENT_BC_ENABLED ],
+                bits       : parseFloat( xtkBC[ INSTRUMENT_BC_BITS ]),
+                downsample : parseFloat( xtkBC[ INSTRUMENT_BC_DOWNSAMPLE ]),
+                mix        : parseFloat( xtkBC[ INSTRUMENT_BC_MIX ])
+            };
+        } else {
+            InstrumentFactory.createBitcrusher( song.instruments[ index ]);
+        }
+
+        // modulation introduced in assembly version 14
+
+        if ( xtkMod ) {
+            song.instruments[ index ].modulation = {
+                enabled  : xtkMod[ INSTRUMENT_MOD_ENABLED ],
+                type     : xtkMod[ INSTRUMENT_MOD_TYPE ],
+                rate     : parseFloat( xtkMod[ INSTRUMENT_MOD_RATE ]),
+                depth    : parseFloat( xtkMod[ INSTRUMENT_MOD_DEPTH ]),
+                feedback : parseFloat( xtkMod[ INSTRUMENT_MOD_FEEDBACK ]),
+                mix      : parseFloat( xtkMod[ INSTRUMENT_MOD_MIX ])
+            };
+        } else {
+            InstrumentFactory.createModulation( song.instruments[ index ]);
+        }
+
+        // reverb introduced in assembly version 11
+
+        if ( xtkReverb ) {
+            song.instruments[ index ].reverb = {
+                enabled  : xtkReverb[ INSTRUMENT_REVERB_ENABLED ],
+                size     : parseFloat( xtkReverb[ INSTRUMENT_REVERB_SIZE ]),
+                decay    : parseFloat( xtkReverb[ INSTRUMENT_REVERB_DECAY ]),
+                preDelay : parseFloat( xtkReverb[ INSTRUMENT_REVERB_PRE_DELAY ]),
+                damping  : parseFloat( xtkReverb[ INSTRUMENT_REVERB_DAMPING ]),
+                wet      : parseFloat( xtkReverb[ INSTRUMENT_REVERB_WET ])
+            };
+        } else {
+            InstrumentFactory.createReverb( song.instruments[ index ]);
+        }
+
+        // sends introduced in assembly version 13
+
+        if ( Array.isArray( xtkInstrument[ INSTRUMENT_SENDS ])) {
+            song.instruments[ index ].sends = [ ...xtkInstrument[ INSTRUMENT_SENDS ]];
+        } else {
+            InstrumentFactory.createSends( song.instruments[ index ]);
+        }
+
+        // module order introduced in assembly version 16
+
+        if ( Array.isArray( xtkInstrument[ INSTRUMENT_MODULE_ORDER ])) {
+            song.instruments[ index ].moduleOrder = [ ...xtkInstrument[ INSTRUMENT_MODULE_ORDER ]];
+        }
+        InstrumentFactory.createModuleOrder( song.instruments[ index ]);
+
+        // LFOs introduced in assembly version 18
+
+        if ( Array.isArray( xtkInstrument[ INSTRUMENT_LFOS ])) {
+            song.instruments[ index ].lfos = xtkInstrument[ INSTRUMENT_LFOS ].map( xtkLfo => ({
+                target   : xtkLfo[ INSTRUMENT_LFO_TARGET ],
+                shape    : xtkLfo[ INSTRUMENT_LFO_SHAPE ],
+                rate     : parseFloat( xtkLfo[ INSTRUMENT_LFO_RATE ]),
+                sync     : !!xtkLfo[ INSTRUMENT_LFO_SYNC ],
+                division : parseFloat( xtkLfo[ INSTRUMENT_LFO_DIVISION ]),
+                depth    : parseFloat( xtkLfo[ INSTRUMENT_LFO_DEPTH ])
+            }));
+        } else {
+            InstrumentFactory.createLFOs( song.instruments[ index ]);
+        }
+
+        // polyphony introduced in assembly version 19
+
+        const xtkPolyphony = xtkInstrument[ INSTRUMENT_POLYPHONY ];
+        if ( xtkPolyphony ) {
+            song.instruments[ index ].polyphony = {
+                mode      : xtkPolyphony[ INSTRUMENT_POLY_MODE ],
+                maxVoices : parseFloat( xtkPolyphony[ INSTRUMENT_POLY_MAX_VOICES ]),
+                stealing  : xtkPolyphony[ INSTRUMENT_POLY_STEALING ],
+                glide     : parseFloat( xtkPolyphony[ INSTRUMENT_POLY_GLIDE ])
+            };
+        } else {
+            InstrumentFactory.createPolyphony( song.instruments[ index ]);
+        }
+
         xtkInstrument[ INSTRUMENT_OSCILLATORS ].forEach(( xtkOscillator, oIndex ) => {
 
             const osc = song.instruments[ index ].oscillators[ oIndex ] = {
@@ -284,9 +488,24 @@ function assembleInstruments( song, savedXtkVersion, xtkInstruments ) {
                 octaveShift : xtkOscillator[ OSCILLATOR_OCTAVE_SHIFT ],
                 volume      : xtkOscillator[ OSCILLATOR_VOLUME ],
                 waveform    : xtkOscillator[ OSCILLATOR_WAVEFORM ],
-                table       : xtkOscillator[ OSCILLATOR_TABLE ]
+                table       : xtkOscillator[ OSCILLATOR_TABLE ],
+                sample      : 0
             };
 
+            // samples were added in version 10 of the assembler and are only present when loaded
+            const xtkSample = xtkOscillator[ OSCILLATOR_SAMPLE ];
+            if ( xtkSample ) {
+                osc.sample = {
+                    name       : xtkSample[ SAMPLE_NAME ],
+                    data       : xtkSample[ SAMPLE_DATA ],
+                    rootNote   : xtkSample[ SAMPLE_ROOT_NOTE ],
+                    rootOctave : xtkSample[ SAMPLE_ROOT_OCTAVE ],
+                    loop       : xtkSample[ SAMPLE_LOOP ],
+                    loopStart  : xtkSample[ SAMPLE_LOOP_START ],
+                    loopEnd    : xtkSample[ SAMPLE_LOOP_END ]
+                };
+            }
+
             if ( savedXtkVersion >= 2 ) { // pitch envelope was introduced in version 2 of assembler
 
                 osc.pitch = {
@@ -297,6 +516,59 @@ function assembleInstruments( song, savedXtkVersion, xtkInstruments ) {
                     release : xtkOscillator[ OSCILLATOR_PITCH ][ OSCILLATOR_ADSR_RELEASE ]
                 };
             }
+
+            // unison introduced in assembly version 20
+
+            const xtkUnison = xtkOscillator[ OSCILLATOR_UNISON ];
+            if ( xtkUnison ) {
+                osc.unison = {
+                    voices : parseFloat( xtkUnison[ UNISON_VOICES ]),
+                    detune : parseFloat( xtkUnison[ UNISON_DETUNE ]),
+                    spread : parseFloat( xtkUnison[ UNISON_SPREAD ])
+                };
+            } else {
+                InstrumentFactory.createUnison( osc );
+            }
+
+            // routing introduced in assembly version 21
+
+            const xtkRouting = xtkOscillator[ OSCILLATOR_ROUTING ];
+            if ( xtkRouting ) {
+                const xtkRoutingEnv = xtkRouting[ ROUTING_ENVELOPE ];
+                osc.routing = {
+                    mode   : xtkRouting[ ROUTING_MODE ],
+                    target : parseFloat( xtkRouting[ ROUTING_TARGET ]),
+                    index  : parseFloat( xtkRouting[ ROUTING_INDEX ]),
+                    envelope : {
+                        attack  : parseFloat( xtkRoutingEnv[ OSCILLATOR_ADSR_ATTACK ]),
+                        decay   : parseFloat( xtkRoutingEnv[ OSCILLATOR_ADSR_DECAY ]),
+                        sustain : parseFloat( xtkRoutingEnv[ OSCILLATOR_ADSR_SUSTAIN ]),
+                        release : parseFloat( xtkRoutingEnv[ OSCILLATOR_ADSR_RELEASE ])
+                    }
+                };
+            } else {
+                InstrumentFactory.createRouting( osc );
+            }
+
+            // wave table morphing introduced in assembly version 22
+
+            const xtkMorph = xtkOscillator[ OSCILLATOR_MORPH ];
+            if ( xtkMorph ) {
+                const xtkMorphEnv = xtkMorph[ MORPH_ENVELOPE ];
+                osc.morph = {
+                    frames   : xtkMorph[ MORPH_FRAMES ],
+                    position : parseFloat( xtkMorph[ MORPH_POSITION ]),
+                    envelope : {
+                        amount  : parseFloat( xtkMorphEnv[ MORPH_ENVELOPE_AMOUNT ]),
+                        attack  : parseFloat( xtkMorphEnv[ OSCILLATOR_ADSR_ATTACK ]),
+                        decay   : parseFloat( xtkMorphEnv[ OSCILLATOR_ADSR_DECAY ]),
+                        sustain : parseFloat( xtkMorphEnv[ OSCILLATOR_ADSR_SUSTAIN ]),
+                        release : parseFloat( xtkMorphEnv[ OSCILLATOR_ADSR_RELEASE ])
+                    }
+                };
+            } else {
+                InstrumentFactory.createMorph( osc );
+            }
         });
     });
 }
@@ -305,8 +577,8 @@ function disassembleInstruments( xtk, instruments ) {
     const xtkInstruments = xtk[ INSTRUMENTS ] = new Array( instruments.length );
     const xtkWaveforms   = xtk[ WAVE_TABLES ] = {};
 
-    let xtkInstrument, delay, filter, eq, od,
-        xtkDelay, xtkFilter, xtkEq, xtkOD, xtkOscillator, xtkADSR, xtkPitchADSR;
+    let xtkInstrument, delay, modulation, bitcrusher, reverb, filter, eq, od,
+        xtkDelay, xtkMod, xtkBC, xtkReverb, xtkFilter, xtkFilterEnv, xtkEq, xtkOD, xtkOscillator, xtkADSR, xtkPitchADSR;
 
     instruments.forEach(( instrument, index ) => {
 
@@ -317,24 +589,59 @@ function disassembleInstruments( xtk, instruments ) {
 
         InstrumentFactory.createOverdrive( instrument );
         InstrumentFactory.createEQ( instrument );
+        InstrumentFactory.createBitcrusher( instrument );
+        InstrumentFactory.createModulation( instrument );
+        InstrumentFactory.createReverb( instrument );
+        InstrumentFactory.createSends( instrument );
+        InstrumentFactory.createModuleOrder( instrument );
+        InstrumentFactory.createFilterEnvelope( instrument );
+        InstrumentFactory.createLFOs( instrument );
+        InstrumentFactory.createPolyphony( instrument );
+
+        delay      = instrument.delay;
+        modulation = instrument.modulation;
+        bitcrusher = instrument.bitcrusher;
+        reverb     = instrument.reverb;
+        filter     = instrument.filter;
+        od         = instrument.overdrive;
+        eq         = instrument.eq;
+
+        xtkInstrument[ INSTRUMENT_ID ]           = instrument.id;
+        xtkInstrument[ INSTRUMENT_NAME ]         = instrument.name;
+        xtkInstrument[ INSTRUMENT_PRESET_NAME ]  = instrument.presetName;
+        xtkInstrument[ INSTRUMENT_VOLUME ]       = instrument.volume;
+        xtkInstrument[ INSTRUMENT_PANNING ]      = instrument.panning;
+        xtkInstrument[ INSTRUMENT_MUTED ]        = instrument.muted;
+        xtkInstrument[ INSTRUMENT_SOLOD ]        = instrument.solo;
+        xtkInstrument[ INSTRUMENT_SENDS ]        = [ ...instrument.sends ];
+        xtkInstrument[ INSTRUMENT_MODULE_ORDER ] = [ ...instrument.moduleOrder ];
+        xtkInstrument[ INSTRUMENT_LFOS ]         = instrument.lfos.map( lfo => {
+            const xtkLfo = {};
+
+            xtkLfo[ INSTRUMENT_LFO_TARGET   ] = lfo.target;
+            xtkLfo[ INSTRUMENT_LFO_SHAPE    ] = lfo.shape;
+            xtkLfo[ INSTRUMENT_LFO_RATE     ] = lfo.rate;
+            xtkLfo[ INSTRUMENT_LFO_SYNC     ] = lfo.sync;
+            xtkLfo[ INSTRUMENT_LFO_DIVISION ] = lfo.division;
+            xtkLfo[ INSTRUMENT_LFO_DEPTH    ] = lfo.depth;
+
+            return xtkLfo;
+        });
 
-        delay  = instrument.delay;
-        filter = instrument.filter;
-        od     = instrument.overdrive;
-        eq     = instrument.eq;
+        const xtkPolyphony = xtkInstrument[ INSTRUMENT_POLYPHONY ] = {};
 
-        xtkInstrument[ INSTRUMENT_ID ]          = instrument.id;
-        xtkInstrument[ INSTRUMENT_NAME ]        = instrument.name;
-        xtkInstrument[ INSTRUMENT_PRESET_NAME ] = instrument.presetName;
-        xtkInstrument[ INSTRUMENT_VOLUME ]      = instrument.volume;
-        xtkInstrument[ INSTRUMENT_PANNING ]     = instrument.panning;
-        xtkInstrument[ INSTRUMENT_MUTED ]       = instrument.muted;
-        xtkInstrument[ INSTRUMENT_SOLOD ]       = instrument.solo;
+        xtkPolyphony[ INSTRUMENT_POLY_MODE       ] = instrument.polyphony.mode;
+        xtkPolyphony[ INSTRUMENT_POLY_MAX_VOICES ] = instrument.polyphony.maxVoices;
+        xtkPolyphony[ INSTRUMENT_POLY_STEALING   ] = instrument.polyphony.stealing;
+        xtkPolyphony[ INSTRUMENT_POLY_GLIDE      ] = instrument.polyphony.glide;
 
         xtkDelay  = xtkInstrument[ INSTRUMENT_DELAY ]  = {};
+        xtkReverb = xtkInstrument[ INSTRUMENT_REVERB ] = {};
         xtkFilter = xtkInstrument[ INSTRUMENT_FILTER ] = {};
         xtkEq     = xtkInstrument[ INSTRUMENT_EQ ]     = {};
         xtkOD     = xtkInstrument[ INSTRUMENT_OD ]     = {};
+        xtkMod    = xtkInstrument[ INSTRUMENT_MOD ]    = {};
+        xtkBC     = xtkInstrument[ INSTRUMENT_BC ]     = {};
 
         xtkDelay[ INSTRUMENT_DELAY_ENABLED  ] = delay.enabled;
         xtkDelay[ INSTRUMENT_DELAY_CUTOFF   ] = delay.cutoff;
@@ -343,6 +650,25 @@ function disassembleInstruments( xtk, instruments ) {
         xtkDelay[ INSTRUMENT_DELAY_TIME     ] = delay.time;
         xtkDelay[ INSTRUMENT_DELAY_TYPE     ] = delay.type;
 
+        xtkBC[ INSTRUMENT_BC_ENABLED    ] = bitcrusher.enabled;
+        xtkBC[ INSTRUMENT_BC_BITS       ] = bitcrusher.bits;
+        xtkBC[ INSTRUMENT_BC_DOWNSAMPLE ] = bitcrusher.downsample;
+        xtkBC[ INSTRUMENT_BC_MIX        ] = bitcrusher.mix;
+
+        xtkMod[ INSTRUMENT_MOD_ENABLED  ] = modulation.enabled;
+        xtkMod[ INSTRUMENT_MOD_TYPE     ] = modulation.type;
+        xtkMod[ INSTRUMENT_MOD_RATE     ] = modulation.rate;
+        xtkMod[ INSTRUMENT_MOD_DEPTH    ] = modulation.depth;
+        xtkMod[ INSTRUMENT_MOD_FEEDBACK ] = modulation.feedback;
+        xtkMod[ INSTRUMENT_MOD_MIX      ] = modulation.mix;
+
+        xtkReverb[ INSTRUMENT_REVERB_ENABLED   ] = reverb.enabled;
+        xtkReverb[ INSTRUMENT_REVERB_SIZE      ] = reverb.size;
+        xtkReverb[ INSTRUMENT_REVERB_DECAY     ] = reverb.decay;
+        xtkReverb[ INSTRUMENT_REVERB_PRE_DELAY ] = reverb.preDelay;
+        xtkReverb[ INSTRUMENT_REVERB_DAMPING   ] = reverb.damping;
+        xtkReverb[ INSTRUMENT_REVERB_WET       ] = reverb.wet;
+
         xtkFilter[ INSTRUMENT_FILTER_ENABLED   ] = filter.enabled;
         xtkFilter[ INSTRUMENT_FILTER_DEPTH     ] = filter.depth;
         xtkFilter[ INSTRUMENT_FILTER_FREQUENCY ] = filter.frequency;
@@ -350,6 +676,15 @@ function disassembleInstruments( xtk, instruments ) {
         xtkFilter[ INSTRUMENT_FILTER_Q         ] = filter.q;
         xtkFilter[ INSTRUMENT_FILTER_SPEED     ] = filter.speed;
         xtkFilter[ INSTRUMENT_FILTER_TYPE      ] = filter.type;
+        xtkFilter[ INSTRUMENT_FILTER_VELOCITY  ] = filter.velocityAmount;
+
+        xtkFilterEnv = xtkFilter[ INSTRUMENT_FILTER_ENV ] = {};
+
+        xtkFilterEnv[ INSTRUMENT_FILTER_ENV_AMT ] = filter.envelope.amount;
+        xtkFilterEnv[ OSCILLATOR_ADSR_ATTACK ]    = filter.envelope.attack;
+        xtkFilterEnv[ OSCILLATOR_ADSR_DECAY ]     = filter.envelope.decay;
+        xtkFilterEnv[ OSCILLATOR_ADSR_SUSTAIN ]   = filter.envelope.sustain;
+        xtkFilterEnv[ OSCILLATOR_ADSR_RELEASE ]   = filter.envelope.release;
 
         xtkEq[ INSTRUMENT_EQ_ENABLED ] = eq.enabled;
         xtkEq[ INSTRUMENT_EQ_LOW ]     = eq.lowGain;
@@ -398,20 +733,77 @@ function disassembleInstruments( xtk, instruments ) {
             xtkOscillator[ OSCILLATOR_WAVEFORM     ] = oscillator.waveform;
             xtkOscillator[ OSCILLATOR_TABLE        ] = oscillator.table;
 
+            // oscillator unison (added in factory version 20, assert there is unison for backwards compatibility)
+
+            InstrumentFactory.createUnison( oscillator );
+
+            const xtkUnison = xtkOscillator[ OSCILLATOR_UNISON ] = {};
+
+            xtkUnison[ UNISON_VOICES ] = oscillator.unison.voices;
+            xtkUnison[ UNISON_DETUNE ] = oscillator.unison.detune;
+            xtkUnison[ UNISON_SPREAD ] = oscillator.unison.spread;
+
+            // oscillator routing (added in factory version 21, assert there is routing for backwards compatibility)
+
+            InstrumentFactory.createRouting( oscillator );
+
+            const xtkRouting    = xtkOscillator[ OSCILLATOR_ROUTING ] = {};
+            const xtkRoutingEnv = xtkRouting[ ROUTING_ENVELOPE ] = {};
+
+            xtkRouting[ ROUTING_MODE   ] = oscillator.routing.mode;
+            xtkRouting[ ROUTING_TARGET ] = oscillator.routing.target;
+            xtkRouting[ ROUTING_INDEX  ] = oscillator.routing.index;
+
+            xtkRoutingEnv[ OSCILLATOR_ADSR_ATTACK  ] = oscillator.routing.envelope.attack;
+            xtkRoutingEnv[ OSCILLATOR_ADSR_DECAY   ] = oscillator.routing.envelope.decay;
+            xtkRoutingEnv[ OSCILLATOR_ADSR_SUSTAIN ] = oscillator.routing.envelope.sustain;
+            xtkRoutingEnv[ OSCILLATOR_ADSR_RELEASE ] = oscillator.routing.envelope.release;
+
+            // oscillator wave table morphing (added in factory version 22, assert there is morphing for backwards compatibility)
+
+            InstrumentFactory.createMorph( oscillator );
+
+            const xtkMorph    = xtkOscillator[ OSCILLATOR_MORPH ] = {};
+            const xtkMorphEnv = xtkMorph[ MORPH_ENVELOPE ] = {};
+
+            xtkMorph[ MORPH_FRAMES   ] = oscillator.morph.frames;
+            xtkMorph[ MORPH_POSITION ] = oscillator.morph.position;
+
+            xtkMorphEnv[ MORPH_ENVELOPE_AMOUNT   ] = oscillator.morph.envelope.amount;
+            xtkMorphEnv[ OSCILLATOR_ADSR_ATTACK  ] = oscillator.morph.envelope.attack;
+            xtkMorphEnv[ OSCILLATOR_ADSR_DECAY   ] = oscillator.morph.envelope.decay;
+            xtkMorphEnv[ OSCILLATOR_ADSR_SUSTAIN ] = oscillator.morph.envelope.sustain;
+            xtkMorphEnv[ OSCILLATOR_ADSR_RELEASE ] = oscillator.morph.envelope.release;
+
+            // oscillator sample (stored inline as its contents are not shared across oscillators)
+
+            const sample = oscillator.sample;
+            if ( sample ) {
+                const xtkSample = xtkOscillator[ OSCILLATOR_SAMPLE ] = {};
+
+                xtkSample[ SAMPLE_NAME        ] = sample.name;
+                xtkSample[ SAMPLE_DATA        ] = sample.data;
+                xtkSample[ SAMPLE_ROOT_NOTE   ] = sample.rootNote;
+                xtkSample[ SAMPLE_ROOT_OCTAVE ] = sample.rootOctave;
+                xtkSample[ SAMPLE_LOOP        ] = sample.loop;
+                xtkSample[ SAMPLE_LOOP_START  ] = sample.loopStart;
+                xtkSample[ SAMPLE_LOOP_END    ] = sample.loopEnd;
+            }
+
             // serialize the non-custom waveform and noise tables into the song
             // for use with Tiny player (and backwards compatibility in case of
             // later changes made to default waveforms)
 
             const waveform = oscillator.waveform;
 
-            if ( ![ "CUSTOM", "NOISE" ].includes( waveform ) && !xtkWaveforms.hasOwnProperty( waveform )) {
+            if ( ![ "CUSTOM", "NOISE", "SAMPLE" ].includes( waveform ) && !xtkWaveforms.hasOwnProperty( waveform )) {
                 xtkWaveforms[ waveform ] = WaveTables[ waveform ] || {};
             }
         });
     });
 }
 
-function assemblePatterns( song, savedXtkVersion, xtk, tempo ) {
+function assemblePatterns( song, savedXtkVersion, xtk ) {
 
     song.patterns = new Array( xtk[ PATTERNS ].length );
     let pattern, channel, event;
@@ -430,6 +822,20 @@ function assemblePatterns( song, savedXtkVersion, xtk, tempo ) {
             channels: xtkPattern[ PATTERN_CHANNELS ]
         };
 
+        // groove templates were added in version 7 of the assembler and are optional
+        if ( Array.isArray( xtkPattern[ PATTERN_GROOVE ])) {
+            pattern.groove = [ ...xtkPattern[ PATTERN_GROOVE ]];
+        }
+
+        // tempo and time signature were added in version 8 of the assembler and are optional
+        // (the pattern properties must be known prior to positioning the patterns events)
+        if ( typeof xtkPattern[ PATTERN_TEMPO ] === 'number' ) {
+            pattern.tempo = xtkPattern[ PATTERN_TEMPO ];
+        }
+        if ( Array.isArray( xtkPattern[ PATTERN_BEATS ])) {
+            [ pattern.beatAmount, pattern.beatUnit ] = xtkPattern[ PATTERN_BEATS ];
+        }
+
         xtkPattern[ PATTERN_CHANNELS ].forEach(( xtkChannel, cIndex ) => {
 
             channel = pattern.channels[ cIndex ] = new Array( xtkChannel.length );
@@ -466,6 +872,8 @@ function assemblePatterns( song, savedXtkVersion, xtk, tempo ) {
                         instrument: eventData[ EVENT_INSTRUMENT ],
                         note:       eventData[ EVENT_NOTE ],
                         octave:     eventData[ EVENT_OCTAVE ],
+                        // velocity was added in version 9 of the assembler and is omitted when at its default
+                        velocity:   ( typeof eventData[ EVENT_VELOCITY ] === 'number' ) ? eventData[ EVENT_VELOCITY ] : DEFAULT_VELOCITY,
                         recording:  false,
                         seq: {
                             playing: false,
@@ -473,7 +881,7 @@ function assemblePatterns( song, savedXtkVersion, xtk, tempo ) {
                         },
                     };
 
-                    EventUtil.setPosition( event, pattern, pIndex, eIndex, tempo, eventData[ EVENT_LENGTH ]);
+                    EventUtil.setPosition( event, song, pIndex, eIndex, eventData[ EVENT_LENGTH ]);
                     const xtkAutomation = eventData[ EVENT_MODULE_AUTOMATION ];
 
                     if ( xtkAutomation) {
@@ -508,6 +916,16 @@ function disassemblePatterns( xtk, patterns ) {
         xtkPattern[ PATTERN_STEPS ]    = pattern.steps;
         xtkPattern[ PATTERN_CHANNELS ] = new Array( pattern.channels.length );
 
+        if ( Array.isArray( pattern.groove )) {
+            xtkPattern[ PATTERN_GROOVE ] = [ ...pattern.groove ];
+        }
+        if ( pattern.tempo ) {
+            xtkPattern[ PATTERN_TEMPO ] = pattern.tempo;
+        }
+        if ( pattern.beatAmount && pattern.beatUnit ) {
+            xtkPattern[ PATTERN_BEATS ] = [ pattern.beatAmount, pattern.beatUnit ];
+        }
+
         pattern.channels.forEach(( channel, cIndex ) => {
 
             xtkChannel = xtkPattern[ PATTERN_CHANNELS ][ cIndex ] = new Array( channel.length );
@@ -524,6 +942,10 @@ function disassemblePatterns( xtk, patterns ) {
                     xtkEvent[ EVENT_OCTAVE ]     = event.octave;
                     xtkEvent[ EVENT_LENGTH ]     = event.seq.length;
 
+                    if ( typeof event.velocity === 'number' && event.velocity !== DEFAULT_VELOCITY ) {
+                        xtkEvent[ EVENT_VELOCITY ] = event.velocity;
+                    }
+
                     // pool the event or reference the pool if its definition already existed
                     poolRef = poolObject(xtkNotePool, xtkEvent);
 
@@ -548,6 +970,135 @@ function disassemblePatterns( xtk, patterns ) {
     });
 }
 
+function assembleOrder( song, savedXtkVersion, xtkOrder ) {
+    // order list was introduced in version 6 of the assembler (legacy songs are
+    // transformed to play their patterns sequentially by the SongValidator)
+    if ( savedXtkVersion >= 6 && Array.isArray( xtkOrder )) {
+        song.order = xtkOrder.filter( patternIndex => patternIndex < song.patterns.length );
+    }
+}
+
+function disassembleOrder( xtk, order ) {
+    xtk[ ORDER ] = [ ...order ];
+}
+
+function assembleMaster( song, savedXtkVersion, xtkMaster ) {
+    // master bus was introduced in version 12 of the assembler (legacy songs
+    // receive the default master bus settings from the SongValidator)
+    if ( savedXtkVersion < 12 || !xtkMaster ) {
+        return;
+    }
+    const xtkEq         = xtkMaster[ MASTER_EQ ];
+    const xtkCompressor = xtkMaster[ MASTER_COMPRESSOR ];
+    const xtkLimiter    = xtkMaster[ MASTER_LIMITER ];
+
+    song.master = {
+        volume : xtkMaster[ MASTER_VOLUME ],
+        eq : {
+            enabled  : xtkEq[ MASTER_EQ_ENABLED ],
+            lowGain  : xtkEq[ MASTER_EQ_LOW ],
+            midGain  : xtkEq[ MASTER_EQ_MID ],
+            highGain : xtkEq[ MASTER_EQ_HIGH ]
+        },
+        compressor : {
+            enabled   : xtkCompressor[ MASTER_COMPRESSOR_ENABLED ],
+            threshold : xtkCompressor[ MASTER_COMPRESSOR_THRESHOLD ],
+            ratio     : xtkCompressor[ MASTER_COMPRESSOR_RATIO ],
+            attack    : xtkCompressor[ MASTER_COMPRESSOR_ATTACK ],
+            release   : xtkCompressor[ MASTER_COMPRESSOR_RELEASE ]
+        },
+        limiter : {
+            enabled   : xtkLimiter[ MASTER_LIMITER_ENABLED ],
+            threshold : xtkLimiter[ MASTER_LIMITER_THRESHOLD ]
+        }
+    };
+}
+
+function disassembleMaster( xtk, master ) {
+    if ( !master ) {
+        return;
+    }
+    const xtkMaster     = xtk[ MASTER ] = {};
+    const xtkEq         = xtkMaster[ MASTER_EQ ] = {};
+    const xtkCompressor = xtkMaster[ MASTER_COMPRESSOR ] = {};
+    const xtkLimiter    = xtkMaster[ MASTER_LIMITER ] = {};
+
+    xtkMaster[ MASTER_VOLUME ] = master.volume;
+
+    xtkEq[ MASTER_EQ_ENABLED ] = master.eq.enabled;
+    xtkEq[ MASTER_EQ_LOW ]     = master.eq.lowGain;
+    xtkEq[ MASTER_EQ_MID ]     = master.eq.midGain;
+    xtkEq[ MASTER_EQ_HIGH ]    = master.eq.highGain;
+
+    xtkCompressor[ MASTER_COMPRESSOR_ENABLED   ] = master.compressor.enabled;
+    xtkCompressor[ MASTER_COMPRESSOR_THRESHOLD ] = master.compressor.threshold;
+    xtkCompressor[ MASTER_COMPRESSOR_RATIO     ] = master.compressor.ratio;
+    xtkCompressor[ MASTER_COMPRESSOR_ATTACK    ] = master.compressor.attack;
+    xtkCompressor[ MASTER_COMPRESSOR_RELEASE   ] = master.compressor.release;
+
+    xtkLimiter[ MASTER_LIMITER_ENABLED   ] = master.limiter.enabled;
+    xtkLimiter[ MASTER_LIMITER_THRESHOLD ] = master.limiter.threshold;
+}
+
+function assembleBuses( song, savedXtkVersion, xtkBuses ) {
+    // auxiliary buses were introduced in version 13 of the assembler (legacy songs
+    // receive the default buses from the SongValidator)
+    if ( savedXtkVersion < 13 || !Array.isArray( xtkBuses )) {
+        return;
+    }
+    song.buses = xtkBuses.map( xtkBus => {
+        const xtkDelay  = xtkBus[ BUS_DELAY ];
+        const xtkReverb = xtkBus[ BUS_REVERB ];
+
+        return {
+            volume : xtkBus[ BUS_VOLUME ],
+            delay : {
+                enabled  : xtkDelay[ INSTRUMENT_DELAY_ENABLED ],
+                type     : xtkDelay[ INSTRUMENT_DELAY_TYPE ],
+                cutoff   : xtkDelay[ INSTRUMENT_DELAY_CUTOFF ],
+                feedback : xtkDelay[ INSTRUMENT_DELAY_FEEDBACK ],
+                offset   : xtkDelay[ INSTRUMENT_DELAY_OFFSET ],
+                time     : xtkDelay[ INSTRUMENT_DELAY_TIME ]
+            },
+            reverb : {
+                enabled  : xtkReverb[ INSTRUMENT_REVERB_ENABLED ],
+                size     : xtkReverb[ INSTRUMENT_REVERB_SIZE ],
+                decay    : xtkReverb[ INSTRUMENT_REVERB_DECAY ],
+                preDelay : xtkReverb[ INSTRUMENT_REVERB_PRE_DELAY ],
+                damping  : xtkReverb[ INSTRUMENT_REVERB_DAMPING ]
+            }
+        };
+    });
+}
+
+function disassembleBuses( xtk, buses ) {
+    if ( !Array.isArray( buses )) {
+        return;
+    }
+    xtk[ BUSES ] = buses.map( bus => {
+        const xtkBus    = {};
+        const xtkDelay  = xtkBus[ BUS_DELAY ]  = {};
+        const xtkReverb = xtkBus[ BUS_REVERB ] = {};
+
+        xtkBus[ BUS_VOLUME ] = bus.volume;
+
+        xtkDelay[ INSTRUMENT_DELAY_ENABLED  ] = bus.delay.enabled;
+        xtkDelay[ INSTRUMENT_DELAY_CUTOFF   ] = bus.delay.cutoff;
+        xtkDelay[ INSTRUMENT_DELAY_FEEDBACK ] = bus.delay.feedback;
+        xtkDelay[ INSTRUMENT_DELAY_OFFSET   ] = bus.delay.offset;
+        xtkDelay[ INSTRUMENT_DELAY_TIME     ] = bus.delay.time;
+        xtkDelay[ INSTRUMENT_DELAY_TYPE     ] = bus.delay.type;
+
+        xtkReverb[ INSTRUMENT_REVERB_ENABLED   ] = bus.reverb.enabled;
+        xtkReverb[ INSTRUMENT_REVERB_SIZE      ] = bus.reverb.size;
+        xtkReverb[ INSTRUMENT_REVERB_DECAY     ] = bus.reverb.decay;
+        xtkReverb[ INSTRUMENT_REVERB_PRE_DELAY ] = bus.reverb.preDelay;
+        xtkReverb[ INSTRUMENT_REVERB_DAMPING   ] = bus.reverb.damping;
+
+        return xtkBus;
+    });
+}
+
 function poolObject( pool, object ) {
     const hash = JSON.stringify( object );
     let idx = pool.indexOf( hash );
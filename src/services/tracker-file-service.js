@@ -0,0 +1,486 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import Config            from '@/config';
+import EventFactory      from '@/model/factory/event-factory';
+import InstrumentFactory from '@/model/factory/instrument-factory';
+import PatternFactory    from '@/model/factory/pattern-factory';
+import SongFactory       from '@/model/factory/song-factory';
+import Pitch             from '@/services/audio/pitch';
+import EventUtil         from '@/utils/event-util';
+import { ACTION_IDLE, ACTION_NOTE_ON, ACTION_NOTE_OFF } from '@/model/types/audio-event-def';
+import { VOLUME, PAN_LEFT, PAN_RIGHT, PITCH_UP, PITCH_DOWN } from '@/definitions/automatable-parameters';
+
+/* private properties */
+
+const STEPS_PER_PATTERN = 16; // a single tracker row equals a sixteenth note
+const MIN_TEMPO         = 40;
+const MAX_TEMPO         = 300;
+const MAX_VOLUME        = 64;
+const MIDDLE_C_PERIOD   = 428; // Amiga period of a C4 note (played at the samples native rate)
+const XM_SIGNATURE      = 'Extended Module:';
+const XM_KEY_OFF        = 97;
+
+// ProTracker signatures and the amount of channels they describe
+
+const MOD_SIGNATURES = {
+    'M.K.': 4, 'M!K!': 4, 'FLT4': 4, '4CHN': 4, '6CHN': 6, '8CHN': 8, 'OCTA': 8, 'CD81': 8
+};
+
+// effect commands (shared by both .MOD and .XM)
+
+const EFFECT_PORTA_UP      = 0x1,
+      EFFECT_PORTA_DOWN    = 0x2,
+      EFFECT_TONE_PORTA    = 0x3,
+      EFFECT_TONE_PORTA_VS = 0x5,
+      EFFECT_PANNING       = 0x8,
+      EFFECT_VOLUME_SLIDE  = 0xA,
+      EFFECT_POSITION_JUMP = 0xB,
+      EFFECT_SET_VOLUME    = 0xC,
+      EFFECT_PATTERN_BREAK = 0xD,
+      EFFECT_EXTENDED      = 0xE,
+      EFFECT_SET_SPEED     = 0xF,
+      EFFECT_KEY_OFF       = 0x14; // .XM only ("K" command)
+
+/**
+ * TrackerFileService converts the pattern data of classic tracker modules (ProTracker .MOD
+ * and FastTracker II .XM files) into Songs. As Efflux has no sample playback, the samples
+ * of the module are replaced by default oscillator instruments.
+ */
+const TrackerFileService =
+{
+    /**
+     * decodes given file contents into a tracker module description
+     * (the format is detected from the file contents)
+     *
+     * @param {ArrayBuffer|Uint8Array} data
+     * @return {TRACKER_MODULE}
+     * @throws {Error} when given data is not a valid (or supported) module
+     */
+    decode( data ) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array( data );
+        return readString( bytes, 0, XM_SIGNATURE.length ) === XM_SIGNATURE ? decodeXM( bytes ) : decodeMOD( bytes );
+    },
+    /**
+     * converts a decoded tracker module into a Song. Each row of the module is
+     * converted into a step, where each 16 consecutive rows make up an Efflux pattern. The
+     * modules order list is expanded (e.g. repeated patterns will be duplicated) while
+     * pattern breaks and position jumps are followed
+     *
+     * @param {TRACKER_MODULE} module
+     * @return {SONG}
+     */
+    toSong( module ) {
+        const song = SongFactory.createSong( Config.INSTRUMENT_AMOUNT );
+        const { meta } = song;
+
+        meta.title = module.title;
+        meta.tempo = Math.max( MIN_TEMPO, Math.min( MAX_TEMPO, Math.round(( 6 * module.bpm ) / module.speed )));
+
+        const instrumentMap = createInstruments( song, module );
+        const channelStates = new Array( Config.INSTRUMENT_AMOUNT ).fill( null ).map(( value, index ) => ({
+            instrument  : index,
+            noteNumber  : -1,
+            volume      : MAX_VOLUME,
+            pitchShift  : 0
+        }));
+        const patterns = [];
+        const visitedOrders = new Set();
+        let speed = module.speed;
+        let orderIndex = 0, startRow = 0, rowCount = 0;
+
+        // rows are appended continuously (module patterns of any length do not introduce gaps)
+        // position jumps back into the order list would loop the song and end the conversion
+
+        while ( orderIndex < module.orders.length && !visitedOrders.has( orderIndex )) {
+            const rows = module.patterns[ module.orders[ orderIndex ]] || [];
+            let nextOrderIndex = orderIndex + 1, nextStartRow = 0;
+
+            visitedOrders.add( orderIndex );
+
+            for ( let rowIndex = startRow; rowIndex < rows.length; ++rowIndex, ++rowCount ) {
+                const row  = rows[ rowIndex ];
+                const step = rowCount % STEPS_PER_PATTERN;
+                if ( step === 0 ) {
+                    patterns.push( PatternFactory.createEmptyPattern( STEPS_PER_PATTERN ));
+                }
+                let jump = false;
+                // speed changes affect the size of slides within the same row
+                row.forEach( cell => {
+                    if ( cell.effect === EFFECT_SET_SPEED && cell.param > 0 && cell.param < 32 ) {
+                        speed = cell.param;
+                    } else if ( cell.effect === EFFECT_POSITION_JUMP ) {
+                        nextOrderIndex = cell.param;
+                        jump = true;
+                    } else if ( cell.effect === EFFECT_PATTERN_BREAK ) {
+                        nextStartRow = (( cell.param >> 4 ) * 10 ) + ( cell.param & 0x0F ); // decimal row number
+                        jump = true;
+                    }
+                });
+                row.slice( 0, Config.INSTRUMENT_AMOUNT ).forEach(( cell, channelIndex ) => {
+                    const event = createEventForCell( cell, channelStates[ channelIndex ], instrumentMap, speed, module.linearFrequencies );
+                    if ( event ) {
+                        patterns[ patterns.length - 1 ].channels[ channelIndex ][ step ] = event;
+                    }
+                });
+                if ( jump ) {
+                    ++rowCount;
+                    break;
+                }
+            }
+            orderIndex = nextOrderIndex;
+            startRow   = nextStartRow;
+        }
+
+        song.patterns = patterns.slice( 0, Config.MAX_PATTERN_AMOUNT );
+        if ( !song.patterns.length ) {
+            song.patterns.push( PatternFactory.createEmptyPattern( STEPS_PER_PATTERN ));
+        }
+        song.order = song.patterns.map(( pattern, patternIndex ) => patternIndex );
+        song.patterns.forEach(( pattern, patternIndex ) => {
+            pattern.channels.forEach( channel => {
+                channel.forEach(( event, step ) => {
+                    if ( event ) {
+                        EventUtil.setPosition( event, song, patternIndex, step );
+                    }
+                });
+            });
+        });
+        return song;
+    }
+};
+export default TrackerFileService;
+
+/* internal methods */
+
+function decodeMOD( bytes ) {
+    const signature = readString( bytes, 1080, 4 );
+    let channelAmount = MOD_SIGNATURES[ signature ];
+
+    if ( !channelAmount && /^\d\dCH$/.test( signature )) {
+        channelAmount = parseInt( signature, 10 );
+    }
+    if ( !channelAmount || bytes.length < 1084 ) {
+        throw new Error( 'File is not a supported ProTracker module' );
+    }
+
+    const instruments = [];
+    for ( let i = 0; i < 31; ++i ) {
+        instruments.push( readString( bytes, 20 + ( i * 30 ), 22 ));
+    }
+    const songLength   = bytes[ 950 ];
+    const orders       = Array.from( bytes.slice( 952, 952 + songLength ));
+    const patternCount = Math.max( ...Array.from( bytes.slice( 952, 952 + 128 ))) + 1;
+    const patterns     = [];
+
+    let offset = 1084;
+    for ( let p = 0; p < patternCount; ++p ) {
+        const rows = [];
+        for ( let r = 0; r < 64; ++r ) {
+            const row = [];
+            for ( let c = 0; c < channelAmount; ++c, offset += 4 ) {
+                if ( offset + 4 > bytes.length ) {
+                    throw new Error( 'Unexpected end of ProTracker module' );
+                }
+                const period = (( bytes[ offset ] & 0x0F ) << 8 ) | bytes[ offset + 1 ];
+                const effect = bytes[ offset + 2 ] & 0x0F;
+                const param  = bytes[ offset + 3 ];
+
+                row.push({
+                    noteNumber : period > 0 ? 48 + Math.round( 12 * Math.log2( MIDDLE_C_PERIOD / period )) : -1,
+                    keyOff     : false,
+                    instrument : ( bytes[ offset ] & 0xF0 ) | ( bytes[ offset + 2 ] >> 4 ),
+                    volume     : effect === EFFECT_SET_VOLUME ? Math.min( MAX_VOLUME, param ) : -1,
+                    panning    : -1,
+                    effect,
+                    param
+                });
+            }
+            rows.push( row );
+        }
+        patterns.push( rows );
+    }
+    return {
+        title: readString( bytes, 0, 20 ),
+        speed: 6,
+        bpm: 125,
+        linearFrequencies: false,
+        instruments,
+        orders,
+        patterns
+    };
+}
+
+function decodeXM( bytes ) {
+    const view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+    const headerSize      = view.getUint32( 60, true );
+    const songLength      = view.getUint16( 64, true );
+    const channelAmount   = view.getUint16( 68, true );
+    const patternAmount   = view.getUint16( 70, true );
+    const instrumentCount = view.getUint16( 72, true );
+    const flags           = view.getUint16( 74, true );
+
+    const orders   = Array.from( bytes.slice( 80, 80 + songLength ));
+    const patterns = [];
+
+    let offset = 60 + headerSize;
+
+    for ( let p = 0; p < patternAmount; ++p ) {
+        const patternHeaderSize = view.getUint32( offset, true );
+        const rowAmount         = view.getUint16( offset + 5, true );
+        const packedSize        = view.getUint16( offset + 7, true );
+
+        offset += patternHeaderSize;
+
+        const rows = [];
+        const end  = offset + packedSize;
+
+        for ( let r = 0; r < rowAmount; ++r ) {
+            const row = [];
+            for ( let c = 0; c < channelAmount; ++c ) {
+                let note = 0, instrument = 0, volumeColumn = 0, effect = 0, param = 0;
+
+                if ( offset < end ) {
+                    const first = bytes[ offset++ ];
+                    if ( first & 0x80 ) {
+                        // packed cell, first byte describes which columns follow
+                        if ( first & 0x01 ) note         = bytes[ offset++ ];
+                        if ( first & 0x02 ) instrument   = bytes[ offset++ ];
+                        if ( first & 0x04 ) volumeColumn = bytes[ offset++ ];
+                        if ( first & 0x08 ) effect       = bytes[ offset++ ];
+                        if ( first & 0x10 ) param        = bytes[ offset++ ];
+                    } else {
+                        note         = first;
+                        instrument   = bytes[ offset++ ];
+                        volumeColumn = bytes[ offset++ ];
+                        effect       = bytes[ offset++ ];
+                        param        = bytes[ offset++ ];
+                    }
+                }
+                let volume = -1, panning = -1;
+                if ( volumeColumn >= 0x10 && volumeColumn <= 0x50 ) {
+                    volume = volumeColumn - 0x10;
+                } else if (( volumeColumn & 0xF0 ) === 0xC0 ) {
+                    panning = ( volumeColumn & 0x0F ) * 17;
+                }
+                if ( effect === EFFECT_SET_VOLUME ) {
+                    volume = Math.min( MAX_VOLUME, param );
+                }
+                row.push({
+                    noteNumber : note > 0 && note < XM_KEY_OFF ? note - 1 : -1,
+                    keyOff     : note === XM_KEY_OFF || effect === EFFECT_KEY_OFF,
+                    instrument,
+                    volume,
+                    panning,
+                    effect,
+                    param
+                });
+            }
+            rows.push( row );
+        }
+        offset = end;
+        patterns.push( rows );
+    }
+
+    // instrument names (the sample data itself is skipped)
+
+    const instruments = [];
+    for ( let i = 0; i < instrumentCount && offset + 29 <= bytes.length; ++i ) {
+        const instrumentHeaderSize = view.getUint32( offset, true );
+        const sampleAmount         = view.getUint16( offset + 27, true );
+
+        instruments.push( readString( bytes, offset + 4, 22 ));
+
+        let sampleHeaderSize = 0;
+        if ( sampleAmount > 0 ) {
+            sampleHeaderSize = view.getUint32( offset + 29, true );
+        }
+        offset += instrumentHeaderSize;
+
+        let sampleDataSize = 0;
+        for ( let s = 0; s < sampleAmount; ++s ) {
+            sampleDataSize += view.getUint32( offset, true );
+            offset += sampleHeaderSize;
+        }
+        offset += sampleDataSize;
+    }
+
+    return {
+        title: readString( bytes, 17, 20 ),
+        speed: view.getUint16( 76, true ) || 6,
+        bpm: view.getUint16( 78, true ) || 125,
+        linearFrequencies: ( flags & 0x01 ) === 1,
+        instruments,
+        orders,
+        patterns
+    };
+}
+
+/**
+ * maps the (first eight used) instruments of the module onto the Songs
+ * instruments, returns a Map of module instrument number to Efflux instrument index
+ *
+ * @return {Map<number, number>}
+ */
+function createInstruments( song, module ) {
+    const instrumentMap = new Map();
+
+    module.orders.forEach( patternIndex => {
+        ( module.patterns[ patternIndex ] || [] ).forEach( row => {
+            row.forEach(({ instrument }) => {
+                if ( instrument > 0 && !instrumentMap.has( instrument ) && instrumentMap.size < Config.INSTRUMENT_AMOUNT ) {
+                    instrumentMap.set( instrument, instrumentMap.size );
+                }
+            });
+        });
+    });
+    instrumentMap.forEach(( instrumentIndex, instrument ) => {
+        const name = module.instruments[ instrument - 1 ];
+        if ( name ) {
+            song.instruments[ instrumentIndex ] = InstrumentFactory.createInstrument( instrumentIndex, name );
+        }
+    });
+    return instrumentMap;
+}
+
+/**
+ * creates the AudioEvent describing the contents of given cell. As an AudioEvent can only
+ * hold a single module parameter automation, explicit volume changes take precedence over effects
+ *
+ * @return {AUDIO_EVENT|null}
+ */
+function createEventForCell( cell, state, instrumentMap, speed, linearFrequencies ) {
+    const { noteNumber, keyOff, instrument, effect, param } = cell;
+    const isTonePortamento = effect === EFFECT_TONE_PORTA || effect === EFFECT_TONE_PORTA_VS;
+
+    if ( instrument > 0 ) {
+        state.instrument = instrumentMap.has( instrument ) ? instrumentMap.get( instrument ) : ( instrument - 1 ) % Config.INSTRUMENT_AMOUNT;
+    }
+    let event = null, triggered = false;
+
+    if ( keyOff || ( effect === EFFECT_EXTENDED && param === 0xC0 )) { // key off or note cut at first tick
+        state.noteNumber = -1;
+        return EventFactory.createAudioEvent( state.instrument, '', 0, ACTION_NOTE_OFF );
+    }
+
+    if ( noteNumber >= 0 && !( isTonePortamento && state.noteNumber >= 0 )) {
+        const octave = Math.max( 1, Math.min( Config.MAX_OCTAVE, Math.floor( noteNumber / 12 )));
+        event = EventFactory.createAudioEvent( state.instrument, Pitch.OCTAVE_SCALE[ noteNumber % 12 ], octave, ACTION_NOTE_ON );
+
+        state.noteNumber = noteNumber;
+        state.volume     = MAX_VOLUME;
+        state.pitchShift = 0;
+        triggered        = true;
+    }
+
+    const mp = getModuleParamForCell( cell, state, triggered, speed, linearFrequencies );
+    if ( mp ) {
+        event = event || EventFactory.createAudioEvent( state.instrument, '', 0, ACTION_IDLE );
+        event.mp = mp;
+    }
+    return event;
+}
+
+function getModuleParamForCell({ noteNumber, volume, panning, effect, param }, state, triggered, speed, linearFrequencies ) {
+    if ( volume >= 0 ) {
+        state.volume = volume;
+        return EventFactory.createModuleParam( VOLUME, toPercentage( volume / MAX_VOLUME ), false );
+    }
+    const ticks = Math.max( 1, speed - 1 ); // slides are applied on all but the first tick of a row
+
+    switch ( effect ) {
+        default:
+            break;
+
+        case EFFECT_PORTA_UP:
+        case EFFECT_PORTA_DOWN: {
+            if ( param === 0 || state.noteNumber < 0 ) {
+                break;
+            }
+            const semitones = linearFrequencies ? ( param * ticks ) / 16 : periodSlideToSemitones( param * ticks );
+            state.pitchShift += ( effect === EFFECT_PORTA_UP ) ? semitones : -semitones;
+            return createPitchShift( state.pitchShift );
+        }
+
+        case EFFECT_TONE_PORTA:
+        case EFFECT_TONE_PORTA_VS:
+            // slide from the currently playing note towards the new note
+            if ( noteNumber < 0 || triggered ) {
+                break;
+            }
+            state.pitchShift = noteNumber - state.noteNumber;
+            return createPitchShift( state.pitchShift );
+
+        case EFFECT_VOLUME_SLIDE: {
+            const change = (( param >> 4 ) > 0 ? ( param >> 4 ) : -( param & 0x0F )) * ticks;
+            state.volume = Math.max( 0, Math.min( MAX_VOLUME, state.volume + change ));
+            return EventFactory.createModuleParam( VOLUME, toPercentage( state.volume / MAX_VOLUME ), true );
+        }
+
+        case EFFECT_PANNING:
+            return createPanning( param );
+
+        case EFFECT_EXTENDED:
+            if (( param >> 4 ) === 0x8 ) { // coarse panning
+                return createPanning(( param & 0x0F ) * 17 );
+            }
+            break;
+    }
+    return panning >= 0 ? createPanning( panning ) : null;
+}
+
+/**
+ * Efflux pitch shifts are defined relative to the frequency of the playing note
+ * where the maximum shift equals an octave (see module-automation.js)
+ */
+function createPitchShift( semitones ) {
+    if ( semitones >= 0 ) {
+        return EventFactory.createModuleParam( PITCH_UP, toPercentage( Math.pow( 2, semitones / 12 ) - 1 ), true );
+    }
+    return EventFactory.createModuleParam( PITCH_DOWN, toPercentage( 2 * ( 1 - Math.pow( 2, semitones / 12 ))), true );
+}
+
+function createPanning( value ) {
+    const centered = ( value - 128 ) / 128;
+    return EventFactory.createModuleParam( centered < 0 ? PAN_LEFT : PAN_RIGHT, toPercentage( Math.abs( centered )), false );
+}
+
+// Amiga period slides are non linear, we approximate the interval around middle C
+
+function periodSlideToSemitones( periodDelta ) {
+    return 12 * Math.log2( MIDDLE_C_PERIOD / Math.max( 1, MIDDLE_C_PERIOD - periodDelta ));
+}
+
+function toPercentage( value ) {
+    return Math.max( 0, Math.min( 100, Math.round( value * 100 )));
+}
+
+function readString( bytes, offset, length ) {
+    let string = '';
+    for ( let i = offset, l = Math.min( bytes.length, offset + length ); i < l; ++i ) {
+        if ( bytes[ i ] === 0 ) {
+            break;
+        }
+        string += String.fromCharCode( bytes[ i ]);
+    }
+    return string.trim();
+}
@@ -103,7 +103,7 @@ export default {
                 resolve(JSON.parse(storedInstrument));
             });
         },
-        saveInstrument({ state, dispatch }, instrument) {
+        saveInstrument({ state, getters, commit, dispatch }, instrument) {
             return new Promise(async (resolve, reject) => {
                 if ( InstrumentValidator.isValid( instrument ) &&
                    ( typeof instrument.presetName === 'string' && instrument.presetName.length > 0 )) {
@@ -116,13 +116,19 @@ export default {
                         // that's fine...
                     }
 
-                    // push instrument into instrument list
-                    state.instruments.push(getMetaForInstrument(instrument));
-                    persistState(state);
-
-                    // save instrument into storage
-                    StorageUtil.setItem(getStorageKeyForInstrument(instrument), JSON.stringify(instrument));
+                    try {
+                        // save instrument into storage
+                        await StorageUtil.setItem(getStorageKeyForInstrument(instrument), JSON.stringify(instrument));
 
+                        // push instrument into instrument list
+                        state.instruments.push(getMetaForInstrument(instrument));
+                        await persistState(state);
+                    }
+                    catch (error) {
+                        commit('showError', getters.t(StorageUtil.getStorageErrorKey(error)));
+                        reject();
+                        return;
+                    }
                     resolve();
                 } else {
                     reject();
@@ -321,7 +321,7 @@ const module = {
                                 clone.instrument  = cIndex;
                                 clone.seq.playing = false;
 
-                                EventUtil.setPosition( clone, targetPattern, activePattern, writeIndex, song.meta.tempo, clone.seq.length );
+                                EventUtil.setPosition( clone, song, activePattern, writeIndex, clone.seq.length );
                                 Vue.set(targetChannel, writeIndex, clone);
                                 EventUtil.linkEvent( clone, cIndex, song, eventList );
                             }
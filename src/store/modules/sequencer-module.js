@@ -25,6 +25,7 @@ import Config          from '@/config';
 import LinkedList      from '@/utils/linked-list';
 import { noteOn, noteOff, getAudioContext, isRecording, togglePlayback } from '@/services/audio-service';
 import { createTimer } from '@/services/audio/webaudio-helper';
+import { getMeasureDuration, getTimeSignature, createTempoMap } from '@/utils/tempo-util';
 import Metronome       from '@/services/audio/metronome';
 import SequencerWorker from '@/workers/sequencer.worker.js';
 import { ACTION_IDLE, ACTION_NOTE_ON } from '@/model/types/audio-event-def';
@@ -37,9 +38,10 @@ import { ACTION_IDLE, ACTION_NOTE_ON } from '@/model/types/audio-event-def';
  * @param {Object} store root Vuex store
  * @param {AUDIO_EVENT} event
  * @param {number} eventChannel channel the event belongs to
+ * @param {number} time AudioContext time at which the event should start playing
  */
-function enqueueEvent(store, event, eventChannel) {
-    const { beatAmount, nextNoteTime, activePattern, channelQueue } = store.state.sequencer;
+function enqueueEvent(store, event, eventChannel, time) {
+    const { activePattern, channelQueue } = store.state.sequencer;
     const activeSong = store.state.song.activeSong;
 
     event.seq.playing = true; // prevents retriggering of same event
@@ -48,14 +50,14 @@ function enqueueEvent(store, event, eventChannel) {
     // automation glide (a noteOn lasts until a new note or a kill event is
     // triggered within the same channel)
 
-    const patternDuration = ( 60 / activeSong.meta.tempo ) * beatAmount;
+    const patternDuration = getMeasureDuration( activeSong, activePattern );
     const patterns        = activeSong.patterns;
     const eventPattern    = patterns[activePattern];
 
     event.seq.mpLength = eventPattern ? patternDuration / eventPattern.steps : 0;
 
     // play back the event by rendering its audio through the AudioService
-    noteOn(event, activeSong.instruments[event.instrument], nextNoteTime);
+    noteOn(event, activeSong.instruments[event.instrument], time);
 
     // dequeue preceding events
 
@@ -67,14 +69,14 @@ function enqueueEvent(store, event, eventChannel) {
         // all non-module parameter change events kill previously playing notes
         let playingNote = queue.tail;
 
-        // when looping and this is the only note in the channel (notes are enqueued last first, see reverse collect loop)
+        // when looping and this is the only note in the channel
         if ( !playingNote && store.state.sequencer.looping ) {
-            dequeueEvent(store.state.sequencer, event, nextNoteTime + event.seq.length); // or measure length minus event pos??
+            dequeueEvent(store.state.sequencer, event, time + event.seq.length); // or measure length minus event pos??
             return;
         }
 
         while ( playingNote ) {
-            dequeueEvent(store.state.sequencer, playingNote.data, nextNoteTime);
+            dequeueEvent(store.state.sequencer, playingNote.data, time);
             playingNote.remove();
             playingNote = queue.tail;
         }
@@ -88,7 +90,7 @@ function enqueueEvent(store, event, eventChannel) {
     if ( isNoteOn )
         queue.add( event );
     else
-        dequeueEvent(store.state.sequencer, event, nextNoteTime + event.seq.mpLength);
+        dequeueEvent(store.state.sequencer, event, time + event.seq.mpLength);
 }
 
 /**
@@ -135,24 +137,59 @@ function freeHandler(state, node) {
         state.queueHandlers.splice(i, 1);
 }
 
+/**
+ * retrieve the index within the songs order list that is currently
+ * playing. When the active pattern was changed without a change of
+ * the order list position (e.g. by selecting a pattern in the editor),
+ * the first position of the active pattern within the order list is returned.
+ *
+ * @param {Object} state sequencer Vuex module state
+ * @param {SONG} activeSong
+ * @return {number} -1 when the active pattern is not part of the order list
+ */
+function getOrderIndex(state, activeSong) {
+    const { order } = activeSong;
+    if (order[state.activeOrderIndex] === state.activePattern) {
+        return state.activeOrderIndex;
+    }
+    return order.indexOf(state.activePattern);
+}
+
+/**
+ * retrieve the duration (in seconds) of a single sequencer step (this
+ * depends on the tempo and time signature of the active pattern)
+ *
+ * @param {Object} store root Vuex store
+ * @return {number}
+ */
+function getStepDuration(store) {
+    const state = store.state.sequencer;
+    return getMeasureDuration( store.state.song.activeSong, state.activePattern ) / state.stepPrecision;
+}
+
 function collect(store) {
     const state = store.state.sequencer, audioContext = getAudioContext();
 
     // adapted from http://www.html5rocks.com/en/tutorials/audio/scheduling/
     // and extended to work for multi timbral sequencing
     const sequenceEvents = !( state.recording && state.metronome.countIn && !state.metronome.countInComplete );
-    let i, channel, channelStep, event, seq, compareTime;
+    let i, channel, channelStep, event, seq, compareTime, stepDuration;
 
     while ( state.nextNoteTime < ( audioContext.currentTime + state.scheduleAheadTime )) {
+        // step() can advance into a pattern with a different tempo or time signature
+        stepDuration = getStepDuration(store);
+
         if ( sequenceEvents ) {
             compareTime = state.nextNoteTime - state.measureStartTime;
             i = state.channels.length;
 
             while ( i-- ) {
-                channel     = state.channels[ i ];
-                channelStep = channel.length;
+                channel = state.channels[ i ];
+
+                // events are collected in chronological order as swung events can be closer together
+                // than a single sequencer step (e.g. multiple events of a channel can be enqueued in the same step)
 
-                while ( channelStep-- ) {
+                for ( channelStep = 0; channelStep < channel.length; ++channelStep ) {
                     event = channel[ channelStep ];
 
                     // empty slots, recording events or events outside of the current measure can be ignored
@@ -164,10 +201,11 @@ function collect(store) {
                     if ( seq.playing ) continue; // so can playing events (efc58fc188d5b3e137f709c6cef3d0a04fff3f7c)
 
                     // event playback is triggered when its duration is within the current sequencer position range
+                    // (when swung, events can start in between sequencer steps and are enqueued at their exact offset)
 
-                    if ( compareTime >= seq.startMeasureOffset &&
-                         compareTime < ( seq.startMeasureOffset + seq.length )) {
-                        enqueueEvent( store, event, i );
+                    if (( compareTime + stepDuration ) > seq.startMeasureOffset &&
+                          compareTime < ( seq.startMeasureOffset + seq.length )) {
+                        enqueueEvent( store, event, i, state.measureStartTime + Math.max( compareTime, seq.startMeasureOffset ));
 
                         // ------------- from efc58fc188d5b3e137f709c6cef3d0a04fff3f7c
                         // we'd like to use noteOff(event, time) scheduled at the right note off time
@@ -182,7 +220,7 @@ function collect(store) {
             }
         }
         if ( state.metronome.enabled ) // sound the metronome
-            state.metronome.play( 2, state.currentStep, state.stepPrecision, state.nextNoteTime, getAudioContext() );
+            state.metronome.play( 2, state.currentStep, state.stepPrecision, state.nextNoteTime, getAudioContext(), state.beatAmount );
 
         // advance to next step position
         step( store );
@@ -196,11 +234,10 @@ function collect(store) {
  */
 function step(store) {
     const activeSong = store.state.song.activeSong;
-    const maxMeasure = activeSong.patterns.length - 1;
     const state      = store.state.sequencer;
 
     // Advance current note and time by the given subdivision...
-    state.nextNoteTime += (( 60 / activeSong.meta.tempo ) * 4 ) / state.stepPrecision;
+    state.nextNoteTime += getStepDuration(store);
 
     // advance the beat number, wrap to zero when start of next bar is enqueued
 
@@ -210,10 +247,11 @@ function step(store) {
     if (currentStep === state.stepPrecision) {
         store.commit('setCurrentStep', 0);
 
-        const nextPattern = state.activePattern + 1;
-        if (nextPattern > maxMeasure) {
+        // the order list defines which pattern is played next
+        const nextOrderIndex = getOrderIndex(state, activeSong) + 1;
+        if (nextOrderIndex >= activeSong.order.length) {
             // last measure reached, jump back to first
-            store.commit('setActivePattern', 0);
+            store.commit('setActiveOrderIndex', { activeSong, orderIndex: 0 });
 
             // stop playing if we're recording output and looping is disabled
 
@@ -236,7 +274,7 @@ function step(store) {
                 state.metronome.countInComplete = true;
                 state.firstMeasureStartTime     = getAudioContext().currentTime;
 
-                store.commit('setActivePattern', 0);
+                store.commit('setActiveOrderIndex', { activeSong, orderIndex: 0 });
             }
         }
         store.commit('setActivePattern', state.activePattern );
@@ -257,6 +295,7 @@ export default {
         queueHandlers         : [],
         channelQueue          : new Array( Config.INSTRUMENT_AMOUNT ),
         activePattern         : 0,
+        activeOrderIndex      : 0, // position of the active pattern within the songs order list
         measureStartTime      : 0,
         firstMeasureStartTime : 0,
         currentStep           : 0,
@@ -281,7 +320,10 @@ export default {
         amountOfSteps(state, rootState) {
             return rootState.activeSong.patterns[state.activePattern].steps;
         },
-        position: state => ({ pattern: state.activePattern, step: state.currentStep })
+        position: state => ({ pattern: state.activePattern, step: state.currentStep }),
+        orderIndex(state, getters) {
+            return getOrderIndex(state, getters.activeSong);
+        }
     },
     mutations: {
         setPlaying(state, isPlaying) {
@@ -314,14 +356,27 @@ export default {
         setActivePattern(state, value) {
             state.activePattern = value;
         },
-        gotoPreviousPattern(state) {
-            if (state.activePattern > 0)
-                state.activePattern = state.activePattern - 1;
+        /**
+         * set the active pattern to the pattern at given position within the songs order list
+         */
+        setActiveOrderIndex(state, { activeSong, orderIndex }) {
+            const { order } = activeSong;
+            state.activeOrderIndex = Math.max(0, Math.min(order.length - 1, orderIndex));
+            state.activePattern    = order[state.activeOrderIndex];
+        },
+        gotoPreviousPattern(state, activeSong) {
+            const orderIndex = getOrderIndex(state, activeSong);
+            if (orderIndex > 0) {
+                state.activeOrderIndex = orderIndex - 1;
+                state.activePattern    = activeSong.order[state.activeOrderIndex];
+            }
         },
         gotoNextPattern(state, activeSong) {
-            const max = activeSong.patterns.length - 1;
-            if ( state.activePattern < max )
-                state.activePattern = state.activePattern + 1;
+            const orderIndex = getOrderIndex(state, activeSong);
+            if (orderIndex < activeSong.order.length - 1) {
+                state.activeOrderIndex = orderIndex + 1;
+                state.activePattern    = activeSong.order[state.activeOrderIndex];
+            }
         },
         setCurrentStep(state, step) {
             state.currentStep = step;
@@ -356,6 +411,7 @@ export default {
         },
         /**
          * set the sequencers position to given target pattern and optional offset defined by currentTime
+         * (the position within the songs order list is synchronized to the pattern)
          *
          * @param {Object} state sequencer Vuex store module
          * @param {Object} activeSong
@@ -373,16 +429,26 @@ export default {
             if ( typeof currentTime !== 'number' )
                 currentTime = getAudioContext() ? getAudioContext().currentTime : 0;
 
-            state.activePattern         = pattern;
+            state.activePattern = pattern;
+
+            const orderIndex = Math.max( 0, getOrderIndex( state, activeSong ));
+            state.activeOrderIndex = orderIndex;
+
+            const { beatAmount, beatUnit } = getTimeSignature( activeSong, pattern );
+            state.beatAmount = beatAmount;
+            state.beatUnit   = beatUnit;
+
+            const tempoMapEntry = createTempoMap( activeSong )[ orderIndex ];
+
             state.nextNoteTime          = currentTime;
             state.measureStartTime      = currentTime;
-            state.firstMeasureStartTime = currentTime - ( pattern * ( 60.0 / activeSong.meta.tempo * state.beatAmount ));
+            state.firstMeasureStartTime = currentTime - ( tempoMapEntry ? tempoMapEntry.startTime : 0 );
 
             state.channels = activeSong.patterns[ state.activePattern ].channels;
 
             // when going to the first measure we should stop playing all currently sounding notes
 
-            if (state.activePattern === 0) {
+            if (orderIndex === 0) {
                 state.channelQueue.forEach(list => {
                     let playingNote = list.head;
                     while (playingNote) {
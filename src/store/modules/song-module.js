@@ -27,12 +27,21 @@ import HistoryStateFactory from '@/model/factory/history-state-factory';
 import HistoryStates       from '@/definitions/history-states';
 import FixturesLoader      from '@/services/fixtures-loader';
 import SongAssemblyService from '@/services/song-assembly-service';
+import MidiFileService     from '@/services/midi-file-service';
+import TrackerFileService  from '@/services/tracker-file-service';
 import PubSubMessages      from '@/services/pubsub/messages';
+import OutputRecorder      from '@/services/audio/output-recorder';
+import { renderSong }      from '@/services/audio-service';
 import SongValidator       from '@/model/validators/song-validator';
 import ObjectUtil          from '@/utils/object-util';
 import StorageUtil         from '@/utils/storage-util';
 
-import { hasContent, resetPlayState, updateEventOffsets } from '@/utils/song-util';
+import { createZip }          from '@/utils/zip-util';
+import { getMeasureDuration } from '@/utils/tempo-util';
+
+import {
+    hasContent, hasContentForInstrument, getAudibleInstruments, resetPlayState, updateEventOffsets, updateEventPositions
+} from '@/utils/song-util';
 
 const SONG_STORAGE_KEY = 'Efflux_Song_';
 
@@ -75,9 +84,59 @@ export default {
 
             meta.tempo = newTempo;
 
-            // update existing event offsets by the tempo ratio
+            // update existing event offsets by the tempo ratio (patterns defining their own tempo are unaffected)
+            // and update the event positions as the start offsets depend on the duration of the preceding patterns
+
+            updateEventOffsets( state.activeSong.patterns.filter( pattern => !pattern.tempo ), ( oldTempo / newTempo ));
+            updateEventPositions( state.activeSong );
+        },
+        /**
+         * sets the tempo (in BPM) of the pattern at given index, when tempo
+         * is not defined, the pattern plays back at the tempo of the song
+         */
+        setPatternTempo(state, { patternIndex, tempo }) {
+            updatePatternTiming( state.activeSong, patternIndex, pattern => {
+                if ( tempo ) {
+                    Vue.set(pattern, 'tempo', parseFloat(tempo));
+                } else {
+                    Vue.delete(pattern, 'tempo');
+                }
+            });
+        },
+        /**
+         * sets the time signature of the pattern at given index, when beatAmount or beatUnit
+         * are not defined, the pattern plays back in the default 4/4 time signature
+         */
+        setPatternTimeSignature(state, { patternIndex, beatAmount, beatUnit }) {
+            updatePatternTiming( state.activeSong, patternIndex, pattern => {
+                if ( beatAmount && beatUnit ) {
+                    Vue.set(pattern, 'beatAmount', beatAmount);
+                    Vue.set(pattern, 'beatUnit', beatUnit);
+                } else {
+                    Vue.delete(pattern, 'beatAmount');
+                    Vue.delete(pattern, 'beatUnit');
+                }
+            });
+        },
+        setSwing(state, value) {
+            Vue.set(state.activeSong.meta, 'swing', Math.max(0, Math.min(1, parseFloat(value))));
+
+            // swing delays the offsets of existing events
 
-            updateEventOffsets( state.activeSong.patterns, ( oldTempo / newTempo ));
+            updateEventPositions( state.activeSong );
+        },
+        /**
+         * sets the groove template for the pattern at given index, when groove
+         * is not defined, the pattern uses the default template
+         */
+        setPatternGroove(state, { patternIndex, groove }) {
+            const pattern = state.activeSong.patterns[patternIndex];
+            if (Array.isArray(groove)) {
+                Vue.set(pattern, 'groove', [ ...groove ]);
+            } else {
+                Vue.delete(pattern, 'groove');
+            }
+            updateEventPositions( state.activeSong, patternIndex );
         },
         /**
          * adds given AudioEvent at the currently highlighted position or by optionally defined
@@ -112,6 +171,12 @@ export default {
         updateInstrument(state, { instrumentIndex, prop, value }) {
             Vue.set(state.activeSong.instruments[instrumentIndex], prop, value);
         },
+        updateMaster(state, { prop, value }) {
+            Vue.set(state.activeSong.master, prop, value);
+        },
+        updateAuxBus(state, { busIndex, prop, value }) {
+            Vue.set(state.activeSong.buses[busIndex], prop, value);
+        },
         replaceInstrument(state, { instrumentIndex, instrument }) {
             Vue.set(state.activeSong.instruments, instrumentIndex, instrument);
         },
@@ -121,6 +186,9 @@ export default {
         replacePatterns(state, patterns) {
             Vue.set(state.activeSong, 'patterns', patterns);
         },
+        replaceOrder(state, order) {
+            Vue.set(state.activeSong, 'order', order);
+        },
         setShowSaveMessage(state, value) {
             state.showSaveMessage = !!value;
         }
@@ -186,21 +254,32 @@ export default {
                     reject();
                     return;
                 }
-                // all is well, delete existing song and save
-                try {
-                    await dispatch('deleteSong', { song, persist: false }); // remove duplicate song if existed
-                }
-                catch(e) {
-                    // that's fine.
+                // all is well, a song that existed under a different title is saved
+                // as a new entry (make its id unique) otherwise it replaces the existing entry
+                const existingSong = state.songs.find(({ id }) => id === song.id);
+                if (existingSong && existingSong.meta.title !== song.meta.title) {
+                    song.id = `${song.id}b`;
                 }
                 song.meta.modified = Date.now(); // update timestamp
 
-                // push song into song list
-                state.songs.push(getMetaForSong(song));
-                persistState(state);
-
-                // save song into storage
-                StorageUtil.setItem(getStorageKeyForSong(song), SongAssemblyService.disassemble(song));
+                try {
+                    // save song into storage (overwrites the previously stored copy, which is
+                    // only replaced once the new copy has been written successfully)
+                    await StorageUtil.setItem(getStorageKeyForSong(song), SongAssemblyService.disassemble(song));
+
+                    // replace song in song list
+                    const index = state.songs.findIndex(({ id }) => id === song.id);
+                    if (index > -1) {
+                        state.songs.splice(index, 1);
+                    }
+                    state.songs.push(getMetaForSong(song));
+                    await persistState(state);
+                }
+                catch (error) {
+                    commit('showError', getters.t(StorageUtil.getStorageErrorKey(error)));
+                    reject();
+                    return;
+                }
 
                 commit('publishMessage', PubSubMessages.SONG_SAVED);
                 if (state.showSaveMessage) {
@@ -281,19 +360,7 @@ export default {
             });
         },
         importSong({ commit, dispatch, getters }) {
-            // inline handler to overcome blocking of the file select popup by the browser
-
-            const fileBrowser = document.createElement('input');
-            fileBrowser.setAttribute('type',   'file');
-            fileBrowser.setAttribute('accept', Config.SONG_FILE_EXTENSION);
-
-            const simulatedEvent = document.createEvent('MouseEvent');
-            simulatedEvent.initMouseEvent(
-                'click', true, true, window, 1,
-                 0, 0, 0, 0, false,
-                 false, false, false, 0, null
-            );
-            fileBrowser.dispatchEvent(simulatedEvent);
+            const fileBrowser = openFileBrowser(Config.SONG_FILE_EXTENSION);
 
             return new Promise((resolve, reject) => {
                 fileBrowser.addEventListener('change', fileBrowserEvent => {
@@ -336,6 +403,37 @@ export default {
                 });
             });
         },
+        /**
+         * imports a Standard MIDI File as a new song. Notes are quantized
+         * to patterns that have given amount of steps
+         */
+        async importMIDI({ commit, getters }, steps = 16) {
+            const fileBrowser = openFileBrowser(`${Config.MIDI_FILE_EXTENSION},.midi`);
+            const { name, data } = await readBinaryFile(fileBrowser, getters.t('error.fileLoad'));
+            let song;
+            try {
+                song = MidiFileService.toSong(MidiFileService.decode(data), steps, name.replace(/\.midi?$/i, ''));
+            } catch (e) {
+                throw getters.t('error.midiImport', { extension: Config.MIDI_FILE_EXTENSION });
+            }
+            commit('setActiveSong', song);
+            commit('publishMessage', PubSubMessages.SONG_IMPORTED);
+        },
+        /**
+         * imports the patterns of a ProTracker .MOD or FastTracker II .XM file as a new song
+         */
+        async importTrackerModule({ commit, getters }) {
+            const fileBrowser = openFileBrowser(`${Config.MOD_FILE_EXTENSION},${Config.XM_FILE_EXTENSION}`);
+            const { data } = await readBinaryFile(fileBrowser, getters.t('error.fileLoad'));
+            let song;
+            try {
+                song = TrackerFileService.toSong(TrackerFileService.decode(data));
+            } catch (e) {
+                throw getters.t('error.moduleImport');
+            }
+            commit('setActiveSong', song);
+            commit('publishMessage', PubSubMessages.SONG_IMPORTED);
+        },
         exportSong({ commit }, song) {
             return new Promise(resolve => {
                 const songData = SongAssemblyService.disassemble(song);
@@ -352,12 +450,143 @@ export default {
 
                 resolve();
             });
+        },
+        exportSongAsMIDI(store, song) {
+            return new Promise(resolve => {
+                const blob = new Blob([ MidiFileService.encode(song) ], { type: 'audio/midi' });
+                downloadBlob(blob, `${song.meta.title}${Config.MIDI_FILE_EXTENSION}`);
+                resolve();
+            });
+        },
+        /**
+         * renders the audio of given song (faster than realtime) and
+         * downloads the result as a WAV file
+         */
+        async exportSongAsWAV({ commit }, song) {
+            commit('setLoading', true);
+            try {
+                const buffer = await renderSong(song);
+                const blob   = await OutputRecorder.encodeWAV(buffer);
+                downloadBlob(blob, `${song.meta.title}${Config.WAV_FILE_EXTENSION}`);
+            } finally {
+                commit('setLoading', false);
+            }
+        },
+        /**
+         * renders the audio of each of the songs audible instruments in isolation
+         * and downloads the resulting WAV files (either bundled in a zip or as separate files)
+         */
+        async exportSongStems({ commit }, { song, asZip = true }) {
+            const instruments = getAudibleInstruments(song.instruments)
+                                    .filter(({ id }) => hasContentForInstrument(song, id));
+            const files = [];
+
+            commit('setLoading', true);
+            try {
+                for (const instrument of instruments) {
+                    const buffer = await renderSong(song, instrument.id);
+                    const blob   = await OutputRecorder.encodeWAV(buffer);
+                    const name   = `${song.meta.title} - ${instrument.id + 1} ${instrument.name}${Config.WAV_FILE_EXTENSION}`;
+
+                    if (asZip) {
+                        files.push({ name: toFileName(name), data: await readBlob(blob) });
+                    } else {
+                        downloadBlob(blob, toFileName(name));
+                    }
+                }
+                if (asZip && files.length) {
+                    downloadBlob(new Blob([ createZip(files) ], { type: 'application/zip' }), toFileName(`${song.meta.title} stems.zip`));
+                }
+            } finally {
+                commit('setLoading', false);
+            }
+            return instruments.length;
         }
     }
 };
 
 /* internal methods */
 
+/**
+ * opens the file selection dialog of the browser (we use an inline
+ * handler to overcome blocking of the file select popup by the browser)
+ */
+const openFileBrowser = accept => {
+    const fileBrowser = document.createElement('input');
+    fileBrowser.setAttribute('type',   'file');
+    fileBrowser.setAttribute('accept', accept);
+
+    const simulatedEvent = document.createEvent('MouseEvent');
+    simulatedEvent.initMouseEvent(
+        'click', true, true, window, 1,
+         0, 0, 0, 0, false,
+         false, false, false, 0, null
+    );
+    fileBrowser.dispatchEvent(simulatedEvent);
+
+    return fileBrowser;
+};
+
+/**
+ * reads the contents of the file selected in given file browser
+ * as binary data, returns a Promise resolving with the file name and its data
+ */
+const readBinaryFile = (fileBrowser, errorMessage) => new Promise((resolve, reject) => {
+    fileBrowser.addEventListener('change', fileBrowserEvent => {
+        const file   = fileBrowserEvent.target.files[0];
+        const reader = new FileReader();
+
+        reader.onerror = () => reject(errorMessage);
+        reader.onload  = readerEvent => resolve({ name: file.name, data: readerEvent.target.result });
+
+        // start reading file contents
+        reader.readAsArrayBuffer(file);
+    });
+});
+
+/**
+ * downloads given Blob onto disk under given file name
+ */
+const downloadBlob = (blob, fileName) => {
+    const url = window.URL.createObjectURL(blob);
+
+    const pom = document.createElement('a');
+    pom.setAttribute('href', url);
+    pom.setAttribute('target', '_blank' ); // helps for Safari (opens content in window...)
+    pom.setAttribute('download', fileName);
+    pom.click();
+
+    window.URL.revokeObjectURL(url);
+};
+
+/**
+ * reads the contents of given Blob as binary data
+ */
+const readBlob = blob => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = reject;
+    reader.onload  = readerEvent => resolve(new Uint8Array(readerEvent.target.result));
+    reader.readAsArrayBuffer(blob);
+});
+
+/**
+ * applies given change to the timing (tempo or time signature) of the pattern at
+ * given index, the lengths of the patterns events are scaled by the change in measure duration
+ * and all event positions are updated (as start offsets depend on the preceding patterns)
+ */
+const updatePatternTiming = (song, patternIndex, changeFn) => {
+    const pattern     = song.patterns[patternIndex];
+    const oldDuration = getMeasureDuration(song, patternIndex);
+
+    changeFn(pattern);
+
+    updateEventOffsets([ pattern ], getMeasureDuration(song, patternIndex) / oldDuration);
+    updateEventPositions(song);
+};
+
+// strips characters that are not allowed in file names
+const toFileName = name => name.replace(/[\\/:*?"<>|]/g, '_');
+
 const getMetaForSong = song => ({
     id: song.id,
     meta: { ...song.meta }
@@ -26,6 +26,7 @@
  * changes. The TinyPlayer however does not use Vue nor its reactivity.
  *
  * TinyPlayer plays back songs that were saved using SongAssemblyService version 4
+ * (the swing of songs saved using version 7 is applied by the assembler when positioning the events)
  */
 
 // destructure imports from Efflux source to include what we need
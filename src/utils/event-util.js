@@ -23,31 +23,36 @@
 import Vue          from 'vue';
 import EventFactory from '@/model/factory/event-factory';
 
-import { getMeasureDurationInSeconds } from './audio-math';
+import { DEFAULT_GROOVE, MAX_SWING } from '@/definitions/grooves';
+import { getMeasureDuration, getSixteenthDuration, getPatternStartOffset } from './tempo-util';
 
 const EventUtil =
 {
     /**
-     * update the position properties of given AudioEvent
+     * update the position properties of given AudioEvent. The offsets are calculated
+     * using the tempo and time signature of the pattern (see tempo-util) and the Songs swing
      *
      * @param {AUDIO_EVENT} event
-     * @param {PATTERN} pattern
+     * @param {SONG} song
      * @param {number} patternNum index of the pattern within the entire Song (e.g. "measure")
      * @param {number} patternStep index of the audioEvent within the pattern
-     * @param {number} tempo in BPM of the song
      * @param {number=} length optional duration (in seconds) of the audioEvent, defaults to
      *                  the smallest unit available for given patterns length
      */
-    setPosition( event, pattern, patternNum, patternStep, tempo, length ) {
-        const measureLength = calculateMeasureLength( tempo );
-        const eventOffset   = ( patternStep / pattern.steps ) * measureLength;
-        const { seq }       = event;
+    setPosition( event, song, patternNum, patternStep, length ) {
+        const pattern       = song.patterns[ patternNum ];
+        const measureLength = getMeasureDuration( song, patternNum );
+        const eventOffset   = applyGroove(
+            ( patternStep / pattern.steps ) * measureLength, measureLength,
+            getSixteenthDuration( song, patternNum ), song.meta.swing, pattern.groove
+        );
+        const { seq } = event;
 
         if ( typeof length !== "number" ) {
            length = ( 1 / pattern.steps ) * measureLength;
         }
         Vue.set(seq, 'length', length);
-        Vue.set(seq, 'startOffset', patternNum * getMeasureDurationInSeconds( tempo ));
+        Vue.set(seq, 'startOffset', getPatternStartOffset( song, patternNum ));
         Vue.set(seq, 'startMeasure', patternNum);
         Vue.set(seq, 'startMeasureOffset', eventOffset);
         Vue.set(seq, 'endMeasure', patternNum + Math.abs( Math.ceil((( eventOffset + length ) - measureLength ) / measureLength )));
@@ -81,11 +86,11 @@ const EventUtil =
         if ( nextEvent ) {
             insertedNode = list.addBefore( nextEvent, event );
             // update this event duration when the next event is known
-            updateLengthDelta( event, insertedNode.next.data, song.meta.tempo );
+            updateLengthDelta( event, insertedNode.next.data, song );
         } else {
             insertedNode = list.add( event ); // event is new tail
         }
-        updatePreviousEventLength( insertedNode, song.meta.tempo );
+        updatePreviousEventLength( insertedNode, song );
 
         return insertedNode;
     },
@@ -131,7 +136,7 @@ const EventUtil =
                 listNode.remove();
 
                 if ( next )
-                    updatePreviousEventLength( next, song.meta.tempo );
+                    updatePreviousEventLength( next, song );
             }
         }
         Vue.set(channel, step, 0);
@@ -302,7 +307,7 @@ const EventUtil =
                 evt = EventFactory.createAudioEvent( firstEvent.instrument );
                 Vue.set(channel, eventIndex, evt);
                 list.addAfter( prevEvent, evt );
-                EventUtil.setPosition( evt, pattern, patternIndex, eventIndex, song.meta.tempo );
+                EventUtil.setPosition( evt, song, patternIndex, eventIndex );
             }
             Vue.set(evt, 'mp', {
                 module: firstEvent.mp.module,
@@ -403,18 +408,18 @@ export default EventUtil;
 
 /* internal methods */
 
-function updatePreviousEventLength( eventListNode, songTempo ) {
+function updatePreviousEventLength( eventListNode, song ) {
     if ( !eventListNode.previous ) {
         return;
     }
-    updateLengthDelta( eventListNode.previous.data, eventListNode.data, songTempo );
+    updateLengthDelta( eventListNode.previous.data, eventListNode.data, song );
 }
 
 /**
  * Updates the length of given firstEvent to match the delta
  * distance between its starting offset and that of given lastEvent
  */
-function updateLengthDelta( firstEvent, lastEvent, songTempo ) {
+function updateLengthDelta( firstEvent, lastEvent, song ) {
     const prevEventSeq = firstEvent.seq;
     const eventSeq     = lastEvent.seq;
 
@@ -426,23 +431,44 @@ function updateLengthDelta( firstEvent, lastEvent, songTempo ) {
     else {
 
         const currentStartMeasure = eventSeq.startMeasure;
-        const measureLength       = calculateMeasureLength( songTempo );
         let previousStartMeasure  = prevEventSeq.startMeasure;
-        let length = measureLength - prevEventSeq.startMeasureOffset;
-        let i = 0;
-
-        while ( previousStartMeasure < currentStartMeasure ) {
+        let length = getMeasureDuration( song, previousStartMeasure ) - prevEventSeq.startMeasureOffset;
 
-            if ( i > 0 )
-                length += measureLength;
+        // add the duration of all measures in between the events (these can differ in tempo and time signature)
 
-            ++previousStartMeasure;
-            ++i;
+        while ( ++previousStartMeasure < currentStartMeasure ) {
+            length += getMeasureDuration( song, previousStartMeasure );
         }
         Vue.set(prevEventSeq, 'length', length + eventSeq.startMeasureOffset);
     }
 }
 
-function calculateMeasureLength( tempo ) {
-    return ( 60 / tempo ) * 4; // TODO: the 4 is implying all songs will be in 4/4 time
+/**
+ * calculates the offset of an event within a measure when swing is applied
+ * to the sixteenth notes of the measure. Sixteenth notes are delayed by the factor
+ * defined for them in the groove template while events positioned in between sixteenth
+ * notes are shifted proportionally, keeping all events in their original sequence
+ *
+ * @param {number} offset in seconds of the event within the measure (when played straight)
+ * @param {number} measureLength in seconds
+ * @param {number} sixteenthLength duration in seconds of a sixteenth note
+ * @param {number} swing amount in 0 - 1 range
+ * @param {Array<number>=} groove optional groove template, defaults to DEFAULT_GROOVE
+ * @return {number} swung offset in seconds
+ */
+function applyGroove( offset, measureLength, sixteenthLength, swing, groove = DEFAULT_GROOVE ) {
+    if ( !swing ) {
+        return offset;
+    }
+    const sixteenths = measureLength / sixteenthLength;
+    const delay = sixteenth => groove[ sixteenth % groove.length ] * swing * MAX_SWING;
+
+    const position  = offset / sixteenthLength;
+    const sixteenth = Math.floor( position );
+    const fraction  = position - sixteenth;
+    const start     = sixteenth + delay( sixteenth );
+    // the end of the measure is never delayed
+    const end       = sixteenth + 1 < sixteenths ? sixteenth + 1 + delay( sixteenth + 1 ) : sixteenths;
+
+    return ( start + ( fraction * ( end - start ))) * sixteenthLength;
 }
@@ -23,7 +23,8 @@
 import AudioService from '@/services/audio-service';
 import EventFactory from '@/model/factory/event-factory';
 import EventUtil    from './event-util';
-import { ACTION_NOTE_ON, ACTION_NOTE_OFF } from '@/model/types/audio-event-def';
+import { getFrequency } from '@/services/audio/pitch';
+import { ACTION_NOTE_ON, ACTION_NOTE_OFF, DEFAULT_VELOCITY } from '@/model/types/audio-event-def';
 
 const RECORD_THRESHOLD = 50;
 
@@ -67,6 +68,48 @@ export const tuneToOscillator = ( frequency, oscillator ) => {
  */
 export const tuneBufferPlayback = oscillator => 1 + ( oscillator.detune / 50 );
 
+/**
+ * get the playback rate at which the sample of given oscillator should
+ * be played for it to sound at given frequency (relative to the samples root note)
+ *
+ * @param {number} frequency in Hz
+ * @param {INSTRUMENT_OSCILLATOR} oscillator
+ * @return {number}
+ */
+export const tuneSamplePlayback = ( frequency, oscillator ) => {
+    const { rootNote, rootOctave } = oscillator.sample;
+    return tuneToOscillator( frequency, oscillator ) / getFrequency( rootNote, rootOctave );
+};
+
+/**
+ * get the position of the unison voice at given index relative to the
+ * detune and stereo spread of its oscillator (in the -1 to +1 range). The first
+ * voice is centered, the additional voices are placed in pairs at increasing
+ * distance on either side of the center
+ *
+ * @param {number} index of the unison voice
+ * @param {number} voiceAmount total amount of unison voices
+ * @return {number}
+ */
+export const getUnisonPosition = ( index, voiceAmount ) => {
+    if ( index === 0 || voiceAmount < 2 )
+        return 0;
+
+    const pairAmount = Math.ceil(( voiceAmount - 1 ) / 2 );
+    const pair       = Math.ceil( index / 2 );
+
+    return ( index % 2 === 1 ? 1 : -1 ) * ( pair / pairAmount );
+};
+
+/**
+ * get the gain by which to scale the oscillator volume when stacking given
+ * amount of unison voices, keeping the perceived loudness equal
+ *
+ * @param {number} voiceAmount
+ * @return {number}
+ */
+export const getUnisonGain = voiceAmount => 1 / Math.sqrt( Math.max( 1, voiceAmount ));
+
 /**
  * alter the frequency of currently playing events to match changes
  * made to the tuning of given oscillator
@@ -86,18 +129,36 @@ export const adjustEventTunings = ( events, oscillatorIndex, oscillator ) => {
 
             const generator = voice.generator;
 
-            if ( generator instanceof OscillatorNode )
+            if ( generator instanceof OscillatorNode ) {
                 generator.frequency.value = tuneToOscillator( voice.frequency, oscillator );
 
-            else if ( generator instanceof AudioBufferSourceNode )
-                generator.playbackRate.value = tuneBufferPlayback( oscillator );
+                // the unison voices are detuned relative to the tuned frequency of the voice
+                const unison = voice.unison || [];
+                unison.forEach(( unisonVoice, index ) => {
+                    unisonVoice.generator.frequency.value = generator.frequency.value;
+                    unisonVoice.generator.detune.value    = getUnisonPosition( index + 1, unison.length + 1 ) * oscillator.unison.detune;
+                });
+                // the frames of a multi-frame wave table play back at the frequency of the voice
+                if ( voice.morph ) {
+                    voice.morph.generators.forEach( frameGenerator => {
+                        frameGenerator.frequency.value = generator.frequency.value;
+                    });
+                }
+            }
+
+            else if ( generator instanceof AudioBufferSourceNode ) {
+                if ( oscillator.waveform === 'SAMPLE' && oscillator.sample )
+                    generator.playbackRate.value = tuneSamplePlayback( voice.frequency, oscillator );
+                else
+                    generator.playbackRate.value = tuneBufferPlayback( oscillator );
+            }
         }
     });
 };
 
 /**
  * alter the volume of currently playing events to match changes
- * made to the volume of given oscillator
+ * made to the volume of given oscillator (scaled by the velocity of each voice)
  *
  * @param {Array<EVENT_VOICE_LIST>} events
  * @param {number} oscillatorIndex
@@ -111,7 +172,8 @@ export const adjustEventVolume = ( events, oscillatorIndex, oscillator ) => {
         if ( event.length > oscillatorIndex ) {
             const voice = event[ oscillatorIndex ];
             if (!voice) return;
-            voice.gain.gain.value = oscillator.volume;
+            const unisonAmount = voice.unison ? voice.unison.length + 1 : 1;
+            voice.gain.gain.value = oscillator.volume * ( typeof voice.velocity === 'number' ? voice.velocity : 1 ) * getUnisonGain( unisonAmount );
         }
     });
 };
@@ -136,8 +198,34 @@ export const adjustEventWaveForms = ( events, oscillatorIndex, table ) => {
             if (!voice) return;
 
             const generator = event[oscillatorIndex].generator;
-            if (generator instanceof OscillatorNode )
+            if (generator instanceof OscillatorNode ) {
                 generator.setPeriodicWave(table);
+                ( voice.unison || [] ).forEach(unisonVoice => unisonVoice.generator.setPeriodicWave(table));
+            }
+        }
+    });
+};
+
+/**
+ * alter the wavetables of the additional frames of currently playing events to
+ * match changes made to the frames of given oscillator. Voices that were started
+ * with a different amount of frames are left untouched (the new amount of frames
+ * applies to newly played events)
+ *
+ * @param {Array<EVENT_VOICE_LIST>} events
+ * @param {number} oscillatorIndex
+ * @param {Array<PeriodicWave>} frameTables
+ */
+export const adjustEventFrames = ( events, oscillatorIndex, frameTables ) => {
+    events.forEach(event => {
+        if (!event) return;
+
+        if ( event.length > oscillatorIndex ) {
+            const voice = event[ oscillatorIndex ];
+            if ( !voice || !voice.morph || voice.morph.generators.length !== frameTables.length )
+                return;
+
+            voice.morph.generators.forEach(( generator, index ) => generator.setPeriodicWave( frameTables[ index ]));
         }
     });
 };
@@ -145,8 +233,12 @@ export const adjustEventWaveForms = ( events, oscillatorIndex, table ) => {
 export default
 {
     tuneBufferPlayback,
+    tuneSamplePlayback,
     tuneToOscillator,
+    getUnisonPosition,
+    getUnisonGain,
     adjustEventWaveForms,
+    adjustEventFrames,
     adjustEventVolume,
     adjustEventTunings,
 
@@ -156,18 +248,20 @@ export default
      * @param {INSTRUMENT} instrument to play back the note on
      * @param {boolean=} record whether to record the note into given instruments pattern list
      * @param {Object} store root Vuex store
+     * @param {number=} velocity optional velocity of the note (0 - 100 range)
      * @return {AUDIO_EVENT|null}
      */
-    onKeyDown( pitch, instrument, record, store ) {
+    onKeyDown( pitch, instrument, record, store, velocity = DEFAULT_VELOCITY ) {
         const id = pitchToUniqueId( pitch );
 
         if ( playingNotes[ id ])
             return null; // note already playing
 
-        const audioEvent  = EventFactory.createAudioEvent(instrument.id);
-        audioEvent.note   = pitch.note;
-        audioEvent.octave = pitch.octave;
-        audioEvent.action = ACTION_NOTE_ON;
+        const audioEvent    = EventFactory.createAudioEvent(instrument.id);
+        audioEvent.note     = pitch.note;
+        audioEvent.octave   = pitch.octave;
+        audioEvent.action   = ACTION_NOTE_ON;
+        audioEvent.velocity = velocity;
 
         playingNotes[ id ] = { event: audioEvent, instrument: instrument, recording: record === true };
         AudioService.noteOn(audioEvent, instrument);
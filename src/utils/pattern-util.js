@@ -78,5 +78,43 @@ export default {
             });
         });
         return front.concat( back );
+    },
+    /**
+     * updates given order list (the playback order of a songs patterns) for
+     * the insertion of given amount of patterns at given pattern index. Existing
+     * entries referencing shifted patterns are updated and the inserted patterns
+     * are placed in the order list directly after the pattern preceding the insertion index
+     *
+     * @param {Array<number>} order list of pattern indices
+     * @param {number} index at which the patterns were inserted
+     * @param {number=} amount of inserted patterns
+     * @return {Array<number>} updated order list
+     */
+    addPatternsToOrder( order, index, amount = 1 ) {
+        const updated  = order.map( patternIndex => patternIndex >= index ? patternIndex + amount : patternIndex );
+        const inserted = new Array( amount ).fill( index ).map(( patternIndex, offset ) => patternIndex + offset );
+
+        let position = index === 0 ? 0 : order.indexOf( index - 1 ) + 1;
+        if ( position === 0 && index > 0 ) {
+            position = updated.length; // preceding pattern is not in the order list, append at end
+        }
+        updated.splice( position, 0, ...inserted );
+        return updated;
+    },
+    /**
+     * updates given order list (the playback order of a songs patterns) for the
+     * removal of the pattern at given index. All entries referencing the removed pattern
+     * are removed and the entries referencing shifted patterns are updated.
+     *
+     * @param {Array<number>} order list of pattern indices
+     * @param {number} index of the removed pattern
+     * @return {Array<number>} updated order list
+     */
+    removePatternFromOrder( order, index ) {
+        const updated = order.filter( patternIndex => patternIndex !== index )
+                             .map( patternIndex => patternIndex > index ? patternIndex - 1 : patternIndex );
+
+        // the order list should always play at least a single pattern
+        return updated.length ? updated : [ 0 ];
     }
 };
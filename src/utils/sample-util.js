@@ -0,0 +1,95 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+/**
+ * reads the contents of given File (e.g. selected in a file browser)
+ * as binary data
+ *
+ * @param {File} file
+ * @return {Promise<ArrayBuffer>}
+ */
+export const readFile = file => new Promise(( resolve, reject ) => {
+    const reader = new FileReader();
+    reader.onerror = reject;
+    reader.onload  = readerEvent => resolve( readerEvent.target.result );
+    reader.readAsArrayBuffer( file );
+});
+
+/**
+ * encodes the binary contents of an audio file as a base64 String,
+ * allowing it to be serialized along with songs and instruments
+ *
+ * @param {ArrayBuffer} arrayBuffer
+ * @return {string}
+ */
+export const encodeSampleData = arrayBuffer => {
+    const bytes = new Uint8Array( arrayBuffer );
+    const chunkSize = 0x8000; // prevents exceeding the maximum amount of function arguments
+    let binary = '';
+
+    for ( let i = 0; i < bytes.length; i += chunkSize ) {
+        binary += String.fromCharCode.apply( null, bytes.subarray( i, i + chunkSize ));
+    }
+    return window.btoa( binary );
+};
+
+/**
+ * decodes the base64 String created by encodeSampleData() back into binary data
+ *
+ * @param {string} data
+ * @return {ArrayBuffer}
+ */
+export const decodeSampleData = data => {
+    const binary = window.atob( data );
+    const bytes  = new Uint8Array( binary.length );
+
+    for ( let i = 0; i < binary.length; ++i ) {
+        bytes[ i ] = binary.charCodeAt( i );
+    }
+    return bytes.buffer;
+};
+
+/**
+ * creates an overview of the waveform of given AudioBuffer, where each entry
+ * describes the peak value (in the -1 to +1 range) of a slice of the buffer
+ *
+ * @param {AudioBuffer} buffer
+ * @param {number} size amount of entries in the overview
+ * @return {Array<number>}
+ */
+export const getSampleOverview = ( buffer, size ) => {
+    const channel   = buffer.getChannelData( 0 );
+    const sliceSize = Math.max( 1, Math.floor( channel.length / size ));
+    const overview  = new Array( size ).fill( 0 );
+
+    for ( let i = 0; i < size; ++i ) {
+        const offset = i * sliceSize;
+        let peak = 0;
+        for ( let j = offset, l = Math.min( channel.length, offset + sliceSize ); j < l; ++j ) {
+            if ( Math.abs( channel[ j ]) > Math.abs( peak )) {
+                peak = channel[ j ];
+            }
+        }
+        overview[ i ] = peak;
+    }
+    return overview;
+};
@@ -20,6 +20,7 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import EventUtil from '@/utils/event-util';
 import { ACTION_IDLE } from '@/model/types/audio-event-def';
 
 /**
@@ -74,6 +75,29 @@ export const updateEventOffsets = ( patterns, ratio ) => {
     }
 };
 
+/**
+ * recalculate the positions of the Songs audioEvents within their patterns, for
+ * instance when the Songs swing amount or a patterns groove template has changed
+ *
+ * @param {SONG} song
+ * @param {number=} optPatternIndex optional index of the pattern to update,
+ *        when omitted the events of all patterns are updated
+ */
+export const updateEventPositions = ( song, optPatternIndex ) => {
+    song.patterns.forEach(( pattern, patternIndex ) => {
+        if ( typeof optPatternIndex === 'number' && patternIndex !== optPatternIndex ) {
+            return;
+        }
+        pattern.channels.forEach( channel => {
+            channel.forEach(( event, step ) => {
+                if ( event && event.seq ) {
+                    EventUtil.setPosition( event, song, patternIndex, step, event.seq.length );
+                }
+            });
+        });
+    });
+};
+
 /**
  * unset the play state of all of the songs events
  *
@@ -89,3 +113,38 @@ export const resetPlayState = patterns => {
         });
     });
 };
+
+/**
+ * retrieve the instruments that are audible in the mix, e.g. when one or more
+ * instruments have solo enabled, only these instruments are audible, otherwise
+ * all instruments that are not muted are audible
+ *
+ * @param {Array<INSTRUMENT>} instruments
+ * @return {Array<INSTRUMENT>}
+ */
+export const getAudibleInstruments = instruments => {
+    const hasSolo = instruments.some( instrument => instrument.solo );
+    return instruments.filter( instrument => hasSolo ? instrument.solo : !instrument.muted );
+};
+
+/**
+ * validates whether the song has pattern content for the instrument at given index
+ *
+ * @param {SONG} song
+ * @param {number} instrumentIndex
+ * @return {boolean}
+ */
+export const hasContentForInstrument = ( song, instrumentIndex ) => {
+    return song.patterns.some( pattern => pattern.channels.some( channel => {
+        return channel.some( event => event && event.instrument === instrumentIndex && event.action !== ACTION_IDLE );
+    }));
+};
+
+/**
+ * retrieve the display name for the auxiliary bus at given index
+ * (e.g. "A" for the first bus, "B" for the second, etc.)
+ *
+ * @param {number} busIndex
+ * @return {string}
+ */
+export const getBusName = busIndex => String.fromCharCode( 65 + busIndex );
@@ -22,18 +22,42 @@
  */
 import LZString from 'lz-string';
 
-let storage;
+const DB_NAME    = 'efflux';
+const DB_VERSION = 1;
+const STORE_NAME = 'storage';
+
+// keys of the data stored by previous versions of the application in LocalStorage
+// (e.g. "effluxData", "effluxInstruments" and the song and instrument entries they list)
+
+const LEGACY_KEY_PATTERN = /^efflux/i;
+
+let storage, initPromise;
 
 const StorageUtil =
 {
     /**
-     * initializes the storage mechanism
+     * initializes the storage mechanism. IndexedDB is used where available (as it
+     * is not restricted to the ~5 MB quota of LocalStorage), existing LocalStorage
+     * content is migrated into IndexedDB on first use. Returns a Promise that
+     * resolves once the storage is ready (subsequent invocations resolve immediately).
      *
      * @public
+     * @return {Promise}
      */
     init() {
-        // use LocalStorage
-        storage = window.localStorage;
+        if ( !initPromise ) {
+            initPromise = openDatabase()
+                .then( async database => {
+                    const databaseStorage = createDatabaseStorage( database );
+                    await migrateLocalStorage( databaseStorage );
+                    storage = databaseStorage;
+                })
+                .catch(() => {
+                    // IndexedDB not available (or migration failed), fall back to LocalStorage
+                    storage = createLocalStorage();
+                });
+        }
+        return initPromise;
     },
     /**
      * verifies whether storage is available
@@ -44,6 +68,30 @@ const StorageUtil =
     isAvailable() {
         return typeof storage !== 'undefined';
     },
+    /**
+     * verifies whether given Error was raised because the storage quota was exceeded
+     *
+     * @public
+     * @param {Error|DOMException} error
+     * @return {boolean}
+     */
+    isQuotaExceededError( error ) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || // Firefox
+            error.code === 22
+        );
+    },
+    /**
+     * retrieve the translation key of the message describing given storage error
+     *
+     * @public
+     * @param {Error|DOMException} error
+     * @return {string}
+     */
+    getStorageErrorKey( error ) {
+        return StorageUtil.isQuotaExceededError( error ) ? 'error.storageQuota' : 'error.storageWrite';
+    },
     /**
      * get an item from storage, returns a Promise
      *
@@ -51,34 +99,32 @@ const StorageUtil =
      * @param {string} key
      * @return {Promise}
      */
-    getItem( key ) {
-        return new Promise(( resolve, reject ) => {
-            if ( !StorageUtil.isAvailable() ) {
-                reject( Error( 'Storage not available' ));
-            }
-            const data = storage.getItem( key );
-            if ( data ) {
-                resolve( decompress( data ));
-            } else {
-                reject( Error( `Data for '${key}' not found'` ));
-            }
-        });
+    async getItem( key ) {
+        await StorageUtil.init();
+        if ( !StorageUtil.isAvailable() ) {
+            throw Error( 'Storage not available' );
+        }
+        const data = await storage.getItem( key );
+        if ( data ) {
+            return decompress( data );
+        }
+        throw Error( `Data for '${key}' not found'` );
     },
     /**
-     * set an item in storage, returns a Promise
+     * set an item in storage, returns a Promise which is rejected
+     * when the data could not be stored (e.g. when the quota has been exceeded)
      *
      * @param {string} key
      * @param {*} data
      * @return {Promise}
      */
-    setItem( key, data ){
+    async setItem( key, data ) {
         const compressedData = compress( data );
-        return new Promise(( resolve, reject ) => {
-            if ( !StorageUtil.isAvailable() ) {
-                reject( Error( 'Storage not available' ));
-            }
-            resolve( storage.setItem( key, compressedData ));
-        });
+        await StorageUtil.init();
+        if ( !StorageUtil.isAvailable() ) {
+            throw Error( 'Storage not available' );
+        }
+        return storage.setItem( key, compressedData );
     },
     /**
      * removes an item from storage, returns a Promise
@@ -86,21 +132,103 @@ const StorageUtil =
      * @param {string} key
      * @returns {Promise}
      */
-    removeItem(key) {
-        return new Promise(( resolve, reject ) => {
-            if ( !StorageUtil.isAvailable() ) {
-                reject( Error( 'Storage not available' ));
-            }
-            resolve(storage.removeItem(key));
-        });
+    async removeItem( key ) {
+        await StorageUtil.init();
+        if ( !StorageUtil.isAvailable() ) {
+            throw Error( 'Storage not available' );
+        }
+        return storage.removeItem( key );
     }
 };
 export default StorageUtil;
 
 /* internal methods */
 
+function openDatabase() {
+    return new Promise(( resolve, reject ) => {
+        if ( typeof window.indexedDB === 'undefined' ) {
+            reject( Error( 'IndexedDB not available' ));
+            return;
+        }
+        const request = window.indexedDB.open( DB_NAME, DB_VERSION );
+        request.onupgradeneeded = () => request.result.createObjectStore( STORE_NAME );
+        request.onsuccess = () => resolve( request.result );
+        request.onerror   = () => reject( request.error );
+    });
+}
+
+/**
+ * storage adapters expose the same getItem/setItem/removeItem
+ * methods, all of which return a Promise
+ */
+function createDatabaseStorage( database ) {
+    return {
+        getItem: key => transact( database, 'readonly', store => store.get( key )),
+        setItem: ( key, value ) => transact( database, 'readwrite', store => store.put( value, key )),
+        removeItem: key => transact( database, 'readwrite', store => store.delete( key ))
+    };
+}
+
+function createLocalStorage() {
+    let localStorage;
+    try {
+        localStorage = window.localStorage;
+    } catch ( e ) {
+        return undefined; // access denied (e.g. by the browsers privacy settings)
+    }
+    if ( !localStorage ) {
+        return undefined;
+    }
+    // Promise executors reject when LocalStorage throws (e.g. QuotaExceededError)
+    return {
+        getItem: key => new Promise( resolve => resolve( localStorage.getItem( key ))),
+        setItem: ( key, value ) => new Promise( resolve => resolve( localStorage.setItem( key, value ))),
+        removeItem: key => new Promise( resolve => resolve( localStorage.removeItem( key )))
+    };
+}
+
+/**
+ * executes given operation within an IndexedDB transaction, the returned
+ * Promise resolves with the operations result once the transaction completes
+ */
+function transact( database, mode, operation ) {
+    return new Promise(( resolve, reject ) => {
+        const transaction = database.transaction( STORE_NAME, mode );
+        const request     = operation( transaction.objectStore( STORE_NAME ));
+
+        transaction.oncomplete = () => resolve( request.result );
+        transaction.onerror    = () => reject( transaction.error || request.error );
+        transaction.onabort    = () => reject( transaction.error || request.error );
+    });
+}
+
+/**
+ * moves the data stored in LocalStorage by previous versions of the application
+ * into given storage. The (already compressed) data is copied as-is and only removed
+ * from LocalStorage once all of it was written successfully.
+ */
+async function migrateLocalStorage( targetStorage ) {
+    const localStorage = createLocalStorage();
+    if ( !localStorage ) {
+        return;
+    }
+    const keys = [];
+    for ( let i = 0; i < window.localStorage.length; ++i ) {
+        const key = window.localStorage.key( i );
+        if ( LEGACY_KEY_PATTERN.test( key )) {
+            keys.push( key );
+        }
+    }
+    for ( const key of keys ) {
+        await targetStorage.setItem( key, await localStorage.getItem( key ));
+    }
+    for ( const key of keys ) {
+        await localStorage.removeItem( key );
+    }
+}
+
 // by compressing the stringified Objects we can maximize
-// the amount data we can save in the applications quota in LocalStorage
+// the amount data we can save in the applications storage quota
 
 function compress( string ) {
     let compressedString;
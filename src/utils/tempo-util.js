@@ -0,0 +1,136 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { getMeasureDurationInSeconds } from './audio-math';
+
+/**
+ * Patterns play back at the tempo and in the time signature of the Song, unless
+ * they define their own. The tempo map describes the timing of each pattern.
+ * Note that tempo is expressed in quarter notes per minute (regardless of the beat
+ * unit of the time signature) so a change in time signature only changes the
+ * duration of a measure, not the duration of its notes.
+ */
+
+export const DEFAULT_BEAT_AMOUNT = 4; // the "3" in 3/4
+export const DEFAULT_BEAT_UNIT   = 4; // the "4" in 3/4
+
+/**
+ * retrieve the tempo (in BPM) of the pattern at given index
+ *
+ * @param {SONG} song
+ * @param {number} patternIndex
+ * @return {number}
+ */
+export const getTempo = ( song, patternIndex ) => {
+    const pattern = song.patterns[ patternIndex ];
+    return ( pattern && pattern.tempo ) || song.meta.tempo;
+};
+
+/**
+ * retrieve the time signature of the pattern at given index
+ *
+ * @param {SONG} song
+ * @param {number} patternIndex
+ * @return {{ beatAmount: number, beatUnit: number }}
+ */
+export const getTimeSignature = ( song, patternIndex ) => {
+    const pattern = song.patterns[ patternIndex ] || {};
+    return {
+        beatAmount : pattern.beatAmount || DEFAULT_BEAT_AMOUNT,
+        beatUnit   : pattern.beatUnit   || DEFAULT_BEAT_UNIT
+    };
+};
+
+/**
+ * retrieve the duration (in seconds) of a single measure of the pattern at given index
+ *
+ * @param {SONG} song
+ * @param {number} patternIndex
+ * @return {number}
+ */
+export const getMeasureDuration = ( song, patternIndex ) => {
+    const { beatAmount, beatUnit } = getTimeSignature( song, patternIndex );
+    // convert the beats into quarter notes (e.g. 7/8 lasts three and a half quarter notes)
+    return getMeasureDurationInSeconds( getTempo( song, patternIndex ), beatAmount * ( 4 / beatUnit ));
+};
+
+/**
+ * retrieve the duration (in seconds) of a single sixteenth note of the pattern at given index
+ *
+ * @param {SONG} song
+ * @param {number} patternIndex
+ * @return {number}
+ */
+export const getSixteenthDuration = ( song, patternIndex ) => {
+    return ( 60 / getTempo( song, patternIndex )) / 4;
+};
+
+/**
+ * retrieve the start offset (in seconds) of the pattern at given index, relative to
+ * the start of the first pattern in the Songs pattern list (e.g. the sum of the
+ * durations of all preceding patterns)
+ *
+ * @param {SONG} song
+ * @param {number} patternIndex
+ * @return {number}
+ */
+export const getPatternStartOffset = ( song, patternIndex ) => {
+    let offset = 0;
+    for ( let i = 0; i < patternIndex; ++i ) {
+        offset += getMeasureDuration( song, i );
+    }
+    return offset;
+};
+
+/**
+ * creates the tempo map for the playback of given Song, this lists the timing of
+ * each pattern in the order it is played back (as defined by the Songs order list)
+ *
+ * @param {SONG} song
+ * @return {Array<{ patternIndex: number, tempo: number, beatAmount: number, beatUnit: number,
+ *                  startTime: number, duration: number }>}
+ */
+export const createTempoMap = song => {
+    let startTime = 0;
+    return song.order.map( patternIndex => {
+        const duration = getMeasureDuration( song, patternIndex );
+        const entry    = {
+            patternIndex,
+            tempo: getTempo( song, patternIndex ),
+            ...getTimeSignature( song, patternIndex ),
+            startTime,
+            duration
+        };
+        startTime += duration;
+        return entry;
+    });
+};
+
+/**
+ * retrieve the total duration (in seconds) of given Song
+ *
+ * @param {SONG} song
+ * @return {number}
+ */
+export const getSongDuration = song => {
+    return song.order.reduce(( total, patternIndex ) => total + getMeasureDuration( song, patternIndex ), 0 );
+};
@@ -0,0 +1,224 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import Config from '@/config';
+import { DFT } from '@/services/audio/dft';
+
+const TWO_PI = Math.PI * 2;
+
+// pitch detection properties used when extracting a single cycle from an audio file
+
+const MIN_FREQUENCY   = 20;   // in Hz
+const MAX_FREQUENCY   = 2000; // in Hz
+const ANALYSIS_SIZE   = 4096; // amount of samples to analyse
+const PITCH_THRESHOLD = 0.5;  // minimum correlation for a pitch to be detected
+
+/**
+ * DFT instances precalculate their sine and cosine tables, which is
+ * relatively expensive, as such the instances are cached per table size
+ *
+ * @type {Object<number, DFT>}
+ */
+const dftCache = {};
+
+/**
+ * analyses the waveform described by given wave table (a single cycle in the
+ * -1 to +1 range) into its partials. The amplitudes are normalized so the
+ * strongest partial has an amplitude of 1, phases are in the -PI to +PI range
+ *
+ * @param {Array<number>} table
+ * @param {number=} partialAmount the amount of partials to retrieve (starting at the fundamental)
+ * @return {Array<{ amplitude: number, phase: number }>}
+ */
+export const analyseHarmonics = ( table, partialAmount = Config.WAVE_TABLE_HARMONICS ) => {
+    const size = table.length;
+    const dft  = dftCache[ size ] || ( dftCache[ size ] = new DFT( size ));
+
+    dft.forward( table );
+
+    const partials = [];
+    let peak = 0;
+
+    for ( let harmonic = 1; harmonic <= partialAmount; ++harmonic ) {
+        const amplitude = harmonic < size / 2 ? dft.spectrum[ harmonic ] : 0;
+        const phase     = amplitude > 0 ? Math.atan2( dft.imag[ harmonic ], dft.real[ harmonic ] ) : 0;
+
+        peak = Math.max( peak, amplitude );
+        partials.push({ amplitude, phase });
+    }
+    if ( peak > 0 ) {
+        partials.forEach( partial => partial.amplitude /= peak );
+    }
+    return partials;
+};
+
+/**
+ * synthesizes a wave table from given partials (where the first partial is the
+ * fundamental). As the table only contains the provided partials, the resulting
+ * waveform is band-limited. The table is normalized to the -1 to +1 range
+ *
+ * @param {Array<{ amplitude: number, phase: number }>} partials
+ * @param {number=} size
+ * @return {Array<number>}
+ */
+export const synthesizeHarmonics = ( partials, size = Config.WAVE_TABLE_SIZE ) => {
+    const table = new Array( size ).fill( 0 );
+
+    partials.forEach(({ amplitude, phase }, index ) => {
+        if ( amplitude === 0 ) {
+            return;
+        }
+        const harmonic = index + 1;
+        for ( let i = 0; i < size; ++i ) {
+            table[ i ] += amplitude * Math.cos(( TWO_PI * harmonic * i / size ) - phase );
+        }
+    });
+
+    const peak = table.reduce(( max, value ) => Math.max( max, Math.abs( value )), 0 );
+    return peak > 0 ? table.map( value => value / peak ) : table;
+};
+
+/**
+ * detect the length (in samples) of a single cycle within given audio signal. The period is
+ * detected through autocorrelation (e.g. the pitch of the signal), when the signal has no
+ * clear pitch, the average distance between rising zero crossings is used instead
+ *
+ * @param {Float32Array|Array<number>} samples
+ * @param {number} sampleRate
+ * @return {number|null} length of the cycle, null when no cycle could be detected
+ */
+export const detectCyclePeriod = ( samples, sampleRate ) => {
+    const minLag = Math.max( 2, Math.floor( sampleRate / MAX_FREQUENCY ));
+    const maxLag = Math.min( Math.floor( sampleRate / MIN_FREQUENCY ), Math.floor( samples.length / 2 ));
+
+    const correlations = [];
+    let bestLag = 0;
+
+    for ( let lag = minLag; lag <= maxLag; ++lag ) {
+        let sum = 0, energy = 0;
+        for ( let i = 0, l = samples.length - lag; i < l; ++i ) {
+            sum    += samples[ i ] * samples[ i + lag ];
+            energy += samples[ i ] * samples[ i ] + samples[ i + lag ] * samples[ i + lag ];
+        }
+        correlations[ lag ] = energy > 0 ? ( 2 * sum ) / energy : 0;
+        if ( !bestLag || correlations[ lag ] > correlations[ bestLag ]) {
+            bestLag = lag;
+        }
+    }
+    if ( !bestLag || correlations[ bestLag ] < PITCH_THRESHOLD ) {
+        return getZeroCrossingPeriod( samples );
+    }
+    // select the first peak that is (nearly) as strong as the strongest correlation as
+    // the strongest correlation can be found at multiples of the period (octave errors)
+    for ( let lag = minLag + 1; lag < maxLag; ++lag ) {
+        const correlation = correlations[ lag ];
+        if ( correlation >= correlations[ bestLag ] * 0.9 &&
+             correlation >= correlations[ lag - 1 ] && correlation >= correlations[ lag + 1 ]) {
+            return lag;
+        }
+    }
+    return bestLag;
+};
+
+/**
+ * resample given single cycle to a wave table of given size
+ * (using linear interpolation, wrapping around at the end of the cycle)
+ *
+ * @param {Float32Array|Array<number>} cycle
+ * @param {number=} size
+ * @return {Array<number>}
+ */
+export const resampleCycle = ( cycle, size = Config.WAVE_TABLE_SIZE ) => {
+    const table = new Array( size );
+    const ratio = cycle.length / size;
+
+    for ( let i = 0; i < size; ++i ) {
+        const position = i * ratio;
+        const index    = Math.floor( position );
+        const fraction = position - index;
+        const current  = cycle[ index ];
+        const next     = cycle[( index + 1 ) % cycle.length ];
+
+        table[ i ] = current + ( next - current ) * fraction;
+    }
+    return table;
+};
+
+/**
+ * creates a wave table from a single cycle of the audio inside given AudioBuffer. The cycle
+ * is taken from the loudest part of the audio (skipping silence at the start of the file),
+ * starting at a rising zero crossing. The table is band-limited to the partials supported
+ * by the harmonic editor and normalized to the -1 to +1 range
+ *
+ * @param {AudioBuffer} buffer
+ * @param {number=} size
+ * @return {Array<number>|null} wave table, null when no cycle could be detected
+ */
+export const createTableFromAudioBuffer = ( buffer, size = Config.WAVE_TABLE_SIZE ) => {
+    const channel = buffer.getChannelData( 0 );
+
+    let peakIndex = 0;
+    for ( let i = 0; i < channel.length; ++i ) {
+        if ( Math.abs( channel[ i ]) > Math.abs( channel[ peakIndex ])) {
+            peakIndex = i;
+        }
+    }
+    const start   = Math.max( 0, Math.min( peakIndex, channel.length - ANALYSIS_SIZE ));
+    const samples = channel.subarray( start, start + ANALYSIS_SIZE );
+    const period  = detectCyclePeriod( samples, buffer.sampleRate );
+
+    if ( !period ) {
+        return null;
+    }
+    // align the cycle with the first rising zero crossing that allows a full cycle to be read
+    let offset = 0;
+    for ( let i = 1; i + period <= samples.length; ++i ) {
+        if ( samples[ i - 1 ] < 0 && samples[ i ] >= 0 ) {
+            offset = i;
+            break;
+        }
+    }
+    // the resampled cycle is analysed into its partials and resynthesized, band-limiting the
+    // cycle (as the discontinuities and noise of recorded audio would otherwise cause aliasing)
+    const partials = analyseHarmonics( resampleCycle( samples.subarray( offset, offset + period ), size ));
+
+    return partials.some(({ amplitude }) => amplitude > 0 ) ? synthesizeHarmonics( partials, size ) : null;
+};
+
+/* internal methods */
+
+/**
+ * the period of a signal without a clear pitch is approximated by the
+ * average distance between the rising zero crossings of the signal
+ */
+function getZeroCrossingPeriod( samples ) {
+    const crossings = [];
+    for ( let i = 1; i < samples.length; ++i ) {
+        if ( samples[ i - 1 ] < 0 && samples[ i ] >= 0 ) {
+            crossings.push( i );
+        }
+    }
+    if ( crossings.length < 2 ) {
+        return null;
+    }
+    return Math.round(( crossings[ crossings.length - 1 ] - crossings[ 0 ]) / ( crossings.length - 1 ));
+}
@@ -0,0 +1,151 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2020 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @typedef {Object} ZIP_FILE
+ * @property {string} name file name (including extension)
+ * @property {Uint8Array} data file contents
+ */
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE  = 0x06054b50;
+const ZIP_VERSION                 = 20;     // 2.0, required for folders and stored files
+const UTF8_FILE_NAMES             = 0x0800; // general purpose flag indicating UTF-8 encoded file names
+
+let crcTable;
+
+/**
+ * creates a zip archive containing given files. The files are stored
+ * without compression (e.g. for bundling WAV files, which barely compress)
+ *
+ * @param {Array<ZIP_FILE>} files
+ * @param {Date=} date modification date of the files
+ * @return {Uint8Array}
+ */
+export const createZip = ( files, date = new Date() ) => {
+    const entries = files.map( file => ({
+        name : encodeUTF8( file.name ),
+        data : file.data,
+        crc  : crc32( file.data )
+    }));
+    const time = (( date.getHours() << 11 ) | ( date.getMinutes() << 5 ) | ( date.getSeconds() >> 1 ));
+    const day  = ((( date.getFullYear() - 1980 ) << 9 ) | (( date.getMonth() + 1 ) << 5 ) | date.getDate());
+
+    const localSize     = entries.reduce(( size, { name, data }) => size + 30 + name.length + data.length, 0 );
+    const directorySize = entries.reduce(( size, { name }) => size + 46 + name.length, 0 );
+    const bytes         = new Uint8Array( localSize + directorySize + 22 );
+    const view          = new DataView( bytes.buffer );
+
+    let offset = 0, directoryOffset = localSize;
+
+    entries.forEach(({ name, data, crc }) => {
+        const headerOffset = offset;
+
+        // local file header followed by the file name and file contents
+        offset = writeFileHeader( view, offset, LOCAL_FILE_HEADER_SIGNATURE, { name, data, crc, time, day });
+        bytes.set( name, offset );
+        bytes.set( data, offset += name.length );
+        offset += data.length;
+
+        // central directory record referencing the local file header
+        directoryOffset = writeFileHeader( view, directoryOffset, CENTRAL_DIRECTORY_SIGNATURE, { name, data, crc, time, day });
+        view.setUint32( directoryOffset, headerOffset, true );
+        bytes.set( name, directoryOffset += 4 );
+        directoryOffset += name.length;
+    });
+
+    // end of central directory record
+    view.setUint32( directoryOffset,      END_OF_DIRECTORY_SIGNATURE, true );
+    view.setUint16( directoryOffset + 8,  entries.length, true );
+    view.setUint16( directoryOffset + 10, entries.length, true );
+    view.setUint32( directoryOffset + 12, directorySize, true );
+    view.setUint32( directoryOffset + 16, localSize, true );
+
+    return bytes;
+};
+
+/**
+ * calculates the CRC-32 checksum for given data
+ *
+ * @param {Uint8Array} data
+ * @return {number}
+ */
+export const crc32 = data => {
+    if ( !crcTable ) {
+        crcTable = new Uint32Array( 256 );
+        for ( let i = 0; i < 256; ++i ) {
+            let value = i;
+            for ( let j = 0; j < 8; ++j ) {
+                value = ( value & 1 ) ? ( 0xEDB88320 ^ ( value >>> 1 )) : ( value >>> 1 );
+            }
+            crcTable[ i ] = value;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for ( let i = 0, l = data.length; i < l; ++i ) {
+        crc = crcTable[( crc ^ data[ i ]) & 0xFF ] ^ ( crc >>> 8 );
+    }
+    return ( crc ^ 0xFFFFFFFF ) >>> 0;
+};
+
+/* internal methods */
+
+function encodeUTF8( string ) {
+    const encoded = unescape( encodeURIComponent( string ));
+    return new Uint8Array( encoded.length ).map(( value, index ) => encoded.charCodeAt( index ));
+}
+
+/**
+ * writes the fields shared by the local file header and central directory record
+ * returns the offset of the first byte after the written fields. Note that for
+ * central directory records the disk number, attributes and header offset remain to be written
+ */
+function writeFileHeader( view, offset, signature, { name, data, crc, time, day }) {
+    const isDirectoryRecord = signature === CENTRAL_DIRECTORY_SIGNATURE;
+
+    view.setUint32( offset, signature, true );
+    offset += 4;
+
+    if ( isDirectoryRecord ) {
+        view.setUint16( offset, ZIP_VERSION, true ); // version made by
+        offset += 2;
+    }
+    view.setUint16( offset,      ZIP_VERSION, true ); // version needed to extract
+    view.setUint16( offset + 2,  UTF8_FILE_NAMES, true );
+    view.setUint16( offset + 4,  0, true ); // compression method (stored)
+    view.setUint16( offset + 6,  time, true );
+    view.setUint16( offset + 8,  day, true );
+    view.setUint32( offset + 10, crc, true );
+    view.setUint32( offset + 14, data.length, true ); // compressed size
+    view.setUint32( offset + 18, data.length, true ); // uncompressed size
+    view.setUint16( offset + 22, name.length, true );
+    view.setUint16( offset + 24, 0, true ); // extra field length
+    offset += 26;
+
+    if ( isDirectoryRecord ) {
+        // file comment length, disk number and internal/external file attributes
+        offset += 10;
+    }
+    return offset;
+}
@@ -1,5 +1,6 @@
 import EventFactory   from '@/model/factory/event-factory';
 import EventValidator from '@/model/validators/event-validator';
+import { DEFAULT_VELOCITY } from '@/model/types/audio-event-def';
 
 describe('EventFactory', () => {
     it('should be able to generate a valid Event Object', () => {
@@ -7,6 +8,11 @@ describe('EventFactory', () => {
         expect(EventValidator.isValid(event)).toBe(true);
     });
 
+    it('should create events at the default velocity unless a velocity was specified', () => {
+        expect(EventFactory.createAudioEvent().velocity).toEqual(DEFAULT_VELOCITY);
+        expect(EventFactory.createAudioEvent(1, 'C', 3, 1, 50).velocity).toEqual(50);
+    });
+
     it('should be able to apply a valid module parameter automation Object to an event', () => {
         const event = EventFactory.createAudioEvent();
         event.mp = EventFactory.createModuleParam('foo', 10, true);
@@ -1,5 +1,7 @@
+import Config              from '@/config';
 import InstrumentFactory   from '@/model/factory/instrument-factory';
 import InstrumentValidator from '@/model/validators/instrument-validator';
+import { DEFAULT_MODULE_ORDER } from '@/definitions/module-order';
 
 describe('InstrumentFactory', () => {
     it('should be able to create a valid Instrument', () => {
@@ -50,4 +52,137 @@ describe('InstrumentFactory', () => {
             expect(typeof oscillator.pitch).toBe('object');
         });
     });
+
+    it('should be able to create a valid sample for an oscillator', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        instrument.oscillators[0].waveform = 'SAMPLE';
+        instrument.oscillators[0].sample   = InstrumentFactory.createSample('foo.wav', 'UklGRg==');
+
+        expect(InstrumentValidator.isValid(instrument)).toBe(true);
+
+        instrument.oscillators[0].sample.rootOctave = '4';
+
+        expect(InstrumentValidator.isValid(instrument)).toBe(false);
+    });
+
+    it('should add the reverb section to legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        delete instrument.reverb;
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        expect(typeof clonedInstrument.reverb).toBe('object');
+        expect(clonedInstrument.reverb.enabled).toBe(false);
+    });
+
+    it('should add the modulation section to legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        delete instrument.modulation;
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        expect(typeof clonedInstrument.modulation).toBe('object');
+        expect(clonedInstrument.modulation.enabled).toBe(false);
+    });
+
+    it('should add the bitcrusher section to legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        delete instrument.bitcrusher;
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        expect(typeof clonedInstrument.bitcrusher).toBe('object');
+        expect(clonedInstrument.bitcrusher.enabled).toBe(false);
+    });
+
+    it('should add the default module order to legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        delete instrument.moduleOrder;
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        expect(clonedInstrument.moduleOrder).toEqual(DEFAULT_MODULE_ORDER);
+    });
+
+    it('should sanitize the module order to contain each known module exactly once', () => {
+        const instrument = { moduleOrder: [ 'delay', 'foo', 'filter', 'delay' ] };
+
+        InstrumentFactory.createModuleOrder(instrument);
+
+        expect(instrument.moduleOrder).toEqual([
+            'delay', 'filter', 'eq', 'overdrive', 'bitcrusher', 'modulation', 'reverb'
+        ]);
+    });
+
+    it('should add the filter envelope to legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        delete instrument.filter.envelope;
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        expect(typeof clonedInstrument.filter.envelope).toBe('object');
+        expect(clonedInstrument.filter.envelope.amount).toEqual(0);
+    });
+
+    it('should add the LFOs to legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        delete instrument.lfos;
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        expect(clonedInstrument.lfos).toHaveLength(Config.LFO_AMOUNT);
+        clonedInstrument.lfos.forEach(lfo => expect(lfo).toEqual(InstrumentFactory.createLFO()));
+    });
+
+    it('should add the polyphony settings to legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        delete instrument.polyphony;
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        expect(clonedInstrument.polyphony).toEqual({
+            mode: 'poly', maxVoices: Config.MAX_POLYPHONY, stealing: 'oldest', glide: 0
+        });
+    });
+
+    it('should add the unison settings to the oscillators of legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        instrument.oscillators.forEach(oscillator => delete oscillator.unison);
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        clonedInstrument.oscillators.forEach(oscillator => {
+            expect(oscillator.unison).toEqual({
+                voices: 1, detune: Config.DEFAULT_UNISON_DETUNE, spread: Config.DEFAULT_UNISON_SPREAD
+            });
+        });
+    });
+
+    it('should add the routing settings to the oscillators of legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        instrument.oscillators.forEach(oscillator => delete oscillator.routing);
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        clonedInstrument.oscillators.forEach(oscillator => {
+            expect(oscillator.routing).toEqual({
+                mode: 'mix', target: 0, index: Config.DEFAULT_FM_INDEX,
+                envelope: { attack: 0, decay: 0, sustain: 1, release: 0 }
+            });
+        });
+    });
+
+    it('should add the wave table morph settings to the oscillators of legacy instruments', () => {
+        const instrument = InstrumentFactory.createInstrument(0, 'foo');
+        instrument.oscillators.forEach(oscillator => delete oscillator.morph);
+
+        const clonedInstrument = InstrumentFactory.loadPreset(instrument, 1, 'bar');
+
+        clonedInstrument.oscillators.forEach(oscillator => {
+            expect(oscillator.morph).toEqual({
+                frames: [], position: 0,
+                envelope: { amount: 0, attack: 0, decay: 0, sustain: 1, release: 0 }
+            });
+        });
+    });
 });
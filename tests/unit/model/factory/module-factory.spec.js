@@ -0,0 +1,83 @@
+import Config        from '@/config';
+import ModuleFactory from '@/model/factory/module-factory';
+import { OFF, PITCH, FILTER_Q } from '@/definitions/lfo-targets';
+
+describe( 'ModuleFactory', () => {
+    // mock the Web Audio nodes of an instruments modules
+
+    const createParam  = () => ({ value: 0 });
+    const createLFOModule = () => ({
+        lfo    : { type: 'sine', frequency: createParam(), connect: jest.fn(), disconnect: jest.fn() },
+        lfoAmp : { gain: createParam(), connect: jest.fn(), disconnect: jest.fn() },
+        lfoEnabled : false,
+        target     : OFF,
+        sync       : false,
+        rate       : 1,
+        division   : 1,
+        tempo      : 120
+    });
+    const createModules = () => ({
+        filter : { filter: { Q: createParam() }},
+        lfos   : [ createLFOModule(), createLFOModule() ]
+    });
+    const createLFO = props => ({ target: OFF, shape: 'sine', rate: 1, sync: false, division: 1, depth: .5, ...props });
+
+    describe( 'when applying LFO configurations', () => {
+        it( 'should connect an LFO to the AudioParam of its target', () => {
+            const modules = createModules();
+
+            ModuleFactory.applyLFOConfiguration( modules, [ createLFO({ target: FILTER_Q, shape: 'square' }), createLFO() ]);
+
+            const { lfo, lfoAmp } = modules.lfos[ 0 ];
+            expect( lfo.type ).toEqual( 'square' );
+            expect( lfo.connect ).toHaveBeenCalledWith( lfoAmp );
+            expect( lfoAmp.connect ).toHaveBeenCalledWith( modules.filter.filter.Q );
+            expect( lfoAmp.gain.value ).toEqual( .5 * Config.MAX_FILTER_Q / 2 );
+            expect( modules.lfos[ 0 ].lfoEnabled ).toBe( true );
+
+            // LFO without target should remain disconnected
+
+            expect( modules.lfos[ 1 ].lfo.connect ).not.toHaveBeenCalled();
+            expect( modules.lfos[ 1 ].lfoEnabled ).toBe( false );
+        });
+
+        it( 'should not connect LFOs targeting the voices to the instrument modules', () => {
+            const modules = createModules();
+
+            ModuleFactory.applyLFOConfiguration( modules, [ createLFO({ target: PITCH, depth: 1 }), createLFO() ]);
+
+            expect( modules.lfos[ 0 ].lfoEnabled ).toBe( true );
+            expect( modules.lfos[ 0 ].lfoAmp.connect ).not.toHaveBeenCalled();
+            expect( modules.lfos[ 0 ].lfoAmp.gain.value ).toEqual( Config.MAX_LFO_PITCH_DEPTH );
+        });
+
+        it( 'should disconnect a previously enabled LFO when its target is turned off', () => {
+            const modules = createModules();
+
+            ModuleFactory.applyLFOConfiguration( modules, [ createLFO({ target: FILTER_Q }), createLFO() ]);
+            ModuleFactory.applyLFOConfiguration( modules, [ createLFO(), createLFO() ]);
+
+            expect( modules.lfos[ 0 ].lfo.disconnect ).toHaveBeenCalled();
+            expect( modules.lfos[ 0 ].lfoEnabled ).toBe( false );
+        });
+
+        it( 'should oscillate free running LFOs at their rate', () => {
+            const modules = createModules();
+
+            ModuleFactory.applyLFOConfiguration( modules, [ createLFO({ rate: 4.5 }), createLFO() ]);
+
+            expect( modules.lfos[ 0 ].lfo.frequency.value ).toEqual( 4.5 );
+        });
+
+        it( 'should oscillate tempo synced LFOs at the tempo of the song', () => {
+            const modules = createModules();
+
+            ModuleFactory.applyLFOConfiguration( modules, [ createLFO({ sync: true, division: 2 }), createLFO() ]);
+            expect( modules.lfos[ 0 ].lfo.frequency.value ).toEqual( 1 ); // 120 BPM, one cycle every two beats
+
+            ModuleFactory.applyLFOTempo( modules, 90 );
+            expect( modules.lfos[ 0 ].lfo.frequency.value ).toEqual( .75 );
+            expect( modules.lfos[ 1 ].lfo.frequency.value ).toEqual( 1 ); // free running LFO is unaffected
+        });
+    });
+});
@@ -1,5 +1,6 @@
 import EventFactory   from '@/model/factory/event-factory';
 import EventValidator from '@/model/validators/event-validator';
+import { MAX_VELOCITY } from '@/model/types/audio-event-def';
 
 describe('EventValidator', () => {
 
@@ -50,5 +51,28 @@ describe('EventValidator', () => {
         audioEvent.octave = 3;
 
         expect(EventValidator.hasContent(audioEvent)).toBe(true);
-    })
+    });
+
+    it('should validate AudioEvents without a velocity', () => {
+        const audioEvent = EventFactory.createAudioEvent();
+        delete audioEvent.velocity;
+
+        expect(EventValidator.isValid(audioEvent)).toBe(true);
+    });
+
+    it('should not validate AudioEvents with an invalid velocity', () => {
+        const audioEvent = EventFactory.createAudioEvent();
+
+        audioEvent.velocity = 'foo';
+        expect(EventValidator.isValid(audioEvent)).toBe(false);
+
+        audioEvent.velocity = -1;
+        expect(EventValidator.isValid(audioEvent)).toBe(false);
+
+        audioEvent.velocity = MAX_VELOCITY + 1;
+        expect(EventValidator.isValid(audioEvent)).toBe(false);
+
+        audioEvent.velocity = MAX_VELOCITY / 2;
+        expect(EventValidator.isValid(audioEvent)).toBe(true);
+    });
 });
@@ -0,0 +1,111 @@
+import SongFactory from '@/model/factory/song-factory';
+import EventFactory from '@/model/factory/event-factory';
+import { prepareEnvironment, renderSong } from '@/services/audio-service';
+
+// mock the WebAudio API (unavailable outside of the browser). The nodes are stubs that
+// accept any property access and method invocation, the OfflineAudioContext executes
+// the callbacks scheduled through suspend() in sequence when rendering starts
+
+const createStub = () => {
+    const properties = new Map();
+    return new Proxy(() => {}, {
+        get: ( target, prop ) => {
+            if ( prop === 'then' ) {
+                return undefined; // stubs are not Promises
+            }
+            if ( prop === Symbol.toPrimitive ) {
+                return () => 0;
+            }
+            if ( !properties.has( prop )) {
+                properties.set( prop, createStub());
+            }
+            return properties.get( prop );
+        },
+        set: ( target, prop, value ) => {
+            properties.set( prop, value );
+            return true;
+        },
+        apply: () => createStub()
+    });
+};
+
+const createOfflineContext = ( suspendImpl = null ) => {
+    const suspensions = [];
+    const renderedBuffer = {};
+    const context = new Proxy({
+        sampleRate: 44100,
+        currentTime: 0,
+        suspend: jest.fn( time => suspendImpl ? suspendImpl( time ) : new Promise( resolve => suspensions.push({ time, resolve }))),
+        resume: jest.fn(),
+        startRendering: jest.fn( async () => {
+            suspensions.sort(( a, b ) => a.time - b.time );
+            for ( const { time, resolve } of suspensions ) {
+                context.currentTime = time;
+                resolve();
+                await Promise.resolve();
+            }
+            return renderedBuffer;
+        }),
+        renderedBuffer,
+    }, {
+        get: ( target, prop ) => {
+            if ( !( prop in target )) {
+                target[ prop ] = createStub();
+            }
+            return target[ prop ];
+        }
+    });
+    return context;
+};
+
+describe( 'AudioService', () => {
+    beforeAll(() => {
+        // classes used for type checks by the AudioService
+        global.AudioBufferSourceNode = class {};
+        global.OscillatorNode = class {};
+        global.GainNode = class {};
+        prepareEnvironment( createOfflineContext(), {});
+    });
+
+    afterEach(() => {
+        delete global.OfflineAudioContext;
+    });
+
+    const createSong = () => {
+        const song = SongFactory.createSong( 8 );
+        song.patterns[ 0 ].channels[ 0 ][ 0 ] = EventFactory.createAudioEvent( 0, 'C', 3, 1 );
+        song.patterns[ 0 ].channels[ 0 ][ 8 ] = EventFactory.createAudioEvent( 0, 'E', 3, 1 );
+        return song;
+    };
+
+    describe( 'when rendering a song offline', () => {
+        it( 'should schedule the events of the song and resolve with the rendered buffer', async () => {
+            const context = createOfflineContext();
+            global.OfflineAudioContext = jest.fn(() => context );
+
+            const buffer = await renderSong( createSong());
+
+            expect( buffer ).toBe( context.renderedBuffer );
+            expect( context.suspend ).toHaveBeenCalled();
+            expect( context.resume ).toHaveBeenCalledTimes( context.suspend.mock.calls.length );
+        });
+
+        it( 'should reject when the rendering could not be suspended to schedule the events', async () => {
+            const error = new Error( 'cannot suspend' );
+            const context = createOfflineContext(() => Promise.reject( error ));
+            context.startRendering = jest.fn(() => new Promise(() => {})); // rendering remains suspended
+            global.OfflineAudioContext = jest.fn(() => context );
+
+            await expect( renderSong( createSong())).rejects.toBe( error );
+        });
+
+        it( 'should reject when a scheduled event could not be processed', async () => {
+            const error = new Error( 'cannot resume' );
+            const context = createOfflineContext();
+            context.resume = jest.fn(() => { throw error; });
+            global.OfflineAudioContext = jest.fn(() => context );
+
+            await expect( renderSong( createSong())).rejects.toBe( error );
+        });
+    });
+});
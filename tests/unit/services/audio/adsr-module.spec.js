@@ -1,4 +1,5 @@
-import ADSR from '@/services/audio/adsr-module';
+import Config from '@/config';
+import ADSR   from '@/services/audio/adsr-module';
 
 describe( 'ADSR', () => {
     // mock AudioGainNode
@@ -154,5 +155,94 @@ describe( 'ADSR', () => {
             expect(output.gain.linearRampToValueAtTime).toHaveBeenCalledWith(1.0, expectedTime);
         });
     });
-});
 
+    // filter envelopes
+
+    const createFilter = () => ({
+        frequency: {
+            value: 1000,
+            cancelScheduledValues: jest.fn(),
+            linearRampToValueAtTime: jest.fn(),
+            setValueAtTime: jest.fn()
+        }
+    });
+
+    it( 'should not apply a filter envelope when no sweep amount was defined', () => {
+        const filter = createFilter();
+        const filterEnvelope = { amount: 0, attack: .1, decay: .2, sustain: .5, release: .3 };
+
+        ADSR.applyFilterEnvelope( filterEnvelope, filter, 1000, 2 );
+        ADSR.applyFilterRelease( filterEnvelope, filter, 1000, 3 );
+
+        expect( filter.frequency.linearRampToValueAtTime ).not.toHaveBeenCalled();
+    });
+
+    it( 'should sweep the cutoff up towards the max filter frequency for positive amounts', () => {
+        const filter = createFilter();
+        const filterEnvelope = { amount: .5, attack: .1, decay: .2, sustain: .5, release: .3 };
+        const peak = 1000 + ( Config.MAX_FILTER_FREQ - 1000 ) * .5;
+
+        ADSR.applyFilterEnvelope( filterEnvelope, filter, 1000, 2 );
+
+        expect( filter.frequency.setValueAtTime ).toHaveBeenCalledWith( 1000, 2 );
+        expect( filter.frequency.linearRampToValueAtTime ).toHaveBeenNthCalledWith( 1, peak, 2.1 );
+        expect( filter.frequency.linearRampToValueAtTime ).toHaveBeenNthCalledWith( 2, 1000 + ( peak - 1000 ) * .5, 2.1 + .2 );
+    });
+
+    it( 'should sweep the cutoff down towards the min filter frequency for negative amounts', () => {
+        const filter = createFilter();
+        const filterEnvelope = { amount: -1, attack: 0, decay: 0, sustain: 1, release: 0 };
+
+        ADSR.applyFilterEnvelope( filterEnvelope, filter, 1000, 2 );
+
+        expect( filter.frequency.linearRampToValueAtTime ).toHaveBeenNthCalledWith( 1, Config.MIN_FILTER_FREQ, 2 );
+    });
+
+    it( 'should return the cutoff to the base frequency on filter release', () => {
+        const filter = createFilter();
+        const filterEnvelope = { amount: .5, attack: .1, decay: .2, sustain: .5, release: .3 };
+
+        ADSR.applyFilterRelease( filterEnvelope, filter, 880, 4 );
+
+        expect( filter.frequency.linearRampToValueAtTime ).toHaveBeenCalledWith( 880, 4 + .3 );
+    });
+
+    // modulation envelopes
+
+    const createParam = () => ({
+        value: 0,
+        cancelScheduledValues: jest.fn(),
+        linearRampToValueAtTime: jest.fn(),
+        setValueAtTime: jest.fn()
+    });
+
+    it( 'should move the param from its base value towards the peak value and sustain level', () => {
+        const param = createParam();
+        const routingEnvelope = { attack: .1, decay: .2, sustain: .5, release: .3 };
+
+        ADSR.applyModulationEnvelope( routingEnvelope, param, 0, 440, 2 );
+
+        expect( param.setValueAtTime ).toHaveBeenCalledWith( 0, 2 );
+        expect( param.linearRampToValueAtTime ).toHaveBeenNthCalledWith( 1, 440, 2.1 );
+        expect( param.linearRampToValueAtTime ).toHaveBeenNthCalledWith( 2, 220, 2.1 + .2 );
+    });
+
+    it( 'should be able to move the param towards a peak value below its base value', () => {
+        const param = createParam();
+        const routingEnvelope = { attack: 0, decay: 0, sustain: .5, release: 0 };
+
+        ADSR.applyModulationEnvelope( routingEnvelope, param, 1, .2, 2 );
+
+        expect( param.linearRampToValueAtTime ).toHaveBeenNthCalledWith( 1, .2, 2 );
+        expect( param.linearRampToValueAtTime ).toHaveBeenNthCalledWith( 2, .6, 2 );
+    });
+
+    it( 'should return the param to its base value on modulation release', () => {
+        const param = createParam();
+        const routingEnvelope = { attack: .1, decay: .2, sustain: .5, release: .3 };
+
+        ADSR.applyModulationRelease( routingEnvelope, param, 1, 4 );
+
+        expect( param.linearRampToValueAtTime ).toHaveBeenCalledWith( 1, 4 + .3 );
+    });
+});
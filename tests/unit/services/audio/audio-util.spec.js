@@ -0,0 +1,108 @@
+import {
+    getHeldEventId, getEventIdToSteal, getVoiceGenerators, getMorphFrameGain, createMorphCurve
+} from '@/services/audio/audio-util';
+import { STEAL_OLDEST, STEAL_QUIETEST, STEAL_SAME_NOTE } from '@/definitions/polyphony';
+
+describe( 'Audio utilities', () => {
+    const createVoice = ( frequency, velocity = 1, released = false ) => ({
+        frequency, velocity, released, vo: { volume: 1 }
+    });
+
+    describe( 'when retrieving the held event', () => {
+        it( 'should return null when no events are playing', () => {
+            expect( getHeldEventId({})).toBeNull();
+        });
+
+        it( 'should return the most recently triggered event that has not been released', () => {
+            const eventList = {
+                1: [ createVoice( 440 ) ],
+                2: [ createVoice( 220 ) ],
+                3: [ createVoice( 110, 1, true ) ]
+            };
+            expect( getHeldEventId( eventList )).toEqual( '2' );
+        });
+
+        it( 'should return null when all events have been released', () => {
+            const eventList = {
+                1: [ createVoice( 440, 1, true ) ],
+                2: [ undefined, createVoice( 220, 1, true ) ]
+            };
+            expect( getHeldEventId( eventList )).toBeNull();
+        });
+    });
+
+    describe( 'when retrieving the event to steal', () => {
+        const eventList = {
+            4: [ createVoice( 440, 1 ) ],
+            5: [ createVoice( 220, .5 ) ],
+            6: [ createVoice( 110, .8, true ) ],
+            7: [ undefined, createVoice( 330, .2 ) ]
+        };
+
+        it( 'should return null when no events are playing', () => {
+            expect( getEventIdToSteal({}, STEAL_OLDEST, 440 )).toBeNull();
+        });
+
+        it( 'should be able to steal the oldest event', () => {
+            expect( getEventIdToSteal( eventList, STEAL_OLDEST, 220 )).toEqual( '4' );
+        });
+
+        it( 'should be able to steal the quietest event, preferring released events', () => {
+            expect( getEventIdToSteal( eventList, STEAL_QUIETEST, 220 )).toEqual( '6' );
+            expect( getEventIdToSteal({ 4: eventList[ 4 ], 5: eventList[ 5 ], 7: eventList[ 7 ] }, STEAL_QUIETEST, 220 )).toEqual( '7' );
+        });
+
+        it( 'should be able to steal the event playing the same note', () => {
+            expect( getEventIdToSteal( eventList, STEAL_SAME_NOTE, 330 )).toEqual( '7' );
+        });
+
+        it( 'should steal the oldest event when no event is playing the same note', () => {
+            expect( getEventIdToSteal( eventList, STEAL_SAME_NOTE, 880 )).toEqual( '4' );
+        });
+    });
+
+    describe( 'when retrieving the generators of a voice', () => {
+        it( 'should return the generator of the voice along with those of its unison and wave table frames', () => {
+            const voice = {
+                generator: 'a',
+                unison: [{ generator: 'b' }],
+                morph: { generators: [ 'c', 'd' ] }
+            };
+            expect( getVoiceGenerators( voice )).toEqual([ 'a', 'b', 'c', 'd' ]);
+            expect( getVoiceGenerators({ generator: 'a', unison: [], morph: null })).toEqual([ 'a' ]);
+        });
+    });
+
+    describe( 'when morphing between the frames of a wave table', () => {
+        it( 'should play the only frame at full gain when the wave table has a single frame', () => {
+            expect( getMorphFrameGain( 0.5, 0, 1 )).toEqual( 1 );
+        });
+
+        it( 'should play the frame at the morph position at full gain', () => {
+            expect( getMorphFrameGain( 0, 0, 3 )).toEqual( 1 );
+            expect( getMorphFrameGain( 0, 1, 3 )).toEqual( 0 );
+            expect( getMorphFrameGain( 0.5, 1, 3 )).toEqual( 1 );
+            expect( getMorphFrameGain( 1, 2, 3 )).toEqual( 1 );
+        });
+
+        it( 'should crossfade between neighbouring frames', () => {
+            expect( getMorphFrameGain( 0.25, 0, 3 )).toEqual( 0.5 );
+            expect( getMorphFrameGain( 0.25, 1, 3 )).toEqual( 0.5 );
+            expect( getMorphFrameGain( 0.25, 2, 3 )).toEqual( 0 );
+        });
+
+        it( 'should clamp the morph position to the range of the wave table', () => {
+            expect( getMorphFrameGain( -1, 0, 3 )).toEqual( 1 );
+            expect( getMorphFrameGain( 2, 2, 3 )).toEqual( 1 );
+        });
+
+        it( 'should create WaveShaper curves that translate the morph position into the frame gain', () => {
+            const first = createMorphCurve( 0, 2, 5 );
+            const last  = createMorphCurve( 1, 2, 5 );
+
+            // curve spans the -1 to +1 input range, negative positions equal the start of the wave table
+            expect( Array.from( first )).toEqual([ 1, 1, 1, 0.5, 0 ]);
+            expect( Array.from( last )).toEqual([ 0, 0, 0, 0.5, 1 ]);
+        });
+    });
+});
@@ -0,0 +1,24 @@
+import { createCrushCurve } from '@/services/audio/bitcrusher-module';
+
+describe( 'Bitcrusher', () => {
+    const getUniqueValues = curve => new Set( Array.from( curve )).size;
+
+    it( 'should create a curve of the requested length', () => {
+        expect( createCrushCurve( 8, 1024 ).length ).toEqual( 1024 );
+    });
+
+    it( 'should quantize the curve to the amount of steps available at the bit depth', () => {
+        // a bit depth of 1 allows for -1, 0 and 1, each additional bit doubles the amount of steps
+        expect( getUniqueValues( createCrushCurve( 1, 1024 ))).toEqual( 3 );
+        expect( getUniqueValues( createCrushCurve( 2, 1024 ))).toEqual( 5 );
+        expect( getUniqueValues( createCrushCurve( 4, 1024 ))).toEqual( 17 );
+    });
+
+    it( 'should keep the curve within the -1 to 1 range and preserve its polarity', () => {
+        const curve = createCrushCurve( 3, 1024 );
+
+        expect( curve[ 0 ]).toEqual( -1 );
+        expect( curve[ curve.length - 1 ]).toEqual( 1 );
+        curve.forEach( value => expect( Math.abs( value )).toBeLessThanOrEqual( 1 ));
+    });
+});
@@ -0,0 +1,35 @@
+import { getModulationRange, CHORUS, FLANGER, PHASER } from '@/services/audio/modulation-module';
+
+describe( 'Modulation', () => {
+    it( 'should not modulate when the depth is zero', () => {
+        [ CHORUS, FLANGER, PHASER ].forEach( type => {
+            expect( getModulationRange( type, 0 ).amount ).toEqual( 0 );
+        });
+    });
+
+    it( 'should sweep the delay time of a flanger across a shorter range than that of a chorus', () => {
+        const chorus  = getModulationRange( CHORUS, 1 );
+        const flanger = getModulationRange( FLANGER, 1 );
+
+        expect( flanger.base ).toBeLessThan( chorus.base );
+        expect( flanger.amount ).toBeLessThan( chorus.amount );
+    });
+
+    it( 'should never sweep the delay time below zero', () => {
+        [ CHORUS, FLANGER ].forEach( type => {
+            const { base, amount } = getModulationRange( type, 1 );
+            expect( base - amount ).toBeGreaterThan( 0 );
+        });
+    });
+
+    it( 'should sweep the phaser frequency within the audible range', () => {
+        const { base, amount } = getModulationRange( PHASER, 1 );
+
+        expect( base - amount ).toBeGreaterThan( 20 );
+        expect( base + amount ).toBeLessThan( 20000 );
+    });
+
+    it( 'should increase the modulation amount with the depth', () => {
+        expect( getModulationRange( CHORUS, .5 ).amount ).toBeLessThan( getModulationRange( CHORUS, 1 ).amount );
+    });
+});
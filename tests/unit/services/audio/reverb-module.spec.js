@@ -0,0 +1,42 @@
+import Config from '@/config';
+import { createImpulseResponse, getDampingFrequency } from '@/services/audio/reverb-module';
+
+describe( 'Reverb', () => {
+    // mock AudioContext
+
+    const audioContext = {
+        sampleRate: 100,
+        createBuffer: ( numberOfChannels, length ) => {
+            const channels = new Array( numberOfChannels ).fill( 0 ).map(() => new Float32Array( length ));
+            return { numberOfChannels, length, getChannelData: channel => channels[ channel ] };
+        }
+    };
+
+    it( 'should generate a stereo impulse response of the requested duration', () => {
+        const buffer = createImpulseResponse( audioContext, 2, 3 );
+
+        expect( buffer.numberOfChannels ).toEqual( 2 );
+        expect( buffer.length ).toEqual( 200 );
+    });
+
+    it( 'should generate an impulse response that decays towards silence', () => {
+        const buffer  = createImpulseResponse( audioContext, 2, 3 );
+        const channel = buffer.getChannelData( 0 );
+
+        channel.forEach(( sample, index ) => {
+            expect( Math.abs( sample )).toBeLessThanOrEqual( Math.pow( 1 - index / buffer.length, 3 ));
+        });
+    });
+
+    it( 'should not generate impulse responses shorter than the minimum room size', () => {
+        const buffer = createImpulseResponse( audioContext, 0, 3 );
+
+        expect( buffer.length ).toEqual( Math.round( audioContext.sampleRate * Config.MIN_REVERB_SIZE ));
+    });
+
+    it( 'should lower the damping frequency for higher damping amounts', () => {
+        expect( getDampingFrequency( 0 )).toEqual( Config.MAX_REVERB_DAMPING_FREQ );
+        expect( getDampingFrequency( 1 )).toEqual( Config.MIN_REVERB_DAMPING_FREQ );
+        expect( getDampingFrequency( .25 )).toBeGreaterThan( getDampingFrequency( .5 ));
+    });
+});
@@ -0,0 +1,232 @@
+import EventFactory    from '@/model/factory/event-factory';
+import PatternFactory  from '@/model/factory/pattern-factory';
+import SongFactory     from '@/model/factory/song-factory';
+import MidiFileService from '@/services/midi-file-service';
+import EventUtil       from '@/utils/event-util';
+import { ACTION_NOTE_ON, ACTION_NOTE_OFF } from '@/model/types/audio-event-def';
+
+const readString = ( bytes, offset, length ) => String.fromCharCode( ...bytes.slice( offset, offset + length ));
+const readUint16 = ( bytes, offset ) => ( bytes[ offset ] << 8 ) | bytes[ offset + 1 ];
+
+describe( 'MidiFileService', () => {
+    let song;
+
+    beforeEach(() => {
+        song = SongFactory.createSong( 8 );
+    });
+
+    const addEvent = ( channelIndex, step, action, note = '', octave = 0 ) => {
+        const pattern = song.patterns[ 0 ];
+        const event   = EventFactory.createAudioEvent( channelIndex, note, octave, action );
+        EventUtil.setPosition( event, song, 0, step );
+        pattern.channels[ channelIndex ][ step ] = event;
+        return event;
+    };
+
+    it( 'should be able to convert note names into MIDI note numbers', () => {
+        expect( MidiFileService.getNoteNumber( 'C', 4 )).toEqual( 60 );
+        expect( MidiFileService.getNoteNumber( 'A', 4 )).toEqual( 69 );
+        expect( MidiFileService.getNoteNumber( 'C#', -1 )).toEqual( 1 );
+    });
+
+    it( 'should encode a type 1 MIDI file with a conductor track and a track for each channel', () => {
+        const bytes = MidiFileService.encode( song );
+
+        expect( readString( bytes, 0, 4 )).toEqual( 'MThd' );
+        expect( readUint16( bytes, 8 )).toEqual( 1 ); // format
+        expect( readUint16( bytes, 10 )).toEqual( 9 ); // conductor track + 8 channels
+        expect( readString( bytes, 14, 4 )).toEqual( 'MTrk' );
+    });
+
+    it( 'should encode the songs tempo into the conductor track', () => {
+        song.meta.tempo = 100;
+        const bytes = Array.from( MidiFileService.encode( song ));
+
+        // 100 BPM equals 600000 microseconds per quarter note (0x0927C0)
+        const tempoIndex = bytes.findIndex(( byte, index ) => byte === 0xFF && bytes[ index + 1 ] === 0x51 );
+        expect( bytes.slice( tempoIndex + 2, tempoIndex + 6 )).toEqual([ 0x03, 0x09, 0x27, 0xC0 ]);
+    });
+
+    it( 'should encode noteOn and noteOff events as note messages in the channels track', () => {
+        addEvent( 1, 0, ACTION_NOTE_ON, 'A', 4 );
+        addEvent( 1, 8, ACTION_NOTE_OFF );
+
+        const bytes = Array.from( MidiFileService.encode( song ));
+
+        const noteOnIndex = bytes.findIndex(( byte, index ) => byte === 0x91 && bytes[ index + 1 ] === 69 );
+        expect( noteOnIndex ).toBeGreaterThan( -1 );
+
+        // note off should be positioned half a measure (two quarter notes at 480 PPQ) after the note on
+        const noteOffIndex = bytes.findIndex(( byte, index ) => byte === 0x81 && bytes[ index + 1 ] === 69 );
+        expect( bytes.slice( noteOffIndex - 2, noteOffIndex )).toEqual([ 0x87, 0x40 ]); // VLQ encoded 960
+    });
+
+    it( 'should encode the velocity of the events into the note messages', () => {
+        addEvent( 1, 0, ACTION_NOTE_ON, 'A', 4 ).velocity = 50;
+        addEvent( 1, 4, ACTION_NOTE_ON, 'B', 4 ).velocity = 0;
+
+        const bytes = Array.from( MidiFileService.encode( song ));
+
+        const noteOnIndex = bytes.findIndex(( byte, index ) => byte === 0x91 && bytes[ index + 1 ] === 69 );
+        expect( bytes[ noteOnIndex + 2 ]).toEqual( 64 );
+
+        // a zero velocity noteOn would equal a noteOff
+        const silentNoteOnIndex = bytes.findIndex(( byte, index ) => byte === 0x91 && bytes[ index + 1 ] === 71 );
+        expect( bytes[ silentNoteOnIndex + 2 ]).toEqual( 1 );
+    });
+
+    it( 'should stop playing notes when a new note is triggered in the same channel', () => {
+        addEvent( 0, 0, ACTION_NOTE_ON, 'C', 4 );
+        addEvent( 0, 4, ACTION_NOTE_ON, 'D', 4 );
+
+        const bytes = Array.from( MidiFileService.encode( song ));
+        const noteOffC = bytes.findIndex(( byte, index ) => byte === 0x80 && bytes[ index + 1 ] === 60 );
+        const noteOnD  = bytes.findIndex(( byte, index ) => byte === 0x90 && bytes[ index + 1 ] === 62 );
+        const noteOffD = bytes.findIndex(( byte, index ) => byte === 0x80 && bytes[ index + 1 ] === 62 );
+
+        expect( noteOffC ).toBeGreaterThan( -1 );
+        expect( noteOnD ).toBeGreaterThan( noteOffC );
+        expect( noteOffD ).toBeGreaterThan( noteOnD ); // last note is stopped at the end of the song
+    });
+
+    it( 'should encode the tempo and time signature changes of the patterns into the conductor track', () => {
+        song.meta.tempo = 120;
+        song.patterns.push( PatternFactory.createEmptyPattern( 16 ));
+        song.patterns[ 1 ].tempo      = 60;
+        song.patterns[ 1 ].beatAmount = 7;
+        song.patterns[ 1 ].beatUnit   = 8;
+        song.order = [ 0, 1 ];
+
+        const { tracks } = MidiFileService.decode( MidiFileService.encode( song ));
+
+        // the second pattern starts after a measure of four quarter notes (at 480 PPQ)
+        expect( tracks[ 0 ].tempos.map(({ tick }) => tick )).toEqual([ 0, 1920 ]);
+        expect( tracks[ 0 ].tempos[ 1 ].tempo ).toBeCloseTo( 60 );
+    });
+
+    it( 'should position the notes of patterns with their own tempo relative to the quarter note', () => {
+        song.patterns.push( PatternFactory.createEmptyPattern( 16 ));
+        song.patterns[ 1 ].tempo = 60;
+        song.order = [ 0, 1 ];
+
+        const event = EventFactory.createAudioEvent( 0, 'C', 4, ACTION_NOTE_ON );
+        EventUtil.setPosition( event, song, 1, 4 );
+        song.patterns[ 1 ].channels[ 0 ][ 4 ] = event;
+
+        const { tracks } = MidiFileService.decode( MidiFileService.encode( song ));
+        expect( tracks[ 1 ].notes[ 0 ].start ).toEqual( 1920 + 480 );
+    });
+
+    describe( 'when decoding MIDI files', () => {
+        it( 'should throw an Error when the data is not a MIDI file', () => {
+            expect(() => MidiFileService.decode( new Uint8Array([ 1, 2, 3, 4 ]))).toThrow();
+        });
+
+        it( 'should decode the tracks, tempo and notes of a MIDI file', () => {
+            song.meta.tempo = 90;
+            addEvent( 2, 4, ACTION_NOTE_ON, 'E', 3 );
+            addEvent( 2, 12, ACTION_NOTE_OFF );
+
+            const midiFile = MidiFileService.decode( MidiFileService.encode( song ));
+
+            expect( midiFile.format ).toEqual( 1 );
+            expect( midiFile.ppq ).toEqual( 480 );
+            expect( midiFile.tracks ).toHaveLength( 9 );
+            expect( midiFile.tracks[ 0 ].tempos ).toHaveLength( 1 );
+            expect( midiFile.tracks[ 0 ].tempos[ 0 ].tempo ).toBeCloseTo( 90 );
+            expect( midiFile.tracks[ 3 ].notes ).toEqual([
+                { channel: 2, noteNumber: 52, velocity: 127, start: 480, end: 1440 }
+            ]);
+        });
+
+        it( 'should treat noteOn messages with zero velocity as noteOff messages', () => {
+            const bytes = new Uint8Array([
+                0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,  // header (format 0, 1 track, 96 PPQ)
+                0x4D, 0x54, 0x72, 0x6B, 0, 0, 0, 12,                    // track chunk
+                0x00, 0x93, 60, 80,                                     // noteOn on channel 4
+                0x60, 60, 0,                                            // noteOn (zero velocity, running status)
+                0x00, 0xFF, 0x2F, 0x00                                  // end of track
+            ]);
+            const { tracks } = MidiFileService.decode( bytes );
+            expect( tracks[ 0 ].notes ).toEqual([
+                { channel: 3, noteNumber: 60, velocity: 80, start: 0, end: 96 }
+            ]);
+        });
+    });
+
+    describe( 'when converting MIDI files into songs', () => {
+        const createMidiFile = ( format, tracks ) => ({
+            format,
+            ppq: 96,
+            tracks: tracks.map(( notes, index ) => ({ name: '', tempos: index === 0 ? [{ tick: 0, tempo: 140 }] : [], notes }))
+        });
+
+        it( 'should apply the tempo of the MIDI file', () => {
+            const imported = MidiFileService.toSong( createMidiFile( 0, [[]]));
+            expect( imported.meta.tempo ).toEqual( 140 );
+        });
+
+        it( 'should quantize the notes to the requested pattern resolution', () => {
+            const note = { channel: 0, noteNumber: 60, velocity: 100, start: 100, end: 190 };
+            let imported = MidiFileService.toSong( createMidiFile( 0, [[ note ]]), 16 );
+
+            // a sixteenth note at 96 PPQ lasts 24 ticks
+            let channel = imported.patterns[ 0 ].channels[ 0 ];
+            expect( channel[ 4 ]).toEqual( expect.objectContaining({ action: ACTION_NOTE_ON, note: 'C', octave: 4 }));
+            expect( channel[ 8 ]).toEqual( expect.objectContaining({ action: ACTION_NOTE_OFF }));
+
+            imported = MidiFileService.toSong( createMidiFile( 0, [[ note ]]), 64 );
+            channel  = imported.patterns[ 0 ].channels[ 0 ];
+            expect( imported.patterns[ 0 ].steps ).toEqual( 64 );
+            expect( channel[ 17 ]).toEqual( expect.objectContaining({ action: ACTION_NOTE_ON }));
+            expect( channel[ 32 ]).toEqual( expect.objectContaining({ action: ACTION_NOTE_OFF }));
+        });
+
+        it( 'should apply the velocity of the notes to the events', () => {
+            const note = { channel: 0, noteNumber: 60, velocity: 127, start: 0, end: 24 };
+            const softNote = { ...note, velocity: 64, start: 48, end: 72 };
+            const channel = MidiFileService.toSong( createMidiFile( 0, [[ note, softNote ]]), 16 ).patterns[ 0 ].channels[ 0 ];
+
+            expect( channel[ 0 ].velocity ).toEqual( 100 );
+            expect( channel[ 2 ].velocity ).toEqual( 50 );
+        });
+
+        it( 'should create as many patterns as required to fit the notes', () => {
+            const note = { channel: 0, noteNumber: 60, velocity: 100, start: 96 * 9, end: 96 * 10 };
+            const imported = MidiFileService.toSong( createMidiFile( 0, [[ note ]]), 16 );
+
+            expect( imported.patterns ).toHaveLength( 3 );
+            expect( imported.patterns[ 2 ].channels[ 0 ][ 4 ]).toEqual( expect.objectContaining({ action: ACTION_NOTE_ON }));
+            expect( imported.patterns[ 2 ].channels[ 0 ][ 4 ].seq.startMeasure ).toEqual( 2 );
+        });
+
+        it( 'should map the MIDI channels of a type 0 file onto separate channels', () => {
+            const imported = MidiFileService.toSong( createMidiFile( 0, [[
+                { channel: 9, noteNumber: 36, velocity: 100, start: 0, end: 24 },
+                { channel: 2, noteNumber: 48, velocity: 100, start: 24, end: 48 }
+            ]]), 16 );
+            expect( imported.patterns[ 0 ].channels[ 0 ][ 0 ]).toEqual( expect.objectContaining({ note: 'C', octave: 2 }));
+            expect( imported.patterns[ 0 ].channels[ 1 ][ 1 ]).toEqual( expect.objectContaining({ note: 'C', octave: 3, instrument: 1 }));
+        });
+
+        it( 'should map the tracks of a type 1 file onto separate channels', () => {
+            const imported = MidiFileService.toSong( createMidiFile( 1, [
+                [],
+                [{ channel: 0, noteNumber: 62, velocity: 100, start: 0, end: 24 }],
+                [{ channel: 0, noteNumber: 64, velocity: 100, start: 0, end: 24 }]
+            ]), 16 );
+            expect( imported.patterns[ 0 ].channels[ 0 ][ 0 ]).toEqual( expect.objectContaining({ note: 'D' }));
+            expect( imported.patterns[ 0 ].channels[ 1 ][ 0 ]).toEqual( expect.objectContaining({ note: 'E' }));
+        });
+
+        it( 'should not stop overlapping notes prior to the start of the next note', () => {
+            const imported = MidiFileService.toSong( createMidiFile( 0, [[
+                { channel: 0, noteNumber: 60, velocity: 100, start: 0,  end: 96 },
+                { channel: 0, noteNumber: 62, velocity: 100, start: 48, end: 72 }
+            ]]), 16 );
+            const channel = imported.patterns[ 0 ].channels[ 0 ];
+            expect( channel.filter( event => event && event.action === ACTION_NOTE_OFF )).toHaveLength( 1 );
+            expect( channel[ 3 ]).toEqual( expect.objectContaining({ action: ACTION_NOTE_OFF }));
+        });
+    });
+});
@@ -1,6 +1,9 @@
+import EventFactory        from '@/model/factory/event-factory';
+import InstrumentFactory   from '@/model/factory/instrument-factory';
 import SongFactory         from '@/model/factory/song-factory';
 import SongValidator       from '@/model/validators/song-validator';
 import SongAssemblyService from '@/services/song-assembly-service';
+import { DEFAULT_MODULE_ORDER } from '@/definitions/module-order';
 
 describe( 'SongAssemblyService', () => {
     it( 'should be able to disassemble a Song into a Stringified XTK', () => {
@@ -25,4 +28,372 @@ describe( 'SongAssemblyService', () => {
 
         expect(song).toEqual(song2); // expected disassembled XTK to equal the properties of the song it was assembled from
     });
+
+    it( 'should be able to assemble and disassemble the songs order list', () => {
+        const song = SongFactory.createSong( 8 );
+        song.patterns.push( song.patterns[ 0 ], song.patterns[ 0 ]);
+        song.order = [ 0, 2, 1, 2 ];
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect(song2.order).toEqual([ 0, 2, 1, 2 ]); // expected order list to have been restored
+    });
+
+    it( 'should provide a legacy Song without order list with an order playing all patterns in sequence', () => {
+        const song = SongFactory.createSong( 8 );
+        song.patterns.push( song.patterns[ 0 ]);
+        delete song.order;
+
+        SongValidator.transformLegacy( song );
+
+        expect(song.order).toEqual([ 0, 1 ]);
+    });
+
+    it( 'should be able to assemble and disassemble the songs swing and pattern grooves', () => {
+        const song = SongFactory.createSong( 8 );
+        song.meta.swing = .6;
+        song.patterns[ 0 ].groove = [ 0, .5, 1, .5 ];
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect(song2.meta.swing).toEqual( .6 );
+        expect(song2.patterns[ 0 ].groove).toEqual([ 0, .5, 1, .5 ]);
+    });
+
+    it( 'should be able to assemble and disassemble the tempo and time signature of the patterns', () => {
+        const song = SongFactory.createSong( 8 );
+        song.patterns[ 0 ].tempo      = 95;
+        song.patterns[ 0 ].beatAmount = 7;
+        song.patterns[ 0 ].beatUnit   = 8;
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect(song2.patterns[ 0 ]).toEqual( expect.objectContaining({ tempo: 95, beatAmount: 7, beatUnit: 8 }));
+    });
+
+    it( 'should be able to assemble and disassemble the velocity of the events', () => {
+        const song = SongFactory.createSong( 8 );
+        const channel = song.patterns[ 0 ].channels[ 0 ];
+        channel[ 0 ] = EventFactory.createAudioEvent( 0, 'C', 3, 1 );
+        channel[ 4 ] = EventFactory.createAudioEvent( 0, 'C', 3, 1, 40 );
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect(song2.patterns[ 0 ].channels[ 0 ][ 0 ].velocity).toEqual( 100 );
+        expect(song2.patterns[ 0 ].channels[ 0 ][ 4 ].velocity).toEqual( 40 );
+    });
+
+    it( 'should be able to assemble and disassemble the velocity sensitivity of the instrument filters', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 1 ].filter.velocityAmount = 75;
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect(song2.instruments[ 0 ].filter.velocityAmount).toEqual( 0 );
+        expect(song2.instruments[ 1 ].filter.velocityAmount).toEqual( 75 );
+    });
+
+    it( 'should be able to assemble and disassemble the samples of the instrument oscillators', () => {
+        const song   = SongFactory.createSong( 8 );
+        const sample = { ...InstrumentFactory.createSample( 'foo.wav', 'UklGRg==' ), rootNote: 'A', loop: true, loopStart: .25, loopEnd: .75 };
+
+        song.instruments[ 1 ].oscillators[ 2 ].waveform = 'SAMPLE';
+        song.instruments[ 1 ].oscillators[ 2 ].sample   = sample;
+
+        const xtk   = SongAssemblyService.disassemble( song );
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        expect( song2.instruments[ 0 ].oscillators[ 2 ].sample ).toEqual( 0 );
+        expect( song2.instruments[ 1 ].oscillators[ 2 ].waveform ).toEqual( 'SAMPLE' );
+        expect( song2.instruments[ 1 ].oscillators[ 2 ].sample ).toEqual( sample );
+        expect( JSON.parse( xtk ).wt.SAMPLE ).toBeUndefined(); // samples are not serialized as wave tables
+    });
+
+    it( 'should be able to assemble and disassemble the reverb settings of the instruments', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 2 ].reverb = { enabled: true, size: 4.5, decay: 2, preDelay: .1, damping: .8, wet: .6 };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].reverb ).toEqual( song.instruments[ 0 ].reverb );
+        expect( song2.instruments[ 2 ].reverb ).toEqual( song.instruments[ 2 ].reverb );
+    });
+
+    it( 'should be able to assemble and disassemble the bitcrusher settings of the instruments', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 5 ].bitcrusher = { enabled: true, bits: 4, downsample: 12, mix: .75 };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].bitcrusher ).toEqual( song.instruments[ 0 ].bitcrusher );
+        expect( song2.instruments[ 5 ].bitcrusher ).toEqual( song.instruments[ 5 ].bitcrusher );
+    });
+
+    it( 'should be able to assemble and disassemble the modulation settings of the instruments', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 4 ].modulation = { enabled: true, type: 'phaser', rate: 2.5, depth: .7, feedback: .4, mix: .6 };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].modulation ).toEqual( song.instruments[ 0 ].modulation );
+        expect( song2.instruments[ 4 ].modulation ).toEqual( song.instruments[ 4 ].modulation );
+    });
+
+    it( 'should be able to assemble and disassemble the master bus settings', () => {
+        const song = SongFactory.createSong( 8 );
+        song.master.volume = .8;
+        song.master.compressor.ratio = 4;
+        song.master.limiter = { enabled: true, threshold: -3 };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.master ).toEqual( song.master );
+    });
+
+    it( 'should provide the default master bus settings for songs saved without a master bus', () => {
+        const song = SongFactory.createSong( 8 );
+        const xtk  = JSON.parse( SongAssemblyService.disassemble( song ));
+        delete xtk.ms;
+
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        expect( song2.master ).toEqual( SongFactory.createMaster() );
+    });
+
+    it( 'should be able to assemble and disassemble the auxiliary buses and instrument send levels', () => {
+        const song = SongFactory.createSong( 8 );
+        song.buses[ 0 ].volume = .7;
+        song.buses[ 0 ].reverb.enabled = true;
+        song.buses[ 1 ].delay  = { enabled: true, type: 1, time: .25, feedback: .6, cutoff: 2000, offset: .1 };
+        song.instruments[ 3 ].sends = [ .5, .25 ];
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.buses ).toEqual( song.buses );
+        expect( song2.instruments[ 0 ].sends ).toEqual([ 0, 0 ]);
+        expect( song2.instruments[ 3 ].sends ).toEqual([ .5, .25 ]);
+    });
+
+    it( 'should provide the default buses and send levels for songs saved without auxiliary buses', () => {
+        const song = SongFactory.createSong( 8 );
+        const xtk  = JSON.parse( SongAssemblyService.disassemble( song ));
+        delete xtk.ab;
+        xtk.ins.forEach( xtkInstrument => delete xtkInstrument.sn );
+
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        expect( song2.buses ).toEqual( SongFactory.createAuxBuses() );
+        song2.instruments.forEach( instrument => expect( instrument.sends ).toEqual([ 0, 0 ]));
+    });
+
+    it( 'should be able to assemble and disassemble the module order of the instruments', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 2 ].moduleOrder = [ 'delay', 'eq', 'filter', 'overdrive', 'bitcrusher', 'modulation', 'reverb' ];
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].moduleOrder ).toEqual( DEFAULT_MODULE_ORDER );
+        expect( song2.instruments[ 2 ].moduleOrder ).toEqual( song.instruments[ 2 ].moduleOrder );
+    });
+
+    it( 'should provide the default module order for songs saved without module order', () => {
+        const song = SongFactory.createSong( 8 );
+        const xtk  = JSON.parse( SongAssemblyService.disassemble( song ));
+        xtk.ins.forEach( xtkInstrument => delete xtkInstrument.mo );
+
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        song2.instruments.forEach( instrument => expect( instrument.moduleOrder ).toEqual( DEFAULT_MODULE_ORDER ));
+    });
+
+    it( 'should be able to disassemble instruments without a module order', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments.forEach( instrument => delete instrument.moduleOrder );
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        song2.instruments.forEach(( instrument, index ) => {
+            expect( instrument.moduleOrder ).toEqual( SongFactory.createSong( 8 ).instruments[ index ].moduleOrder );
+        });
+    });
+
+    it( 'should be able to assemble and disassemble the filter envelopes of the instruments', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 1 ].filter.envelope = { amount: -.5, attack: .1, decay: .4, sustain: .2, release: .6 };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].filter.envelope ).toEqual( song.instruments[ 0 ].filter.envelope );
+        expect( song2.instruments[ 1 ].filter.envelope ).toEqual( song.instruments[ 1 ].filter.envelope );
+    });
+
+    it( 'should provide the default filter envelope for songs saved without filter envelopes', () => {
+        const song = SongFactory.createSong( 8 );
+        const xtk  = JSON.parse( SongAssemblyService.disassemble( song ));
+        xtk.ins.forEach( xtkInstrument => delete xtkInstrument.f.en );
+
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        song2.instruments.forEach(( instrument, index ) => {
+            expect( instrument.filter.envelope ).toEqual( song.instruments[ index ].filter.envelope );
+        });
+    });
+
+    it( 'should be able to disassemble instruments without a filter envelope', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments.forEach( instrument => delete instrument.filter.envelope );
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        song2.instruments.forEach(( instrument, index ) => {
+            expect( instrument.filter.envelope ).toEqual( SongFactory.createSong( 8 ).instruments[ index ].filter.envelope );
+        });
+    });
+
+    it( 'should be able to assemble and disassemble the LFOs of the instruments', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 4 ].lfos[ 1 ] = { target: 'filterQ', shape: 'square', rate: 3.5, sync: true, division: .25, depth: .7 };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].lfos ).toEqual( song.instruments[ 0 ].lfos );
+        expect( song2.instruments[ 4 ].lfos ).toEqual( song.instruments[ 4 ].lfos );
+    });
+
+    it( 'should provide the default LFOs for songs saved without LFOs', () => {
+        const song = SongFactory.createSong( 8 );
+        const xtk  = JSON.parse( SongAssemblyService.disassemble( song ));
+        xtk.ins.forEach( xtkInstrument => delete xtkInstrument.lf );
+
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        song2.instruments.forEach(( instrument, index ) => {
+            expect( instrument.lfos ).toEqual( song.instruments[ index ].lfos );
+        });
+    });
+
+    it( 'should be able to disassemble instruments without LFOs', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments.forEach( instrument => delete instrument.lfos );
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        song2.instruments.forEach(( instrument, index ) => {
+            expect( instrument.lfos ).toEqual( SongFactory.createSong( 8 ).instruments[ index ].lfos );
+        });
+    });
+
+    it( 'should be able to assemble and disassemble the polyphony settings of the instruments', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 5 ].polyphony = { mode: 'legato', maxVoices: 4, stealing: 'quietest', glide: .15 };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].polyphony ).toEqual( song.instruments[ 0 ].polyphony );
+        expect( song2.instruments[ 5 ].polyphony ).toEqual( song.instruments[ 5 ].polyphony );
+    });
+
+    it( 'should provide the default polyphony settings for songs saved without polyphony', () => {
+        const song = SongFactory.createSong( 8 );
+        const xtk  = JSON.parse( SongAssemblyService.disassemble( song ));
+        xtk.ins.forEach( xtkInstrument => delete xtkInstrument.py );
+
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        song2.instruments.forEach(( instrument, index ) => {
+            expect( instrument.polyphony ).toEqual( song.instruments[ index ].polyphony );
+        });
+    });
+
+    it( 'should be able to disassemble instruments without polyphony settings', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments.forEach( instrument => delete instrument.polyphony );
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        song2.instruments.forEach(( instrument, index ) => {
+            expect( instrument.polyphony ).toEqual( SongFactory.createSong( 8 ).instruments[ index ].polyphony );
+        });
+    });
+
+    it( 'should be able to assemble and disassemble the unison settings of the oscillators', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 2 ].oscillators[ 1 ].unison = { voices: 5, detune: 24.5, spread: .75 };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].oscillators[ 0 ].unison ).toEqual( song.instruments[ 0 ].oscillators[ 0 ].unison );
+        expect( song2.instruments[ 2 ].oscillators[ 1 ].unison ).toEqual( song.instruments[ 2 ].oscillators[ 1 ].unison );
+    });
+
+    it( 'should provide the default unison settings for songs saved without unison', () => {
+        const song = SongFactory.createSong( 8 );
+        const xtk  = JSON.parse( SongAssemblyService.disassemble( song ));
+        xtk.ins.forEach( xtkInstrument => xtkInstrument.o.forEach( xtkOscillator => delete xtkOscillator.u ));
+
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        song2.instruments.forEach(( instrument, index ) => {
+            instrument.oscillators.forEach(( oscillator, oIndex ) => {
+                expect( oscillator.unison ).toEqual( song.instruments[ index ].oscillators[ oIndex ].unison );
+            });
+        });
+    });
+
+    it( 'should be able to assemble and disassemble the routing settings of the oscillators', () => {
+        const song = SongFactory.createSong( 8 );
+        song.instruments[ 3 ].oscillators[ 2 ].routing = {
+            mode: 'fm', target: 1, index: 3.5, envelope: { attack: .1, decay: .2, sustain: .5, release: .4 }
+        };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].oscillators[ 1 ].routing ).toEqual( song.instruments[ 0 ].oscillators[ 1 ].routing );
+        expect( song2.instruments[ 3 ].oscillators[ 2 ].routing ).toEqual( song.instruments[ 3 ].oscillators[ 2 ].routing );
+    });
+
+    it( 'should provide the default routing settings for songs saved without routing', () => {
+        const song = SongFactory.createSong( 8 );
+        const xtk  = JSON.parse( SongAssemblyService.disassemble( song ));
+        xtk.ins.forEach( xtkInstrument => xtkInstrument.o.forEach( xtkOscillator => delete xtkOscillator.rt ));
+
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        song2.instruments.forEach(( instrument, index ) => {
+            instrument.oscillators.forEach(( oscillator, oIndex ) => {
+                expect( oscillator.routing ).toEqual( song.instruments[ index ].oscillators[ oIndex ].routing );
+            });
+        });
+    });
+
+    it( 'should be able to assemble and disassemble the wave table frames and morph settings of the oscillators', () => {
+        const song = SongFactory.createSong( 8 );
+        const oscillator = song.instruments[ 2 ].oscillators[ 0 ];
+        oscillator.waveform = 'CUSTOM';
+        oscillator.table = [ -1, -0.5, 0, 0.5, 1 ];
+        oscillator.morph = {
+            frames: [[ 1, 0.5, 0, -0.5, -1 ], [ 0, 0, 0, 0, 0 ]],
+            position: 0.25,
+            envelope: { amount: -0.5, attack: .1, decay: .2, sustain: .5, release: .4 }
+        };
+
+        const song2 = SongAssemblyService.assemble( SongAssemblyService.disassemble( song ));
+
+        expect( song2.instruments[ 0 ].oscillators[ 0 ].morph ).toEqual( song.instruments[ 0 ].oscillators[ 0 ].morph );
+        expect( song2.instruments[ 2 ].oscillators[ 0 ].morph ).toEqual( oscillator.morph );
+    });
+
+    it( 'should provide the default morph settings for songs saved without wave table frames', () => {
+        const song = SongFactory.createSong( 8 );
+        const xtk  = JSON.parse( SongAssemblyService.disassemble( song ));
+        xtk.ins.forEach( xtkInstrument => xtkInstrument.o.forEach( xtkOscillator => delete xtkOscillator.mr ));
+
+        const song2 = SongAssemblyService.assemble( xtk );
+
+        song2.instruments.forEach(( instrument, index ) => {
+            instrument.oscillators.forEach(( oscillator, oIndex ) => {
+                expect( oscillator.morph ).toEqual( song.instruments[ index ].oscillators[ oIndex ].morph );
+            });
+        });
+    });
 });
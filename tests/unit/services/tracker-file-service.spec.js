@@ -0,0 +1,220 @@
+import TrackerFileService from '@/services/tracker-file-service';
+import { ACTION_IDLE, ACTION_NOTE_ON, ACTION_NOTE_OFF } from '@/model/types/audio-event-def';
+import { VOLUME, PAN_LEFT, PITCH_UP, PITCH_DOWN } from '@/definitions/automatable-parameters';
+
+const writeString = ( bytes, offset, string ) => {
+    string.split( '' ).forEach(( char, index ) => bytes[ offset + index ] = char.charCodeAt( 0 ));
+};
+
+/**
+ * creates a 4-channel ProTracker module with a single pattern
+ * cells is a list of { row, channel, period, sample, effect, param }
+ */
+const createMOD = ( cells = []) => {
+    const bytes = new Uint8Array( 1084 + ( 64 * 4 * 4 ));
+    writeString( bytes, 0, 'test module' );
+    writeString( bytes, 20, 'bass sample' );
+    bytes[ 950 ] = 2;  // song length
+    bytes[ 952 ] = 0;  // order list plays the first pattern twice
+    bytes[ 953 ] = 0;
+    writeString( bytes, 1080, 'M.K.' );
+
+    cells.forEach(({ row, channel, period = 0, sample = 0, effect = 0, param = 0 }) => {
+        const offset = 1084 + ( row * 16 ) + ( channel * 4 );
+        bytes[ offset ]     = ( sample & 0xF0 ) | ( period >> 8 );
+        bytes[ offset + 1 ] = period & 0xFF;
+        bytes[ offset + 2 ] = (( sample & 0x0F ) << 4 ) | effect;
+        bytes[ offset + 3 ] = param;
+    });
+    return bytes;
+};
+
+/**
+ * creates a 2-channel FastTracker II module with a single pattern (16 rows by default)
+ * and a single instrument (without samples), packedData describes the patterns rows
+ * and orders lists the order positions (each playing the pattern)
+ */
+const createXM = ( packedData, rowAmount = 16, orders = [ 0 ]) => {
+    const header  = new Uint8Array( 60 + 276 );
+    const view    = new DataView( header.buffer );
+    writeString( header, 0, 'Extended Module: ' );
+    writeString( header, 17, 'xm song' );
+    view.setUint32( 60, 276, true ); // header size
+    view.setUint16( 64, orders.length, true ); // song length
+    view.setUint16( 68, 2, true );   // channels
+    view.setUint16( 70, 1, true );   // patterns
+    view.setUint16( 72, 1, true );   // instruments
+    view.setUint16( 74, 1, true );   // linear frequency table
+    view.setUint16( 76, 3, true );   // speed
+    view.setUint16( 78, 150, true ); // BPM
+    header.set( orders, 80 );
+
+    const patternHeader = new Uint8Array( 9 );
+    const patternView   = new DataView( patternHeader.buffer );
+    patternView.setUint32( 0, 9, true );
+    patternView.setUint16( 5, rowAmount, true );
+    patternView.setUint16( 7, packedData.length, true );
+
+    const instrument = new Uint8Array( 29 );
+    new DataView( instrument.buffer ).setUint32( 0, 29, true );
+    writeString( instrument, 4, 'lead' );
+
+    return new Uint8Array([ ...header, ...patternHeader, ...packedData, ...instrument ]);
+};
+
+describe( 'TrackerFileService', () => {
+    describe( 'when importing ProTracker modules', () => {
+        it( 'should throw an Error when the data is not a supported module', () => {
+            expect(() => TrackerFileService.decode( new Uint8Array( 2048 ))).toThrow();
+        });
+
+        it( 'should decode the modules title, instruments, order list and patterns', () => {
+            const module = TrackerFileService.decode( createMOD([{ row: 1, channel: 2, period: 428, sample: 1 }]));
+
+            expect( module.title ).toEqual( 'test module' );
+            expect( module.instruments[ 0 ]).toEqual( 'bass sample' );
+            expect( module.orders ).toEqual([ 0, 0 ]);
+            expect( module.patterns ).toHaveLength( 1 );
+            expect( module.patterns[ 0 ][ 1 ][ 2 ]).toEqual( expect.objectContaining({ noteNumber: 48, instrument: 1 }));
+        });
+
+        it( 'should expand the order list into sixteen step patterns', () => {
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createMOD()));
+
+            // 64 rows played twice
+            expect( song.patterns ).toHaveLength( 8 );
+            song.patterns.forEach( pattern => expect( pattern.steps ).toEqual( 16 ));
+            expect( song.meta.tempo ).toEqual( 125 );
+        });
+
+        it( 'should convert notes and instruments into noteOn events', () => {
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createMOD([
+                { row: 17, channel: 1, period: 214, sample: 1 }
+            ])));
+            const event = song.patterns[ 1 ].channels[ 1 ][ 1 ];
+
+            expect( event ).toEqual( expect.objectContaining({ action: ACTION_NOTE_ON, note: 'C', octave: 5, instrument: 0 }));
+            expect( event.seq.startMeasure ).toEqual( 1 );
+            expect( song.instruments[ 0 ].name ).toEqual( 'bass sample' );
+        });
+
+        it( 'should convert volume commands into volume automation', () => {
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createMOD([
+                { row: 0, channel: 0, period: 428, sample: 1, effect: 0xC, param: 32 }
+            ])));
+            const event = song.patterns[ 0 ].channels[ 0 ][ 0 ];
+
+            expect( event.action ).toEqual( ACTION_NOTE_ON );
+            expect( event.mp ).toEqual({ module: VOLUME, value: 50, glide: false });
+        });
+
+        it( 'should convert panning commands into panning automation', () => {
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createMOD([
+                { row: 2, channel: 0, effect: 0x8, param: 0 }
+            ])));
+            const event = song.patterns[ 0 ].channels[ 0 ][ 2 ];
+
+            expect( event.action ).toEqual( ACTION_IDLE );
+            expect( event.mp ).toEqual({ module: PAN_LEFT, value: 100, glide: false });
+        });
+
+        it( 'should convert tone portamento into a pitch glide of the playing note', () => {
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createMOD([
+                { row: 0, channel: 0, period: 428, sample: 1 },
+                { row: 4, channel: 0, period: 214, effect: 0x3, param: 8 },
+                { row: 8, channel: 0, period: 428, effect: 0x3, param: 8 }
+            ])));
+            const channel = song.patterns[ 0 ].channels[ 0 ];
+
+            expect( channel[ 4 ].action ).toEqual( ACTION_IDLE ); // should not retrigger
+            expect( channel[ 4 ].mp ).toEqual({ module: PITCH_UP, value: 100, glide: true });
+            expect( channel[ 8 ].mp ).toEqual({ module: PITCH_UP, value: 0, glide: true });
+        });
+
+        it( 'should convert portamento down into a pitch glide of the playing note', () => {
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createMOD([
+                { row: 0, channel: 0, period: 428, sample: 1 },
+                { row: 1, channel: 0, effect: 0x2, param: 4 }
+            ])));
+            const event = song.patterns[ 0 ].channels[ 0 ][ 1 ];
+
+            expect( event.mp.module ).toEqual( PITCH_DOWN );
+            expect( event.mp.glide ).toBe( true );
+            expect( event.mp.value ).toBeGreaterThan( 0 );
+        });
+    });
+
+    describe( 'when importing FastTracker II modules', () => {
+        const packedData = [
+            // row 0: channel 1 plays C-4 with instrument 1 at half volume, channel 2 is empty
+            49, 1, 0x30, 0, 0, 0x80,
+            // row 1: channel 1 is keyed off, channel 2 pans hard left through the volume column
+            0x81, 97, 0x84, 0xC0,
+        ];
+
+        it( 'should decode the modules title, tempo, instruments and patterns', () => {
+            const module = TrackerFileService.decode( createXM( packedData ));
+
+            expect( module.title ).toEqual( 'xm song' );
+            expect( module.speed ).toEqual( 3 );
+            expect( module.bpm ).toEqual( 150 );
+            expect( module.linearFrequencies ).toBe( true );
+            expect( module.instruments ).toEqual([ 'lead' ]);
+            expect( module.patterns[ 0 ]).toHaveLength( 16 );
+            expect( module.patterns[ 0 ][ 0 ][ 0 ]).toEqual( expect.objectContaining({ noteNumber: 48, instrument: 1, volume: 32 }));
+        });
+
+        it( 'should convert the pattern data into events', () => {
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createXM( packedData )));
+            const [ channel1, channel2 ] = song.patterns[ 0 ].channels;
+
+            expect( song.meta.tempo ).toEqual( 300 );
+            expect( song.instruments[ 0 ].name ).toEqual( 'lead' );
+            expect( channel1[ 0 ]).toEqual( expect.objectContaining({ action: ACTION_NOTE_ON, note: 'C', octave: 4 }));
+            expect( channel1[ 0 ].mp ).toEqual({ module: VOLUME, value: 50, glide: false });
+            expect( channel1[ 1 ].action ).toEqual( ACTION_NOTE_OFF );
+            expect( channel2[ 0 ]).toEqual( 0 );
+            expect( channel2[ 1 ].mp ).toEqual({ module: PAN_LEFT, value: 100, glide: false });
+        });
+
+        it( 'should append patterns whose row amount differs from the step amount without gaps', () => {
+            // a 20 row pattern played twice, channel 1 plays C-4 on its first row
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createXM([ 49 ], 20, [ 0, 0 ])));
+
+            expect( song.patterns ).toHaveLength( 3 );
+            expect( song.patterns[ 0 ].channels[ 0 ][ 0 ].action ).toEqual( ACTION_NOTE_ON );
+            // second play starts at row 20 (e.g. the fifth step of the second pattern)
+            expect( song.patterns[ 1 ].channels[ 0 ][ 0 ]).toEqual( 0 );
+            expect( song.patterns[ 1 ].channels[ 0 ][ 4 ].action ).toEqual( ACTION_NOTE_ON );
+            expect( song.patterns[ 1 ].channels[ 0 ][ 4 ].seq.startMeasure ).toEqual( 1 );
+        });
+
+        it( 'should follow pattern breaks', () => {
+            // row 0: channel 1 plays C-4 and breaks to row 2 of the next order position
+            // row 1: channel 1 plays D-4 (skipped on the first play), row 2: channel 1 plays E-4
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createXM([
+                49, 0, 0, 0xD, 0x02, 0x80,
+                51, 0, 0, 0, 0, 0x80,
+                53, 0, 0, 0, 0, 0x80,
+            ], 4, [ 0, 0 ])));
+            const channel = song.patterns[ 0 ].channels[ 0 ];
+
+            expect( song.patterns ).toHaveLength( 1 );
+            expect( channel[ 0 ]).toEqual( expect.objectContaining({ note: 'C', octave: 4 }));
+            expect( channel[ 1 ]).toEqual( expect.objectContaining({ note: 'E', octave: 4 }));
+            expect( channel[ 2 ]).toEqual( 0 );
+            expect( channel[ 3 ]).toEqual( 0 );
+        });
+
+        it( 'should follow position jumps and end the song when jumping back', () => {
+            // row 1 jumps back to the first order position (the song would loop indefinitely)
+            const song = TrackerFileService.toSong( TrackerFileService.decode( createXM([
+                49, 0, 0, 0, 0, 0x80,
+                0x98, 0xB, 0, 0x80,
+            ], 20, [ 0, 0 ])));
+
+            expect( song.patterns ).toHaveLength( 1 );
+            expect( song.patterns[ 0 ].channels[ 0 ][ 0 ].action ).toEqual( ACTION_NOTE_ON );
+        });
+    });
+});
@@ -8,7 +8,8 @@ const { getters, mutations, actions } = InstrumentModule;
 jest.mock('@/utils/storage-util', () => ({
     getItem: jest.fn(),
     setItem: jest.fn(),
-    removeItem: jest.fn()
+    removeItem: jest.fn(),
+    getStorageErrorKey: jest.fn(error => error.name === 'QuotaExceededError' ? 'error.storageQuota' : 'error.storageWrite')
 }));
 
 describe('InstrumentModel', () => {
@@ -0,0 +1,46 @@
+import SequencerModule from '@/store/modules/sequencer-module';
+
+const { mutations } = SequencerModule;
+
+describe('Sequencer module', () => {
+    describe('Mutations', () => {
+        describe('When navigating the songs order list', () => {
+            const activeSong = { order: [0, 2, 0, 1] };
+
+            it('should be able to set the active order index and its pattern', () => {
+                const state = { activePattern: 0, activeOrderIndex: 0 };
+                mutations.setActiveOrderIndex(state, { activeSong, orderIndex: 1 });
+                expect(state.activeOrderIndex).toEqual(1);
+                expect(state.activePattern).toEqual(2);
+            });
+
+            it('should keep the active order index within the order lists range', () => {
+                const state = { activePattern: 0, activeOrderIndex: 0 };
+                mutations.setActiveOrderIndex(state, { activeSong, orderIndex: 10 });
+                expect(state.activeOrderIndex).toEqual(3);
+                expect(state.activePattern).toEqual(1);
+            });
+
+            it('should be able to go to the next pattern in the order list', () => {
+                const state = { activePattern: 2, activeOrderIndex: 1 };
+                mutations.gotoNextPattern(state, activeSong);
+                expect(state.activeOrderIndex).toEqual(2);
+                expect(state.activePattern).toEqual(0);
+            });
+
+            it('should be able to go to the previous pattern in the order list', () => {
+                const state = { activePattern: 0, activeOrderIndex: 2 };
+                mutations.gotoPreviousPattern(state, activeSong);
+                expect(state.activeOrderIndex).toEqual(1);
+                expect(state.activePattern).toEqual(2);
+            });
+
+            it('should not go beyond the end of the order list', () => {
+                const state = { activePattern: 1, activeOrderIndex: 3 };
+                mutations.gotoNextPattern(state, activeSong);
+                expect(state.activeOrderIndex).toEqual(3);
+                expect(state.activePattern).toEqual(1);
+            });
+        });
+    });
+});
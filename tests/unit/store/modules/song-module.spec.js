@@ -1,5 +1,13 @@
-import songModule    from '@/store/modules/song-module';
-import SongValidator from '@/model/validators/song-validator';
+import songModule     from '@/store/modules/song-module';
+import SongValidator  from '@/model/validators/song-validator';
+import SongFactory    from '@/model/factory/song-factory';
+import EventFactory   from '@/model/factory/event-factory';
+import PatternFactory from '@/model/factory/pattern-factory';
+import EventUtil      from '@/utils/event-util';
+import StorageUtil    from '@/utils/storage-util';
+import OutputRecorder from '@/services/audio/output-recorder';
+import { renderSong } from '@/services/audio-service';
+import { ACTION_NOTE_ON } from '@/model/types/audio-event-def';
 
 const { getters, mutations, actions } = songModule;
 
@@ -8,7 +16,17 @@ const { getters, mutations, actions } = songModule;
 jest.mock('@/utils/storage-util', () => ({
     getItem: jest.fn(),
     setItem: jest.fn(),
-    removeItem: jest.fn()
+    removeItem: jest.fn(),
+    getStorageErrorKey: jest.fn(error => error.name === 'QuotaExceededError' ? 'error.storageQuota' : 'error.storageWrite')
+}));
+
+// mock audio rendering (unavailable outside of the browser)
+
+jest.mock('@/services/audio-service', () => ({
+    renderSong: jest.fn(() => Promise.resolve({}))
+}));
+jest.mock('@/services/audio/output-recorder', () => ({
+    encodeWAV: jest.fn(() => Promise.resolve({}))
 }));
 
 describe('Song module', () => {
@@ -36,7 +54,104 @@ describe('Song module', () => {
             const state = { showSaveMessage: false };
             mutations.setShowSaveMessage(state, true);
             expect(state.showSaveMessage).toBe(true);
-        })
+        });
+
+        it('should be able to update the master bus properties of the active song', () => {
+            const state = { activeSong: SongFactory.createSong(8) };
+            const limiter = { enabled: true, threshold: -3 };
+            mutations.updateMaster(state, { prop: 'limiter', value: limiter });
+
+            expect(state.activeSong.master.limiter).toEqual(limiter);
+        });
+
+        it('should be able to update the properties of an auxiliary bus of the active song', () => {
+            const state = { activeSong: SongFactory.createSong(8) };
+            mutations.updateAuxBus(state, { busIndex: 1, prop: 'volume', value: .5 });
+
+            expect(state.activeSong.buses[1].volume).toEqual(.5);
+            expect(state.activeSong.buses[0].volume).toEqual(1);
+        });
+
+        describe('when applying swing', () => {
+            const createState = () => {
+                const song  = SongFactory.createSong(8);
+                const event = EventFactory.createAudioEvent(0, 'C', 3, ACTION_NOTE_ON);
+                song.meta.tempo = 120;
+                EventUtil.setPosition(event, song, 0, 1);
+                song.patterns[0].channels[0][1] = event;
+                return { activeSong: song };
+            };
+
+            it('should be able to set the swing amount and reposition the existing events', () => {
+                const state = createState();
+                mutations.setSwing(state, 1);
+
+                expect(state.activeSong.meta.swing).toEqual(1);
+                expect(state.activeSong.patterns[0].channels[0][1].seq.startMeasureOffset).toBeCloseTo(.1875);
+            });
+
+            it('should be able to set the groove template of a pattern and reposition its events', () => {
+                const state = createState();
+                mutations.setSwing(state, 1);
+                mutations.setPatternGroove(state, { patternIndex: 0, groove: [ 0 ] });
+
+                expect(state.activeSong.patterns[0].groove).toEqual([ 0 ]);
+                expect(state.activeSong.patterns[0].channels[0][1].seq.startMeasureOffset).toBeCloseTo(.125);
+
+                mutations.setPatternGroove(state, { patternIndex: 0, groove: undefined });
+                expect(state.activeSong.patterns[0].groove).toBeUndefined();
+            });
+        });
+
+        describe('when changing the tempo', () => {
+            const createState = () => {
+                const song = SongFactory.createSong(8);
+                song.meta.tempo = 120;
+                song.patterns.push(PatternFactory.createEmptyPattern(16));
+                [0, 1].forEach(patternIndex => {
+                    const event = EventFactory.createAudioEvent(0, 'C', 3, ACTION_NOTE_ON);
+                    EventUtil.setPosition(event, song, patternIndex, 8);
+                    song.patterns[patternIndex].channels[0][8] = event;
+                });
+                return { activeSong: song };
+            };
+            const getEvent = (state, patternIndex) => state.activeSong.patterns[patternIndex].channels[0][8];
+
+            it('should be able to set the tempo of a pattern and reposition its events', () => {
+                const state = createState();
+                mutations.setPatternTempo(state, { patternIndex: 0, tempo: 60 });
+
+                expect(state.activeSong.patterns[0].tempo).toEqual(60);
+                expect(getEvent(state, 0).seq.startMeasureOffset).toEqual(2);
+                expect(getEvent(state, 0).seq.length).toEqual(.25);
+                expect(getEvent(state, 1).seq.startOffset).toEqual(4); // subsequent pattern starts after the slower pattern
+                expect(getEvent(state, 1).seq.startMeasureOffset).toEqual(1);
+            });
+
+            it('should not update the events of patterns that define their own tempo when changing the song tempo', () => {
+                const state = createState();
+                mutations.setPatternTempo(state, { patternIndex: 1, tempo: 120 });
+                mutations.setTempo(state, 60);
+
+                expect(getEvent(state, 0).seq.startMeasureOffset).toEqual(2);
+                expect(getEvent(state, 1).seq.startMeasureOffset).toEqual(1);
+                expect(getEvent(state, 1).seq.length).toEqual(.125);
+                expect(getEvent(state, 1).seq.startOffset).toEqual(4);
+            });
+
+            it('should be able to set the time signature of a pattern and reposition its events', () => {
+                const state = createState();
+                mutations.setPatternTimeSignature(state, { patternIndex: 0, beatAmount: 3, beatUnit: 4 });
+
+                expect(state.activeSong.patterns[0].beatAmount).toEqual(3);
+                expect(getEvent(state, 0).seq.startMeasureOffset).toEqual(.75);
+                expect(getEvent(state, 1).seq.startOffset).toEqual(1.5);
+
+                mutations.setPatternTimeSignature(state, { patternIndex: 0 });
+                expect(state.activeSong.patterns[0].beatAmount).toBeUndefined();
+                expect(getEvent(state, 0).seq.startMeasureOffset).toEqual(1);
+            });
+        });
     });
 
     describe('actions', () => {
@@ -99,6 +214,124 @@ describe('Song module', () => {
                     done();
                 }, 1);
             });
+
+            it('should report an error and not list the song when the storage quota was exceeded', async () => {
+                commit = jest.fn();
+                const song = await actions.createSong();
+                const state = { songs: [], showSaveMessage: true };
+                const error = new Error('quota');
+                error.name = 'QuotaExceededError';
+
+                StorageUtil.setItem.mockImplementationOnce(() => Promise.reject(error));
+
+                await actions.saveSong({ state, getters: mockedGetters, commit, dispatch }, song);
+
+                expect(state.songs).toEqual([]);
+                expect(mockedGetters.t).toHaveBeenCalledWith('error.storageQuota');
+                expect(commit).toHaveBeenCalledWith('showError', undefined);
+                expect(commit).not.toHaveBeenCalledWith('showNotification', expect.any(Object));
+            });
+
+            it('should replace the existing entry of a song when saving it again', async () => {
+                commit = jest.fn();
+                const song = await actions.createSong();
+                const state = { songs: [{ id: song.id, meta: { ...song.meta } }], showSaveMessage: false };
+
+                await actions.saveSong({ state, getters: mockedGetters, commit, dispatch }, song);
+
+                expect(state.songs).toEqual([{ id: song.id, meta: song.meta }]);
+            });
+
+            it('should save a song that was saved under a different title as a new entry', async () => {
+                commit = jest.fn();
+                const song = await actions.createSong();
+                const originalId = song.id;
+                const state = { songs: [{ id: song.id, meta: { ...song.meta, title: 'foo' } }], showSaveMessage: false };
+
+                await actions.saveSong({ state, getters: mockedGetters, commit, dispatch }, song);
+
+                expect(song.id).not.toEqual(originalId);
+                expect(state.songs).toHaveLength(2);
+            });
+
+            it('should retain the existing copy of a song when saving the new copy failed', async () => {
+                commit = jest.fn();
+                const song = await actions.createSong();
+                const existingEntry = { id: song.id, meta: { ...song.meta } };
+                const state = { songs: [existingEntry], showSaveMessage: true };
+                const error = new Error('quota');
+                error.name = 'QuotaExceededError';
+
+                StorageUtil.removeItem.mockClear();
+                StorageUtil.setItem.mockImplementationOnce(() => Promise.reject(error));
+
+                await actions.saveSong({ state, getters: mockedGetters, commit, dispatch }, song);
+
+                expect(state.songs).toEqual([existingEntry]);
+                expect(StorageUtil.removeItem).not.toHaveBeenCalled();
+            });
+        });
+    });
+
+    describe('when rendering songs to WAV', () => {
+        it('should render the song offline and encode the result while showing the loader', async () => {
+            window.URL.createObjectURL = jest.fn(() => 'blob:url');
+            window.URL.revokeObjectURL = jest.fn();
+
+            const song   = await actions.createSong();
+            const commit = jest.fn();
+
+            await actions.exportSongAsWAV({ commit }, song);
+
+            expect(renderSong).toHaveBeenCalledWith(song);
+            expect(OutputRecorder.encodeWAV).toHaveBeenCalled();
+            expect(commit).toHaveBeenNthCalledWith(1, 'setLoading', true);
+            expect(commit).toHaveBeenNthCalledWith(2, 'setLoading', false);
+        });
+
+        it('should hide the loader when rendering fails', async () => {
+            renderSong.mockImplementationOnce(() => Promise.reject(new Error('not supported')));
+            const commit = jest.fn();
+
+            await expect(actions.exportSongAsWAV({ commit }, {})).rejects.toThrow();
+            expect(commit).toHaveBeenLastCalledWith('setLoading', false);
+        });
+    });
+
+    describe('when exporting stems', () => {
+        let song;
+
+        beforeEach(async () => {
+            window.URL.createObjectURL = jest.fn(() => 'blob:url');
+            window.URL.revokeObjectURL = jest.fn();
+            renderSong.mockClear();
+
+            song = await actions.createSong();
+            // add content for the first three instruments
+            [0, 1, 2].forEach(instrument => {
+                song.patterns[0].channels[instrument][0] = { instrument, action: ACTION_NOTE_ON, seq: {} };
+            });
+        });
+
+        it('should render each instrument that has content in isolation', async () => {
+            const amount = await actions.exportSongStems({ commit: jest.fn() }, { song, asZip: false });
+
+            expect(amount).toEqual(3);
+            expect(renderSong).toHaveBeenCalledTimes(3);
+            expect(renderSong).toHaveBeenCalledWith(song, 0);
+            expect(renderSong).toHaveBeenCalledWith(song, 1);
+            expect(renderSong).toHaveBeenCalledWith(song, 2);
+        });
+
+        it('should respect the mute and solo state of the instruments', async () => {
+            song.instruments[0].muted = true;
+            expect(await actions.exportSongStems({ commit: jest.fn() }, { song, asZip: false })).toEqual(2);
+            expect(renderSong).not.toHaveBeenCalledWith(song, 0);
+
+            renderSong.mockClear();
+            song.instruments[2].solo = true;
+            expect(await actions.exportSongStems({ commit: jest.fn() }, { song, asZip: false })).toEqual(1);
+            expect(renderSong).toHaveBeenCalledWith(song, 2);
         });
     });
 
@@ -4,6 +4,7 @@ import EventFactory       from '@/model/factory/event-factory';
 import PatternFactory     from '@/model/factory/pattern-factory';
 import SongFactory        from '@/model/factory/song-factory';
 import { ACTION_NOTE_ON } from '@/model/types/audio-event-def';
+import { STRAIGHT, EIGHTHS } from '@/definitions/grooves';
 
 describe( 'EventUtil', () => {
     let song;
@@ -20,7 +21,7 @@ describe( 'EventUtil', () => {
 
         const audioEvent = EventFactory.createAudioEvent();
 
-        EventUtil.setPosition( audioEvent, pattern, 0, pattern.steps / 4, song.meta.tempo );
+        EventUtil.setPosition( audioEvent, song, 0, pattern.steps / 4 );
 
         const measureLength  = ( 60 / song.meta.tempo ) * 4;
         let expectedLength = ( 1 / pattern.steps ) * measureLength;
@@ -32,7 +33,7 @@ describe( 'EventUtil', () => {
         pattern.steps  *= 2;
         expectedLength = ( 1 / pattern.steps ) * measureLength;
 
-        EventUtil.setPosition( audioEvent, pattern, 0, pattern.steps / 4, song.meta.tempo );
+        EventUtil.setPosition( audioEvent, song, 0, pattern.steps / 4 );
 
         expect(audioEvent.seq.length).toEqual(expectedLength);
     });
@@ -48,8 +49,9 @@ describe( 'EventUtil', () => {
         const expectedLength             = .5;
 
         const audioEvent = EventFactory.createAudioEvent();
+        song.patterns[ 1 ] = pattern;
 
-        EventUtil.setPosition( audioEvent, pattern, 1, pattern.steps / 2, song.meta.tempo, expectedLength );
+        EventUtil.setPosition( audioEvent, song, 1, pattern.steps / 2, expectedLength );
 
         expect(audioEvent.seq.startMeasure).toEqual(expectedStartMeasure);
         expect(audioEvent.seq.startOffset).toEqual(expectedStartOffset);
@@ -58,6 +60,91 @@ describe( 'EventUtil', () => {
         expect(audioEvent.seq.length).toEqual(expectedLength);
     });
 
+    describe( 'when applying swing', () => {
+        const sixteenth = .125; // measure lasts 2s at 120 BPM
+
+        beforeEach(() => {
+            song.meta.tempo = 120;
+            song.meta.swing = 1;
+        });
+
+        it( 'should delay the odd sixteenth notes by the swing amount', () => {
+            const audioEvent = EventFactory.createAudioEvent();
+
+            EventUtil.setPosition( audioEvent, song, 0, 1 );
+            expect(audioEvent.seq.startMeasureOffset).toBeCloseTo( sixteenth * 1.5 ); // fully swung sixteenth is delayed by half its duration
+
+            song.meta.swing = .5;
+            EventUtil.setPosition( audioEvent, song, 0, 1 );
+            expect(audioEvent.seq.startMeasureOffset).toBeCloseTo( sixteenth * 1.25 );
+
+            EventUtil.setPosition( audioEvent, song, 0, 2 );
+            expect(audioEvent.seq.startMeasureOffset).toBeCloseTo( sixteenth * 2 ); // even sixteenth remains in place
+        });
+
+        it( 'should shift events in between sixteenth notes proportionally', () => {
+            const audioEvent = EventFactory.createAudioEvent();
+            song.patterns[ 0 ] = PatternFactory.createEmptyPattern( 32 );
+
+            EventUtil.setPosition( audioEvent, song, 0, 1 );
+            expect(audioEvent.seq.startMeasureOffset).toBeCloseTo( sixteenth * .75 );
+
+            EventUtil.setPosition( audioEvent, song, 0, 31 );
+            expect(audioEvent.seq.startMeasureOffset).toBeCloseTo( sixteenth * 15.75 ); // last event remains within the measure
+        });
+
+        it( 'should apply the groove template of the pattern', () => {
+            const pattern    = song.patterns[ 0 ];
+            const audioEvent = EventFactory.createAudioEvent();
+
+            pattern.groove = STRAIGHT;
+            EventUtil.setPosition( audioEvent, song, 0, 1 );
+            expect(audioEvent.seq.startMeasureOffset).toBeCloseTo( sixteenth );
+
+            pattern.groove = EIGHTHS;
+            EventUtil.setPosition( audioEvent, song, 0, 2 );
+            expect(audioEvent.seq.startMeasureOffset).toBeCloseTo( sixteenth * 2.5 );
+        });
+    });
+
+    describe( 'when patterns define their own tempo or time signature', () => {
+        beforeEach(() => {
+            song.meta.tempo = 120;
+            song.patterns.push( PatternFactory.createEmptyPattern( 16 ), PatternFactory.createEmptyPattern( 16 ));
+        });
+
+        it( 'should position the events using the tempo of the pattern', () => {
+            const audioEvent = EventFactory.createAudioEvent();
+            song.patterns[ 1 ].tempo = 60;
+
+            EventUtil.setPosition( audioEvent, song, 1, 8 );
+
+            expect(audioEvent.seq.startMeasureOffset).toEqual( 2 ); // half a measure at 60 BPM
+            expect(audioEvent.seq.length).toEqual( .25 );
+        });
+
+        it( 'should position the events using the time signature of the pattern', () => {
+            const audioEvent = EventFactory.createAudioEvent();
+            song.patterns[ 1 ].beatAmount = 7;
+            song.patterns[ 1 ].beatUnit   = 8;
+
+            EventUtil.setPosition( audioEvent, song, 1, 8 );
+
+            expect(audioEvent.seq.startMeasureOffset).toBeCloseTo( .875 ); // half a measure of seven eighth notes at 120 BPM
+        });
+
+        it( 'should calculate the start offset from the duration of the preceding patterns', () => {
+            const audioEvent = EventFactory.createAudioEvent();
+            song.patterns[ 0 ].tempo      = 60;
+            song.patterns[ 1 ].beatAmount = 3;
+            song.patterns[ 1 ].beatUnit   = 4;
+
+            EventUtil.setPosition( audioEvent, song, 2, 0 );
+
+            expect(audioEvent.seq.startOffset).toEqual( 4 + 1.5 );
+        });
+    });
+
     it( 'should be able to update the position of an AudioEvent that spans several measures in duration', () => {
         const pattern     = song.patterns[ 0 ];
         song.meta.tempo = 120;
@@ -70,7 +157,7 @@ describe( 'EventUtil', () => {
 
         const audioEvent = EventFactory.createAudioEvent();
 
-        EventUtil.setPosition( audioEvent, pattern, 0, pattern.steps / 4, song.meta.tempo, expectedLength );
+        EventUtil.setPosition( audioEvent, song, 0, pattern.steps / 4, expectedLength );
 
         expect(expectedStartMeasure).toEqual(audioEvent.seq.startMeasure);
         expect(expectedStartOffset).toEqual(audioEvent.seq.startOffset);
@@ -550,7 +637,7 @@ function createNoteOnEvent( step, song, patternIndex, channelIndex, lists ) {
 
     pattern.channels[ channelIndex ][ step ] = event;
 
-    EventUtil.setPosition( event, pattern, patternIndex, step, song.meta.tempo );
+    EventUtil.setPosition( event, song, patternIndex, step );
     EventUtil.linkEvent( event, channelIndex, song, lists );
 
     return event;
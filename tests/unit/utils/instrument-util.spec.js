@@ -0,0 +1,32 @@
+import { getUnisonPosition, getUnisonGain } from '@/utils/instrument-util';
+
+describe( 'Instrument utilities', () => {
+    describe( 'when positioning unison voices', () => {
+        it( 'should center a single voice', () => {
+            expect( getUnisonPosition( 0, 1 )).toEqual( 0 );
+        });
+
+        it( 'should always center the first voice', () => {
+            expect( getUnisonPosition( 0, 5 )).toEqual( 0 );
+        });
+
+        it( 'should place additional voices in pairs on either side of the center', () => {
+            expect([ 0, 1, 2, 3, 4 ].map( index => getUnisonPosition( index, 5 ))).toEqual([ 0, .5, -.5, 1, -1 ]);
+        });
+
+        it( 'should place an unpaired voice at the full spread', () => {
+            expect( getUnisonPosition( 1, 2 )).toEqual( 1 );
+            expect([ 0, 1, 2, 3 ].map( index => getUnisonPosition( index, 4 ))).toEqual([ 0, .5, -.5, 1 ]);
+        });
+    });
+
+    describe( 'when calculating the unison gain', () => {
+        it( 'should not attenuate a single voice', () => {
+            expect( getUnisonGain( 1 )).toEqual( 1 );
+        });
+
+        it( 'should attenuate stacked voices to keep the perceived loudness equal', () => {
+            expect( getUnisonGain( 4 )).toEqual( .5 );
+        });
+    });
+});
@@ -127,4 +127,15 @@ describe('PatternUtil', () => {
         expect(deletion).toEqual(event2.seq.startMeasure); // expected event 2 start measure to have decremented as it was present after the removal point
         expect(deletion).toEqual(event2.seq.endMeasure); // expected event 2 end measure to have decremented as it was present after the removal point
     });
+
+    it('should be able to update the order list for inserted patterns', () => {
+        expect(PatternUtil.addPatternsToOrder([0, 1, 2, 1], 2)).toEqual([0, 1, 2, 3, 1]); // expected new pattern to follow its predecessor
+        expect(PatternUtil.addPatternsToOrder([0, 1], 0, 2)).toEqual([0, 1, 2, 3]); // expected patterns inserted at the start to lead the order
+        expect(PatternUtil.addPatternsToOrder([0], 2)).toEqual([0, 2]); // expected pattern to be appended when its predecessor is not in the order
+    });
+
+    it('should be able to update the order list for a removed pattern', () => {
+        expect(PatternUtil.removePatternFromOrder([0, 1, 2, 1, 3], 1)).toEqual([0, 1, 2]); // expected references to removed pattern to be removed and later patterns to shift
+        expect(PatternUtil.removePatternFromOrder([1, 1], 1)).toEqual([0]); // expected order to always reference at least a single pattern
+    });
 });
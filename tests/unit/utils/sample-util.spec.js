@@ -0,0 +1,18 @@
+import { encodeSampleData, decodeSampleData, getSampleOverview } from '@/utils/sample-util';
+
+describe( 'SampleUtil', () => {
+    it( 'should be able to encode binary data into a String and decode it back into the same binary data', () => {
+        const bytes = new Uint8Array([ 0, 1, 127, 128, 254, 255 ]);
+        const data  = encodeSampleData( bytes.buffer );
+
+        expect( typeof data ).toBe( 'string' );
+        expect( Array.from( new Uint8Array( decodeSampleData( data )))).toEqual( Array.from( bytes ));
+    });
+
+    it( 'should be able to create an overview of the peaks within an AudioBuffer', () => {
+        const channelData = new Float32Array([ 0, .5, -.25, .1, -1, .75, 0, .2 ]);
+        const buffer = { getChannelData: () => channelData };
+
+        expect( getSampleOverview( buffer, 4 )).toEqual([ .5, -.25, -1, .2 ].map( value => Math.fround( value )));
+    });
+});
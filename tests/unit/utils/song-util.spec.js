@@ -3,7 +3,7 @@ import PatternFactory     from '@/model/factory/pattern-factory';
 import SongFactory        from '@/model/factory/song-factory';
 import { ACTION_NOTE_ON } from '@/model/types/audio-event-def';
 
-import { hasContent, updateEventOffsets } from '@/utils/song-util';
+import { hasContent, updateEventOffsets, getAudibleInstruments, hasContentForInstrument } from '@/utils/song-util';
 
 describe( 'SongUtil', () => {
     let song;
@@ -72,4 +72,27 @@ describe( 'SongUtil', () => {
         expect(expectedOffset2).toEqual(secondEvent.seq.startMeasureOffset);
         expect(expectedLength2).toEqual(secondEvent.seq.length);
     });
+
+    it( 'should know which instruments are audible in the mix', () => {
+        const { instruments } = song;
+        expect( getAudibleInstruments( instruments )).toHaveLength( 8 );
+
+        instruments[ 1 ].muted = true;
+        expect( getAudibleInstruments( instruments )).toHaveLength( 7 );
+        expect( getAudibleInstruments( instruments )).not.toContain( instruments[ 1 ]);
+
+        // soloed instruments are the only audible instruments
+        instruments[ 2 ].solo = true;
+        instruments[ 5 ].solo = true;
+        expect( getAudibleInstruments( instruments )).toEqual([ instruments[ 2 ], instruments[ 5 ]]);
+    });
+
+    it( 'should know whether a song has content for a specific instrument', () => {
+        const event  = EventFactory.createAudioEvent( 3 );
+        event.action = ACTION_NOTE_ON;
+        song.patterns[ 0 ].channels[ 0 ][ 4 ] = event;
+
+        expect( hasContentForInstrument( song, 3 )).toBe( true );
+        expect( hasContentForInstrument( song, 0 )).toBe( false );
+    });
 });
@@ -0,0 +1,111 @@
+describe('StorageUtil', () => {
+    let StorageUtil;
+
+    // data is compressed, use a value long enough to benefit from compression
+    const VALUE = JSON.stringify(new Array(10).fill({ foo: 'bar' }));
+
+    // a minimal in-memory implementation of the IndexedDB API subset used by StorageUtil
+
+    const createIndexedDB = data => ({
+        open() {
+            const request = {};
+            setTimeout(() => {
+                request.result = {
+                    createObjectStore: jest.fn(),
+                    transaction() {
+                        const transaction = {};
+                        transaction.objectStore = () => {
+                            const createRequest = result => {
+                                setTimeout(() => transaction.oncomplete());
+                                return { result };
+                            };
+                            return {
+                                get: key => createRequest(data.get(key)),
+                                put: (value, key) => createRequest(data.set(key, value) && undefined),
+                                delete: key => createRequest(data.delete(key) && undefined)
+                            };
+                        };
+                        return transaction;
+                    }
+                };
+                request.onupgradeneeded();
+                request.onsuccess();
+            });
+            return request;
+        }
+    });
+
+    beforeEach(() => {
+        jest.resetModules();
+        window.localStorage.clear();
+        delete window.indexedDB;
+        StorageUtil = require('@/utils/storage-util').default;
+    });
+
+    it('should fall back to LocalStorage when IndexedDB is not available', async () => {
+        await StorageUtil.setItem('foo', VALUE);
+
+        expect(StorageUtil.isAvailable()).toBe(true);
+        expect(window.localStorage.getItem('foo')).not.toBeNull();
+        expect(await StorageUtil.getItem('foo')).toEqual(VALUE);
+    });
+
+    it('should reject when retrieving data that does not exist', async () => {
+        await expect(StorageUtil.getItem('foo')).rejects.toThrow();
+    });
+
+    it('should be able to remove stored data', async () => {
+        await StorageUtil.setItem('foo', VALUE);
+        await StorageUtil.removeItem('foo');
+
+        await expect(StorageUtil.getItem('foo')).rejects.toThrow();
+    });
+
+    it('should store data in IndexedDB when available', async () => {
+        const data = new Map();
+        window.indexedDB = createIndexedDB(data);
+
+        await StorageUtil.setItem('foo', VALUE);
+
+        expect(data.has('foo')).toBe(true);
+        expect(window.localStorage.getItem('foo')).toBeNull();
+        expect(await StorageUtil.getItem('foo')).toEqual(VALUE);
+    });
+
+    it('should migrate the data stored in LocalStorage into IndexedDB', async () => {
+        const data = new Map();
+        window.indexedDB = createIndexedDB(data);
+
+        window.localStorage.setItem('effluxData', 'foo');
+        window.localStorage.setItem('effluxInstruments', 'bar');
+        window.localStorage.setItem('someOtherApplication', 'baz');
+
+        await StorageUtil.init();
+
+        expect(data.get('effluxData')).toEqual('foo');
+        expect(data.get('effluxInstruments')).toEqual('bar');
+        expect(data.has('someOtherApplication')).toBe(false);
+
+        expect(window.localStorage.getItem('effluxData')).toBeNull();
+        expect(window.localStorage.getItem('effluxInstruments')).toBeNull();
+        expect(window.localStorage.getItem('someOtherApplication')).toEqual('baz');
+
+        expect(await StorageUtil.getItem('effluxData')).toEqual('foo');
+    });
+
+    it('should recognize errors raised when the storage quota is exceeded', () => {
+        const error = new Error('foo');
+        expect(StorageUtil.isQuotaExceededError(error)).toBe(false);
+
+        error.name = 'QuotaExceededError';
+        expect(StorageUtil.isQuotaExceededError(error)).toBe(true);
+    });
+
+    it('should provide the translation key describing a storage error', () => {
+        const error = new Error('foo');
+        expect(StorageUtil.getStorageErrorKey(error)).toEqual('error.storageWrite');
+
+        error.name = 'QuotaExceededError';
+        expect(StorageUtil.getStorageErrorKey(error)).toEqual('error.storageQuota');
+    });
+});
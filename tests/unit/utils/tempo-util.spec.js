@@ -0,0 +1,50 @@
+import SongFactory    from '@/model/factory/song-factory';
+import PatternFactory from '@/model/factory/pattern-factory';
+import {
+    getTempo, getTimeSignature, getMeasureDuration, getPatternStartOffset, createTempoMap, getSongDuration
+} from '@/utils/tempo-util';
+
+describe( 'TempoUtil', () => {
+    let song;
+
+    beforeEach(() => {
+        song = SongFactory.createSong( 8 );
+        song.meta.tempo = 120;
+        song.patterns.push( PatternFactory.createEmptyPattern( 16 ), PatternFactory.createEmptyPattern( 16 ));
+        song.order = [ 0, 1, 2, 1 ];
+    });
+
+    it( 'should fall back to the tempo and time signature of the song when the pattern does not define its own', () => {
+        expect( getTempo( song, 0 )).toEqual( 120 );
+        expect( getTimeSignature( song, 0 )).toEqual({ beatAmount: 4, beatUnit: 4 });
+        expect( getMeasureDuration( song, 0 )).toEqual( 2 );
+    });
+
+    it( 'should use the tempo and time signature of the pattern when defined', () => {
+        song.patterns[ 1 ].tempo      = 90;
+        song.patterns[ 1 ].beatAmount = 6;
+        song.patterns[ 1 ].beatUnit   = 8;
+
+        expect( getTempo( song, 1 )).toEqual( 90 );
+        expect( getTimeSignature( song, 1 )).toEqual({ beatAmount: 6, beatUnit: 8 });
+        expect( getMeasureDuration( song, 1 )).toBeCloseTo( 2 ); // three quarter notes at 90 BPM
+    });
+
+    it( 'should calculate the start offset of a pattern from the duration of the preceding patterns', () => {
+        song.patterns[ 0 ].tempo = 60;
+        expect( getPatternStartOffset( song, 0 )).toEqual( 0 );
+        expect( getPatternStartOffset( song, 2 )).toEqual( 4 + 2 );
+    });
+
+    it( 'should create a tempo map describing the timing of the patterns in the order list', () => {
+        song.patterns[ 1 ].beatAmount = 3;
+        song.patterns[ 1 ].beatUnit   = 4;
+
+        const tempoMap = createTempoMap( song );
+
+        expect( tempoMap.map(({ patternIndex }) => patternIndex )).toEqual([ 0, 1, 2, 1 ]);
+        expect( tempoMap.map(({ startTime }) => startTime )).toEqual([ 0, 2, 3.5, 5.5 ]);
+        expect( tempoMap[ 1 ]).toEqual( expect.objectContaining({ tempo: 120, beatAmount: 3, beatUnit: 4, duration: 1.5 }));
+        expect( getSongDuration( song )).toEqual( 7 );
+    });
+});
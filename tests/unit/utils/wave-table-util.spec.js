@@ -0,0 +1,121 @@
+import Config from '@/config';
+import {
+    analyseHarmonics, synthesizeHarmonics, detectCyclePeriod, resampleCycle, createTableFromAudioBuffer
+} from '@/utils/wave-table-util';
+
+describe( 'WaveTableUtil', () => {
+    const SIZE = 64;
+
+    describe( 'when synthesizing partials into a wave table', () => {
+        it( 'should create a table of the requested size', () => {
+            expect( synthesizeHarmonics([{ amplitude: 1, phase: 0 }], SIZE )).toHaveLength( SIZE );
+        });
+
+        it( 'should create a normalized table', () => {
+            const table = synthesizeHarmonics([{ amplitude: .25, phase: 0 }, { amplitude: .25, phase: 0 }], SIZE );
+            const peak  = Math.max( ...table.map( Math.abs ));
+
+            expect( peak ).toBeCloseTo( 1 );
+        });
+
+        it( 'should create a silent table when all partials are silent', () => {
+            expect( synthesizeHarmonics([{ amplitude: 0, phase: 0 }], SIZE )).toEqual( new Array( SIZE ).fill( 0 ));
+        });
+    });
+
+    describe( 'when analysing a wave table into partials', () => {
+        it( 'should retrieve the requested amount of partials', () => {
+            expect( analyseHarmonics( new Array( SIZE ).fill( 0 ), 8 )).toHaveLength( 8 );
+        });
+
+        it( 'should retrieve the partials of a pure sine wave', () => {
+            const table    = synthesizeHarmonics([{ amplitude: 1, phase: 0 }], SIZE );
+            const partials = analyseHarmonics( table, 4 );
+
+            expect( partials[ 0 ].amplitude ).toBeCloseTo( 1 );
+            partials.slice( 1 ).forEach(({ amplitude }) => expect( amplitude ).toBeCloseTo( 0 ));
+        });
+
+        it( 'should retrieve the same partials that were used to synthesize the table', () => {
+            const partials = [
+                { amplitude: 1,  phase: 0 },
+                { amplitude: 0,  phase: 0 },
+                { amplitude: .5, phase: 1 },
+                { amplitude: .2, phase: -2 }
+            ];
+            const analysed = analyseHarmonics( synthesizeHarmonics( partials, SIZE ), partials.length );
+
+            analysed.forEach(({ amplitude, phase }, index ) => {
+                expect( amplitude ).toBeCloseTo( partials[ index ].amplitude );
+                if ( partials[ index ].amplitude > 0 ) {
+                    expect( phase ).toBeCloseTo( partials[ index ].phase );
+                }
+            });
+        });
+    });
+
+    describe( 'when creating a wave table from an audio file', () => {
+        const SAMPLE_RATE = 44100;
+
+        // creates a signal with given period (in samples) containing the fundamental and its second harmonic
+        const createSignal = ( period, length = 8192, amplitude = .5 ) => {
+            const samples = new Float32Array( length );
+            for ( let i = 0; i < length; ++i ) {
+                const phase = ( i / period ) * Math.PI * 2;
+                samples[ i ] = amplitude * ( Math.sin( phase ) + .5 * Math.sin( phase * 2 ));
+            }
+            return samples;
+        };
+        const createBuffer = channelData => ({ sampleRate: SAMPLE_RATE, getChannelData: () => channelData });
+
+        it( 'should detect the period of a pitched signal', () => {
+            expect( detectCyclePeriod( createSignal( 100 ), SAMPLE_RATE )).toEqual( 100 );
+            expect( detectCyclePeriod( createSignal( 441 ), SAMPLE_RATE )).toEqual( 441 );
+        });
+
+        it( 'should not detect a period in silence', () => {
+            expect( detectCyclePeriod( new Float32Array( 4096 ), SAMPLE_RATE )).toBeNull();
+        });
+
+        it( 'should be able to resample a cycle to the wave table size', () => {
+            expect( resampleCycle([ 0, 1 ], 4 )).toEqual([ 0, .5, 1, .5 ]);
+            expect( resampleCycle([ 0, .25, .5, .75, 1, .5, 0, -.5 ], 4 )).toEqual([ 0, .5, 1, 0 ]);
+        });
+
+        it( 'should create a normalized wave table of the requested size', () => {
+            const table = createTableFromAudioBuffer( createBuffer( createSignal( 200 )), SIZE );
+
+            expect( table ).toHaveLength( SIZE );
+            expect( Math.max( ...table.map( Math.abs ))).toBeCloseTo( 1 );
+        });
+
+        it( 'should create a wave table starting at a rising zero crossing', () => {
+            const table = createTableFromAudioBuffer( createBuffer( createSignal( 200 )), SIZE );
+
+            expect( Math.abs( table[ 0 ])).toBeLessThan( .1 );
+            expect( table[ 1 ]).toBeGreaterThan( table[ 0 ]);
+        });
+
+        it( 'should retain the timbre of the source audio', () => {
+            const partials = analyseHarmonics( createTableFromAudioBuffer( createBuffer( createSignal( 200 )), SIZE ), 3 );
+
+            expect( partials[ 0 ].amplitude ).toBeCloseTo( 1, 1 );
+            expect( partials[ 1 ].amplitude ).toBeCloseTo( .5, 1 );
+            expect( partials[ 2 ].amplitude ).toBeCloseTo( 0, 1 );
+        });
+
+        it( 'should band-limit the wave table to the partials supported by the harmonic editor', () => {
+            const signal = createSignal( 256 );
+            signal.forEach(( value, i ) => signal[ i ] += .25 * Math.sin(( i / 256 ) * Math.PI * 2 * ( Config.WAVE_TABLE_HARMONICS + 8 )));
+
+            const partials = analyseHarmonics( createTableFromAudioBuffer( createBuffer( signal ), SIZE * 2 ), Config.WAVE_TABLE_HARMONICS + 8 );
+
+            expect( partials[ 0 ].amplitude ).toBeCloseTo( 1, 1 );
+            expect( partials[ Config.WAVE_TABLE_HARMONICS + 7 ].amplitude ).toBeCloseTo( 0 );
+        });
+
+        it( 'should not create a wave table for silent audio', () => {
+            expect( createTableFromAudioBuffer( createBuffer( new Float32Array( 4096 )), SIZE )).toBeNull();
+        });
+    });
+});
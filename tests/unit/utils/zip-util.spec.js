@@ -0,0 +1,53 @@
+import { createZip, crc32 } from '@/utils/zip-util';
+
+const readUint16 = ( bytes, offset ) => bytes[ offset ] | ( bytes[ offset + 1 ] << 8 );
+const readUint32 = ( bytes, offset ) => ( readUint16( bytes, offset ) | ( readUint16( bytes, offset + 2 ) << 16 )) >>> 0;
+const readString = ( bytes, offset, length ) => String.fromCharCode( ...bytes.slice( offset, offset + length ));
+
+describe( 'ZipUtil', () => {
+    const files = [
+        { name: 'a.txt',  data: new Uint8Array([ 1, 2, 3 ]) },
+        { name: 'bb.wav', data: new Uint8Array([ 4, 5 ]) }
+    ];
+
+    it( 'should calculate CRC-32 checksums', () => {
+        const bytes = new Uint8Array( '123456789'.split( '' ).map( char => char.charCodeAt( 0 )));
+        expect( crc32( bytes )).toEqual( 0xCBF43926 );
+        expect( crc32( new Uint8Array( 0 ))).toEqual( 0 );
+    });
+
+    it( 'should store each file behind a local file header', () => {
+        const zip = createZip( files );
+
+        expect( readUint32( zip, 0 )).toEqual( 0x04034b50 );
+        expect( readUint16( zip, 8 )).toEqual( 0 ); // stored without compression
+        expect( readUint32( zip, 14 )).toEqual( crc32( files[ 0 ].data ));
+        expect( readUint32( zip, 18 )).toEqual( 3 );
+        expect( readString( zip, 30, 5 )).toEqual( 'a.txt' );
+        expect( Array.from( zip.slice( 35, 38 ))).toEqual([ 1, 2, 3 ]);
+
+        // second file follows directly after the first
+        expect( readUint32( zip, 38 )).toEqual( 0x04034b50 );
+        expect( readString( zip, 68, 6 )).toEqual( 'bb.wav' );
+    });
+
+    it( 'should reference all files in the central directory', () => {
+        const zip = createZip( files );
+        const end = zip.length - 22;
+
+        expect( readUint32( zip, end )).toEqual( 0x06054b50 );
+        expect( readUint16( zip, end + 10 )).toEqual( 2 );
+
+        const directoryOffset = readUint32( zip, end + 16 );
+        expect( directoryOffset ).toEqual( 76 );
+        expect( readUint32( zip, end + 12 )).toEqual( end - directoryOffset );
+
+        expect( readUint32( zip, directoryOffset )).toEqual( 0x02014b50 );
+        expect( readUint32( zip, directoryOffset + 42 )).toEqual( 0 ); // offset of first local header
+        expect( readString( zip, directoryOffset + 46, 5 )).toEqual( 'a.txt' );
+
+        const secondRecord = directoryOffset + 46 + 5;
+        expect( readUint32( zip, secondRecord + 42 )).toEqual( 38 );
+        expect( readString( zip, secondRecord + 46, 6 )).toEqual( 'bb.wav' );
+    });
+});